@@ -1,4 +1,25 @@
 require('dotenv').config();
+const path = require('path');
+
+// Permissions every signed-in user has over their own records
+const USER_PERMISSIONS = [
+    'arxiv:read',
+    'arxiv:write',
+    'search:write',
+    'payments:read',
+    'payments:write',
+    'payments:refund',
+    'subscriptions:read',
+    'subscriptions:write',
+    'webhooks:read',
+    'webhooks:write',
+    'uploads:read',
+    'uploads:write',
+    'uploads:delete',
+    'graphql',
+    'posts:write',
+    'comments:write'
+];
 
 module.exports = {
     // Server configuration
@@ -7,10 +28,153 @@ module.exports = {
         env: process.env.NODE_ENV || 'development'
     },
 
+    // Database configuration
+    database: {
+        driver: process.env.DB_DRIVER || 'sqlite', // 'sqlite' or 'memory'
+        filename: process.env.DB_FILENAME || path.join(__dirname, '../data/app.db')
+    },
+
     // JWT configuration
     jwt: {
         secret: process.env.JWT_SECRET || 'your-secret-key',
-        expiresIn: '24h'
+        expiresIn: '15m',
+        refreshExpiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
+    },
+
+    // First admin account, created on startup when set
+    admin: {
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASSWORD,
+        name: process.env.ADMIN_NAME || 'Administrator'
+    },
+
+    // Single-use account tokens (email verification, password reset)
+    account: {
+        emailVerificationExpiresIn: '24h',
+        passwordResetExpiresIn: '1h'
+    },
+
+    // Roles are bundles of permissions. "resource:action" covers the user's own
+    // records, "resource:action:any" everyone's; "*" grants everything.
+    permissions: {
+        defaultRole: 'user',
+        roles: {
+            user: USER_PERMISSIONS,
+            support: [
+                ...USER_PERMISSIONS,
+                'payments:read:any',
+                'subscriptions:read:any',
+                'webhooks:read:any',
+                'ledger:read',
+                'users:read',
+                'security:read'
+            ],
+            admin: ['*']
+        }
+    },
+
+    // API keys for server-to-server clients. A key's scopes are permissions,
+    // limited further by its owner's role.
+    apiKeys: {
+        prefix: 'fpp_',
+        scopes: [
+            'arxiv:read',
+            'arxiv:write',
+            'search:write',
+            'search:harvest',
+            'payments:read',
+            'payments:write',
+            'payments:refund',
+            'subscriptions:read',
+            'subscriptions:write',
+            'webhooks:read',
+            'webhooks:write',
+            'uploads:read',
+            'uploads:write',
+            'uploads:delete',
+            'graphql'
+        ],
+        defaultExpiresInDays: 90,
+        maxExpiresInDays: 365,
+        maxPerUser: 20
+    },
+
+    // Login brute-force protection: after freeAttempts failures each further
+    // attempt must wait a doubling delay, and maxAttempts locks the key out
+    loginProtection: {
+        account: {
+            freeAttempts: 3,
+            maxAttempts: 10,
+            lockoutDuration: 15 * 60 // seconds
+        },
+        ip: {
+            freeAttempts: 10,
+            maxAttempts: 50,
+            lockoutDuration: 60 * 60 // seconds
+        },
+        baseDelay: 1, // seconds
+        maxDelay: 60, // seconds
+        failureWindow: 15 * 60, // seconds without failures before the count resets
+        knownIpsPerUser: 20
+    },
+
+    // TOTP two-factor authentication
+    twoFactor: {
+        issuer: process.env.TOTP_ISSUER || 'FacePrintPay',
+        window: 1, // accept codes one step either side of now
+        challengeExpiresIn: '5m',
+        maxChallengeAttempts: 5,
+        recoveryCodeCount: 10
+    },
+
+    // WebAuthn passkeys
+    webauthn: {
+        rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+        rpName: process.env.WEBAUTHN_RP_NAME || 'FacePrintPay',
+        origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000').split(','),
+        userVerification: 'preferred', // 'required', 'preferred' or 'discouraged'
+        timeout: 60000, // ms the browser allows for the ceremony
+        challengeExpiresIn: 5 * 60, // seconds
+        maxCredentialsPerUser: 10
+    },
+
+    // OpenID Connect sign-in. A provider is enabled once its issuer and client id are set;
+    // its redirect URI is <redirectBaseUrl>/api/auth/oidc/<name>/callback
+    oidc: {
+        redirectBaseUrl: process.env.OIDC_REDIRECT_BASE_URL || 'http://localhost:3000',
+        stateExpiresIn: 10 * 60, // seconds to complete the provider round trip
+        timeout: 10000,
+        providers: {
+            google: {
+                issuer: 'https://accounts.google.com',
+                clientId: process.env.GOOGLE_CLIENT_ID,
+                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+                scopes: ['openid', 'email', 'profile']
+            },
+            oidc: {
+                issuer: process.env.OIDC_ISSUER,
+                clientId: process.env.OIDC_CLIENT_ID,
+                clientSecret: process.env.OIDC_CLIENT_SECRET,
+                scopes: (process.env.OIDC_SCOPES || 'openid email profile').split(' ')
+            }
+        }
+    },
+
+    // Outgoing mail configuration
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || 'console', // 'smtp', 'file' or 'console'
+        from: process.env.MAIL_FROM || 'no-reply@localhost',
+        appUrl: process.env.APP_URL || 'http://localhost:3000',
+        directory: process.env.MAIL_DIRECTORY || path.join(__dirname, '../data/mail'),
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASSWORD
+            } : undefined
+        }
     },
 
     // File upload configuration
@@ -36,16 +200,113 @@ module.exports = {
 
     // ArXiv API configuration
     arxiv: {
-        baseUrl: 'http://export.arxiv.org/api/query',
+        baseUrl: process.env.ARXIV_API_URL || 'http://export.arxiv.org/api/query',
+        oaiUrl: process.env.ARXIV_OAI_URL || 'http://export.arxiv.org/oai2',
         maxResults: 25,
+        maxPageSize: 100,
+        timeout: 15000, // 15 seconds
+        cacheTime: 24 * 60 * 60, // 24 hours in seconds
         sortBy: 'lastUpdatedDate',
         sortOrder: 'descending'
     },
 
+    // ArXiv harvesting into the Elasticsearch papers index
+    harvest: {
+        categories: (process.env.ARXIV_HARVEST_CATEGORIES || '').split(',').map(s => s.trim()).filter(Boolean),
+        queries: (process.env.ARXIV_HARVEST_QUERIES || '').split(';').map(s => s.trim()).filter(Boolean),
+        interval: parseInt(process.env.ARXIV_HARVEST_INTERVAL, 10) || 0, // minutes, 0 disables the schedule
+        initialDays: 7, // how far back the first run of a source looks
+        batchSize: 100,
+        maxPerRun: 1000, // per source
+        requestDelay: 3000 // ArXiv asks clients to wait 3 seconds between calls
+    },
+
+    // Saved ArXiv searches and new-paper alerts
+    alerts: {
+        interval: parseInt(process.env.ARXIV_ALERT_INTERVAL, 10) || 60, // minutes
+        resultsPerCheck: 50,
+        maxSavedSearches: 20, // per user
+        maxFeedItems: 500, // per user
+        webhookTimeout: 5000 // 5 seconds
+    },
+
     // Payment gateway configuration (example for Stripe)
     payment: {
+        gateway: process.env.PAYMENT_GATEWAY || 'simulator', // 'simulator' or 'stripe'
         stripeSecretKey: process.env.STRIPE_SECRET_KEY,
-        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET, // Stripe's endpoint secret (whsec_...); the simulator's events use it too
+        webhookTolerance: 300, // seconds a signed webhook stays valid
+        authorizations: {
+            expiresIn: parseInt(process.env.PAYMENT_AUTHORIZATION_EXPIRES_IN, 10) || 7 * 24 * 60 * 60, // seconds an uncaptured hold stays valid
+            checkInterval: 15 // minutes between sweeps for expired holds, 0 disables the schedule
+        },
+        stripe: {
+            apiBase: process.env.STRIPE_API_BASE || 'https://api.stripe.com', // e.g. http://localhost:12111 for stripe-mock
+            timeout: 20000
+        },
+        simulator: {
+            // ms per gateway call; PAYMENT_SIMULATOR_LATENCY=0 for none
+            latency: process.env.PAYMENT_SIMULATOR_LATENCY !== undefined
+                ? parseInt(process.env.PAYMENT_SIMULATOR_LATENCY, 10) || 0
+                : 1000
+        },
+        // Processing fees per currency. Fixed parts are in that currency's minor unit
+        // (cents, yen, fils), so a currency only pays one with its own schedule;
+        // the rest pay the default percentage alone.
+        fees: {
+            default: { percent: 0.029 },
+            USD: { percent: 0.029, fixed: 30 },
+            CAD: { percent: 0.029, fixed: 30 },
+            AUD: { percent: 0.029, fixed: 30 },
+            EUR: { percent: 0.025, fixed: 25 },
+            GBP: { percent: 0.025, fixed: 20 },
+            JPY: { percent: 0.036, fixed: 0 },
+            KWD: { percent: 0.029, fixed: 100 }, // 0.100 KWD
+            BHD: { percent: 0.029, fixed: 100 } // 0.100 BHD
+        }
+    },
+
+    // Subscription plans and recurring billing
+    subscriptions: {
+        intervals: ['day', 'week', 'month', 'year'],
+        maxIntervalCount: 12, // e.g. billing every 3 months
+        maxTrialDays: 365,
+        maxPerUser: 10, // subscriptions that haven't ended
+        billingInterval: parseInt(process.env.SUBSCRIPTION_BILLING_INTERVAL, 10) || 60, // minutes between billing runs
+        // Days to wait before each retry of a failed renewal; the subscription
+        // is canceled once they run out
+        retryDelays: [1, 3, 5],
+        // Seconds before a renewal claimed by a process that never finished it may be claimed again
+        renewalClaimTimeout: 15 * 60
+    },
+
+    // Payment event webhooks sent to users' endpoints
+    merchantWebhooks: {
+        maxEndpointsPerUser: 10,
+        timeout: 10000, // ms to wait for an endpoint to respond
+        // Failed deliveries are retried after retryBaseDelay seconds, doubling
+        // each time up to retryMaxDelay, until maxAttempts have been made
+        maxAttempts: 8,
+        retryBaseDelay: 60,
+        retryMaxDelay: 6 * 60 * 60,
+        retryInterval: parseInt(process.env.WEBHOOK_RETRY_INTERVAL, 10) || 1 // minutes between sweeps for due retries
+    },
+
+    // Requests to user-supplied URLs such as webhooks
+    outboundRequests: {
+        // Lets them reach loopback and private addresses; for local development only
+        allowPrivateAddresses: process.env.ALLOW_PRIVATE_WEBHOOK_ADDRESSES === 'true'
+    },
+
+    // Idempotency-Key handling on mutating payment routes
+    idempotency: {
+        expiresIn: 86400, // seconds a stored response is replayed (24 hours)
+        maxKeyLength: 255
+    },
+
+    // Deleting expired sessions, tokens and other short-lived records
+    cleanup: {
+        interval: 60 // minutes between runs, 0 disables the schedule
     },
 
     // Cache configuration
@@ -0,0 +1,87 @@
+/**
+ * In-memory database driver
+ * Keeps collections in Maps; data is lost when the process exits
+ */
+
+const { applyQuery, matches, serialize } = require('../query');
+
+// Create a repository backed by a Map
+const createCollection = () => {
+    const records = new Map();
+
+    return {
+        async findById(id) {
+            return records.has(id) ? serialize(records.get(id)) : null;
+        },
+
+        async findOne(filter = {}, { operators } = {}) {
+            for (const record of records.values()) {
+                if (matches(record, filter, { operators })) {
+                    return serialize(record);
+                }
+            }
+            return null;
+        },
+
+        async find(filter = {}, options = {}) {
+            const found = Array.from(records.values()).filter(record => matches(record, filter, options));
+            return applyQuery(found, options).map(serialize);
+        },
+
+        async count(filter = {}, { operators } = {}) {
+            return Array.from(records.values()).filter(record => matches(record, filter, { operators })).length;
+        },
+
+        async insert(record) {
+            if (records.has(record.id)) {
+                throw new Error(`Duplicate id: ${record.id}`);
+            }
+            records.set(record.id, serialize(record));
+            return serialize(record);
+        },
+
+        async update(id, changes, { where, operators } = {}) {
+            const existing = records.get(id);
+            if (!existing || (where && !matches(existing, where, { operators }))) {
+                return null;
+            }
+            const updated = serialize({ ...existing, ...changes, id });
+            records.set(id, updated);
+            return serialize(updated);
+        },
+
+        async delete(id) {
+            return records.delete(id);
+        },
+
+        async deleteMany(filter = {}, { operators } = {}) {
+            let deleted = 0;
+            for (const [id, record] of records) {
+                if (matches(record, filter, { operators })) {
+                    records.delete(id);
+                    deleted++;
+                }
+            }
+            return deleted;
+        }
+    };
+};
+
+module.exports = () => {
+    const collections = new Map();
+
+    return {
+        driver: 'memory',
+
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createCollection());
+            }
+            return collections.get(name);
+        },
+
+        close() {
+            collections.clear();
+        }
+    };
+};
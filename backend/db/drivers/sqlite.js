@@ -0,0 +1,167 @@
+/**
+ * SQLite database driver
+ * Stores each record as a JSON document in a table created by the migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { assertField, conditionsFor, matches, normalizeValue, serialize } = require('../query');
+const { migrate } = require('../migrate');
+
+// Convert a value into something better-sqlite3 can bind
+const toParam = (value) => {
+    const normalized = normalizeValue(value);
+    if (typeof normalized === 'boolean') return normalized ? 1 : 0;
+    return normalized;
+};
+
+const COMPARISONS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+// SQL for one operator condition on a column
+const buildCondition = (column, operator, operand, params) => {
+    if (operator === '$in') {
+        if (!operand.length) {
+            return '0';
+        }
+        params.push(...operand.map(toParam));
+        return `${column} IN (${operand.map(() => '?').join(', ')})`;
+    }
+
+    const param = toParam(operand);
+    if (operator === '$eq' || operator === '$ne') {
+        if (param === null) {
+            return `${column} ${operator === '$eq' ? 'IS' : 'IS NOT'} NULL`;
+        }
+        params.push(param);
+        return operator === '$eq' ? `${column} = ?` : `(${column} IS NULL OR ${column} != ?)`;
+    }
+
+    params.push(param);
+    return `${column} ${COMPARISONS[operator]} ?`;
+};
+
+// Build the conditions of a filter, joined with AND
+const buildClauses = (filter, params, options) => {
+    return Object.entries(filter).map(([field, value]) => {
+        if (field === '$or' && options.operators) {
+            const alternatives = value.map(alternative => `(${buildClauses(alternative, params, options)})`);
+            return alternatives.length ? `(${alternatives.join(' OR ')})` : '0';
+        }
+
+        const column = `json_extract(data, '$.${assertField(field)}')`;
+        return conditionsFor(value, options)
+            .map(([operator, operand]) => buildCondition(column, operator, operand, params))
+            .join(' AND ');
+    }).join(' AND ') || '1';
+};
+
+// Build a WHERE clause from a filter ({ operators: true } to read operator objects)
+const buildWhere = (filter, options = {}) => {
+    const params = [];
+    const clauses = Object.keys(filter).length ? buildClauses(filter, params, options) : '';
+
+    return {
+        where: clauses ? `WHERE ${clauses}` : '',
+        params
+    };
+};
+
+// Build an ORDER BY clause from a sort spec
+const buildOrderBy = (sort) => {
+    if (!sort) return '';
+    const keys = Object.entries(sort).map(([field, direction]) =>
+        `json_extract(data, '$.${assertField(field)}') ${direction < 0 ? 'DESC' : 'ASC'}`
+    );
+    return keys.length ? `ORDER BY ${keys.join(', ')}` : '';
+};
+
+// Create a repository backed by a table
+const createCollection = (db, table) => {
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const getById = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+    const insertRow = db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+    const updateRow = db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+    const deleteRow = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+
+    // Read, check and write in one transaction, so a conditional update is atomic
+    const update = db.transaction((id, changes, where, operators) => {
+        const existing = parse(getById.get(id));
+        if (!existing || (where && !matches(existing, where, { operators }))) {
+            return null;
+        }
+        const updated = serialize({ ...existing, ...changes, id });
+        updateRow.run(JSON.stringify(updated), id);
+        return updated;
+    });
+
+    return {
+        async findById(id) {
+            return parse(getById.get(id));
+        },
+
+        async findOne(filter = {}, { operators } = {}) {
+            const { where, params } = buildWhere(filter, { operators });
+            return parse(db.prepare(`SELECT data FROM ${table} ${where} LIMIT 1`).get(...params));
+        },
+
+        async find(filter = {}, { sort, offset = 0, limit, operators } = {}) {
+            const { where, params } = buildWhere(filter, { operators });
+            const sql = `SELECT data FROM ${table} ${where} ${buildOrderBy(sort)} LIMIT ? OFFSET ?`;
+            return db.prepare(sql).all(...params, limit === undefined ? -1 : limit, offset).map(parse);
+        },
+
+        async count(filter = {}, { operators } = {}) {
+            const { where, params } = buildWhere(filter, { operators });
+            return db.prepare(`SELECT COUNT(*) AS count FROM ${table} ${where}`).get(...params).count;
+        },
+
+        async insert(record) {
+            const stored = serialize(record);
+            insertRow.run(stored.id, JSON.stringify(stored));
+            return stored;
+        },
+
+        async update(id, changes, { where, operators } = {}) {
+            return update(id, changes, where, operators);
+        },
+
+        async delete(id) {
+            return deleteRow.run(id).changes > 0;
+        },
+
+        async deleteMany(filter = {}, { operators } = {}) {
+            const { where, params } = buildWhere(filter, { operators });
+            return db.prepare(`DELETE FROM ${table} ${where}`).run(...params).changes;
+        }
+    };
+};
+
+module.exports = ({ filename }) => {
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+
+    migrate(db);
+
+    const collections = new Map();
+
+    return {
+        driver: 'sqlite',
+
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createCollection(db, assertField(name)));
+            }
+            return collections.get(name);
+        },
+
+        close() {
+            db.close();
+        }
+    };
+};
@@ -0,0 +1,38 @@
+/**
+ * Persistence layer
+ * Opens the database driver selected in config and hands out one repository per collection
+ *
+ * Every repository exposes the same async interface:
+ *   findById(id), findOne(filter, options), find(filter, { sort, offset, limit, operators }),
+ *   count(filter, options), insert(record), update(id, changes, { where, operators }),
+ *   delete(id), deleteMany(filter, options)
+ * Filters match fields by equality; comparison operators are only read from
+ * filters passed with { operators: true } (see ./query). An update given a
+ * `where` filter only applies if the stored record still matches it, checked
+ * and written atomically, and resolves to null otherwise.
+ */
+
+const config = require('../config/config');
+
+// Drivers are loaded lazily so the memory driver needs no native modules
+const DRIVERS = {
+    memory: () => require('./drivers/memory'),
+    sqlite: () => require('./drivers/sqlite')
+};
+
+// Open a database with the given options
+const createDatabase = (options = config.database) => {
+    const loadDriver = DRIVERS[options.driver];
+    if (!loadDriver) {
+        throw new Error(`Unknown database driver: ${options.driver}`);
+    }
+    return loadDriver()(options);
+};
+
+const db = createDatabase();
+
+module.exports = {
+    db,
+    createDatabase,
+    collection: (name) => db.collection(name)
+};
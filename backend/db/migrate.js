@@ -0,0 +1,65 @@
+/**
+ * Schema migrations for the SQLite driver
+ * Applies numbered files from ./migrations in order, each in its own transaction
+ *
+ * Usage: node db/migrate.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// List migration files in the order they should run
+const listMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .sort()
+        .map(file => ({
+            version: file.replace(/\.js$/, ''),
+            migration: require(path.join(MIGRATIONS_DIR, file))
+        }));
+};
+
+// Apply all pending migrations and return the versions that ran
+const migrate = (db) => {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(
+        db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const record = db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)');
+
+    const ran = [];
+    listMigrations()
+        .filter(({ version }) => !applied.has(version))
+        .forEach(({ version, migration }) => {
+            db.transaction(() => {
+                migration.up(db);
+                record.run(version, new Date().toISOString());
+            })();
+            ran.push(version);
+        });
+
+    return ran;
+};
+
+module.exports = { migrate };
+
+// Run migrations directly against the configured database file
+if (require.main === module) {
+    const config = require('../config/config');
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(config.database.filename), { recursive: true });
+    const db = new Database(config.database.filename);
+    const ran = migrate(db);
+    db.close();
+
+    console.log(ran.length ? `Applied migrations: ${ran.join(', ')}` : 'Database is up to date');
+}
@@ -0,0 +1,42 @@
+// Initial schema: one JSON document table per collection
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE users (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX idx_users_email ON users (json_extract(data, '$.email'));
+
+            CREATE TABLE payments (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_payments_user ON payments (json_extract(data, '$.userId'));
+
+            CREATE TABLE posts (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE comments (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_comments_post ON comments (json_extract(data, '$.postId'));
+
+            CREATE TABLE saved_searches (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_saved_searches_user ON saved_searches (json_extract(data, '$.userId'));
+
+            CREATE TABLE arxiv_alerts (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_arxiv_alerts_user ON arxiv_alerts (json_extract(data, '$.userId'));
+        `);
+    }
+};
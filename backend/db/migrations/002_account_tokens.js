@@ -0,0 +1,13 @@
+// Single-use tokens for email verification and password reset
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE account_tokens (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_account_tokens_user ON account_tokens (json_extract(data, '$.userId'));
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+// API keys for server-to-server clients, looked up by the hash of the key
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE api_keys (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX idx_api_keys_hash ON api_keys (json_extract(data, '$.keyHash'));
+            CREATE INDEX idx_api_keys_user ON api_keys (json_extract(data, '$.userId'));
+        `);
+    }
+};
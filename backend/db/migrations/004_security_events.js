@@ -0,0 +1,15 @@
+// Security event log (failed logins, lockouts, new sign-in locations)
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE security_events (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_security_events_user ON security_events (json_extract(data, '$.userId'));
+            CREATE INDEX idx_security_events_type ON security_events (json_extract(data, '$.type'));
+            CREATE INDEX idx_security_events_ip ON security_events (json_extract(data, '$.ip'));
+        `);
+    }
+};
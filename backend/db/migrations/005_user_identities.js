@@ -0,0 +1,13 @@
+// External identities linked to users, keyed by "<provider>:<subject>"
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE user_identities (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_user_identities_user ON user_identities (json_extract(data, '$.userId'));
+        `);
+    }
+};
@@ -0,0 +1,13 @@
+// WebAuthn passkeys, keyed by base64url credential id
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE webauthn_credentials (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_webauthn_credentials_user ON webauthn_credentials (json_extract(data, '$.userId'));
+        `);
+    }
+};
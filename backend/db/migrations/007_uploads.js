@@ -0,0 +1,13 @@
+// Owners of uploaded files, keyed by stored filename
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE uploads (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_uploads_user ON uploads (json_extract(data, '$.userId'));
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+// Processed payment webhook events, and payment lookup by gateway intent
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE payment_webhook_events (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_payment_webhook_events_payment ON payment_webhook_events (json_extract(data, '$.paymentId'));
+            CREATE INDEX idx_payments_gateway_intent ON payments (json_extract(data, '$.gatewayIntentId'));
+        `);
+    }
+};
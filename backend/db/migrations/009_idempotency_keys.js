@@ -0,0 +1,13 @@
+// Stored responses for Idempotency-Key replays
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE idempotency_keys (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_idempotency_keys_user ON idempotency_keys (json_extract(data, '$.userId'));
+        `);
+    }
+};
@@ -0,0 +1,57 @@
+// Payment amounts move from decimal major units to integer minor units,
+// and single legacy refunds become entries in the refund history
+
+const crypto = require('crypto');
+
+// ISO 4217 exponents as they stood when this migration was written, copied here
+// so later changes to services/money can't change what it does. Every other
+// currency has two decimal places.
+const EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+    RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+const toMinorUnits = (amount, currency) => {
+    const exponent = EXPONENTS[String(currency).toUpperCase()];
+    return Math.round(amount * 10 ** (exponent === undefined ? 2 : exponent));
+};
+
+const convertPayment = (payment) => {
+    const minor = (amount) => (typeof amount === 'number' ? toMinorUnits(amount, payment.currency) : amount);
+    const converted = {
+        ...payment,
+        currency: String(payment.currency || 'USD').toUpperCase(),
+        amount: minor(payment.amount),
+        processingFee: minor(payment.processingFee),
+        amountRefunded: minor(payment.amountRefunded),
+        refunds: (payment.refunds || []).map(refund => ({ ...refund, amount: minor(refund.amount) }))
+    };
+
+    if (payment.refunded && !payment.refunds) {
+        converted.refunds = [{
+            id: crypto.randomUUID(),
+            amount: minor(payment.refundAmount),
+            reason: payment.refundReason || null,
+            gatewayRefundId: payment.refundId || null,
+            status: 'succeeded',
+            createdAt: payment.refundedAt
+        }];
+        converted.amountRefunded = converted.refunds[0].amount;
+        converted.status = converted.amountRefunded >= converted.amount ? 'refunded' : 'partially_refunded';
+        ['refunded', 'refundAmount', 'refundReason', 'refundId', 'refundedAt'].forEach(field => {
+            delete converted[field];
+        });
+    }
+
+    return converted;
+};
+
+module.exports = {
+    up(db) {
+        const update = db.prepare('UPDATE payments SET data = ? WHERE id = ?');
+        db.prepare('SELECT id, data FROM payments').all().forEach(row => {
+            update.run(JSON.stringify(convertPayment(JSON.parse(row.data))), row.id);
+        });
+    }
+};
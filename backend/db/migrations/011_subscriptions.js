@@ -0,0 +1,21 @@
+// Subscription plans, customer subscriptions, and payment lookup by subscription
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE plans (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE subscriptions (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_subscriptions_user ON subscriptions (json_extract(data, '$.userId'));
+            CREATE INDEX idx_subscriptions_status ON subscriptions (json_extract(data, '$.status'));
+
+            CREATE INDEX idx_payments_subscription ON payments (json_extract(data, '$.subscriptionId'));
+        `);
+    }
+};
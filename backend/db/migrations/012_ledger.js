@@ -0,0 +1,15 @@
+// Append-only double-entry ledger of payment money movement
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE ledger_transactions (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_ledger_transactions_user ON ledger_transactions (json_extract(data, '$.userId'));
+            CREATE INDEX idx_ledger_transactions_payment ON ledger_transactions (json_extract(data, '$.paymentId'));
+            CREATE INDEX idx_ledger_transactions_type ON ledger_transactions (json_extract(data, '$.type'));
+        `);
+    }
+};
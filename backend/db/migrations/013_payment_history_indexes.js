@@ -0,0 +1,11 @@
+// Indexes for paging payment history by user, newest first or by amount
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE INDEX idx_payments_user_created ON payments (json_extract(data, '$.userId'), json_extract(data, '$.createdAt'), json_extract(data, '$.id'));
+            CREATE INDEX idx_payments_user_amount ON payments (json_extract(data, '$.userId'), json_extract(data, '$.amount'), json_extract(data, '$.id'));
+            CREATE INDEX idx_payments_created ON payments (json_extract(data, '$.createdAt'), json_extract(data, '$.id'));
+        `);
+    }
+};
@@ -0,0 +1,20 @@
+// Users' webhook endpoints for payment events, and the log of deliveries to them
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE webhook_endpoints (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_webhook_endpoints_user ON webhook_endpoints (json_extract(data, '$.userId'));
+
+            CREATE TABLE webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries (json_extract(data, '$.endpointId'), json_extract(data, '$.createdAt'));
+            CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (json_extract(data, '$.status'), json_extract(data, '$.nextAttemptAt'));
+        `);
+    }
+};
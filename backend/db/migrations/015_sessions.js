@@ -0,0 +1,26 @@
+// Login sessions, refresh tokens and revoked access tokens, previously held in memory
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE sessions (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_sessions_user ON sessions (json_extract(data, '$.userId'));
+            CREATE INDEX idx_sessions_expires ON sessions (json_extract(data, '$.expiresAt'));
+
+            CREATE TABLE refresh_tokens (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_refresh_tokens_expires ON refresh_tokens (json_extract(data, '$.expiresAt'));
+
+            CREATE TABLE revoked_tokens (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_revoked_tokens_expires ON revoked_tokens (json_extract(data, '$.expiresAt'));
+        `);
+    }
+};
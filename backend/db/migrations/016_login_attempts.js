@@ -0,0 +1,14 @@
+// Failed login counters and lockouts per account and IP, previously held in memory
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE login_attempts (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_login_attempts_locked ON login_attempts (json_extract(data, '$.lockedUntil'));
+            CREATE INDEX idx_login_attempts_expires ON login_attempts (json_extract(data, '$.expiresAt'));
+        `);
+    }
+};
@@ -0,0 +1,9 @@
+// Index idempotency keys by expiry for the cleanup schedule
+
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (json_extract(data, '$.expiresAt'));
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+// Saved searches get a secret to sign their webhooks with
+
+const crypto = require('crypto');
+
+module.exports = {
+    up(db) {
+        const update = db.prepare('UPDATE saved_searches SET data = ? WHERE id = ?');
+        db.prepare('SELECT id, data FROM saved_searches').all().forEach(row => {
+            const search = JSON.parse(row.data);
+            search.secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+            update.run(JSON.stringify(search), row.id);
+        });
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * Shared query helpers for database drivers
+ * Filters are plain objects of field/value pairs matched by equality, and values
+ * must be scalars (strings, numbers, booleans, dates or null). Callers that build
+ * a filter themselves can pass { operators: true } to have a value read as an
+ * operator object, e.g. { amount: { $gte: 100, $lt: 500 } } or
+ * { status: { $in: ['failed', 'canceled'] } }, and { $or: [filter, ...] } match
+ * records matching any of several filters. Without it, an object that came in
+ * with a request (say { email: { $ne: null } }) can't widen a lookup.
+ * All conditions must hold.
+ */
+
+// Field names allowed in filters and sorts
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Comparison operators allowed in filter values
+const OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in'];
+
+// Round-trip a record through JSON so every driver returns the same shapes
+// (dates become ISO strings, undefined fields are dropped)
+const serialize = (record) => {
+    return record === undefined || record === null ? null : JSON.parse(JSON.stringify(record));
+};
+
+// Normalize a filter or record value for comparison
+const normalizeValue = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+// Validate a field name before it is used in a query
+const assertField = (field) => {
+    if (!FIELD_PATTERN.test(field)) {
+        throw new Error(`Invalid field name: ${field}`);
+    }
+    return field;
+};
+
+// Whether a filter value is an operator object rather than a value to match
+const isOperatorObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+        && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+};
+
+// Validate an operator object's operators
+const operatorEntries = (condition) => {
+    return Object.entries(condition).map(([operator, operand]) => {
+        if (!OPERATORS.includes(operator)) {
+            throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+        if (operator === '$in' && !Array.isArray(operand)) {
+            throw new Error('$in takes an array');
+        }
+        return [operator, operand];
+    });
+};
+
+// Whether a value can be matched by equality
+const isScalar = (value) => {
+    return value === null || value === undefined || value instanceof Date
+        || ['string', 'number', 'boolean'].includes(typeof value);
+};
+
+// The [operator, operand] conditions a filter value stands for
+const conditionsFor = (value, { operators = false } = {}) => {
+    if (operators && isOperatorObject(value)) {
+        return operatorEntries(value);
+    }
+    if (!isScalar(value)) {
+        throw new Error('Filter values must be strings, numbers, booleans, dates or null');
+    }
+    return [['$eq', value]];
+};
+
+// Check one operator condition against a normalized field value
+const satisfies = (value, operator, operand) => {
+    if (operator === '$in') {
+        return operand.some(candidate => normalizeValue(candidate) === value);
+    }
+
+    const target = normalizeValue(operand);
+    if (operator === '$eq') return value === target;
+    if (operator === '$ne') return value !== target;
+
+    // Ordering comparisons never match missing values, as in SQL
+    if (value === null || target === null) return false;
+    if (operator === '$gt') return value > target;
+    if (operator === '$gte') return value >= target;
+    if (operator === '$lt') return value < target;
+    return value <= target;
+};
+
+// Check whether a record matches a filter ({ operators: true } to read operator objects)
+const matches = (record, filter, options = {}) => {
+    return Object.entries(filter).every(([field, condition]) => {
+        if (field === '$or' && options.operators) {
+            return condition.some(alternative => matches(record, alternative, options));
+        }
+
+        const value = normalizeValue(record[assertField(field)]);
+        return conditionsFor(condition, options).every(([operator, operand]) => satisfies(value, operator, operand));
+    });
+};
+
+// Compare two values for sorting, nulls first
+const compareValues = (a, b) => {
+    const left = normalizeValue(a);
+    const right = normalizeValue(b);
+    if (left === right) return 0;
+    if (left === null) return -1;
+    if (right === null) return 1;
+    return left < right ? -1 : 1;
+};
+
+// Apply sort ({ field: 1 | -1 }), offset and limit to an array of records
+const applyQuery = (records, { sort, offset = 0, limit } = {}) => {
+    let result = records;
+
+    if (sort) {
+        const keys = Object.entries(sort).map(([field, direction]) => [assertField(field), direction < 0 ? -1 : 1]);
+        result = [...result].sort((a, b) => {
+            for (const [field, direction] of keys) {
+                const order = compareValues(a[field], b[field]);
+                if (order !== 0) return order * direction;
+            }
+            return 0;
+        });
+    }
+
+    return result.slice(offset, limit === undefined ? undefined : offset + limit);
+};
+
+module.exports = {
+    serialize,
+    normalizeValue,
+    assertField,
+    conditionsFor,
+    matches,
+    applyQuery
+};
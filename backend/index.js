@@ -3,6 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const { errorHandler } = require('./middleware/errorHandler');
 
 // Initialize express app
 const app = express();
@@ -10,7 +11,12 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Keep the raw JSON body for endpoints that verify signatures over it
+app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static files from uploads directory
@@ -24,6 +30,16 @@ const authRoutes = require('./routes/authentication');
 const uploadRoutes = require('./routes/upload');
 const searchRoutes = require('./routes/search');
 const paymentRoutes = require('./routes/payment');
+const subscriptionRoutes = require('./routes/subscriptions');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+const { startHarvestSchedule } = require('./services/harvester');
+const { startAlertSchedule } = require('./services/alerts');
+const { startAuthorizationExpirySchedule } = require('./services/authorizations');
+const { startBillingSchedule } = require('./services/subscriptions');
+const { startWebhookDeliverySchedule } = require('./services/merchantWebhooks');
+const { startCleanupSchedule } = require('./services/cleanup');
+const { ensureConfiguredAdmin } = require('./services/bootstrap');
 
 // Mount routes
 app.use('/api/arxiv', arxivRoutes);
@@ -33,28 +49,46 @@ app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(err.status || 500).json({
-        error: {
-            message: err.message || 'Internal Server Error',
-            status: err.status || 500
-        }
-    });
-});
+// Error handling middleware; API errors keep their details (e.g. why a card was declined)
+app.use(errorHandler);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date() });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-    console.log(`Health check available at http://localhost:${PORT}/health`);
-});
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+        console.log(`Health check available at http://localhost:${PORT}/health`);
+
+        // Create the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD if set
+        ensureConfiguredAdmin().catch(error => {
+            console.error('Failed to create admin account:', error.message);
+        });
+
+        // Start periodic ArXiv harvesting and saved search checks if configured
+        startHarvestSchedule();
+        startAlertSchedule();
+
+        // Expire payment holds that were never captured
+        startAuthorizationExpirySchedule();
+
+        // Renew subscriptions and retry failed renewals
+        startBillingSchedule();
+
+        // Retry payment event webhooks that users' endpoints failed to accept
+        startWebhookDeliverySchedule();
+
+        // Delete expired sessions and other short-lived records
+        startCleanupSchedule();
+    });
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
@@ -62,3 +96,5 @@ process.on('unhandledRejection', (err) => {
     // In production, you might want to do some cleanup here
     // process.exit(1);
 });
+
+module.exports = app;
@@ -1,14 +1,48 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const { APIError } = require('./errorHandler');
+const { isAccessToken, isTokenRevoked } = require('../services/tokens');
+const { authenticateApiKey } = require('../services/apiKeys');
+const { hasPermission, roleHasPermission } = require('../services/permissions');
+const { collection } = require('../db');
+
+const users = collection('users');
+
+// Extract an API key from X-API-Key or "Authorization: ApiKey <key>"
+const getApiKey = (req) => {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+        return authHeader.slice('ApiKey '.length).trim();
+    }
+    return null;
+};
+
+// Build req.user for an API key, carrying the key's scopes
+const apiKeyUser = ({ apiKey, user }) => ({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes
+});
 
 /**
  * Authentication middleware
- * Verifies JWT tokens and attaches user data to request
+ * Verifies JWT tokens or API keys and attaches user data to request
  */
 
 const auth = async (req, res, next) => {
     try {
+        // API keys authenticate server-to-server clients
+        const apiKey = getApiKey(req);
+        if (apiKey) {
+            req.user = apiKeyUser(await authenticateApiKey(apiKey));
+            return next();
+        }
+
         // Get token from header
         const authHeader = req.headers.authorization;
         
@@ -27,6 +61,16 @@ const auth = async (req, res, next) => {
         try {
             // Verify token
             const decoded = jwt.verify(token, config.jwt.secret);
+
+            // Only access tokens; challenge and email tokens share the secret
+            if (!isAccessToken(decoded)) {
+                throw new APIError('Invalid token', 401);
+            }
+
+            // Reject tokens revoked by logout or refresh token reuse
+            if (await isTokenRevoked(decoded)) {
+                throw new APIError('Token has been revoked', 401);
+            }
             
             // Attach user data to request
             req.user = decoded;
@@ -68,12 +112,83 @@ const authorize = (roles = []) => {
     };
 };
 
+/**
+ * Permission-based authorization middleware
+ * Checks the authenticated user's role (and API key scopes) grant every permission.
+ * Ownership of individual records is checked in the route through the same policy.
+ */
+authorize.can = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            throw new APIError('User not authenticated', 401);
+        }
+
+        const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+        if (missing.length) {
+            // Tell key holders when the key, not the account, is what falls short
+            if (req.user.scopes && missing.every(permission => roleHasPermission(req.user.role, permission))) {
+                throw new APIError(`API key is missing required scope: ${missing.join(', ')}`, 403);
+            }
+            throw new APIError('Unauthorized - Insufficient permissions', 403);
+        }
+
+        next();
+    };
+};
+
+/**
+ * Session middleware
+ * Rejects API keys on routes that manage the account itself
+ */
+const requireSession = (req, res, next) => {
+    if (!req.user) {
+        throw new APIError('User not authenticated', 401);
+    }
+
+    if (req.user.apiKeyId) {
+        throw new APIError('API keys cannot be used for this endpoint', 403);
+    }
+
+    next();
+};
+
+/**
+ * Verified email middleware
+ * Requires the authenticated user to have verified their email address
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        if (!req.user) {
+            throw new APIError('User not authenticated', 401);
+        }
+
+        const user = await users.findById(req.user.id);
+        if (!user || !user.emailVerified) {
+            throw new APIError('Email address must be verified', 403);
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Optional authentication middleware
  * Attaches user data if token is present but doesn't require it
  */
 const optionalAuth = async (req, res, next) => {
     try {
+        const apiKey = getApiKey(req);
+        if (apiKey) {
+            try {
+                req.user = apiKeyUser(await authenticateApiKey(apiKey));
+            } catch (error) {
+                console.warn('Optional auth API key verification failed:', error.message);
+            }
+            return next();
+        }
+
         const authHeader = req.headers.authorization;
         
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -84,7 +199,9 @@ const optionalAuth = async (req, res, next) => {
 
         try {
             const decoded = jwt.verify(token, config.jwt.secret);
-            req.user = decoded;
+            if (isAccessToken(decoded) && !(await isTokenRevoked(decoded))) {
+                req.user = decoded;
+            }
         } catch (error) {
             // Ignore token verification errors for optional auth
             console.warn('Optional auth token verification failed:', error.message);
@@ -99,5 +216,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     auth,
     authorize,
+    requireSession,
+    requireVerifiedEmail,
     optionalAuth
 };
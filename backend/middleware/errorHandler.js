@@ -24,8 +24,8 @@ const errorHandler = (err, req, res, next) => {
         details: err.details
     });
 
-    // Determine if error is a known API error or unknown error
-    const isAPIError = err instanceof APIError;
+    // API errors, and client errors from middleware such as body-parser, are safe to show
+    const isAPIError = err instanceof APIError || err.expose === true;
     
     // Set status code
     const statusCode = err.status || 500;
@@ -0,0 +1,131 @@
+/**
+ * Idempotency middleware
+ * Honours an Idempotency-Key header on mutating routes: the first response for a
+ * user's key is stored and replayed for retries of the same request
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { APIError } = require('./errorHandler');
+const { collection } = require('../db');
+
+const idempotencyKeys = collection('idempotency_keys');
+
+const HEADER = 'Idempotency-Key';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with object keys sorted at every level, so the same body always serializes the same
+const canonicalJson = (value) => JSON.stringify(value, (key, nested) => (
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+        ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+        : nested
+));
+
+// Fingerprint of what was asked, so a reused key with a different request is caught
+const fingerprint = (req) => sha256(canonicalJson([
+    req.method,
+    `${req.baseUrl}${req.path}`,
+    req.body || {}
+]));
+
+/**
+ * Idempotency middleware
+ * Must run after auth, since keys are scoped to the authenticated user
+ */
+const idempotency = async (req, res, next) => {
+    try {
+        const key = req.get(HEADER);
+        if (key === undefined) {
+            return next();
+        }
+
+        if (!key || key.length > config.idempotency.maxKeyLength) {
+            throw new APIError(`${HEADER} must be between 1 and ${config.idempotency.maxKeyLength} characters`, 400);
+        }
+
+        const id = sha256(`${req.user.id}:${key}`);
+        const requestHash = fingerprint(req);
+
+        let record = await idempotencyKeys.findById(id);
+        if (record && new Date(record.expiresAt).getTime() <= Date.now()) {
+            await idempotencyKeys.delete(id);
+            record = null;
+        }
+
+        if (record) {
+            if (record.requestHash !== requestHash) {
+                throw new APIError(`${HEADER} has already been used for a different request`, 409);
+            }
+            if (!record.completedAt) {
+                throw new APIError(`A request with this ${HEADER} is still in progress`, 409);
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.responseStatus).json(record.responseBody);
+        }
+
+        // Claim the key; a concurrent retry loses the insert
+        try {
+            await idempotencyKeys.insert({
+                id,
+                userId: req.user.id,
+                requestHash,
+                responseStatus: null,
+                responseBody: null,
+                completedAt: null,
+                createdAt: new Date(),
+                expiresAt: new Date(Date.now() + config.idempotency.expiresIn * 1000)
+            });
+        } catch (error) {
+            if (await idempotencyKeys.findById(id)) {
+                throw new APIError(`A request with this ${HEADER} is still in progress`, 409);
+            }
+            throw error;
+        }
+
+        // Store the response before sending it, so a retry made as soon as the
+        // client has it is replayed rather than told the request is in progress.
+        // Server errors release the key so the client can retry.
+        let responded = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responded = true;
+            const store = res.statusCode < 500
+                ? idempotencyKeys.update(id, {
+                    responseStatus: res.statusCode,
+                    responseBody: body,
+                    completedAt: new Date()
+                })
+                : idempotencyKeys.delete(id);
+
+            store
+                .catch(error => {
+                    console.error(`Failed to store response for ${HEADER}:`, error.message);
+                })
+                .then(() => json(body));
+            return res;
+        };
+
+        // Requests that end without a JSON response release the key too
+        res.on('close', () => {
+            if (!responded) {
+                idempotencyKeys.delete(id).catch(error => {
+                    console.error(`Failed to release ${HEADER}:`, error.message);
+                });
+            }
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Delete stored responses whose keys have expired, returning how many went
+const purgeExpiredKeys = (now = new Date()) => idempotencyKeys.deleteMany({ expiresAt: { $lte: now } }, { operators: true });
+
+module.exports = {
+    idempotency,
+    purgeExpiredKeys
+};
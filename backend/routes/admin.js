@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const { auth, authorize, requireSession } = require('../middleware/auth');
+const { APIError, asyncHandler } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const tokens = require('../services/tokens');
+const { PURPOSES, issueAccountToken } = require('../services/accountTokens');
+const { sendPasswordResetEmail } = require('../services/mailer');
+const loginThrottle = require('../services/loginThrottle');
+const { EVENT_TYPES, requestContext, recordEvent, queryEvents } = require('../services/securityEvents');
+const { roleNames } = require('../services/permissions');
+const ledger = require('../services/ledger');
+const { parseRequestAmount } = require('../services/money');
+const { reconcile } = require('../services/reconciliation');
+const { parseHistoryQuery, parseExportFormat, exportHeaders, queryHistory, exportHistory } = require('../services/paymentHistory');
+
+const users = collection('users');
+
+const STATUSES = ['active', 'disabled'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_RECONCILIATION_DAYS = 30;
+
+// Every admin route requires a signed-in user; each route checks its own permission
+router.use(auth, requireSession);
+
+// Parse a positive integer query parameter
+const parsePositiveInt = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new APIError(`${name} must be a positive integer`, 400);
+    }
+    return parsed;
+};
+
+// Parse an ISO date query parameter
+const parseDate = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new APIError(`${name} must be an ISO 8601 date`, 400);
+    }
+    return date;
+};
+
+// Admin view of a user, without password hashes or 2FA secrets
+const formatUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerified),
+    twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    disabled: Boolean(user.disabled),
+    disabledAt: user.disabledAt || null,
+    passwordResetRequired: Boolean(user.passwordResetRequired),
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+});
+
+// Load a user by id or fail with 404
+const findUser = async (id) => {
+    const user = await users.findById(id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+    return user;
+};
+
+// Admins can't lock themselves out
+const assertNotSelf = (req, action) => {
+    if (req.params.id === req.user.id) {
+        throw new APIError(`You cannot ${action} your own account`, 400);
+    }
+};
+
+// GET /api/admin/users - List and search users
+router.get('/users', authorize.can('users:read'), asyncHandler(async (req, res) => {
+    const { search, role, status } = req.query;
+
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', DEFAULT_PAGE_SIZE);
+
+    if (limit > MAX_PAGE_SIZE) {
+        throw new APIError(`limit cannot exceed ${MAX_PAGE_SIZE}`, 400);
+    }
+    if (role && !roleNames().includes(role)) {
+        throw new APIError(`role must be one of: ${roleNames().join(', ')}`, 400);
+    }
+    if (status && !STATUSES.includes(status)) {
+        throw new APIError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    let results = await users.find(role ? { role } : {}, { sort: { createdAt: -1 } });
+
+    // Free-text search and status are matched here since older records
+    // may not have a disabled field at all
+    if (search) {
+        const term = String(search).toLowerCase();
+        results = results.filter(user =>
+            String(user.email).toLowerCase().includes(term) ||
+            String(user.name || '').toLowerCase().includes(term)
+        );
+    }
+    if (status) {
+        results = results.filter(user => Boolean(user.disabled) === (status === 'disabled'));
+    }
+
+    const offset = (page - 1) * limit;
+
+    res.json({
+        success: true,
+        data: {
+            total: results.length,
+            page,
+            limit,
+            users: results.slice(offset, offset + limit).map(formatUser)
+        }
+    });
+}));
+
+// GET /api/admin/users/:id - View a user, their active sessions and lock status
+router.get('/users/:id', authorize.can('users:read'), asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+
+    res.json({
+        success: true,
+        data: {
+            user: formatUser(user),
+            sessions: await tokens.listUserSessions(user.id),
+            lockout: await loginThrottle.getLockStatus('account', user.email)
+        }
+    });
+}));
+
+// POST /api/admin/users/:id/unlock - Clear a login lockout on an account
+router.post('/users/:id/unlock', authorize.can('security:manage'), asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const unlocked = await loginThrottle.unlock('account', user.email);
+
+    if (unlocked) {
+        await recordEvent(EVENT_TYPES.ACCOUNT_UNLOCKED, {
+            userId: user.id,
+            email: user.email,
+            ...requestContext(req),
+            details: { by: req.user.id }
+        });
+    }
+
+    res.json({
+        success: true,
+        message: unlocked ? 'Account unlocked' : 'Account was not locked',
+        data: { lockout: await loginThrottle.getLockStatus('account', user.email) }
+    });
+}));
+
+// PUT /api/admin/users/:id/role - Change a user's role
+router.put('/users/:id/role', authorize.can('users:manage'), asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    if (!roleNames().includes(role)) {
+        throw new APIError(`role must be one of: ${roleNames().join(', ')}`, 400);
+    }
+    assertNotSelf(req, 'change the role of');
+
+    const user = await findUser(req.params.id);
+    const updated = await users.update(user.id, {
+        role,
+        updatedAt: new Date()
+    });
+
+    // Access tokens carry the role, so sign the user out to apply it
+    if (user.role !== role) {
+        await tokens.revokeUserSessions(user.id);
+    }
+
+    res.json({
+        success: true,
+        message: `Role changed to ${role}`,
+        data: { user: formatUser(updated) }
+    });
+}));
+
+// POST /api/admin/users/:id/disable - Disable an account and sign it out
+router.post('/users/:id/disable', authorize.can('users:manage'), asyncHandler(async (req, res) => {
+    assertNotSelf(req, 'disable');
+
+    const user = await findUser(req.params.id);
+    const updated = await users.update(user.id, {
+        disabled: true,
+        disabledAt: new Date(),
+        updatedAt: new Date()
+    });
+
+    const revokedSessions = await tokens.revokeUserSessions(user.id);
+
+    res.json({
+        success: true,
+        message: 'User disabled',
+        data: { user: formatUser(updated), revokedSessions }
+    });
+}));
+
+// POST /api/admin/users/:id/enable - Re-enable a disabled account
+router.post('/users/:id/enable', authorize.can('users:manage'), asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const updated = await users.update(user.id, {
+        disabled: false,
+        disabledAt: null,
+        updatedAt: new Date()
+    });
+
+    res.json({
+        success: true,
+        message: 'User enabled',
+        data: { user: formatUser(updated) }
+    });
+}));
+
+// POST /api/admin/users/:id/force-password-reset - Require a new password before next login
+router.post('/users/:id/force-password-reset', authorize.can('users:manage'), asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const updated = await users.update(user.id, {
+        passwordResetRequired: true,
+        updatedAt: new Date()
+    });
+
+    const revokedSessions = await tokens.revokeUserSessions(user.id);
+
+    // The account stays locked until the emailed reset link is used
+    let emailSent = true;
+    try {
+        const token = await issueAccountToken(user, PURPOSES.RESET_PASSWORD);
+        await sendPasswordResetEmail(user, token);
+    } catch (error) {
+        emailSent = false;
+        console.error(`Failed to send password reset email to ${user.email}:`, error.message);
+    }
+
+    res.json({
+        success: true,
+        message: 'Password reset required',
+        data: { user: formatUser(updated), revokedSessions, emailSent }
+    });
+}));
+
+// DELETE /api/admin/users/:id - Delete a user
+router.delete('/users/:id', authorize.can('users:manage'), asyncHandler(async (req, res) => {
+    assertNotSelf(req, 'delete');
+
+    const user = await findUser(req.params.id);
+    await users.delete(user.id);
+    await tokens.revokeUserSessions(user.id);
+
+    res.json({
+        success: true,
+        message: 'User deleted successfully'
+    });
+}));
+
+// GET /api/admin/lockouts - Accounts and IPs currently locked out of login
+router.get('/lockouts', authorize.can('security:read'), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: { lockouts: await loginThrottle.listLocks() }
+    });
+}));
+
+// DELETE /api/admin/lockouts/ip/:ip - Clear a login lockout on an IP
+router.delete('/lockouts/ip/:ip', authorize.can('security:manage'), asyncHandler(async (req, res) => {
+    const unlocked = await loginThrottle.unlock('ip', req.params.ip);
+
+    if (unlocked) {
+        await recordEvent(EVENT_TYPES.IP_UNLOCKED, {
+            ...requestContext(req),
+            details: { by: req.user.id, unlockedIp: req.params.ip }
+        });
+    }
+
+    res.json({
+        success: true,
+        message: unlocked ? 'IP unlocked' : 'IP was not locked'
+    });
+}));
+
+// GET /api/admin/security-events - Query the security event log
+router.get('/security-events', authorize.can('security:read'), asyncHandler(async (req, res) => {
+    const { type, userId, email, ip } = req.query;
+
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', DEFAULT_PAGE_SIZE);
+
+    if (limit > MAX_PAGE_SIZE) {
+        throw new APIError(`limit cannot exceed ${MAX_PAGE_SIZE}`, 400);
+    }
+    if (type && !Object.values(EVENT_TYPES).includes(type)) {
+        throw new APIError(`Unknown event type: ${type}`, 400);
+    }
+
+    const { items, total } = await queryEvents(
+        { type, userId, email, ip },
+        { offset: (page - 1) * limit, limit }
+    );
+
+    res.json({
+        success: true,
+        data: {
+            total,
+            page,
+            limit,
+            events: items
+        }
+    });
+}));
+
+// History scope for an optional ?userId=
+const userScope = ({ userId }) => {
+    if (userId === undefined || userId === '') {
+        return {};
+    }
+    if (typeof userId !== 'string') {
+        throw new APIError('userId must be a string', 400, { param: 'userId' });
+    }
+    return { userId };
+};
+
+// GET /api/admin/payments - Query payments across users (?userId= plus the payment history filters)
+router.get('/payments', authorize.can('payments:read:any'), asyncHandler(async (req, res) => {
+    const query = parseHistoryQuery(req.query, userScope(req.query));
+
+    const page = await queryHistory(query, { cursor: req.query.cursor, limit: req.query.limit });
+
+    res.json({
+        success: true,
+        data: page
+    });
+}));
+
+// GET /api/admin/payments/export - Download payments across users as CSV or NDJSON
+router.get('/payments/export', authorize.can('payments:read:any'), asyncHandler(async (req, res) => {
+    const format = parseExportFormat(req.query.format);
+    const query = parseHistoryQuery(req.query, userScope(req.query));
+
+    res.set(exportHeaders(format));
+    try {
+        await exportHistory(query, format, res);
+        res.end();
+    } catch (error) {
+        // Headers are gone, so all we can do is cut the download short
+        console.error('Payment export failed:', error.message);
+        res.destroy(error);
+    }
+}));
+
+// GET /api/admin/ledger/balance - Platform balances by account, or one user's with ?userId=
+router.get('/ledger/balance', authorize.can('ledger:read'), asyncHandler(async (req, res) => {
+    const { userId } = req.query;
+
+    res.json({
+        success: true,
+        data: userId
+            ? { userId, balance: await ledger.getUserBalance(userId) }
+            : await ledger.getPlatformBalance()
+    });
+}));
+
+// GET /api/admin/ledger/transactions - Query ledger transactions
+router.get('/ledger/transactions', authorize.can('ledger:read'), asyncHandler(async (req, res) => {
+    const { userId, paymentId, type } = req.query;
+
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', DEFAULT_PAGE_SIZE);
+
+    if (limit > MAX_PAGE_SIZE) {
+        throw new APIError(`limit cannot exceed ${MAX_PAGE_SIZE}`, 400);
+    }
+    if (type && !ledger.TRANSACTION_TYPES.includes(type)) {
+        throw new APIError(`Unknown transaction type: ${type}`, 400);
+    }
+
+    const filter = Object.fromEntries(
+        Object.entries({ userId, paymentId, type }).filter(([, value]) => value)
+    );
+    const { items, total } = await ledger.listTransactions(filter, { offset: (page - 1) * limit, limit });
+
+    res.json({
+        success: true,
+        data: {
+            total,
+            page,
+            limit,
+            transactions: items
+        }
+    });
+}));
+
+// POST /api/admin/ledger/payouts - Record a payout from a gateway to the platform's bank
+router.post('/ledger/payouts', authorize.can('ledger:manage'), asyncHandler(async (req, res) => {
+    const { gateway, currency, reference } = req.body;
+
+    const transaction = await ledger.recordPayout({ gateway, amount: parseRequestAmount(req.body), currency, reference });
+
+    res.status(201).json({
+        success: true,
+        data: transaction
+    });
+}));
+
+// GET /api/admin/ledger/reconciliation - Compare ledger, payments and gateway over ?from=&to=
+// (default: the last 30 days); ?gateway=false skips the gateway lookups
+router.get('/ledger/reconciliation', authorize.can('ledger:read'), asyncHandler(async (req, res) => {
+    const to = parseDate(req.query.to, 'to', new Date());
+    const from = parseDate(req.query.from, 'from', new Date(to.getTime() - DEFAULT_RECONCILIATION_DAYS * 24 * 60 * 60 * 1000));
+
+    if (from >= to) {
+        throw new APIError('from must be before to', 400);
+    }
+
+    const report = await reconcile({ from, to, checkGateway: req.query.gateway !== 'false' });
+
+    res.json({
+        success: true,
+        data: report
+    });
+}));
+
+module.exports = router;
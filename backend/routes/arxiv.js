@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const NodeCache = require('node-cache');
+const config = require('../config/config');
+const { auth, authorize } = require('../middleware/auth');
+const { APIError, asyncHandler } = require('../middleware/errorHandler');
+const { getPaper, parseId, searchPapers } = require('../services/arxiv');
+const alerts = require('../services/alerts');
+
+// Initialize paper cache
+const cache = new NodeCache({
+    stdTTL: config.arxiv.cacheTime,
+    checkperiod: config.cache.checkperiod
+});
+
+// Helper function to generate cache key
+const generateCacheKey = ({ id, version }) => {
+    return version ? `arxiv:paper:${id}v${version}` : `arxiv:paper:${id}`;
+};
+
+// Parse a positive integer query parameter
+const parsePositiveInt = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new APIError(`${name} must be a positive integer`, 400);
+    }
+    return parsed;
+};
+
+// GET /api/arxiv/search - Search ArXiv papers
+router.get('/search', asyncHandler(async (req, res) => {
+    const { query, title, author, category, from, to, sortBy, sortOrder } = req.query;
+
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', config.arxiv.maxResults);
+
+    if (limit > config.arxiv.maxPageSize) {
+        throw new APIError(`limit cannot exceed ${config.arxiv.maxPageSize}`, 400);
+    }
+
+    const result = await searchPapers(
+        { query, title, author, category, from, to },
+        {
+            start: (page - 1) * limit,
+            maxResults: limit,
+            sortBy,
+            sortOrder
+        }
+    );
+
+    res.json({
+        success: true,
+        data: {
+            total: result.total,
+            page,
+            limit,
+            totalPages: Math.ceil(result.total / limit),
+            results: result.papers
+        }
+    });
+}));
+
+// POST /api/arxiv/saved-searches - Save a named search
+router.post('/saved-searches', auth, authorize.can('arxiv:write'), asyncHandler(async (req, res) => {
+    const { name, query, title, author, category, webhookUrl } = req.body;
+
+    const search = await alerts.createSavedSearch(req.user.id, {
+        name,
+        criteria: { query, title, author, category },
+        webhookUrl
+    });
+
+    res.status(201).json({
+        success: true,
+        data: search
+    });
+}));
+
+// GET /api/arxiv/saved-searches - List the user's saved searches
+router.get('/saved-searches', auth, authorize.can('arxiv:read'), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            savedSearches: await alerts.listSavedSearches(req.user.id)
+        }
+    });
+}));
+
+// PUT /api/arxiv/saved-searches/:id - Rename a saved search or change its webhook
+router.put('/saved-searches/:id', auth, authorize.can('arxiv:write'), asyncHandler(async (req, res) => {
+    const { name, webhookUrl } = req.body;
+
+    const search = await alerts.updateSavedSearch(req.user.id, req.params.id, { name, webhookUrl });
+
+    res.json({
+        success: true,
+        data: search
+    });
+}));
+
+// DELETE /api/arxiv/saved-searches/:id - Delete a saved search
+router.delete('/saved-searches/:id', auth, authorize.can('arxiv:write'), asyncHandler(async (req, res) => {
+    await alerts.deleteSavedSearch(req.user.id, req.params.id);
+
+    res.json({
+        success: true,
+        message: 'Saved search deleted successfully'
+    });
+}));
+
+// POST /api/arxiv/saved-searches/:id/rotate-secret - Replace the secret webhooks are signed with
+router.post('/saved-searches/:id/rotate-secret', auth, authorize.can('arxiv:write'), asyncHandler(async (req, res) => {
+    const search = await alerts.rotateSecret(req.user.id, req.params.id);
+
+    res.json({
+        success: true,
+        data: search
+    });
+}));
+
+// POST /api/arxiv/saved-searches/:id/check - Check a saved search for new papers now
+router.post('/saved-searches/:id/check', auth, authorize.can('arxiv:write'), asyncHandler(async (req, res) => {
+    const items = await alerts.checkNow(req.user.id, req.params.id);
+
+    res.json({
+        success: true,
+        data: {
+            newPapers: items.length,
+            alerts: items
+        }
+    });
+}));
+
+// GET /api/arxiv/alerts - Get the user's feed of new papers
+router.get('/alerts', auth, authorize.can('arxiv:read'), asyncHandler(async (req, res) => {
+    const { savedSearchId, unread } = req.query;
+
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', config.arxiv.maxResults);
+
+    const feed = await alerts.getFeed(req.user.id, {
+        savedSearchId,
+        unreadOnly: unread === 'true',
+        offset: (page - 1) * limit,
+        limit
+    });
+
+    res.json({
+        success: true,
+        data: {
+            total: feed.total,
+            unread: feed.unread,
+            page,
+            limit,
+            alerts: feed.items
+        }
+    });
+}));
+
+// POST /api/arxiv/alerts/read - Mark alerts as read (all when no ids are given)
+router.post('/alerts/read', auth, authorize.can('arxiv:write'), asyncHandler(async (req, res) => {
+    const { ids } = req.body;
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+        throw new APIError('ids must be an array', 400);
+    }
+
+    const updated = await alerts.markRead(req.user.id, ids);
+
+    res.json({
+        success: true,
+        data: { updated }
+    });
+}));
+
+// GET /api/arxiv/:id - Get paper details and version history
+router.get('/:id(*)', asyncHandler(async (req, res) => {
+    const parsed = parseId(req.params.id);
+    if (!parsed) {
+        throw new APIError('Invalid ArXiv identifier', 400);
+    }
+
+    // Check cache first
+    const cacheKey = generateCacheKey(parsed);
+    const cachedData = cache.get(cacheKey);
+    if (cachedData) {
+        return res.json({
+            success: true,
+            cached: true,
+            data: cachedData
+        });
+    }
+
+    const paper = await getPaper(req.params.id);
+
+    // Store in cache
+    cache.set(cacheKey, paper);
+
+    res.json({
+        success: true,
+        cached: false,
+        data: paper
+    });
+}));
+
+module.exports = router;
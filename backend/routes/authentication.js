@@ -1,26 +1,140 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const config = require('../config/config');
+const { auth, requireSession } = require('../middleware/auth');
 const { APIError, asyncHandler } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const tokens = require('../services/tokens');
+const { PURPOSES, issueAccountToken, consumeAccountToken } = require('../services/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailer');
+const twoFactor = require('../services/twoFactor');
+const apiKeys = require('../services/apiKeys');
+const loginThrottle = require('../services/loginThrottle');
+const oidc = require('../services/oidc');
+const webauthn = require('../services/webauthn');
+const { permissionsFor } = require('../services/permissions');
+const { EVENT_TYPES, requestContext, recordEvent } = require('../services/securityEvents');
 
-// In-memory user storage (replace with database in production)
-const users = new Map();
+const users = collection('users');
 
 // Helper function to generate JWT token
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
     return jwt.sign(
         { 
             id: user.id, 
             email: user.email,
-            role: user.role 
+            role: user.role,
+            sid: sessionId,
+            typ: tokens.ACCESS_TOKEN_TYPE
         },
         config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
+        {
+            expiresIn: config.jwt.expiresIn,
+            jwtid: crypto.randomUUID()
+        }
     );
 };
 
+// Helper function to issue an access/refresh token pair for a session (a new one by default)
+const issueTokens = async (user, existingSession = null) => {
+    const session = existingSession || await tokens.createSession(user);
+    const token = generateToken(user, session.id);
+    const { jti, exp } = jwt.decode(token);
+
+    await tokens.recordAccessToken(session.id, jti, exp);
+
+    return {
+        token,
+        refreshToken: await tokens.issueRefreshToken(session.id),
+        expiresIn: exp - Math.floor(Date.now() / 1000)
+    };
+};
+
+// Public representation of a user
+const formatUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerified),
+    twoFactorEnabled: Boolean(user.twoFactorEnabled)
+});
+
+// Send a fresh verification email; mail failures are logged, not surfaced
+const sendVerification = async (user) => {
+    try {
+        const token = await issueAccountToken(user, PURPOSES.VERIFY_EMAIL);
+        await sendVerificationEmail(user, token);
+    } catch (error) {
+        console.error(`Failed to send verification email to ${user.email}:`, error.message);
+    }
+};
+
+// Reject accounts an admin has disabled or flagged for a password reset
+const assertCanSignIn = (user) => {
+    if (user.disabled) {
+        throw new APIError('Account is disabled', 403);
+    }
+    if (user.passwordResetRequired) {
+        throw new APIError('Password reset required - use forgot-password to set a new password', 403);
+    }
+};
+
+// Refuse early while the account or IP is delayed or locked out
+const assertLoginAllowed = async (res, email, context) => {
+    try {
+        await loginThrottle.assertLoginAllowed(email, context.ip);
+    } catch (error) {
+        res.set('Retry-After', String(error.details.retryAfter));
+        await recordEvent(EVENT_TYPES.LOGIN_BLOCKED, { email, ...context, details: error.details });
+        throw error;
+    }
+};
+
+// Count a failed login step (a wrong password by default) and record it,
+// along with any lockout it triggered
+const recordFailedLogin = async (user, email, context, type = EVENT_TYPES.LOGIN_FAILED, details = null) => {
+    const { accountLocked, ipLocked } = await loginThrottle.recordLoginFailure(email, context.ip);
+    const event = { userId: user ? user.id : null, email, ...context };
+
+    await recordEvent(type, { ...event, details });
+    if (accountLocked) {
+        await recordEvent(EVENT_TYPES.ACCOUNT_LOCKED, event);
+    }
+    if (ipLocked) {
+        await recordEvent(EVENT_TYPES.IP_LOCKED, event);
+    }
+};
+
+// Record a completed login, flagging addresses the user hasn't used before
+const recordSuccessfulLogin = async (user, context, method) => {
+    const event = { userId: user.id, email: user.email, ...context };
+    await recordEvent(EVENT_TYPES.LOGIN_SUCCEEDED, { ...event, details: { method } });
+
+    const knownIps = user.knownIps || [];
+    if (!knownIps.includes(context.ip)) {
+        // Accounts from before IPs were tracked have nothing to compare against
+        if (knownIps.length) {
+            await recordEvent(EVENT_TYPES.LOGIN_NEW_IP, event);
+        }
+        await users.update(user.id, {
+            knownIps: [context.ip, ...knownIps].slice(0, config.loginProtection.knownIpsPerUser)
+        });
+    }
+};
+
+// Reject body fields that are present but not strings, so an object such as
+// { "$ne": null } can't stand in for an email, password or token
+const assertStrings = (body, fields) => {
+    const invalid = fields.find(field => body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string');
+    if (invalid) {
+        throw new APIError(`${invalid} must be a string`, 400, { param: invalid });
+    }
+};
+
 // Validate email format
 const isValidEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -41,6 +155,7 @@ router.post('/register', asyncHandler(async (req, res) => {
     const { email, password, name } = req.body;
 
     // Validate input
+    assertStrings(req.body, ['email', 'password', 'name']);
     if (!email || !password || !name) {
         throw new APIError('Email, password, and name are required', 400);
     }
@@ -59,7 +174,7 @@ router.post('/register', asyncHandler(async (req, res) => {
     }
 
     // Check if user already exists
-    if (users.has(email)) {
+    if (await users.findOne({ email })) {
         throw new APIError('User already exists', 409);
     }
 
@@ -73,28 +188,28 @@ router.post('/register', asyncHandler(async (req, res) => {
         email,
         name,
         password: hashedPassword,
-        role: 'user',
+        role: config.permissions.defaultRole,
+        emailVerified: false,
+        knownIps: [req.ip],
         createdAt: new Date(),
         updatedAt: new Date()
     };
 
     // Store user
-    users.set(email, user);
+    await users.insert(user);
+
+    // Send email verification link
+    await sendVerification(user);
 
-    // Generate token
-    const token = generateToken(user);
+    // Generate tokens
+    const issued = await issueTokens(user);
 
     // Return user data and token
     res.status(201).json({
         success: true,
         data: {
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            },
-            token
+            user: formatUser(user),
+            ...issued
         }
     });
 }));
@@ -103,45 +218,59 @@ router.post('/register', asyncHandler(async (req, res) => {
 router.post('/login', asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
-    // Validate input
+    // Validate input, before anything is looked up or throttled by email
+    assertStrings(req.body, ['email', 'password']);
     if (!email || !password) {
         throw new APIError('Email and password are required', 400);
     }
 
-    // Check if user exists
-    const user = users.get(email);
-    if (!user) {
-        throw new APIError('Invalid credentials', 401);
-    }
+    const context = requestContext(req);
+
+    await assertLoginAllowed(res, email, context);
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    // Check if user exists and verify password
+    const user = await users.findOne({ email });
+    // Accounts created through an identity provider have no password
+    const isValidPassword = user && user.password ? await bcrypt.compare(password, user.password) : false;
     if (!isValidPassword) {
+        await recordFailedLogin(user, email, context);
         throw new APIError('Invalid credentials', 401);
     }
 
-    // Generate token
-    const token = generateToken(user);
+    assertCanSignIn(user);
+
+    // With 2FA enabled the password only earns a challenge to exchange at /2fa/verify.
+    // The account's failures stand until then, so logging in again doesn't reset
+    // the budget for guessing codes.
+    if (user.twoFactorEnabled) {
+        return res.json({
+            success: true,
+            data: {
+                twoFactorRequired: true,
+                challengeToken: twoFactor.issueChallenge(user)
+            }
+        });
+    }
+
+    await loginThrottle.recordLoginSuccess(email);
+    await recordSuccessfulLogin(user, context, 'password');
+
+    // Generate tokens
+    const issued = await issueTokens(user);
 
     // Return user data and token
     res.json({
         success: true,
         data: {
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            },
-            token
+            user: formatUser(user),
+            ...issued
         }
     });
 }));
 
 // GET /api/auth/me - Get current user profile
-router.get('/me', asyncHandler(async (req, res) => {
-    // This route will be protected by auth middleware
-    const user = users.get(req.user.email);
+router.get('/me', auth, asyncHandler(async (req, res) => {
+    const user = await users.findById(req.user.id);
     
     if (!user) {
         throw new APIError('User not found', 404);
@@ -150,21 +279,18 @@ router.get('/me', asyncHandler(async (req, res) => {
     res.json({
         success: true,
         data: {
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            }
+            user: formatUser(user),
+            permissions: permissionsFor(req.user)
         }
     });
 }));
 
 // PUT /api/auth/change-password - Change password
-router.put('/change-password', asyncHandler(async (req, res) => {
+router.put('/change-password', auth, requireSession, asyncHandler(async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
     // Validate input
+    assertStrings(req.body, ['currentPassword', 'newPassword']);
     if (!currentPassword || !newPassword) {
         throw new APIError('Current password and new password are required', 400);
     }
@@ -178,11 +304,15 @@ router.put('/change-password', asyncHandler(async (req, res) => {
     }
 
     // Get user
-    const user = users.get(req.user.email);
+    const user = await users.findById(req.user.id);
     if (!user) {
         throw new APIError('User not found', 404);
     }
 
+    if (!user.password) {
+        throw new APIError('Account has no password - use forgot-password to set one', 400);
+    }
+
     // Verify current password
     const isValidCurrentPassword = await bcrypt.compare(currentPassword, user.password);
     if (!isValidCurrentPassword) {
@@ -194,13 +324,618 @@ router.put('/change-password', asyncHandler(async (req, res) => {
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
     // Update password
-    user.password = hashedPassword;
-    user.updatedAt = new Date();
-    users.set(req.user.email, user);
+    await users.update(user.id, {
+        password: hashedPassword,
+        updatedAt: new Date()
+    });
+
+    // Sign out everywhere else; whoever knew the old password may be signed in
+    const revokedSessions = await tokens.revokeUserSessions(user.id, { except: req.user.sid });
+
+    await recordEvent(EVENT_TYPES.PASSWORD_CHANGED, { userId: user.id, email: user.email, ...requestContext(req) });
+
+    res.json({
+        success: true,
+        message: 'Password updated successfully',
+        data: { revokedSessions }
+    });
+}));
+
+// Verify an email address from a token in the body or the emailed link
+const verifyEmail = asyncHandler(async (req, res) => {
+    const token = req.body.token || req.query.token;
+
+    if (typeof token !== 'string' || !token) {
+        throw new APIError('Verification token is required', 400);
+    }
+
+    const userId = await consumeAccountToken(token, PURPOSES.VERIFY_EMAIL);
+
+    const user = await users.update(userId, {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        updatedAt: new Date()
+    });
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: {
+            user: formatUser(user)
+        }
+    });
+});
+
+// GET|POST /api/auth/verify-email - Verify email address
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', verifyEmail);
+
+// POST /api/auth/resend-verification - Send a new verification email
+router.post('/resend-verification', auth, requireSession, asyncHandler(async (req, res) => {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    if (user.emailVerified) {
+        throw new APIError('Email is already verified', 400);
+    }
+
+    await sendVerification(user);
+
+    res.json({
+        success: true,
+        message: 'Verification email sent'
+    });
+}));
+
+// POST /api/auth/forgot-password - Email a password reset token
+router.post('/forgot-password', asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    assertStrings(req.body, ['email']);
+    if (!email) {
+        throw new APIError('Email is required', 400);
+    }
+
+    const user = await users.findOne({ email });
+
+    // Only send mail for known accounts, but answer the same either way
+    // so the endpoint can't be used to discover registered emails
+    if (user) {
+        const token = await issueAccountToken(user, PURPOSES.RESET_PASSWORD);
+        try {
+            await sendPasswordResetEmail(user, token);
+        } catch (error) {
+            console.error(`Failed to send password reset email to ${user.email}:`, error.message);
+        }
+    }
+
+    res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+    });
+}));
+
+// POST /api/auth/reset-password - Reset password with a token
+router.post('/reset-password', asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    assertStrings(req.body, ['token', 'newPassword']);
+    if (!token || !newPassword) {
+        throw new APIError('Token and new password are required', 400);
+    }
+
+    if (!isValidPassword(newPassword)) {
+        throw new APIError(
+            'New password must be at least 8 characters long and contain uppercase, lowercase, number, and special character',
+            400
+        );
+    }
+
+    const userId = await consumeAccountToken(token, PURPOSES.RESET_PASSWORD);
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    // Receiving the reset email also proves ownership of the address
+    const user = await users.update(userId, {
+        password: hashedPassword,
+        emailVerified: true,
+        passwordResetRequired: false,
+        updatedAt: new Date()
+    });
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    // Sign out every existing session
+    await tokens.revokeUserSessions(user.id);
+
+    await recordEvent(EVENT_TYPES.PASSWORD_RESET, { userId: user.id, email: user.email, ...requestContext(req) });
+
+    res.json({
+        success: true,
+        message: 'Password has been reset successfully'
+    });
+}));
+
+// POST /api/auth/2fa/setup - Start TOTP enrollment
+router.post('/2fa/setup', auth, requireSession, asyncHandler(async (req, res) => {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new APIError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = twoFactor.generateSecret();
+    await users.update(user.id, {
+        pendingTotpSecret: secret,
+        updatedAt: new Date()
+    });
+
+    res.json({
+        success: true,
+        data: {
+            secret,
+            otpauthUri: twoFactor.buildOtpauthUri({
+                secret,
+                accountName: user.email,
+                issuer: config.twoFactor.issuer
+            })
+        }
+    });
+}));
+
+// POST /api/auth/2fa/confirm - Confirm TOTP enrollment with a code
+router.post('/2fa/confirm', auth, requireSession, asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    assertStrings(req.body, ['code']);
+    if (!code) {
+        throw new APIError('Code is required', 400);
+    }
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    if (!user.pendingTotpSecret) {
+        throw new APIError('Two-factor setup has not been started', 400);
+    }
+
+    if (!(await twoFactor.verifyTotp(user, code, user.pendingTotpSecret))) {
+        throw new APIError('Invalid code', 400);
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    await users.update(user.id, {
+        totpSecret: user.pendingTotpSecret,
+        pendingTotpSecret: null,
+        twoFactorEnabled: true,
+        recoveryCodes: hashes,
+        updatedAt: new Date()
+    });
+
+    await recordEvent(EVENT_TYPES.TWO_FACTOR_ENABLED, { userId: user.id, email: user.email, ...requestContext(req) });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: {
+            recoveryCodes: codes
+        }
+    });
+}));
+
+// POST /api/auth/2fa/verify - Exchange a login challenge and code for tokens
+router.post('/2fa/verify', asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    assertStrings(req.body, ['challengeToken', 'code', 'recoveryCode']);
+    if (!challengeToken || (!code && !recoveryCode)) {
+        throw new APIError('Challenge token and a code or recovery code are required', 400);
+    }
+
+    const challenge = twoFactor.verifyChallenge(challengeToken);
+
+    const user = await users.findById(challenge.sub);
+    if (!user || !user.twoFactorEnabled) {
+        throw new APIError('Invalid two-factor challenge', 401);
+    }
+
+    assertCanSignIn(user);
+
+    const context = requestContext(req);
+
+    // Wrong codes count against the account like wrong passwords, across challenges
+    await assertLoginAllowed(res, user.email, context);
+
+    if (!(await twoFactor.verifySecondFactor(user, { code, recoveryCode }))) {
+        twoFactor.recordFailedAttempt(challenge);
+        await recordFailedLogin(user, user.email, context, EVENT_TYPES.TWO_FACTOR_FAILED);
+        throw new APIError('Invalid code', 401);
+    }
+
+    twoFactor.completeChallenge(challenge);
+    await loginThrottle.recordLoginSuccess(user.email);
+    await recordSuccessfulLogin(user, context, recoveryCode && !code ? 'recovery_code' : 'totp');
+
+    res.json({
+        success: true,
+        data: {
+            user: formatUser(user),
+            ...(await issueTokens(user))
+        }
+    });
+}));
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes
+router.post('/2fa/recovery-codes', auth, requireSession, asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    assertStrings(req.body, ['code']);
+    const user = await users.findById(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+        throw new APIError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!code || !(await twoFactor.verifyTotp(user, code))) {
+        throw new APIError('Invalid code', 400);
+    }
+
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    await users.update(user.id, {
+        recoveryCodes: hashes,
+        updatedAt: new Date()
+    });
+
+    res.json({
+        success: true,
+        data: {
+            recoveryCodes: codes
+        }
+    });
+}));
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication
+router.post('/2fa/disable', auth, requireSession, asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    assertStrings(req.body, ['password', 'code', 'recoveryCode']);
+    if (!password || (!code && !recoveryCode)) {
+        throw new APIError('Password and a code or recovery code are required', 400);
+    }
+
+    const user = await users.findById(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+        throw new APIError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (!user.password || !(await bcrypt.compare(password, user.password))) {
+        throw new APIError('Password is incorrect', 401);
+    }
+
+    if (!(await twoFactor.verifySecondFactor(user, { code, recoveryCode }))) {
+        throw new APIError('Invalid code', 401);
+    }
+
+    await users.update(user.id, {
+        totpSecret: null,
+        pendingTotpSecret: null,
+        twoFactorEnabled: false,
+        recoveryCodes: [],
+        lastTotpStep: null,
+        updatedAt: new Date()
+    });
+
+    await recordEvent(EVENT_TYPES.TWO_FACTOR_DISABLED, { userId: user.id, email: user.email, ...requestContext(req) });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+}));
+
+// POST /api/auth/webauthn/register/options - Start registering a passkey
+router.post('/webauthn/register/options', auth, requireSession, asyncHandler(async (req, res) => {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: await webauthn.generateRegistrationOptions(user)
+    });
+}));
+
+// POST /api/auth/webauthn/register/verify - Finish registering a passkey
+router.post('/webauthn/register/verify', auth, requireSession, asyncHandler(async (req, res) => {
+    const { name, ...credential } = req.body;
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    const passkey = await webauthn.verifyRegistration(user, credential, name);
+
+    await recordEvent(EVENT_TYPES.PASSKEY_REGISTERED, {
+        userId: user.id,
+        email: user.email,
+        ...requestContext(req),
+        details: { credentialId: passkey.id }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Passkey registered',
+        data: { passkey }
+    });
+}));
+
+// POST /api/auth/webauthn/login/options - Start signing in with a passkey
+router.post('/webauthn/login/options', asyncHandler(async (req, res) => {
+    assertStrings(req.body, ['email']);
+
+    res.json({
+        success: true,
+        data: await webauthn.generateAuthenticationOptions({ email: req.body.email })
+    });
+}));
+
+// POST /api/auth/webauthn/login/verify - Finish signing in with a passkey
+router.post('/webauthn/login/verify', asyncHandler(async (req, res) => {
+    assertStrings(req.body, ['id', 'rawId']);
+    const context = requestContext(req);
+
+    // Failures count against the passkey's account, like wrong passwords do,
+    // so a locked account can't be entered with a passkey instead
+    const owner = await webauthn.getCredentialUser(req.body.rawId || req.body.id);
+    const email = owner ? owner.email : null;
+
+    await assertLoginAllowed(res, email, context);
+
+    let result;
+    try {
+        result = await webauthn.verifyAuthentication(req.body);
+    } catch (error) {
+        await recordFailedLogin(owner, email, context, EVENT_TYPES.PASSKEY_FAILED, {
+            credentialId: req.body.id,
+            reason: error.message
+        });
+        throw error;
+    }
+
+    const { user, userVerified } = result;
+
+    assertCanSignIn(user);
+
+    // A user-verified passkey is already two factors; a presence-only one is not
+    if (user.twoFactorEnabled && !userVerified) {
+        return res.json({
+            success: true,
+            data: {
+                twoFactorRequired: true,
+                challengeToken: twoFactor.issueChallenge(user)
+            }
+        });
+    }
+
+    await loginThrottle.recordLoginSuccess(user.email);
+    await recordSuccessfulLogin(user, context, 'webauthn');
+
+    res.json({
+        success: true,
+        data: {
+            user: formatUser(user),
+            ...(await issueTokens(user))
+        }
+    });
+}));
+
+// GET /api/auth/webauthn/credentials - List registered passkeys
+router.get('/webauthn/credentials', auth, requireSession, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: { passkeys: await webauthn.listCredentials(req.user.id) }
+    });
+}));
+
+// DELETE /api/auth/webauthn/credentials/:id - Remove a passkey
+router.delete('/webauthn/credentials/:id', auth, requireSession, asyncHandler(async (req, res) => {
+    const passkey = await webauthn.deleteCredential(req.user.id, req.params.id);
+
+    await recordEvent(EVENT_TYPES.PASSKEY_REMOVED, {
+        userId: req.user.id,
+        email: req.user.email,
+        ...requestContext(req),
+        details: { credentialId: passkey.id }
+    });
+
+    res.json({
+        success: true,
+        message: 'Passkey removed'
+    });
+}));
+
+// GET /api/auth/oidc/providers - List configured identity providers
+router.get('/oidc/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: { providers: oidc.listProviders() }
+    });
+});
+
+// GET /api/auth/oidc/:provider/authorize - Start sign-in with an identity provider
+router.get('/oidc/:provider/authorize', asyncHandler(async (req, res) => {
+    const request = await oidc.createAuthorizationRequest(req.params.provider);
+
+    res.json({
+        success: true,
+        data: request
+    });
+}));
+
+// Finish sign-in with the code and state the provider redirected back with
+const oidcCallback = asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+    const params = { ...req.query, ...req.body };
+
+    if (params.error) {
+        throw new APIError('Sign-in was refused by the identity provider', 400, {
+            error: params.error,
+            description: params.error_description
+        });
+    }
+
+    const claims = await oidc.handleCallback(provider, { code: params.code, state: params.state });
+    const { user, linked, created } = await oidc.resolveUser(provider, claims);
+    const context = requestContext(req);
+
+    if (linked) {
+        await recordEvent(EVENT_TYPES.IDENTITY_LINKED, {
+            userId: user.id,
+            email: user.email,
+            ...context,
+            details: { provider, created }
+        });
+    }
+
+    assertCanSignIn(user);
+
+    // The provider stands in for the password step only
+    if (user.twoFactorEnabled) {
+        return res.json({
+            success: true,
+            data: {
+                twoFactorRequired: true,
+                challengeToken: twoFactor.issueChallenge(user)
+            }
+        });
+    }
+
+    await recordSuccessfulLogin(user, context, `oidc:${provider}`);
+
+    res.status(created ? 201 : 200).json({
+        success: true,
+        data: {
+            user: formatUser(user),
+            ...(await issueTokens(user))
+        }
+    });
+});
+
+// GET|POST /api/auth/oidc/:provider/callback - Identity provider redirect target
+router.get('/oidc/:provider/callback', oidcCallback);
+router.post('/oidc/:provider/callback', oidcCallback);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    assertStrings(req.body, ['refreshToken']);
+    if (!refreshToken) {
+        throw new APIError('Refresh token is required', 400);
+    }
+
+    const session = await tokens.consumeRefreshToken(refreshToken);
+
+    const user = await users.findById(session.userId);
+    if (!user) {
+        await tokens.revokeSession(session.id);
+        throw new APIError('User not found', 401);
+    }
+
+    if (user.disabled) {
+        await tokens.revokeSession(session.id);
+        throw new APIError('Account is disabled', 403);
+    }
+
+    res.json({
+        success: true,
+        data: await issueTokens(user, session)
+    });
+}));
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', auth, requireSession, asyncHandler(async (req, res) => {
+    await tokens.revokeSession(req.user.sid);
+    await tokens.revokeAccessToken(req.user.jti, req.user.exp);
+
+    res.json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+}));
+
+// POST /api/auth/logout-all - Revoke every session of the current user
+router.post('/logout-all', auth, requireSession, asyncHandler(async (req, res) => {
+    const revoked = await tokens.revokeUserSessions(req.user.id);
+    await tokens.revokeAccessToken(req.user.jti, req.user.exp);
+
+    res.json({
+        success: true,
+        message: 'Logged out of all sessions',
+        data: { revokedSessions: revoked }
+    });
+}));
+
+// GET /api/auth/sessions - List the current user's active sessions
+router.get('/sessions', auth, requireSession, asyncHandler(async (req, res) => {
+    const sessions = (await tokens.listUserSessions(req.user.id)).map(session => ({
+        ...session,
+        current: session.id === req.user.sid
+    }));
+
+    res.json({
+        success: true,
+        data: { sessions }
+    });
+}));
+
+// POST /api/auth/api-keys - Create an API key (the key is only returned here)
+router.post('/api-keys', auth, requireSession, asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+        throw new APIError('User not found', 404);
+    }
+
+    const { key, apiKey } = await apiKeys.createApiKey(user, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+        success: true,
+        message: 'Store this key now - it will not be shown again',
+        data: { key, apiKey }
+    });
+}));
+
+// GET /api/auth/api-keys - List active API keys
+router.get('/api-keys', auth, requireSession, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: { apiKeys: await apiKeys.listApiKeys(req.user.id) }
+    });
+}));
+
+// DELETE /api/auth/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', auth, requireSession, asyncHandler(async (req, res) => {
+    const apiKey = await apiKeys.revokeApiKey(req.user.id, req.params.id);
 
     res.json({
         success: true,
-        message: 'Password updated successfully'
+        message: 'API key revoked',
+        data: { apiKey }
     });
 }));
 
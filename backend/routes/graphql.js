@@ -10,11 +10,12 @@ const {
     GraphQLID,
     GraphQLInt
 } = require('graphql');
-const { auth } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
+const { collection } = require('../db');
+const { can } = require('../services/permissions');
 
-// In-memory storage for blog posts and comments (replace with database in production)
-let posts = new Map();
-let comments = new Map();
+const posts = collection('posts');
+const comments = collection('comments');
 
 // GraphQL Types
 const CommentType = new GraphQLObjectType({
@@ -28,7 +29,7 @@ const CommentType = new GraphQLObjectType({
         createdAt: { type: GraphQLNonNull(GraphQLString) },
         post: {
             type: PostType,
-            resolve: (comment) => posts.get(comment.postId)
+            resolve: (comment) => posts.findById(comment.postId)
         }
     })
 });
@@ -45,10 +46,7 @@ const PostType = new GraphQLObjectType({
         updatedAt: { type: GraphQLNonNull(GraphQLString) },
         comments: {
             type: GraphQLList(CommentType),
-            resolve: (post) => {
-                return Array.from(comments.values())
-                    .filter(comment => comment.postId === post.id);
-            }
+            resolve: (post) => comments.find({ postId: post.id })
         }
     })
 });
@@ -64,7 +62,7 @@ const RootQueryType = new GraphQLObjectType({
             args: {
                 id: { type: GraphQLNonNull(GraphQLID) }
             },
-            resolve: (parent, args) => posts.get(args.id)
+            resolve: (parent, args) => posts.findById(args.id)
         },
         posts: {
             type: GraphQLList(PostType),
@@ -74,17 +72,16 @@ const RootQueryType = new GraphQLObjectType({
                 offset: { type: GraphQLInt }
             },
             resolve: (parent, args) => {
-                let allPosts = Array.from(posts.values());
-                
                 // Sort by creation date (newest first)
-                allPosts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+                const options = { sort: { createdAt: -1 } };
                 
                 // Apply pagination if args provided
                 if (args.offset !== undefined && args.limit !== undefined) {
-                    allPosts = allPosts.slice(args.offset, args.offset + args.limit);
+                    options.offset = args.offset;
+                    options.limit = args.limit;
                 }
                 
-                return allPosts;
+                return posts.find({}, options);
             }
         },
         comment: {
@@ -93,7 +90,7 @@ const RootQueryType = new GraphQLObjectType({
             args: {
                 id: { type: GraphQLNonNull(GraphQLID) }
             },
-            resolve: (parent, args) => comments.get(args.id)
+            resolve: (parent, args) => comments.findById(args.id)
         },
         comments: {
             type: GraphQLList(CommentType),
@@ -102,11 +99,7 @@ const RootQueryType = new GraphQLObjectType({
                 postId: { type: GraphQLID }
             },
             resolve: (parent, args) => {
-                let allComments = Array.from(comments.values());
-                if (args.postId) {
-                    allComments = allComments.filter(comment => comment.postId === args.postId);
-                }
-                return allComments;
+                return comments.find(args.postId ? { postId: args.postId } : {});
             }
         }
     })
@@ -124,7 +117,7 @@ const RootMutationType = new GraphQLObjectType({
                 title: { type: GraphQLNonNull(GraphQLString) },
                 content: { type: GraphQLNonNull(GraphQLString) }
             },
-            resolve: (parent, args, context) => {
+            resolve: async (parent, args, context) => {
                 if (!context.user) {
                     throw new Error('Authentication required');
                 }
@@ -138,8 +131,7 @@ const RootMutationType = new GraphQLObjectType({
                     updatedAt: new Date().toISOString()
                 };
 
-                posts.set(post.id, post);
-                return post;
+                return posts.insert(post);
             }
         },
         updatePost: {
@@ -150,29 +142,25 @@ const RootMutationType = new GraphQLObjectType({
                 title: { type: GraphQLString },
                 content: { type: GraphQLString }
             },
-            resolve: (parent, args, context) => {
+            resolve: async (parent, args, context) => {
                 if (!context.user) {
                     throw new Error('Authentication required');
                 }
 
-                const post = posts.get(args.id);
+                const post = await posts.findById(args.id);
                 if (!post) {
                     throw new Error('Post not found');
                 }
 
-                if (post.author !== context.user.email) {
+                if (!can(context.user, 'posts:write', post)) {
                     throw new Error('Not authorized to update this post');
                 }
 
-                const updatedPost = {
-                    ...post,
+                return posts.update(args.id, {
                     title: args.title || post.title,
                     content: args.content || post.content,
                     updatedAt: new Date().toISOString()
-                };
-
-                posts.set(args.id, updatedPost);
-                return updatedPost;
+                });
             }
         },
         deletePost: {
@@ -181,28 +169,24 @@ const RootMutationType = new GraphQLObjectType({
             args: {
                 id: { type: GraphQLNonNull(GraphQLID) }
             },
-            resolve: (parent, args, context) => {
+            resolve: async (parent, args, context) => {
                 if (!context.user) {
                     throw new Error('Authentication required');
                 }
 
-                const post = posts.get(args.id);
+                const post = await posts.findById(args.id);
                 if (!post) {
                     throw new Error('Post not found');
                 }
 
-                if (post.author !== context.user.email) {
+                if (!can(context.user, 'posts:write', post)) {
                     throw new Error('Not authorized to delete this post');
                 }
 
-                posts.delete(args.id);
+                await posts.delete(args.id);
                 
                 // Delete associated comments
-                for (const [commentId, comment] of comments) {
-                    if (comment.postId === args.id) {
-                        comments.delete(commentId);
-                    }
-                }
+                await comments.deleteMany({ postId: args.id });
 
                 return post;
             }
@@ -214,12 +198,12 @@ const RootMutationType = new GraphQLObjectType({
                 postId: { type: GraphQLNonNull(GraphQLID) },
                 content: { type: GraphQLNonNull(GraphQLString) }
             },
-            resolve: (parent, args, context) => {
+            resolve: async (parent, args, context) => {
                 if (!context.user) {
                     throw new Error('Authentication required');
                 }
 
-                if (!posts.has(args.postId)) {
+                if (!(await posts.findById(args.postId))) {
                     throw new Error('Post not found');
                 }
 
@@ -231,8 +215,7 @@ const RootMutationType = new GraphQLObjectType({
                     createdAt: new Date().toISOString()
                 };
 
-                comments.set(comment.id, comment);
-                return comment;
+                return comments.insert(comment);
             }
         },
         deleteComment: {
@@ -241,21 +224,21 @@ const RootMutationType = new GraphQLObjectType({
             args: {
                 id: { type: GraphQLNonNull(GraphQLID) }
             },
-            resolve: (parent, args, context) => {
+            resolve: async (parent, args, context) => {
                 if (!context.user) {
                     throw new Error('Authentication required');
                 }
 
-                const comment = comments.get(args.id);
+                const comment = await comments.findById(args.id);
                 if (!comment) {
                     throw new Error('Comment not found');
                 }
 
-                if (comment.author !== context.user.email) {
+                if (!can(context.user, 'comments:write', comment)) {
                     throw new Error('Not authorized to delete this comment');
                 }
 
-                comments.delete(args.id);
+                await comments.delete(args.id);
                 return comment;
             }
         }
@@ -271,6 +254,7 @@ const schema = new GraphQLSchema({
 // Mount GraphQL endpoint
 router.use('/', 
     auth, // Protect all GraphQL operations with authentication
+    authorize.can('graphql'),
     (req, res, next) => {
         // Add user context to GraphQL resolvers
         graphqlHTTP({
@@ -1,257 +1,338 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const { APIError, asyncHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const config = require('../config/config');
-
-// In-memory storage for payment records (replace with database in production)
-const payments = new Map();
-
-// Simulate payment processing with a delay
-const processPayment = async (amount, currency, paymentMethod) => {
-    return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            // Simulate payment success/failure (90% success rate)
-            const success = Math.random() < 0.9;
-            
-            if (success) {
-                resolve({
-                    id: Date.now().toString(),
-                    amount,
-                    currency,
-                    status: 'succeeded',
-                    paymentMethod,
-                    processingFee: amount * 0.029 + 0.30, // Simulate 2.9% + $0.30 fee
-                    timestamp: new Date()
-                });
-            } else {
-                reject(new Error('Payment processing failed'));
-            }
-        }, 1000); // Simulate network delay
-    });
-};
+const { collection } = require('../db');
+const { assertCan } = require('../services/permissions');
+const {
+    assertTransition,
+    intentChanges,
+    updatePayment,
+    createPayment,
+    confirmPayment,
+    refreshPayment,
+    formatPayment,
+    reserveRefund,
+    releaseRefund,
+    completeRefund
+} = require('../services/payments');
+const { isAuthorizationExpired, expireAuthorization } = require('../services/authorizations');
+const { parseRequestAmount, parseCurrency, formatAmount } = require('../services/money');
+const { gateway } = require('../services/gateways');
+const { verifySignature, processEvent } = require('../services/paymentWebhooks');
+const { getUserBalance } = require('../services/ledger');
+const { parseHistoryQuery, parseExportFormat, exportHeaders, queryHistory, exportHistory } = require('../services/paymentHistory');
+
+const payments = collection('payments');
+
+const CAPTURE_METHODS = ['automatic', 'manual'];
+
+// Ledger balance per currency, with formatted amounts alongside the minor units
+const formatBalance = (balance) => Object.fromEntries(
+    Object.entries(balance).map(([currency, amounts]) => [currency, {
+        ...amounts,
+        paidFormatted: formatAmount(amounts.paid, currency),
+        refundedFormatted: formatAmount(amounts.refunded, currency),
+        balanceFormatted: formatAmount(amounts.balance, currency)
+    }])
+);
 
 // POST /api/payment/create - Create a payment intent
-router.post('/create', auth, asyncHandler(async (req, res) => {
-    const { amount, currency = 'USD', paymentMethod } = req.body;
+router.post('/create', auth, authorize.can('payments:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const { paymentMethod, captureMethod = 'automatic' } = req.body;
 
-    // Validate input
-    if (!amount || amount <= 0) {
-        throw new APIError('Valid amount is required', 400);
-    }
+    // Validate input; amounts are integer minor units of an ISO 4217 currency
+    const currency = parseCurrency(req.body.currency === undefined ? 'USD' : req.body.currency);
+    const amount = parseRequestAmount(req.body);
 
     if (!paymentMethod) {
         throw new APIError('Payment method is required', 400);
     }
 
-    // Create payment record
-    const payment = {
-        id: Date.now().toString(),
+    if (!CAPTURE_METHODS.includes(captureMethod)) {
+        throw new APIError(`captureMethod must be one of: ${CAPTURE_METHODS.join(', ')}`, 400);
+    }
+
+    const { payment, intent } = await createPayment({
         userId: req.user.id,
         amount,
         currency,
         paymentMethod,
-        status: 'pending',
-        createdAt: new Date()
-    };
-
-    // Store payment record
-    payments.set(payment.id, payment);
+        captureMethod
+    });
 
     res.status(201).json({
         success: true,
         data: {
             paymentId: payment.id,
             amount,
+            amountFormatted: formatAmount(amount, currency),
             currency,
-            status: payment.status
+            captureMethod,
+            status: payment.status,
+            clientSecret: intent.clientSecret
         }
     });
 }));
 
 // POST /api/payment/process/:id - Process a payment
-router.post('/process/:id', auth, asyncHandler(async (req, res) => {
+router.post('/process/:id', auth, authorize.can('payments:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
     const { id } = req.params;
     
     // Get payment record
-    const payment = payments.get(id);
+    const payment = await payments.findById(id);
     if (!payment) {
         throw new APIError('Payment not found', 404);
     }
 
     // Verify user owns this payment
-    if (payment.userId !== req.user.id) {
-        throw new APIError('Unauthorized', 403);
-    }
+    assertCan(req.user, 'payments:write', payment);
 
     // Check if payment can be processed
-    if (payment.status !== 'pending') {
-        throw new APIError(`Payment cannot be processed (status: ${payment.status})`, 400);
-    }
+    assertTransition(payment, 'processing', 'process');
 
-    try {
-        // Process payment
-        const result = await processPayment(
-            payment.amount,
-            payment.currency,
-            payment.paymentMethod
-        );
+    const result = await confirmPayment(payment);
+    const updatedPayment = formatPayment(result.payment);
+    const { intent } = result;
 
-        // Update payment record
-        const updatedPayment = {
-            ...payment,
-            status: result.status,
-            processingFee: result.processingFee,
-            processedAt: result.timestamp,
-            updatedAt: new Date()
-        };
-
-        payments.set(id, updatedPayment);
-
-        res.json({
-            success: true,
-            data: {
-                paymentId: id,
-                amount: payment.amount,
-                currency: payment.currency,
-                status: result.status,
-                processingFee: result.processingFee,
-                timestamp: result.timestamp
-            }
-        });
-    } catch (error) {
-        // Update payment record with failed status
-        const failedPayment = {
-            ...payment,
-            status: 'failed',
-            error: error.message,
-            updatedAt: new Date()
-        };
-
-        payments.set(id, failedPayment);
+    res.json({
+        success: true,
+        data: {
+            paymentId: id,
+            amount: updatedPayment.amount,
+            amountFormatted: updatedPayment.amountFormatted,
+            currency: updatedPayment.currency,
+            status: updatedPayment.status,
+            authorizationExpiresAt: updatedPayment.authorizationExpiresAt,
+            processingFee: updatedPayment.processingFee,
+            processingFeeFormatted: updatedPayment.processingFeeFormatted,
+            nextAction: intent.nextAction,
+            clientSecret: intent.clientSecret,
+            timestamp: updatedPayment.processedAt || updatedPayment.updatedAt
+        }
+    });
+}));
 
-        throw new APIError('Payment processing failed', 400);
-    }
+// GET /api/payment/balance - The user's ledger balance per currency
+router.get('/balance', auth, authorize.can('payments:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            balance: formatBalance(await getUserBalance(req.user.id))
+        }
+    });
 }));
 
 // GET /api/payment/:id - Get payment details
-router.get('/:id', auth, asyncHandler(async (req, res) => {
+router.get('/:id', auth, authorize.can('payments:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
     const { id } = req.params;
     
-    const payment = payments.get(id);
+    let payment = await payments.findById(id);
     if (!payment) {
         throw new APIError('Payment not found', 404);
     }
 
-    // Verify user owns this payment
-    if (payment.userId !== req.user.id) {
-        throw new APIError('Unauthorized', 403);
+    // Verify user owns this payment or may view any
+    assertCan(req.user, 'payments:read', payment);
+
+    // Pick up the outcome of payments still settling at the gateway
+    payment = await refreshPayment(payment);
+
+    // Lapsed holds are expired here too, not only by the periodic sweep
+    if (isAuthorizationExpired(payment)) {
+        payment = await expireAuthorization(payment);
     }
 
     res.json({
         success: true,
-        data: payment
+        data: formatPayment(payment)
     });
 }));
 
-// GET /api/payment/user/history - Get user's payment history
-router.get('/user/history', auth, asyncHandler(async (req, res) => {
-    // Filter payments for user
-    const userPayments = Array.from(payments.values())
-        .filter(payment => payment.userId === req.user.id)
-        .sort((a, b) => b.createdAt - a.createdAt);
+// GET /api/payment/user/history - Get user's payment history, filtered and paginated
+// (?status=&currency=&minAmount=&maxAmount=&from=&to=&sort=&limit=&cursor=)
+router.get('/user/history', auth, authorize.can('payments:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+    const query = parseHistoryQuery(req.query, { userId: req.user.id });
+
+    const page = await queryHistory(query, { cursor: req.query.cursor, limit: req.query.limit });
 
     res.json({
         success: true,
-        data: {
-            payments: userPayments
-        }
+        data: page
     });
 }));
 
-// POST /api/payment/:id/refund - Refund a payment
-router.post('/:id/refund', auth, asyncHandler(async (req, res) => {
+// GET /api/payment/user/history/export - Download the user's payment history as CSV or NDJSON
+// (?format=csv|ndjson plus the history filters)
+router.get('/user/history/export', auth, authorize.can('payments:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+    const format = parseExportFormat(req.query.format);
+    const query = parseHistoryQuery(req.query, { userId: req.user.id });
+
+    res.set(exportHeaders(format));
+    try {
+        await exportHistory(query, format, res);
+        res.end();
+    } catch (error) {
+        // Headers are gone, so all we can do is cut the download short
+        console.error('Payment export failed:', error.message);
+        res.destroy(error);
+    }
+}));
+
+// POST /api/payment/:id/capture - Capture an authorized payment, in full or in part
+router.post('/:id/capture', auth, authorize.can('payments:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { amount, reason } = req.body;
 
-    const payment = payments.get(id);
+    let payment = await payments.findById(id);
     if (!payment) {
         throw new APIError('Payment not found', 404);
     }
 
-    // Verify user owns this payment
-    if (payment.userId !== req.user.id) {
-        throw new APIError('Unauthorized', 403);
-    }
+    // Verify user owns this payment or may capture any
+    assertCan(req.user, 'payments:write', payment);
 
-    // Check if payment can be refunded
-    if (payment.status !== 'succeeded') {
-        throw new APIError('Only succeeded payments can be refunded', 400);
+    if (isAuthorizationExpired(payment)) {
+        payment = await expireAuthorization(payment);
+    }
+    assertTransition(payment, 'captured', 'capture');
+
+    // Validate capture amount (minor units); default to the full authorization
+    const requested = parseRequestAmount(req.body, { required: false });
+    const amount = requested === undefined ? payment.amount : requested;
+    if (amount > payment.amount) {
+        throw new APIError(
+            `Capture amount cannot exceed the authorized amount (${formatAmount(payment.amount, payment.currency)} ${payment.currency})`,
+            400
+        );
     }
 
-    if (payment.refunded) {
-        throw new APIError('Payment has already been refunded', 400);
+    const intent = await gateway.captureIntent(payment.gatewayIntentId, { amount });
+    const changes = intentChanges(payment, intent);
+    if (!changes) {
+        throw new APIError(`Payment gateway did not capture the payment (status: ${intent.status})`, 502);
     }
+    const updatedPayment = formatPayment(await updatePayment(id, changes));
+
+    res.json({
+        success: true,
+        data: {
+            paymentId: id,
+            amount: updatedPayment.amount,
+            amountFormatted: updatedPayment.amountFormatted,
+            capturedAmount: updatedPayment.capturedAmount,
+            capturedAmountFormatted: updatedPayment.capturedAmountFormatted,
+            currency: updatedPayment.currency,
+            status: updatedPayment.status,
+            processingFee: updatedPayment.processingFee,
+            processingFeeFormatted: updatedPayment.processingFeeFormatted,
+            timestamp: updatedPayment.capturedAt
+        }
+    });
+}));
+
+// POST /api/payment/:id/void - Release an authorized payment without capturing it
+router.post('/:id/void', auth, authorize.can('payments:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-    // Validate refund amount
-    const refundAmount = amount || payment.amount;
-    if (refundAmount > payment.amount) {
-        throw new APIError('Refund amount cannot exceed payment amount', 400);
+    let payment = await payments.findById(id);
+    if (!payment) {
+        throw new APIError('Payment not found', 404);
     }
 
-    // Process refund (simulate with delay)
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    // Verify user owns this payment or may void any
+    assertCan(req.user, 'payments:write', payment);
 
-    // Update payment record with refund information
-    const updatedPayment = {
-        ...payment,
-        refunded: true,
-        refundAmount,
-        refundReason: reason,
-        refundedAt: new Date(),
-        status: 'refunded',
-        updatedAt: new Date()
-    };
+    if (isAuthorizationExpired(payment)) {
+        payment = await expireAuthorization(payment);
+    }
+    assertTransition(payment, 'voided', 'void');
 
-    payments.set(id, updatedPayment);
+    const intent = await gateway.cancelIntent(payment.gatewayIntentId);
+    const changes = intentChanges(payment, intent);
+    if (!changes) {
+        throw new APIError(`Payment gateway did not void the payment (status: ${intent.status})`, 502);
+    }
+    const updatedPayment = await updatePayment(id, changes);
 
     res.json({
         success: true,
         data: {
             paymentId: id,
-            refundAmount,
-            status: 'refunded',
-            timestamp: updatedPayment.refundedAt
+            status: updatedPayment.status,
+            timestamp: updatedPayment.voidedAt
         }
     });
 }));
 
-// POST /api/payment/webhook - Handle payment webhooks
-router.post('/webhook', asyncHandler(async (req, res) => {
-    const event = req.body;
+// POST /api/payment/:id/refund - Refund a payment
+router.post('/:id/refund', auth, authorize.can('payments:refund'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
 
-    // Verify webhook signature (implementation depends on payment provider)
-    // This is a simplified example
-    if (!event || !event.type) {
-        throw new APIError('Invalid webhook payload', 400);
+    const payment = await payments.findById(id);
+    if (!payment) {
+        throw new APIError('Payment not found', 404);
     }
 
-    // Process different event types
-    switch (event.type) {
-        case 'payment.succeeded':
-            console.log('Payment succeeded:', event.data);
-            break;
-        case 'payment.failed':
-            console.log('Payment failed:', event.data);
-            break;
-        case 'refund.succeeded':
-            console.log('Refund succeeded:', event.data);
-            break;
-        default:
-            console.log('Unhandled event type:', event.type);
+    // Verify user owns this payment or may refund any
+    assertCan(req.user, 'payments:refund', payment);
+
+    // Validate refund amount (minor units); default to whatever is left
+    const requested = parseRequestAmount(req.body, { required: false });
+
+    if (!payment.gatewayIntentId) {
+        throw new APIError('Payment was not processed through a gateway and cannot be refunded here', 400);
+    }
+
+    // Reserve the amount before the gateway refunds it, so concurrent refunds
+    // can't go past what is refundable, and give it back if the refund fails
+    const { amount: refundAmount } = await reserveRefund(id, requested);
+    let gatewayRefund;
+    try {
+        gatewayRefund = await gateway.refund(payment.gatewayIntentId, { amount: refundAmount, reason });
+    } catch (error) {
+        await releaseRefund(id, refundAmount);
+        throw error;
     }
 
-    res.json({ received: true });
+    const { refund, payment: refunded } = await completeRefund(id, refundAmount, {
+        amount: gatewayRefund.amount,
+        reason: reason || null,
+        gatewayRefundId: gatewayRefund.id
+    });
+    const updatedPayment = formatPayment(refunded);
+
+    res.json({
+        success: true,
+        data: {
+            paymentId: id,
+            refundId: refund.id,
+            refundAmount: refund.amount,
+            refundAmountFormatted: formatAmount(refund.amount, updatedPayment.currency),
+            amountRefunded: updatedPayment.amountRefunded,
+            amountRefundedFormatted: updatedPayment.amountRefundedFormatted,
+            currency: updatedPayment.currency,
+            status: updatedPayment.status,
+            refunds: updatedPayment.refunds,
+            timestamp: refund.createdAt
+        }
+    });
+}));
+
+// POST /api/payment/webhook - Handle signed gateway events
+router.post('/webhook', asyncHandler(async (req, res) => {
+    // Signature covers the raw body, which the JSON parser keeps as req.rawBody;
+    // the gateway names the header and translates its event types into ours
+    verifySignature(req.rawBody, req.get(gateway.webhookSignatureHeader));
+
+    const result = await processEvent(gateway.parseWebhookEvent(req.body));
+
+    res.json({
+        received: true,
+        duplicate: result.duplicate
+    });
 }));
 
 module.exports = router;
@@ -1,78 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { Client } = require('@elastic/elasticsearch');
-const config = require('../config/config');
+const { auth, authorize } = require('../middleware/auth');
 const { APIError, asyncHandler } = require('../middleware/errorHandler');
-
-// Initialize Elasticsearch client
-const client = new Client({
-    node: config.elasticsearch.node,
-    auth: {
-        username: config.elasticsearch.auth.username,
-        password: config.elasticsearch.auth.password
-    }
-});
-
-// Index names
-const INDICES = {
-    PAPERS: 'papers',
-    BLOG_POSTS: 'blog_posts'
-};
-
-// Helper function to check if index exists
-const indexExists = async (indexName) => {
-    try {
-        const { body } = await client.indices.exists({ index: indexName });
-        return body;
-    } catch (error) {
-        console.error(`Error checking index ${indexName}:`, error);
-        return false;
-    }
-};
-
-// Helper function to create index if it doesn't exist
-const createIndexIfNotExists = async (indexName, mappings) => {
-    const exists = await indexExists(indexName);
-    if (!exists) {
-        try {
-            await client.indices.create({
-                index: indexName,
-                body: {
-                    mappings
-                }
-            });
-            console.log(`Index ${indexName} created successfully`);
-        } catch (error) {
-            console.error(`Error creating index ${indexName}:`, error);
-            throw new APIError('Failed to create search index', 500);
-        }
-    }
-};
-
-// Initialize indices with mappings
-const initializeIndices = async () => {
-    // Papers index mapping
-    await createIndexIfNotExists(INDICES.PAPERS, {
-        properties: {
-            title: { type: 'text' },
-            authors: { type: 'keyword' },
-            abstract: { type: 'text' },
-            categories: { type: 'keyword' },
-            published: { type: 'date' }
-        }
-    });
-
-    // Blog posts index mapping
-    await createIndexIfNotExists(INDICES.BLOG_POSTS, {
-        properties: {
-            title: { type: 'text' },
-            content: { type: 'text' },
-            author: { type: 'keyword' },
-            tags: { type: 'keyword' },
-            createdAt: { type: 'date' }
-        }
-    });
-};
+const { client, INDICES, initializeIndices } = require('../services/elasticsearch');
+const { startHarvest, getHarvestStatus } = require('../services/harvester');
 
 // Initialize indices on startup
 initializeIndices().catch(console.error);
@@ -146,7 +77,7 @@ router.get('/', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/search/index - Index a document
-router.post('/index', asyncHandler(async (req, res) => {
+router.post('/index', auth, authorize.can('search:write'), asyncHandler(async (req, res) => {
     const { type, document } = req.body;
 
     if (!type || !document) {
@@ -181,7 +112,7 @@ router.post('/index', asyncHandler(async (req, res) => {
 }));
 
 // DELETE /api/search/:type/:id - Delete a document
-router.delete('/:type/:id', asyncHandler(async (req, res) => {
+router.delete('/:type/:id', auth, authorize.can('search:write'), asyncHandler(async (req, res) => {
     const { type, id } = req.params;
 
     if (!INDICES[type.toUpperCase()]) {
@@ -212,7 +143,7 @@ router.delete('/:type/:id', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/search/bulk - Bulk index documents
-router.post('/bulk', asyncHandler(async (req, res) => {
+router.post('/bulk', auth, authorize.can('search:write'), asyncHandler(async (req, res) => {
     const { type, documents } = req.body;
 
     if (!type || !Array.isArray(documents)) {
@@ -244,4 +175,40 @@ router.post('/bulk', asyncHandler(async (req, res) => {
     }
 }));
 
+// POST /api/search/harvest - Harvest ArXiv papers into the papers index
+router.post('/harvest', auth, authorize.can('search:harvest'), asyncHandler(async (req, res) => {
+    const { categories, queries, maxPapers } = req.body;
+
+    if (categories !== undefined && !Array.isArray(categories)) {
+        throw new APIError('categories must be an array', 400);
+    }
+
+    if (queries !== undefined && !Array.isArray(queries)) {
+        throw new APIError('queries must be an array', 400);
+    }
+
+    if (maxPapers !== undefined && (!Number.isInteger(maxPapers) || maxPapers < 1)) {
+        throw new APIError('maxPapers must be a positive integer', 400);
+    }
+
+    // Run in the background; progress is visible through the status route
+    startHarvest({ categories, queries, maxPapers })
+        .catch(error => console.error('Harvest failed:', error.message));
+
+    res.status(202).json({
+        success: true,
+        message: 'Harvest started'
+    });
+}));
+
+// GET /api/search/harvest/status - Get harvest progress and checkpoints
+router.get('/harvest/status', auth, authorize.can('search:harvest'), asyncHandler(async (req, res) => {
+    const status = await getHarvestStatus();
+
+    res.json({
+        success: true,
+        data: status
+    });
+}));
+
 module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { APIError, asyncHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { collection } = require('../db');
+const { assertCan, can } = require('../services/permissions');
+const { formatPayment } = require('../services/payments');
+const {
+    SUBSCRIPTION_STATUSES,
+    createPlan,
+    updatePlan,
+    getPlan,
+    listPlans,
+    getSubscription,
+    listSubscriptions,
+    createSubscription,
+    changePlan,
+    cancelSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    updatePaymentMethod,
+    formatPlan,
+    formatSubscription
+} = require('../services/subscriptions');
+
+const payments = collection('payments');
+
+// Load a subscription the user may act on
+const loadSubscription = async (user, id, permission) => {
+    const subscription = await getSubscription(id);
+    assertCan(user, permission, subscription);
+    return subscription;
+};
+
+// Send a subscription with its plan
+const respond = async (res, subscription, extra = {}, status = 200) => {
+    const plan = await getPlan(subscription.planId).catch(() => null);
+    res.status(status).json({
+        success: true,
+        data: { ...formatSubscription(subscription, plan), ...extra }
+    });
+};
+
+// GET /api/subscriptions/plans - List plans open for new subscriptions
+router.get('/plans', asyncHandler(async (req, res) => {
+    const plans = await listPlans();
+
+    res.json({
+        success: true,
+        data: {
+            plans: plans.map(formatPlan)
+        }
+    });
+}));
+
+// POST /api/subscriptions/plans - Create a plan
+router.post('/plans', auth, authorize.can('plans:manage'), asyncHandler(async (req, res) => {
+    const plan = await createPlan(req.body);
+
+    res.status(201).json({
+        success: true,
+        data: formatPlan(plan)
+    });
+}));
+
+// PUT /api/subscriptions/plans/:id - Rename, retire or change the trial of a plan
+router.put('/plans/:id', auth, authorize.can('plans:manage'), asyncHandler(async (req, res) => {
+    const plan = await updatePlan(req.params.id, req.body);
+
+    res.json({
+        success: true,
+        data: formatPlan(plan)
+    });
+}));
+
+// GET /api/subscriptions - List the user's subscriptions
+router.get('/', auth, authorize.can('subscriptions:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !SUBSCRIPTION_STATUSES.includes(status)) {
+        throw new APIError(`status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`, 400);
+    }
+
+    const subscriptions = (await listSubscriptions(req.user.id))
+        .filter(subscription => status === undefined || subscription.status === status);
+    const plans = new Map();
+    for (const subscription of subscriptions) {
+        if (!plans.has(subscription.planId)) {
+            plans.set(subscription.planId, await getPlan(subscription.planId).catch(() => null));
+        }
+    }
+
+    res.json({
+        success: true,
+        data: {
+            subscriptions: subscriptions.map(subscription => formatSubscription(subscription, plans.get(subscription.planId)))
+        }
+    });
+}));
+
+// POST /api/subscriptions - Subscribe to a plan
+router.post('/', auth, authorize.can('subscriptions:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const subscription = await createSubscription(req.user.id, {
+        planId: req.body.planId,
+        paymentMethod: req.body.paymentMethod
+    });
+
+    await respond(res, subscription, {}, 201);
+}));
+
+// GET /api/subscriptions/:id - Get a subscription
+router.get('/:id', auth, authorize.can('subscriptions:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:read');
+
+    await respond(res, subscription);
+}));
+
+// GET /api/subscriptions/:id/payments - Payments made for a subscription, newest first
+router.get('/:id/payments', auth, authorize.can('subscriptions:read'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:read');
+
+    // Viewing another user's subscription payments also needs payment access
+    if (!can(req.user, 'payments:read', subscription)) {
+        throw new APIError('Unauthorized', 403);
+    }
+
+    const subscriptionPayments = await payments.find(
+        { subscriptionId: subscription.id },
+        { sort: { createdAt: -1 } }
+    );
+
+    res.json({
+        success: true,
+        data: {
+            payments: subscriptionPayments.map(formatPayment)
+        }
+    });
+}));
+
+// PUT /api/subscriptions/:id/plan - Switch plans, prorating the current period
+router.put('/:id/plan', auth, authorize.can('subscriptions:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:write');
+    if (!req.body.planId) {
+        throw new APIError('planId is required', 400);
+    }
+
+    const result = await changePlan(subscription, req.body.planId);
+
+    await respond(res, result.subscription, { proration: result.proration });
+}));
+
+// POST /api/subscriptions/:id/cancel - Cancel at period end, or now with { "atPeriodEnd": false }
+router.post('/:id/cancel', auth, authorize.can('subscriptions:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:write');
+
+    const updated = await cancelSubscription(subscription, {
+        atPeriodEnd: req.body.atPeriodEnd === undefined ? true : Boolean(req.body.atPeriodEnd)
+    });
+
+    await respond(res, updated);
+}));
+
+// POST /api/subscriptions/:id/pause - Pause billing
+router.post('/:id/pause', auth, authorize.can('subscriptions:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:write');
+
+    await respond(res, await pauseSubscription(subscription));
+}));
+
+// POST /api/subscriptions/:id/resume - Resume a paused subscription
+router.post('/:id/resume', auth, authorize.can('subscriptions:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:write');
+
+    await respond(res, await resumeSubscription(subscription));
+}));
+
+// PUT /api/subscriptions/:id/payment-method - Change the payment method; a past due subscription is retried with it now
+router.put('/:id/payment-method', auth, authorize.can('subscriptions:write'), requireVerifiedEmail, idempotency, asyncHandler(async (req, res) => {
+    const subscription = await loadSubscription(req.user, req.params.id, 'subscriptions:write');
+
+    const result = await updatePaymentMethod(subscription, req.body.paymentMethod);
+
+    await respond(res, result.subscription, { retry: result.retry });
+}));
+
+module.exports = router;
@@ -3,9 +3,13 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { auth } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
 const { APIError, asyncHandler } = require('../middleware/errorHandler');
 const config = require('../config/config');
+const { collection } = require('../db');
+const { assertCan, can } = require('../services/permissions');
+
+const uploads = collection('uploads');
 
 // Configure multer for file upload
 const storage = multer.diskStorage({
@@ -59,29 +63,51 @@ const getFileMetadata = (file) => {
     };
 };
 
+// Run a multer middleware, resolving once the request's files are stored
+const receiveFiles = (middleware, req, res) => new Promise((resolve, reject) => {
+    middleware(req, res, (error) => (error ? reject(error) : resolve()));
+});
+
+// Remember who uploaded each file so listing and deletes can be checked against
+// the owner. A file whose owner can't be recorded is removed again.
+const recordUploads = async (files, userId) => {
+    try {
+        await Promise.all(files.map(file => uploads.insert({
+            id: file.filename,
+            userId,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            uploadedAt: new Date()
+        })));
+    } catch (error) {
+        console.error('Failed to record upload owner:', error.message);
+        await Promise.all(files.map(async (file) => {
+            await fs.unlink(file.path).catch(() => {});
+            await uploads.delete(file.filename).catch(() => {});
+        }));
+        throw new APIError('Failed to save the upload', 500);
+    }
+};
+
 // POST /api/upload/single - Upload single file
 router.post('/single', 
     auth, // Protect route with authentication
+    authorize.can('uploads:write'),
     asyncHandler(async (req, res) => {
-        // Use multer upload middleware
-        upload.single('file')(req, res, async (err) => {
-            if (err) {
-                if (err instanceof multer.MulterError) {
-                    // Multer error (e.g., file too large)
-                    throw new APIError(err.message, 400);
-                }
-                throw err;
-            }
+        // Use multer upload middleware; its errors go to the handler below
+        await receiveFiles(upload.single('file'), req, res);
 
-            if (!req.file) {
-                throw new APIError('No file uploaded', 400);
-            }
+        if (!req.file) {
+            throw new APIError('No file uploaded', 400);
+        }
 
-            // Return file metadata
-            res.status(201).json({
-                success: true,
-                data: getFileMetadata(req.file)
-            });
+        await recordUploads([req.file], req.user.id);
+
+        // Return file metadata
+        res.status(201).json({
+            success: true,
+            data: getFileMetadata(req.file)
         });
     })
 );
@@ -89,25 +115,21 @@ router.post('/single',
 // POST /api/upload/multiple - Upload multiple files
 router.post('/multiple',
     auth,
+    authorize.can('uploads:write'),
     asyncHandler(async (req, res) => {
         // Use multer upload middleware for multiple files
-        upload.array('files', 10)(req, res, async (err) => {
-            if (err) {
-                if (err instanceof multer.MulterError) {
-                    throw new APIError(err.message, 400);
-                }
-                throw err;
-            }
+        await receiveFiles(upload.array('files', 10), req, res);
 
-            if (!req.files || req.files.length === 0) {
-                throw new APIError('No files uploaded', 400);
-            }
+        if (!req.files || req.files.length === 0) {
+            throw new APIError('No files uploaded', 400);
+        }
 
-            // Return metadata for all uploaded files
-            res.status(201).json({
-                success: true,
-                data: req.files.map(file => getFileMetadata(file))
-            });
+        await recordUploads(req.files, req.user.id);
+
+        // Return metadata for all uploaded files
+        res.status(201).json({
+            success: true,
+            data: req.files.map(file => getFileMetadata(file))
         });
     })
 );
@@ -115,6 +137,7 @@ router.post('/multiple',
 // DELETE /api/upload/:filename - Delete uploaded file
 router.delete('/:filename',
     auth,
+    authorize.can('uploads:delete'),
     asyncHandler(async (req, res) => {
         const { filename } = req.params;
         const filepath = path.join(__dirname, '../uploads', filename);
@@ -122,9 +145,14 @@ router.delete('/:filename',
         try {
             // Check if file exists
             await fs.access(filepath);
+
+            // Files uploaded before owners were recorded need uploads:delete:any
+            const record = await uploads.findById(filename);
+            assertCan(req.user, 'uploads:delete', record || { userId: null }, 'Not authorized to delete this file');
             
             // Delete file
             await fs.unlink(filepath);
+            await uploads.delete(filename);
 
             res.json({
                 success: true,
@@ -139,15 +167,19 @@ router.delete('/:filename',
     })
 );
 
-// GET /api/upload/files - List all uploaded files
+// GET /api/upload/files - List the user's uploaded files (every file with uploads:read:any)
 router.get('/files',
     auth,
+    authorize.can('uploads:read'),
     asyncHandler(async (req, res) => {
         const uploadDir = path.join(__dirname, '../uploads');
+        const owned = can(req.user, 'uploads:read:any')
+            ? null
+            : new Set((await uploads.find({ userId: req.user.id })).map(record => record.id));
 
         try {
             // Read upload directory
-            const files = await fs.readdir(uploadDir);
+            const files = (await fs.readdir(uploadDir)).filter(filename => !owned || owned.has(filename));
             
             // Get metadata for each file
             const filesMetadata = await Promise.all(
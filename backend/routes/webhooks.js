@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { auth, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { APIError, asyncHandler } = require('../middleware/errorHandler');
+const { assertCan } = require('../services/permissions');
+const {
+    EVENT_TYPES,
+    ALL_EVENTS,
+    DELIVERY_STATUSES,
+    createEndpoint,
+    getEndpoint,
+    listEndpoints,
+    updateEndpoint,
+    rotateSecret,
+    deleteEndpoint,
+    getDelivery,
+    listDeliveries,
+    redeliver,
+    formatEndpoint
+} = require('../services/merchantWebhooks');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Every webhook route requires a signed-in user with a verified email
+router.use(auth, requireVerifiedEmail);
+
+// Parse a positive integer query parameter
+const parsePositiveInt = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new APIError(`${name} must be a positive integer`, 400);
+    }
+    return parsed;
+};
+
+// Load an endpoint the user may act on
+const loadEndpoint = async (user, id, permission) => {
+    const endpoint = await getEndpoint(id);
+    assertCan(user, permission, endpoint);
+    return endpoint;
+};
+
+// Load a delivery the user may act on
+const loadDelivery = async (user, id, permission) => {
+    const delivery = await getDelivery(id);
+    assertCan(user, permission, delivery);
+    return delivery;
+};
+
+// GET /api/webhooks/events - Event types endpoints can subscribe to
+router.get('/events', authorize.can('webhooks:read'), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            events: [ALL_EVENTS, ...EVENT_TYPES]
+        }
+    });
+});
+
+// GET /api/webhooks/endpoints - List the user's endpoints
+router.get('/endpoints', authorize.can('webhooks:read'), asyncHandler(async (req, res) => {
+    const endpoints = await listEndpoints(req.user.id);
+
+    res.json({
+        success: true,
+        data: {
+            endpoints: endpoints.map(endpoint => formatEndpoint(endpoint))
+        }
+    });
+}));
+
+// POST /api/webhooks/endpoints - Register an endpoint; the response holds its signing secret
+router.post('/endpoints', authorize.can('webhooks:write'), asyncHandler(async (req, res) => {
+    const endpoint = await createEndpoint(req.user.id, {
+        url: req.body.url,
+        description: req.body.description,
+        events: req.body.events
+    });
+
+    res.status(201).json({
+        success: true,
+        data: formatEndpoint(endpoint, { includeSecret: true })
+    });
+}));
+
+// GET /api/webhooks/endpoints/:id - Get an endpoint
+router.get('/endpoints/:id', authorize.can('webhooks:read'), asyncHandler(async (req, res) => {
+    const endpoint = await loadEndpoint(req.user, req.params.id, 'webhooks:read');
+
+    res.json({
+        success: true,
+        data: formatEndpoint(endpoint)
+    });
+}));
+
+// PUT /api/webhooks/endpoints/:id - Change an endpoint's url, description, events or active flag
+router.put('/endpoints/:id', authorize.can('webhooks:write'), asyncHandler(async (req, res) => {
+    const endpoint = await loadEndpoint(req.user, req.params.id, 'webhooks:write');
+
+    const updated = await updateEndpoint(endpoint, {
+        url: req.body.url,
+        description: req.body.description,
+        events: req.body.events,
+        active: req.body.active
+    });
+
+    res.json({
+        success: true,
+        data: formatEndpoint(updated)
+    });
+}));
+
+// DELETE /api/webhooks/endpoints/:id - Remove an endpoint and its delivery log
+router.delete('/endpoints/:id', authorize.can('webhooks:write'), asyncHandler(async (req, res) => {
+    const endpoint = await loadEndpoint(req.user, req.params.id, 'webhooks:write');
+
+    await deleteEndpoint(endpoint);
+
+    res.json({
+        success: true,
+        message: 'Webhook endpoint deleted'
+    });
+}));
+
+// POST /api/webhooks/endpoints/:id/rotate-secret - Replace an endpoint's signing secret
+router.post('/endpoints/:id/rotate-secret', authorize.can('webhooks:write'), asyncHandler(async (req, res) => {
+    const endpoint = await loadEndpoint(req.user, req.params.id, 'webhooks:write');
+
+    const updated = await rotateSecret(endpoint);
+
+    res.json({
+        success: true,
+        data: formatEndpoint(updated, { includeSecret: true })
+    });
+}));
+
+// GET /api/webhooks/endpoints/:id/deliveries - An endpoint's delivery log, newest first
+router.get('/endpoints/:id/deliveries', authorize.can('webhooks:read'), asyncHandler(async (req, res) => {
+    const endpoint = await loadEndpoint(req.user, req.params.id, 'webhooks:read');
+    const { status } = req.query;
+
+    const page = parsePositiveInt(req.query.page, 'page', 1);
+    const limit = parsePositiveInt(req.query.limit, 'limit', DEFAULT_PAGE_SIZE);
+
+    if (limit > MAX_PAGE_SIZE) {
+        throw new APIError(`limit cannot exceed ${MAX_PAGE_SIZE}`, 400);
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        throw new APIError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 400);
+    }
+
+    const { items, total } = await listDeliveries(endpoint.id, { status, offset: (page - 1) * limit, limit });
+
+    res.json({
+        success: true,
+        data: {
+            total,
+            page,
+            limit,
+            deliveries: items
+        }
+    });
+}));
+
+// GET /api/webhooks/deliveries/:id - Get a delivery with its attempts
+router.get('/deliveries/:id', authorize.can('webhooks:read'), asyncHandler(async (req, res) => {
+    const delivery = await loadDelivery(req.user, req.params.id, 'webhooks:read');
+
+    res.json({
+        success: true,
+        data: delivery
+    });
+}));
+
+// POST /api/webhooks/deliveries/:id/redeliver - Send a delivery again now
+router.post('/deliveries/:id/redeliver', authorize.can('webhooks:write'), asyncHandler(async (req, res) => {
+    const delivery = await loadDelivery(req.user, req.params.id, 'webhooks:write');
+
+    res.json({
+        success: true,
+        data: await redeliver(delivery)
+    });
+}));
+
+module.exports = router;
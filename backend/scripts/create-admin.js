@@ -0,0 +1,29 @@
+/**
+ * Create or promote an admin account
+ *
+ * Usage: node scripts/create-admin.js <email> <password> [name]
+ */
+
+const { ensureAdmin } = require('../services/bootstrap');
+
+const [email, password, name] = process.argv.slice(2);
+
+if (!email || !password) {
+    console.error('Usage: node scripts/create-admin.js <email> <password> [name]');
+    process.exit(1);
+}
+
+ensureAdmin({ email, password, name })
+    .then(result => {
+        if (result.created) {
+            console.log(`Created admin account ${email}`);
+        } else if (result.promoted) {
+            console.log(`Promoted ${email} to admin`);
+        } else {
+            console.log(`${email} is already an admin`);
+        }
+    })
+    .catch(error => {
+        console.error('Failed to create admin:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,127 @@
+/**
+ * Mock OpenID Connect provider for local development
+ * Signs in every authorization request automatically, so the OIDC flow can be
+ * exercised end to end without a real identity provider.
+ *
+ * Usage: node scripts/mock-oidc-provider.js
+ *
+ * Then start the API with
+ *   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=mock-client OIDC_CLIENT_SECRET=mock-secret
+ *
+ * The signed-in identity defaults to MOCK_OIDC_EMAIL and can be overridden per
+ * request with the login_hint, name and email_verified query parameters.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const createMockProvider = ({
+    issuer,
+    clientId = 'mock-client',
+    clientSecret = 'mock-secret',
+    email = 'user@example.com'
+}) => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({
+            keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+        });
+    });
+
+    // Approve immediately and redirect back with a code
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+        if (client_id !== clientId || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+            return res.status(400).json({ error: 'invalid_request' });
+        }
+
+        const userEmail = req.query.login_hint || email;
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+            redirectUri: redirect_uri,
+            nonce,
+            codeChallenge: code_challenge,
+            email: userEmail,
+            name: req.query.name || userEmail.split('@')[0],
+            emailVerified: req.query.email_verified !== 'false'
+        });
+
+        const location = new URL(redirect_uri);
+        location.searchParams.set('code', code);
+        location.searchParams.set('state', state);
+        res.redirect(location.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+        const grant = codes.get(code);
+        codes.delete(code);
+
+        if (client_id !== clientId || client_secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const challenge = code_verifier &&
+            crypto.createHash('sha256').update(code_verifier).digest('base64url');
+
+        if (grant_type !== 'authorization_code' || !grant ||
+            grant.redirectUri !== redirect_uri || grant.codeChallenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign(
+            {
+                sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+                email: grant.email,
+                email_verified: grant.emailVerified,
+                name: grant.name,
+                nonce: grant.nonce
+            },
+            privateKey,
+            { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+        );
+
+        res.json({
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = process.env.MOCK_OIDC_PORT || 4000;
+    const app = createMockProvider({
+        issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+        email: process.env.MOCK_OIDC_EMAIL
+    });
+    app.listen(port, () => {
+        console.log(`Mock OIDC provider running on port ${port}`);
+    });
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,123 @@
+/**
+ * Software WebAuthn authenticator for local development
+ * Plays the browser and platform authenticator sides of the passkey ceremonies
+ * with in-memory ES256 keys, so the /api/auth/webauthn endpoints can be
+ * exercised without hardware.
+ *
+ * Usage:
+ *   const { SoftwareAuthenticator } = require('./scripts/software-authenticator');
+ *   const authenticator = new SoftwareAuthenticator({ origin: 'http://localhost:3000' });
+ *   const credential = authenticator.createCredential(registrationOptions);
+ *   const assertion = authenticator.getAssertion(authenticationOptions);
+ */
+
+const crypto = require('crypto');
+const cbor = require('../services/cbor');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+class SoftwareAuthenticator {
+    constructor({ origin, userVerified = true } = {}) {
+        this.origin = origin;
+        this.userVerified = userVerified;
+        this.credentials = new Map();
+    }
+
+    clientData(type, challenge) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+    }
+
+    flags(attested) {
+        return 0x01 | (this.userVerified ? 0x04 : 0) | (attested ? 0x40 : 0);
+    }
+
+    // Respond to navigator.credentials.create() options
+    createCredential(options) {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const credentialId = crypto.randomBytes(32);
+        const jwk = publicKey.export({ format: 'jwk' });
+
+        const coseKey = new Map([
+            [1, 2], // kty: EC2
+            [3, -7], // alg: ES256
+            [-1, 1], // crv: P-256
+            [-2, Buffer.from(jwk.x, 'base64url')],
+            [-3, Buffer.from(jwk.y, 'base64url')]
+        ]);
+
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(credentialId.length);
+
+        const authData = Buffer.concat([
+            sha256(options.rp.id),
+            Buffer.from([this.flags(true)]),
+            Buffer.alloc(4), // signCount 0
+            Buffer.alloc(16), // aaguid
+            idLength,
+            credentialId,
+            cbor.encode(coseKey)
+        ]);
+
+        const id = credentialId.toString('base64url');
+        this.credentials.set(id, {
+            privateKey,
+            rpId: options.rp.id,
+            userHandle: options.user.id,
+            signCount: 0
+        });
+
+        return {
+            id,
+            rawId: id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: this.clientData('webauthn.create', options.challenge).toString('base64url'),
+                attestationObject: cbor.encode(new Map([
+                    ['fmt', 'none'],
+                    ['attStmt', new Map()],
+                    ['authData', authData]
+                ])).toString('base64url'),
+                transports: ['internal']
+            }
+        };
+    }
+
+    // Respond to navigator.credentials.get() options
+    getAssertion(options) {
+        const allowed = (options.allowCredentials || []).map(credential => credential.id);
+        const entry = [...this.credentials.entries()].find(([id, credential]) =>
+            credential.rpId === options.rpId && (!allowed.length || allowed.includes(id))
+        );
+        if (!entry) {
+            throw new Error('No matching credential');
+        }
+
+        const [id, credential] = entry;
+        credential.signCount++;
+
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(credential.signCount);
+
+        const authData = Buffer.concat([sha256(options.rpId), Buffer.from([this.flags(false)]), counter]);
+        const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+        const signature = crypto.sign(
+            'sha256',
+            Buffer.concat([authData, sha256(clientDataJSON)]),
+            credential.privateKey
+        );
+
+        return {
+            id,
+            rawId: id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: clientDataJSON.toString('base64url'),
+                authenticatorData: authData.toString('base64url'),
+                signature: signature.toString('base64url'),
+                userHandle: credential.userHandle
+            }
+        };
+    }
+}
+
+module.exports = { SoftwareAuthenticator };
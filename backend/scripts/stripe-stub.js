@@ -0,0 +1,259 @@
+/**
+ * Local Stripe API stub for development
+ * Implements the slice of the PaymentIntents and Refunds API the stripe gateway uses
+ * (create, confirm, capture, cancel, retrieve, refund),
+ * so payments can be exercised without network access or a Stripe account.
+ * For wider coverage, run stripe-mock instead (it ignores card outcomes).
+ *
+ * Usage: node scripts/stripe-stub.js
+ *
+ * Then start the API with
+ *   PAYMENT_GATEWAY=stripe STRIPE_SECRET_KEY=sk_test_stub STRIPE_API_BASE=http://localhost:12111
+ *
+ * Confirmation outcomes follow Stripe's test payment methods:
+ *   pm_card_visa (and anything unrecognized)      succeeds
+ *   pm_card_chargeDeclined                        card_declined / generic_decline
+ *   pm_card_chargeDeclinedInsufficientFunds       card_declined / insufficient_funds
+ *   pm_card_chargeDeclinedLostCard                card_declined / lost_card
+ *   pm_card_chargeDeclinedExpiredCard             expired_card
+ *   pm_card_chargeDeclinedIncorrectCvc            incorrect_cvc
+ *   pm_card_authenticationRequired                requires_action (3-D Secure)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DECLINES = {
+    pm_card_chargeDeclined: { code: 'card_declined', decline_code: 'generic_decline', message: 'Your card was declined.' },
+    pm_card_chargeDeclinedInsufficientFunds: { code: 'card_declined', decline_code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+    pm_card_chargeDeclinedLostCard: { code: 'card_declined', decline_code: 'lost_card', message: 'Your card was declined.' },
+    pm_card_chargeDeclinedExpiredCard: { code: 'expired_card', decline_code: 'expired_card', message: 'Your card has expired.' },
+    pm_card_chargeDeclinedIncorrectCvc: { code: 'incorrect_cvc', decline_code: 'incorrect_cvc', message: "Your card's security code is incorrect." }
+};
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const createStripeStub = ({ secretKey = 'sk_test_stub' } = {}) => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+
+    const intents = new Map();
+
+    const sendError = (res, status, error) => res.status(status).json({ error });
+
+    // Settle an intent for the given amount
+    const charge = (intent, amount) => {
+        intent.status = 'succeeded';
+        intent.amount_received = amount;
+        intent.latest_charge = {
+            id: newId('ch'),
+            object: 'charge',
+            amount,
+            amount_refunded: 0,
+            balance_transaction: {
+                id: newId('txn'),
+                object: 'balance_transaction',
+                amount,
+                fee: Math.round(amount * 0.029) + 30
+            }
+        };
+    };
+
+    const missing = (res, id) => sendError(res, 404, {
+        type: 'invalid_request_error',
+        code: 'resource_missing',
+        param: 'id',
+        message: `No such payment_intent: '${id}'`
+    });
+
+    app.use((req, res, next) => {
+        if (req.get('Authorization') !== `Bearer ${secretKey}`) {
+            return sendError(res, 401, { type: 'invalid_request_error', message: 'Invalid API Key provided' });
+        }
+        next();
+    });
+
+    app.post('/v1/payment_intents', (req, res) => {
+        const amount = parseInt(req.body.amount, 10);
+        if (!Number.isInteger(amount) || amount < 1) {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'parameter_invalid_integer',
+                param: 'amount',
+                message: 'Invalid positive integer'
+            });
+        }
+
+        const id = newId('pi');
+        const intent = {
+            id,
+            object: 'payment_intent',
+            amount,
+            amount_received: 0,
+            currency: req.body.currency,
+            client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+            payment_method: req.body.payment_method || null,
+            capture_method: req.body.capture_method === 'manual' ? 'manual' : 'automatic',
+            metadata: req.body.metadata || {},
+            status: req.body.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+            next_action: null,
+            last_payment_error: null,
+            latest_charge: null,
+            created: Math.floor(Date.now() / 1000)
+        };
+        intents.set(id, intent);
+        res.json(intent);
+    });
+
+    app.get('/v1/payment_intents/:id', (req, res) => {
+        const intent = intents.get(req.params.id);
+        if (!intent) {
+            return missing(res, req.params.id);
+        }
+        res.json(intent);
+    });
+
+    app.post('/v1/payment_intents/:id/confirm', (req, res) => {
+        const intent = intents.get(req.params.id);
+        if (!intent) {
+            return missing(res, req.params.id);
+        }
+        if (!['requires_payment_method', 'requires_confirmation'].includes(intent.status)) {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'payment_intent_unexpected_state',
+                message: `This PaymentIntent's status is ${intent.status} and cannot be confirmed.`
+            });
+        }
+
+        const paymentMethod = req.body.payment_method || intent.payment_method;
+        if (!paymentMethod) {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'payment_intent_unexpected_state',
+                message: 'You must provide a payment method to confirm this PaymentIntent.'
+            });
+        }
+        intent.payment_method = paymentMethod;
+
+        const decline = DECLINES[paymentMethod];
+        if (decline) {
+            intent.status = 'requires_payment_method';
+            intent.last_payment_error = { type: 'card_error', ...decline };
+            return sendError(res, 402, {
+                type: 'card_error',
+                ...decline,
+                payment_intent: intent
+            });
+        }
+
+        if (paymentMethod === 'pm_card_authenticationRequired') {
+            intent.status = 'requires_action';
+            intent.next_action = { type: 'use_stripe_sdk' };
+            return res.json(intent);
+        }
+
+        intent.last_payment_error = null;
+        if (intent.capture_method === 'manual') {
+            intent.status = 'requires_capture';
+            return res.json(intent);
+        }
+
+        charge(intent, intent.amount);
+        res.json(intent);
+    });
+
+    app.post('/v1/payment_intents/:id/capture', (req, res) => {
+        const intent = intents.get(req.params.id);
+        if (!intent) {
+            return missing(res, req.params.id);
+        }
+        if (intent.status !== 'requires_capture') {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'payment_intent_unexpected_state',
+                message: `This PaymentIntent could not be captured because it has a status of ${intent.status}.`
+            });
+        }
+
+        const amount = req.body.amount_to_capture === undefined ? intent.amount : parseInt(req.body.amount_to_capture, 10);
+        if (!Number.isInteger(amount) || amount < 1 || amount > intent.amount) {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'amount_too_large',
+                param: 'amount_to_capture',
+                message: 'The amount to capture must be less than or equal to the authorized amount.'
+            });
+        }
+
+        charge(intent, amount);
+        res.json(intent);
+    });
+
+    app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+        const intent = intents.get(req.params.id);
+        if (!intent) {
+            return missing(res, req.params.id);
+        }
+        if (['succeeded', 'canceled'].includes(intent.status)) {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'payment_intent_unexpected_state',
+                message: `You cannot cancel this PaymentIntent because it has a status of ${intent.status}.`
+            });
+        }
+
+        intent.status = 'canceled';
+        res.json(intent);
+    });
+
+    app.post('/v1/refunds', (req, res) => {
+        const intent = intents.get(req.body.payment_intent);
+        if (!intent) {
+            return missing(res, req.body.payment_intent);
+        }
+        if (intent.status !== 'succeeded') {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'charge_not_refundable',
+                message: 'This PaymentIntent does not have a successful charge to refund.'
+            });
+        }
+
+        const charged = intent.latest_charge;
+        const remaining = charged.amount - charged.amount_refunded;
+        const amount = req.body.amount === undefined ? remaining : parseInt(req.body.amount, 10);
+        if (!Number.isInteger(amount) || amount < 1 || amount > remaining) {
+            return sendError(res, 400, {
+                type: 'invalid_request_error',
+                code: 'amount_too_large',
+                param: 'amount',
+                message: `Refund amount is greater than unrefunded amount on charge (${remaining}).`
+            });
+        }
+
+        charged.amount_refunded += amount;
+        res.json({
+            id: newId('re'),
+            object: 'refund',
+            amount,
+            currency: intent.currency,
+            payment_intent: intent.id,
+            metadata: req.body.metadata || {},
+            status: 'succeeded',
+            created: Math.floor(Date.now() / 1000)
+        });
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = process.env.STRIPE_STUB_PORT || 12111;
+    const app = createStripeStub({ secretKey: process.env.STRIPE_SECRET_KEY });
+    app.listen(port, () => {
+        console.log(`Stripe stub running on port ${port}`);
+    });
+}
+
+module.exports = { createStripeStub };
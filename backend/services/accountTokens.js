@@ -0,0 +1,78 @@
+/**
+ * Single-use account tokens
+ * Signed, expiring tokens for email verification and password reset.
+ * Each token's jti is stored so it can be consumed only once.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+
+const accountTokens = collection('account_tokens');
+
+const PURPOSES = {
+    VERIFY_EMAIL: 'verify_email',
+    RESET_PASSWORD: 'reset_password'
+};
+
+const EXPIRES_IN = {
+    [PURPOSES.VERIFY_EMAIL]: config.account.emailVerificationExpiresIn,
+    [PURPOSES.RESET_PASSWORD]: config.account.passwordResetExpiresIn
+};
+
+// Issue a token for a user, invalidating earlier unused tokens of the same purpose
+const issueAccountToken = async (user, purpose) => {
+    await accountTokens.deleteMany({ userId: user.id, purpose, usedAt: null });
+
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+        { sub: user.id, purpose },
+        config.jwt.secret,
+        { expiresIn: EXPIRES_IN[purpose], jwtid: jti }
+    );
+
+    await accountTokens.insert({
+        id: jti,
+        userId: user.id,
+        purpose,
+        expiresAt: new Date(jwt.decode(token).exp * 1000),
+        usedAt: null,
+        createdAt: new Date()
+    });
+
+    return token;
+};
+
+// Verify and consume a token, returning the user id it was issued for
+const consumeAccountToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token), config.jwt.secret);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new APIError('Token has expired', 400);
+        }
+        throw new APIError('Invalid token', 400);
+    }
+
+    if (decoded.purpose !== purpose) {
+        throw new APIError('Invalid token', 400);
+    }
+
+    const record = await accountTokens.findById(decoded.jti);
+    if (!record || record.usedAt) {
+        throw new APIError('Token is invalid or has already been used', 400);
+    }
+
+    await accountTokens.update(record.id, { usedAt: new Date() });
+
+    return decoded.sub;
+};
+
+module.exports = {
+    PURPOSES,
+    issueAccountToken,
+    consumeAccountToken
+};
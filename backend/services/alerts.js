@@ -0,0 +1,340 @@
+/**
+ * Saved ArXiv searches
+ * Periodically reruns saved queries and records new papers in per-user feeds.
+ * Searches with a webhook are notified of new papers with a request signed with
+ * the search's secret, the same way merchant webhooks are (see webhookSignatures).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const { searchPapers } = require('./arxiv');
+const { SIGNATURE_HEADER, signPayload } = require('./webhookSignatures');
+const { assertPublicUrl, publicLookup } = require('./outboundRequests');
+
+const savedSearches = collection('saved_searches');
+const feedItems = collection('arxiv_alerts');
+
+// Number of recent paper ids remembered per search to detect new ones
+const SEEN_LIMIT = 500;
+
+const CRITERIA_FIELDS = ['query', 'title', 'author', 'category'];
+const MAX_NAME_LENGTH = 100;
+const SECRET_PREFIX = 'whsec_';
+
+let checkTimer = null;
+let checking = false;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const parseName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new APIError('Name is required', 400, { param: 'name' });
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        throw new APIError(`name cannot be longer than ${MAX_NAME_LENGTH} characters`, 400, { param: 'name' });
+    }
+    return name.trim();
+};
+
+// Search criteria: strings for any of CRITERIA_FIELDS, at least one of them set
+const parseCriteria = (criteria) => {
+    const parsed = {};
+    for (const field of CRITERIA_FIELDS) {
+        const value = criteria && criteria[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (typeof value !== 'string') {
+            throw new APIError(`${field} must be a string`, 400, { param: field });
+        }
+        parsed[field] = value;
+    }
+    if (!Object.keys(parsed).length) {
+        throw new APIError('At least one of query, title, author or category is required', 400);
+    }
+    return parsed;
+};
+
+// A webhook URL, or null to have none; it must point to a public address
+const parseWebhookUrl = async (url) => {
+    if (url === undefined || url === null || url === '') {
+        return null;
+    }
+    if (typeof url !== 'string') {
+        throw new APIError('webhookUrl must be a valid http(s) URL', 400, { param: 'webhookUrl' });
+    }
+    return assertPublicUrl(url, 'webhookUrl');
+};
+
+// Public representation of a saved search; the secret is only included when asked for
+const formatSavedSearch = (search, { includeSecret = false } = {}) => ({
+    id: search.id,
+    name: search.name,
+    criteria: search.criteria,
+    webhookUrl: search.webhookUrl,
+    ...(includeSecret ? { secret: search.secret } : {}),
+    lastCheckedAt: search.lastCheckedAt,
+    lastError: search.lastError,
+    createdAt: search.createdAt,
+    updatedAt: search.updatedAt
+});
+
+// Get a saved search, verifying the user owns it
+const getOwnedSearch = async (userId, id) => {
+    const search = await savedSearches.findById(id);
+    if (!search) {
+        throw new APIError('Saved search not found', 404);
+    }
+    if (search.userId !== userId) {
+        throw new APIError('Unauthorized', 403);
+    }
+    return search;
+};
+
+// Run the saved query, newest submissions first
+const fetchLatest = (search) => searchPapers(search.criteria, {
+    maxResults: config.alerts.resultsPerCheck,
+    sortBy: 'submittedDate',
+    sortOrder: 'descending'
+});
+
+// Notify the search's webhook of new papers
+const sendWebhook = async (search, papers) => {
+    const body = JSON.stringify({
+        event: 'arxiv.alert',
+        savedSearch: { id: search.id, name: search.name },
+        papers,
+        timestamp: new Date()
+    });
+
+    try {
+        // The webhook's host may have been repointed since it was saved
+        await assertPublicUrl(search.webhookUrl, 'webhookUrl');
+        await axios.post(search.webhookUrl, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                [SIGNATURE_HEADER]: signPayload(body, search.secret)
+            },
+            timeout: config.alerts.webhookTimeout,
+            lookup: publicLookup,
+            maxRedirects: 0
+        });
+    } catch (error) {
+        console.error(`Alert webhook for saved search ${search.id} failed:`, error.message);
+    }
+};
+
+// Drop the oldest feed items beyond the per-user limit
+const trimFeed = async (userId) => {
+    const overflow = await feedItems.find(
+        { userId },
+        { sort: { foundAt: -1 }, offset: config.alerts.maxFeedItems }
+    );
+    await Promise.all(overflow.map(item => feedItems.delete(item.id)));
+};
+
+// Rerun a saved search and add unseen papers to the owner's feed
+const checkSavedSearch = async (search) => {
+    let result;
+    try {
+        result = await fetchLatest(search);
+    } catch (error) {
+        await savedSearches.update(search.id, {
+            lastError: error.message,
+            lastCheckedAt: new Date()
+        });
+        throw error;
+    }
+
+    const seen = new Set(search.seenIds);
+    const newPapers = result.papers.filter(paper => !seen.has(paper.id));
+
+    // Papers only count as seen once they are in the feed, so a failed insert is
+    // retried next check; any that did make it in last time are skipped
+    const feedItemId = (paper) => `${search.id}-${paper.id}`;
+    const inFeed = new Set((await feedItems.find({ id: { $in: newPapers.map(feedItemId) } }, { operators: true })).map(item => item.id));
+    const foundAt = new Date();
+    const items = await Promise.all(newPapers
+        .filter(paper => !inFeed.has(feedItemId(paper)))
+        .map(paper => feedItems.insert({
+            id: feedItemId(paper),
+            userId: search.userId,
+            savedSearchId: search.id,
+            savedSearchName: search.name,
+            paper,
+            read: false,
+            foundAt
+        })));
+
+    await savedSearches.update(search.id, {
+        seenIds: [...newPapers.map(paper => paper.id), ...search.seenIds].slice(0, SEEN_LIMIT),
+        lastCheckedAt: new Date(),
+        lastError: null
+    });
+
+    if (!newPapers.length) {
+        return [];
+    }
+
+    await trimFeed(search.userId);
+
+    if (search.webhookUrl) {
+        await sendWebhook(search, newPapers);
+    }
+
+    return items;
+};
+
+// Create a saved search; current results become the baseline so only later papers alert.
+// The result holds the webhook signing secret, which is only returned here and by rotateSecret.
+const createSavedSearch = async (userId, { name, criteria, webhookUrl }) => {
+    const owned = await savedSearches.count({ userId });
+    if (owned >= config.alerts.maxSavedSearches) {
+        throw new APIError(`Cannot save more than ${config.alerts.maxSavedSearches} searches`, 400);
+    }
+
+    const search = {
+        id: crypto.randomUUID(),
+        userId,
+        name: parseName(name),
+        criteria: parseCriteria(criteria),
+        webhookUrl: await parseWebhookUrl(webhookUrl),
+        secret: generateSecret(),
+        seenIds: [],
+        lastCheckedAt: null,
+        lastError: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+
+    // Validates the query against ArXiv and seeds the seen ids
+    const result = await fetchLatest(search);
+    search.seenIds = result.papers.map(paper => paper.id);
+    search.lastCheckedAt = new Date();
+
+    return formatSavedSearch(await savedSearches.insert(search), { includeSecret: true });
+};
+
+// List a user's saved searches
+const listSavedSearches = async (userId) => {
+    const searches = await savedSearches.find({ userId }, { sort: { createdAt: -1 } });
+    return searches.map(formatSavedSearch);
+};
+
+// Update name or webhook of a saved search
+const updateSavedSearch = async (userId, id, { name, webhookUrl }) => {
+    await getOwnedSearch(userId, id);
+
+    const changes = { updatedAt: new Date() };
+    if (name !== undefined) {
+        changes.name = parseName(name);
+    }
+    if (webhookUrl !== undefined) {
+        changes.webhookUrl = await parseWebhookUrl(webhookUrl);
+    }
+
+    return formatSavedSearch(await savedSearches.update(id, changes));
+};
+
+// Replace a saved search's webhook secret; webhooks are signed with the new one straight away
+const rotateSecret = async (userId, id) => {
+    await getOwnedSearch(userId, id);
+    const search = await savedSearches.update(id, { secret: generateSecret(), updatedAt: new Date() });
+    return formatSavedSearch(search, { includeSecret: true });
+};
+
+// Delete a saved search and its feed items
+const deleteSavedSearch = async (userId, id) => {
+    await getOwnedSearch(userId, id);
+    await savedSearches.delete(id);
+    await feedItems.deleteMany({ userId, savedSearchId: id });
+};
+
+// Check one of the user's saved searches immediately
+const checkNow = async (userId, id) => {
+    const search = await getOwnedSearch(userId, id);
+    return checkSavedSearch(search);
+};
+
+// Get a page of a user's alert feed, newest first, of at most config.arxiv.maxPageSize items
+const getFeed = async (userId, { savedSearchId, unreadOnly = false, offset = 0, limit = config.arxiv.maxPageSize } = {}) => {
+    if (limit > config.arxiv.maxPageSize) {
+        throw new APIError(`limit cannot exceed ${config.arxiv.maxPageSize}`, 400);
+    }
+
+    const filter = { userId };
+    if (savedSearchId) {
+        filter.savedSearchId = savedSearchId;
+    }
+    if (unreadOnly) {
+        filter.read = false;
+    }
+
+    const [items, total, unread] = await Promise.all([
+        feedItems.find(filter, { sort: { foundAt: -1 }, offset, limit }),
+        feedItems.count(filter),
+        feedItems.count({ ...filter, read: false })
+    ]);
+
+    return { items, total, unread };
+};
+
+// Mark feed items as read; all items when no ids are given
+const markRead = async (userId, ids) => {
+    const unread = await feedItems.find({ userId, read: false });
+    const toMark = unread.filter(item => !ids || ids.includes(item.id));
+    await Promise.all(toMark.map(item => feedItems.update(item.id, { read: true })));
+    return toMark.length;
+};
+
+// Check every saved search, pausing between ArXiv calls
+const checkAllSavedSearches = async () => {
+    if (checking) {
+        return;
+    }
+    checking = true;
+
+    try {
+        for (const search of await savedSearches.find()) {
+            try {
+                await checkSavedSearch(search);
+            } catch (error) {
+                console.error(`Check of saved search ${search.id} failed:`, error.message);
+            }
+            await delay(config.harvest.requestDelay);
+        }
+    } finally {
+        checking = false;
+    }
+};
+
+// Schedule periodic checks of all saved searches
+const startAlertSchedule = () => {
+    if (!config.alerts.interval || checkTimer) {
+        return;
+    }
+
+    checkTimer = setInterval(() => {
+        checkAllSavedSearches().catch(error => console.error('Saved search check failed:', error.message));
+    }, config.alerts.interval * 60 * 1000);
+
+    // Don't keep the process alive just for the schedule
+    checkTimer.unref();
+};
+
+module.exports = {
+    createSavedSearch,
+    listSavedSearches,
+    updateSavedSearch,
+    deleteSavedSearch,
+    rotateSecret,
+    checkNow,
+    getFeed,
+    markRead,
+    startAlertSchedule
+};
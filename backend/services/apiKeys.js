@@ -0,0 +1,145 @@
+/**
+ * API keys
+ * Long-lived, scoped credentials for server-to-server clients.
+ * Only a hash of each key is stored; the key itself is shown once at creation.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+
+const apiKeys = collection('api_keys');
+const users = collection('users');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keys are random, so a fast hash is enough
+const hashKey = (key) => {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Public representation of a key, without its hash
+const formatApiKey = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+});
+
+// Validate requested scopes against the configured list
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new APIError('scopes must be a non-empty array', 400);
+    }
+
+    const unknown = scopes.filter(scope => !config.apiKeys.scopes.includes(scope));
+    if (unknown.length) {
+        throw new APIError(`Unknown scopes: ${unknown.join(', ')}`, 400, {
+            allowedScopes: config.apiKeys.scopes
+        });
+    }
+
+    return [...new Set(scopes)];
+};
+
+// Validate the requested lifetime in days
+const validateExpiry = (expiresInDays = config.apiKeys.defaultExpiresInDays) => {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > config.apiKeys.maxExpiresInDays) {
+        throw new APIError(
+            `expiresInDays must be an integer between 1 and ${config.apiKeys.maxExpiresInDays}`,
+            400
+        );
+    }
+    return days;
+};
+
+// Create a key for a user, returning the plain key alongside its record
+const createApiKey = async (user, { name, scopes, expiresInDays }) => {
+    if (!name || typeof name !== 'string') {
+        throw new APIError('Name is required', 400);
+    }
+
+    const validScopes = validateScopes(scopes);
+    const days = validateExpiry(expiresInDays);
+
+    const active = await listApiKeys(user.id);
+    if (active.length >= config.apiKeys.maxPerUser) {
+        throw new APIError(`You can have at most ${config.apiKeys.maxPerUser} active API keys`, 400);
+    }
+
+    const key = `${config.apiKeys.prefix}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        name: name.trim(),
+        prefix: key.slice(0, config.apiKeys.prefix.length + 8),
+        keyHash: hashKey(key),
+        scopes: validScopes,
+        expiresAt: new Date(Date.now() + days * DAY_MS),
+        lastUsedAt: null,
+        revokedAt: null,
+        createdAt: new Date()
+    };
+
+    await apiKeys.insert(apiKey);
+
+    return { key, apiKey: formatApiKey(apiKey) };
+};
+
+// List a user's keys that are neither revoked nor expired
+const listApiKeys = async (userId) => {
+    const now = Date.now();
+    const keys = await apiKeys.find({ userId, revokedAt: null }, { sort: { createdAt: -1 } });
+    return keys
+        .filter(apiKey => new Date(apiKey.expiresAt).getTime() > now)
+        .map(formatApiKey);
+};
+
+// Revoke one of a user's keys
+const revokeApiKey = async (userId, id) => {
+    const apiKey = await apiKeys.findById(id);
+    if (!apiKey || apiKey.userId !== userId) {
+        throw new APIError('API key not found', 404);
+    }
+    if (apiKey.revokedAt) {
+        throw new APIError('API key has already been revoked', 400);
+    }
+
+    return formatApiKey(await apiKeys.update(id, { revokedAt: new Date() }));
+};
+
+// Resolve a presented key to its record and owner
+const authenticateApiKey = async (key) => {
+    const apiKey = await apiKeys.findOne({ keyHash: hashKey(key) });
+    if (!apiKey || apiKey.revokedAt) {
+        throw new APIError('Invalid API key', 401);
+    }
+    if (new Date(apiKey.expiresAt).getTime() <= Date.now()) {
+        throw new APIError('API key has expired', 401);
+    }
+
+    const user = await users.findById(apiKey.userId);
+    if (!user) {
+        throw new APIError('Invalid API key', 401);
+    }
+    if (user.disabled) {
+        throw new APIError('Account is disabled', 403);
+    }
+
+    await apiKeys.update(apiKey.id, { lastUsedAt: new Date() });
+
+    return { apiKey, user };
+};
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    authenticateApiKey
+};
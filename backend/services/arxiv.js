@@ -0,0 +1,330 @@
+/**
+ * ArXiv API client
+ * Builds search queries, calls the ArXiv Atom API and normalizes entries
+ */
+
+const axios = require('axios');
+const xml2js = require('xml2js');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+
+const SORT_FIELDS = ['relevance', 'lastUpdatedDate', 'submittedDate'];
+const SORT_ORDERS = ['ascending', 'descending'];
+
+// Matches new-style (2101.00001v2) and old-style (hep-th/9901001v1) identifiers
+const ID_PATTERN = /^((?:\d{4}\.\d{4,5})|(?:[a-z-]+(?:\.[A-Z]{2})?\/\d{7}))(v\d+)?$/;
+
+// Wrap a value in an array (xml2js returns single children as plain values)
+const toArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+// Extract the text content of an xml2js node
+const text = (node) => {
+    if (node === undefined || node === null) return null;
+    const value = typeof node === 'object' ? node._ : node;
+    return value === undefined ? null : String(value).replace(/\s+/g, ' ').trim();
+};
+
+// Parse an XML response, reporting unparseable ones as a bad gateway
+const parseXml = async (xml, service) => {
+    try {
+        return await xml2js.parseStringPromise(xml, { explicitArray: false });
+    } catch (error) {
+        throw new APIError(`Unexpected response from ${service}`, 502);
+    }
+};
+
+// Split an ArXiv identifier into its base id and version
+const parseId = (rawId) => {
+    const id = String(rawId)
+        .trim()
+        .replace(/^https?:\/\/arxiv\.org\/abs\//, '')
+        .replace(/^arxiv:/i, '');
+    const match = ID_PATTERN.exec(id);
+    if (!match) {
+        return null;
+    }
+    return {
+        id: match[1],
+        version: match[2] ? parseInt(match[2].slice(1), 10) : null
+    };
+};
+
+// Quote a search term if it contains whitespace
+const quoteTerm = (term) => {
+    const cleaned = String(term).replace(/["()]/g, '').trim();
+    return /\s/.test(cleaned) ? `"${cleaned}"` : cleaned;
+};
+
+// Format a date as the YYYYMMDDHHMM string used by submittedDate ranges
+const formatDate = (value, endOfDay = false) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new APIError(`Invalid date: ${value}`, 400);
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+    return endOfDay ? `${day}2359` : `${day}0000`;
+};
+
+// Format a timestamp to the minute for lastUpdatedDate ranges
+const formatTimestamp = (value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new APIError(`Invalid date: ${value}`, 400);
+    }
+    return date.toISOString().replace(/[-T:]/g, '').slice(0, 12);
+};
+
+// Build an ArXiv search_query string from search parameters
+const buildSearchQuery = ({ query, title, author, category, from, to, updatedSince } = {}) => {
+    const clauses = [];
+
+    if (query) {
+        String(query).split(/\s+/).filter(Boolean)
+            .forEach(term => clauses.push(`all:${quoteTerm(term)}`));
+    }
+
+    if (title) {
+        clauses.push(`ti:${quoteTerm(title)}`);
+    }
+
+    if (author) {
+        clauses.push(`au:${quoteTerm(author)}`);
+    }
+
+    if (category) {
+        const categories = toArray(category)
+            .flatMap(value => String(value).split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+        if (categories.length === 1) {
+            clauses.push(`cat:${categories[0]}`);
+        } else if (categories.length > 1) {
+            clauses.push(`(${categories.map(cat => `cat:${cat}`).join(' OR ')})`);
+        }
+    }
+
+    if (from || to) {
+        const start = from ? formatDate(from) : '000001010000';
+        const end = to ? formatDate(to, true) : '999912312359';
+        clauses.push(`submittedDate:[${start} TO ${end}]`);
+    }
+
+    if (updatedSince) {
+        clauses.push(`lastUpdatedDate:[${formatTimestamp(updatedSince)} TO 999912312359]`);
+    }
+
+    return clauses.join(' AND ');
+};
+
+// Convert an Atom entry into the API's paper shape
+const normalizeEntry = (entry) => {
+    const parsed = parseId(text(entry.id)) || { id: text(entry.id), version: null };
+    const links = toArray(entry.link).map(link => link.$ || {});
+    const pdfLink = links.find(link => link.title === 'pdf');
+    const absLink = links.find(link => link.rel === 'alternate');
+    const primaryCategory = entry['arxiv:primary_category'];
+
+    return {
+        id: parsed.id,
+        version: parsed.version,
+        title: text(entry.title),
+        authors: toArray(entry.author).map(author => ({
+            name: text(author.name),
+            affiliations: toArray(author['arxiv:affiliation']).map(text)
+        })),
+        abstract: text(entry.summary),
+        categories: toArray(entry.category).map(cat => cat.$.term),
+        primaryCategory: primaryCategory ? primaryCategory.$.term : null,
+        pdfUrl: pdfLink ? pdfLink.href : null,
+        absUrl: absLink ? absLink.href : null,
+        doi: text(entry['arxiv:doi']),
+        journalRef: text(entry['arxiv:journal_ref']),
+        comment: text(entry['arxiv:comment']),
+        published: entry.published ? new Date(text(entry.published)) : null,
+        updated: entry.updated ? new Date(text(entry.updated)) : null
+    };
+};
+
+// Parse an Atom feed returned by the ArXiv API
+const parseFeed = async (xml) => {
+    const result = await parseXml(xml, 'ArXiv');
+    const feed = result && result.feed;
+    if (!feed) {
+        throw new APIError('Unexpected response from ArXiv', 502);
+    }
+
+    const entries = toArray(feed.entry);
+
+    // ArXiv reports malformed queries as a single entry with an error id
+    const errorEntry = entries.find(entry => String(text(entry.id)).includes('/api/errors'));
+    if (errorEntry) {
+        throw new APIError(text(errorEntry.summary) || 'Invalid ArXiv query', 400);
+    }
+
+    return {
+        total: parseInt(text(feed['opensearch:totalResults']), 10) || 0,
+        start: parseInt(text(feed['opensearch:startIndex']), 10) || 0,
+        papers: entries.map(normalizeEntry)
+    };
+};
+
+// Call the ArXiv API and return the parsed feed
+const fetchFeed = async (params) => {
+    try {
+        const response = await axios.get(config.arxiv.baseUrl, {
+            params,
+            timeout: config.arxiv.timeout,
+            responseType: 'text'
+        });
+        return await parseFeed(response.data);
+    } catch (error) {
+        if (error instanceof APIError) {
+            throw error;
+        }
+        if (error.response) {
+            throw new APIError('ArXiv service error', 502, {
+                status: error.response.status
+            });
+        }
+        if (error.code === 'ECONNABORTED') {
+            throw new APIError('ArXiv service timed out', 504);
+        }
+        throw new APIError('ArXiv service unavailable', 503);
+    }
+};
+
+// Fetch the version history of a paper from the ArXiv OAI-PMH interface
+const fetchVersionHistory = async (id) => {
+    let xml;
+    try {
+        const response = await axios.get(config.arxiv.oaiUrl, {
+            params: {
+                verb: 'GetRecord',
+                identifier: `oai:arXiv.org:${id}`,
+                metadataPrefix: 'arXivRaw'
+            },
+            timeout: config.arxiv.timeout,
+            responseType: 'text'
+        });
+        xml = response.data;
+    } catch (error) {
+        if (error.response) {
+            throw new APIError('ArXiv OAI service error', 502, {
+                status: error.response.status
+            });
+        }
+        if (error.code === 'ECONNABORTED') {
+            throw new APIError('ArXiv OAI service timed out', 504);
+        }
+        throw new APIError('ArXiv OAI service unavailable', 503);
+    }
+
+    const unexpected = () => new APIError('Unexpected response from ArXiv OAI service', 502);
+
+    const result = await parseXml(xml, 'ArXiv OAI service');
+    const oai = result && result['OAI-PMH'];
+    if (!oai) {
+        throw unexpected();
+    }
+
+    // Errors come back as <error code="...">, e.g. idDoesNotExist for unknown papers
+    if (oai.error) {
+        const code = oai.error.$ && oai.error.$.code;
+        if (code === 'idDoesNotExist') {
+            throw new APIError('Paper not found', 404);
+        }
+        throw new APIError(text(oai.error) || 'ArXiv OAI service error', 502, { code });
+    }
+
+    const record = oai.GetRecord && oai.GetRecord.record;
+    if (!record) {
+        throw unexpected();
+    }
+    // Withdrawn records keep only a header marked deleted
+    if (record.header && record.header.$ && record.header.$.status === 'deleted') {
+        throw new APIError('Paper not found', 404);
+    }
+    const raw = record.metadata && record.metadata.arXivRaw;
+    if (!raw || typeof raw !== 'object') {
+        throw unexpected();
+    }
+
+    return toArray(raw.version).map(version => {
+        const label = version.$ && /^v(\d+)$/.exec(version.$.version);
+        if (!label) {
+            throw unexpected();
+        }
+        return {
+            version: parseInt(label[1], 10),
+            date: new Date(text(version.date)),
+            size: text(version.size)
+        };
+    });
+};
+
+// Fetch a single paper with its full version history
+const getPaper = async (rawId) => {
+    const parsed = parseId(rawId);
+    if (!parsed) {
+        throw new APIError('Invalid ArXiv identifier', 400);
+    }
+
+    const idList = parsed.version ? `${parsed.id}v${parsed.version}` : parsed.id;
+
+    const [feed, versions] = await Promise.all([
+        fetchFeed({ id_list: idList, max_results: 1 }),
+        fetchVersionHistory(parsed.id)
+    ]);
+
+    // Unknown ids come back as an empty feed or an entry without a title
+    const paper = feed.papers[0];
+    if (!paper || !paper.title) {
+        throw new APIError('Paper not found', 404);
+    }
+
+    return {
+        ...paper,
+        latestVersion: versions.length ? versions[versions.length - 1].version : paper.version,
+        versions
+    };
+};
+
+// Search ArXiv with paging and sort options
+const searchPapers = async (criteria = {}, { start = 0, maxResults, sortBy, sortOrder } = {}) => {
+    const searchQuery = buildSearchQuery(criteria);
+    if (!searchQuery) {
+        throw new APIError('At least one of query, title, author, category or date range is required', 400);
+    }
+
+    const sort = sortBy || config.arxiv.sortBy;
+    const order = sortOrder || config.arxiv.sortOrder;
+
+    if (!SORT_FIELDS.includes(sort)) {
+        throw new APIError(`Invalid sortBy. Allowed values: ${SORT_FIELDS.join(', ')}`, 400);
+    }
+
+    if (!SORT_ORDERS.includes(order)) {
+        throw new APIError(`Invalid sortOrder. Allowed values: ${SORT_ORDERS.join(', ')}`, 400);
+    }
+
+    return fetchFeed({
+        search_query: searchQuery,
+        start,
+        max_results: maxResults || config.arxiv.maxResults,
+        sortBy: sort,
+        sortOrder: order
+    });
+};
+
+module.exports = {
+    buildSearchQuery,
+    parseFeed,
+    parseId,
+    getPaper,
+    searchPapers,
+    fetchFeed
+};
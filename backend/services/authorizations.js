@@ -0,0 +1,84 @@
+/**
+ * Payment authorizations
+ * Expires holds that were never captured, releasing them at the gateway
+ */
+
+const config = require('../config/config');
+const { collection } = require('../db');
+const { gateway } = require('./gateways');
+const { emitPaymentEvent } = require('./merchantWebhooks');
+
+const payments = collection('payments');
+
+let sweepTimer = null;
+let sweeping = false;
+
+// When a new authorization should lapse
+const authorizationExpiresAt = (authorizedAt = new Date()) => {
+    return new Date(authorizedAt.getTime() + config.payment.authorizations.expiresIn * 1000);
+};
+
+const isAuthorizationExpired = (payment, now = Date.now()) => {
+    return payment.status === 'authorized' && new Date(payment.authorizationExpiresAt).getTime() <= now;
+};
+
+// Mark an authorization expired and send its webhook event; the gateway hold is
+// released on a best-effort basis
+const expireAuthorization = async (payment) => {
+    if (payment.gatewayIntentId) {
+        try {
+            await gateway.cancelIntent(payment.gatewayIntentId);
+        } catch (error) {
+            console.error(`Failed to release hold for payment ${payment.id}:`, error.message);
+        }
+    }
+
+    const expired = await payments.update(payment.id, {
+        status: 'expired',
+        expiredAt: new Date(),
+        updatedAt: new Date()
+    });
+    await emitPaymentEvent(expired);
+    return expired;
+};
+
+// Expire every authorization past its window, returning how many lapsed
+const expireAuthorizations = async (now = Date.now()) => {
+    if (sweeping) {
+        return 0;
+    }
+    sweeping = true;
+
+    try {
+        const held = await payments.find({ status: 'authorized' });
+        const expired = held.filter(payment => isAuthorizationExpired(payment, now));
+        for (const payment of expired) {
+            await expireAuthorization(payment);
+        }
+        return expired.length;
+    } finally {
+        sweeping = false;
+    }
+};
+
+// Schedule periodic sweeps for expired authorizations
+const startAuthorizationExpirySchedule = () => {
+    if (!config.payment.authorizations.checkInterval || sweepTimer) {
+        return;
+    }
+
+    sweepTimer = setInterval(() => {
+        expireAuthorizations().catch(error => console.error('Authorization expiry sweep failed:', error.message));
+    }, config.payment.authorizations.checkInterval * 60 * 1000);
+
+    // Don't keep the process alive just for the schedule
+    sweepTimer.unref();
+};
+
+module.exports = {
+    authorizationExpiresAt,
+    isAuthorizationExpired,
+    expireAuthorization,
+    expireAuthorizations,
+    startAuthorizationExpirySchedule
+};
@@ -0,0 +1,61 @@
+/**
+ * Admin bootstrap
+ * Creates the first admin account, or promotes an existing user to admin
+ */
+
+const bcrypt = require('bcryptjs');
+const config = require('../config/config');
+const { collection } = require('../db');
+
+const users = collection('users');
+
+// Ensure an admin account exists for the given email
+const ensureAdmin = async ({ email, password, name = config.admin.name }) => {
+    if (!email || !password) {
+        throw new Error('Admin email and password are required');
+    }
+
+    const existing = await users.findOne({ email });
+    if (existing) {
+        if (existing.role !== 'admin') {
+            await users.update(existing.id, { role: 'admin', updatedAt: new Date() });
+            return { created: false, promoted: true, id: existing.id };
+        }
+        return { created: false, promoted: false, id: existing.id };
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const user = {
+        id: Date.now().toString(),
+        email,
+        name,
+        password: await bcrypt.hash(password, salt),
+        role: 'admin',
+        emailVerified: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+
+    await users.insert(user);
+    return { created: true, promoted: false, id: user.id };
+};
+
+// Create the admin configured through ADMIN_EMAIL / ADMIN_PASSWORD, if any
+const ensureConfiguredAdmin = async () => {
+    if (!config.admin.email || !config.admin.password) {
+        return null;
+    }
+
+    const result = await ensureAdmin(config.admin);
+    if (result.created) {
+        console.log(`Created admin account ${config.admin.email}`);
+    } else if (result.promoted) {
+        console.log(`Promoted ${config.admin.email} to admin`);
+    }
+    return result;
+};
+
+module.exports = {
+    ensureAdmin,
+    ensureConfiguredAdmin
+};
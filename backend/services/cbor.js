@@ -0,0 +1,138 @@
+/**
+ * Minimal CBOR (RFC 8949) encoder and decoder
+ * Covers the subset WebAuthn uses: integers, byte and text strings, arrays,
+ * maps, booleans and null. Maps decode to Map so integer COSE keys survive.
+ */
+
+// Decode one item at offset, returning it with the offset just past it
+const decodeItem = (buffer, offset) => {
+    if (offset >= buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+    }
+
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let length;
+    if (info < 24) {
+        length = info;
+    } else if (info === 24) {
+        length = buffer.readUInt8(offset);
+        offset += 1;
+    } else if (info === 25) {
+        length = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (info === 26) {
+        length = buffer.readUInt32BE(offset);
+        offset += 4;
+    } else if (info === 27) {
+        length = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    } else {
+        throw new Error('Indefinite-length CBOR items are not supported');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: length, offset };
+        case 1:
+            return { value: -1 - length, offset };
+        case 2:
+            return { value: buffer.subarray(offset, offset + length), offset: offset + length };
+        case 3:
+            return { value: buffer.toString('utf8', offset, offset + length), offset: offset + length };
+        case 4: {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                const item = decodeItem(buffer, offset);
+                items.push(item.value);
+                offset = item.offset;
+            }
+            return { value: items, offset };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length; i++) {
+                const key = decodeItem(buffer, offset);
+                const value = decodeItem(buffer, key.offset);
+                map.set(key.value, value.value);
+                offset = value.offset;
+            }
+            return { value: map, offset };
+        }
+        case 7:
+            if (info === 20) return { value: false, offset };
+            if (info === 21) return { value: true, offset };
+            if (info === 22 || info === 23) return { value: null, offset };
+            throw new Error('Unsupported CBOR simple value');
+        default:
+            throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+};
+
+// Decode the first item in a buffer; trailing bytes are left to the caller
+const decodeFirst = (buffer, offset = 0) => decodeItem(Buffer.from(buffer), offset);
+
+// Decode a buffer holding exactly one item
+const decode = (buffer) => {
+    const { value, offset } = decodeFirst(buffer);
+    if (offset !== buffer.length) {
+        throw new Error('Unexpected trailing CBOR data');
+    }
+    return value;
+};
+
+// Encode a major type and length header
+const encodeHeader = (major, length) => {
+    if (length < 24) {
+        return Buffer.from([(major << 5) | length]);
+    }
+    if (length < 0x100) {
+        return Buffer.from([(major << 5) | 24, length]);
+    }
+    if (length < 0x10000) {
+        const header = Buffer.alloc(3);
+        header[0] = (major << 5) | 25;
+        header.writeUInt16BE(length, 1);
+        return header;
+    }
+    const header = Buffer.alloc(5);
+    header[0] = (major << 5) | 26;
+    header.writeUInt32BE(length, 1);
+    return header;
+};
+
+// Encode a value; plain objects are encoded as maps with string keys
+const encode = (value) => {
+    if (value === null || value === undefined) {
+        return Buffer.from([0xf6]);
+    }
+    if (value === false || value === true) {
+        return Buffer.from([value ? 0xf5 : 0xf4]);
+    }
+    if (Number.isInteger(value)) {
+        return value >= 0 ? encodeHeader(0, value) : encodeHeader(1, -1 - value);
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return Buffer.concat([encodeHeader(2, value.length), Buffer.from(value)]);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([encodeHeader(3, bytes.length), bytes]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([encodeHeader(4, value.length), ...value.map(encode)]);
+    }
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    return Buffer.concat([
+        encodeHeader(5, entries.length),
+        ...entries.flatMap(([key, item]) => [encode(key), encode(item)])
+    ]);
+};
+
+module.exports = {
+    decode,
+    decodeFirst,
+    encode
+};
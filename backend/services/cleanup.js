@@ -0,0 +1,61 @@
+/**
+ * Expired record cleanup
+ * Periodically deletes stored records whose expiry has passed. Readers already
+ * ignore expired records, so this only keeps the tables from growing.
+ */
+
+const config = require('../config/config');
+const { purgeExpiredTokens } = require('./tokens');
+const { purgeExpiredAttempts } = require('./loginThrottle');
+const { purgeExpiredKeys } = require('../middleware/idempotency');
+
+// Name and purge function of each kind of expiring record
+const TASKS = [
+    ['sessions and tokens', purgeExpiredTokens],
+    ['login attempts', purgeExpiredAttempts],
+    ['idempotency keys', purgeExpiredKeys]
+];
+
+let cleanupTimer = null;
+let cleaning = false;
+
+// Run every purge once, returning how many records each deleted
+const runCleanup = async (now = new Date()) => {
+    if (cleaning) {
+        return {};
+    }
+    cleaning = true;
+
+    try {
+        const deleted = {};
+        for (const [name, purge] of TASKS) {
+            try {
+                deleted[name] = await purge(now);
+            } catch (error) {
+                console.error(`Failed to purge expired ${name}:`, error.message);
+            }
+        }
+        return deleted;
+    } finally {
+        cleaning = false;
+    }
+};
+
+// Schedule periodic cleanup runs
+const startCleanupSchedule = () => {
+    if (!config.cleanup.interval || cleanupTimer) {
+        return;
+    }
+
+    cleanupTimer = setInterval(() => {
+        runCleanup().catch(error => console.error('Cleanup run failed:', error.message));
+    }, config.cleanup.interval * 60 * 1000);
+
+    // Don't keep the process alive just for the schedule
+    cleanupTimer.unref();
+};
+
+module.exports = {
+    runCleanup,
+    startCleanupSchedule
+};
@@ -0,0 +1,22 @@
+/**
+ * Clock
+ * Source of the current time for billing, so tests can move time forward
+ * instead of waiting for it
+ */
+
+const systemClock = () => new Date();
+
+let current = systemClock;
+
+// Current time as a Date
+const now = () => new Date(current());
+
+// Replace the clock (a function returning a Date or timestamp); call with nothing to restore it
+const setClock = (clock) => {
+    current = clock || systemClock;
+};
+
+module.exports = {
+    now,
+    setClock
+};
@@ -0,0 +1,88 @@
+/**
+ * Elasticsearch client
+ * Shared client instance and index setup for search and ingestion
+ */
+
+const { Client } = require('@elastic/elasticsearch');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+
+// Initialize Elasticsearch client
+const client = new Client({
+    node: config.elasticsearch.node,
+    auth: {
+        username: config.elasticsearch.auth.username,
+        password: config.elasticsearch.auth.password
+    }
+});
+
+// Index names
+const INDICES = {
+    PAPERS: 'papers',
+    BLOG_POSTS: 'blog_posts'
+};
+
+// Helper function to check if index exists
+const indexExists = async (indexName) => {
+    try {
+        return await client.indices.exists({ index: indexName });
+    } catch (error) {
+        console.error(`Error checking index ${indexName}:`, error);
+        return false;
+    }
+};
+
+// Helper function to create index if it doesn't exist
+const createIndexIfNotExists = async (indexName, mappings) => {
+    const exists = await indexExists(indexName);
+    if (!exists) {
+        try {
+            await client.indices.create({
+                index: indexName,
+                body: {
+                    mappings
+                }
+            });
+            console.log(`Index ${indexName} created successfully`);
+        } catch (error) {
+            console.error(`Error creating index ${indexName}:`, error);
+            throw new APIError('Failed to create search index', 500);
+        }
+    }
+};
+
+// Initialize indices with mappings
+const initializeIndices = async () => {
+    // Papers index mapping
+    await createIndexIfNotExists(INDICES.PAPERS, {
+        properties: {
+            arxivId: { type: 'keyword' },
+            title: { type: 'text' },
+            authors: { type: 'keyword' },
+            abstract: { type: 'text' },
+            categories: { type: 'keyword' },
+            primaryCategory: { type: 'keyword' },
+            published: { type: 'date' },
+            updated: { type: 'date' }
+        }
+    });
+
+    // Blog posts index mapping
+    await createIndexIfNotExists(INDICES.BLOG_POSTS, {
+        properties: {
+            title: { type: 'text' },
+            content: { type: 'text' },
+            author: { type: 'keyword' },
+            tags: { type: 'keyword' },
+            createdAt: { type: 'date' }
+        }
+    });
+};
+
+module.exports = {
+    client,
+    INDICES,
+    indexExists,
+    createIndexIfNotExists,
+    initializeIndices
+};
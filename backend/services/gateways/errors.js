@@ -0,0 +1,35 @@
+/**
+ * Gateway errors
+ * Maps gateway failures onto APIError, keeping the gateway's codes in the details
+ * so clients can tell card_declined from insufficient_funds
+ */
+
+const { APIError } = require('../../middleware/errorHandler');
+
+// HTTP status for each kind of gateway failure
+const STATUS_BY_TYPE = {
+    card_error: 402,
+    invalid_request_error: 400,
+    not_found: 404,
+    idempotency_error: 409,
+    rate_limit_error: 429,
+    api_error: 502,
+    authentication_error: 502,
+    unavailable: 503,
+    timeout: 504
+};
+
+// Build an APIError for a gateway failure
+const paymentError = ({ gateway, type, message, code = null, declineCode = null, param = null }) => {
+    return new APIError(message, STATUS_BY_TYPE[type] || 502, {
+        gateway,
+        type,
+        code,
+        declineCode,
+        param
+    });
+};
+
+module.exports = {
+    paymentError
+};
@@ -0,0 +1,55 @@
+/**
+ * Payment gateways
+ * Opens the gateway selected in config.payment.gateway
+ *
+ * Every gateway exposes the same async interface:
+ *   createIntent({ amount, currency, paymentMethod, captureMethod, metadata }),
+ *   confirmIntent(intentId, { paymentMethod }),
+ *   captureIntent(intentId, { amount }),
+ *   cancelIntent(intentId),
+ *   refund(intentId, { amount, reason }),
+ *   retrieveIntent(intentId)
+ * and describes the webhooks it sends:
+ *   webhookSignatureHeader, the header carrying the "t=...,v1=..." signature,
+ *   parseWebhookEvent(body), translating a delivery into the events ../paymentWebhooks applies
+ *
+ * With captureMethod 'manual', a confirmed intent is only authorized until captured.
+ * Intents are normalized to { id, status, amount, amountCaptured, amountRefunded, currency, fee, clientSecret, nextAction, error },
+ * where status is one of INTENT_STATUSES and amounts are integer minor units (see ../money). Failures are thrown as APIErrors whose details
+ * carry the gateway's own codes (see ./errors).
+ */
+
+const config = require('../../config/config');
+
+const INTENT_STATUSES = {
+    PENDING: 'pending',
+    REQUIRES_ACTION: 'requires_action',
+    PROCESSING: 'processing',
+    AUTHORIZED: 'authorized',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELED: 'canceled'
+};
+
+// Gateways are loaded lazily so unused adapters need no configuration
+const GATEWAYS = {
+    simulator: () => require('./simulator'),
+    stripe: () => require('./stripe')
+};
+
+// Open a gateway with the given options
+const createGateway = (options = config.payment) => {
+    const loadGateway = GATEWAYS[options.gateway];
+    if (!loadGateway) {
+        throw new Error(`Unknown payment gateway: ${options.gateway}`);
+    }
+    return loadGateway()(options);
+};
+
+const gateway = createGateway();
+
+module.exports = {
+    INTENT_STATUSES,
+    gateway,
+    createGateway
+};
@@ -0,0 +1,280 @@
+/**
+ * Simulated payment gateway
+ * A deterministic sandbox: the outcome of a confirmation depends only on the payment
+ * method, so every checkout branch can be scripted. Each call waits
+ * config.payment.simulator.latency ms (0 for none). Intents live in memory and are
+ * lost when the process exits.
+ *
+ * Test payment methods (token or card number; spaces and dashes in numbers are ignored):
+ *   pm_card_visa                             4242424242424242   succeeds
+ *   pm_card_chargeDeclined                   4000000000000002   card_declined / generic_decline
+ *   pm_card_chargeDeclinedInsufficientFunds  4000000000009995   card_declined / insufficient_funds
+ *   pm_card_chargeDeclinedLostCard           4000000000009987   card_declined / lost_card
+ *   pm_card_chargeDeclinedStolenCard         4000000000009979   card_declined / stolen_card
+ *   pm_card_chargeDeclinedExpiredCard        4000000000000069   expired_card
+ *   pm_card_chargeDeclinedIncorrectCvc       4000000000000127   incorrect_cvc
+ *   pm_card_chargeDeclinedProcessingError    4000000000000119   processing_error
+ *   pm_card_authenticationRequired           4000002760003184   requires_action, succeeds once confirmed again
+ *   pm_card_authenticationRequiredDeclined   4000008400001629   requires_action, then card_declined
+ *   pm_card_timeout                          4000000000000408   times out; the charge still succeeds and
+ *                                                               shows up when the intent is retrieved
+ * Any other payment method succeeds.
+ */
+
+const crypto = require('crypto');
+const { calculateFee } = require('../money');
+const { SIGNATURE_HEADER } = require('../webhookSignatures');
+const { paymentError } = require('./errors');
+
+const GATEWAY = 'simulator';
+
+const DECLINES = {
+    generic_decline: { code: 'card_declined', declineCode: 'generic_decline', message: 'Your card was declined.' },
+    insufficient_funds: { code: 'card_declined', declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+    lost_card: { code: 'card_declined', declineCode: 'lost_card', message: 'Your card was declined.' },
+    stolen_card: { code: 'card_declined', declineCode: 'stolen_card', message: 'Your card was declined.' },
+    expired_card: { code: 'expired_card', declineCode: 'expired_card', message: 'Your card has expired.' },
+    incorrect_cvc: { code: 'incorrect_cvc', declineCode: 'incorrect_cvc', message: "Your card's security code is incorrect." },
+    processing_error: {
+        code: 'processing_error',
+        declineCode: 'processing_error',
+        message: 'An error occurred while processing your card. Try again in a little bit.'
+    }
+};
+
+// Outcome of confirming with each test payment method, keyed by token and card number
+const TEST_PAYMENT_METHODS = [
+    [['pm_card_visa', '4242424242424242'], {}],
+    [['pm_card_chargeDeclined', '4000000000000002'], { decline: DECLINES.generic_decline }],
+    [['pm_card_chargeDeclinedInsufficientFunds', '4000000000009995'], { decline: DECLINES.insufficient_funds }],
+    [['pm_card_chargeDeclinedLostCard', '4000000000009987'], { decline: DECLINES.lost_card }],
+    [['pm_card_chargeDeclinedStolenCard', '4000000000009979'], { decline: DECLINES.stolen_card }],
+    [['pm_card_chargeDeclinedExpiredCard', '4000000000000069'], { decline: DECLINES.expired_card }],
+    [['pm_card_chargeDeclinedIncorrectCvc', '4000000000000127'], { decline: DECLINES.incorrect_cvc }],
+    [['pm_card_chargeDeclinedProcessingError', '4000000000000119'], { decline: DECLINES.processing_error }],
+    [['pm_card_authenticationRequired', '4000002760003184'], { requiresAction: true }],
+    [['pm_card_authenticationRequiredDeclined', '4000008400001629'], { requiresAction: true, declineAfterAction: DECLINES.generic_decline }],
+    [['pm_card_timeout', '4000000000000408'], { timeout: true }]
+].reduce((outcomes, [methods, outcome]) => {
+    methods.forEach(method => {
+        outcomes[method] = outcome;
+    });
+    return outcomes;
+}, {});
+
+// Outcome for a payment method; card numbers may be written with spaces or dashes
+const outcomeFor = (paymentMethod) => {
+    const method = String(paymentMethod || '');
+    const normalized = /^[\d -]+$/.test(method) ? method.replace(/[ -]/g, '') : method;
+    return TEST_PAYMENT_METHODS[normalized] || {};
+};
+
+const delay = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+module.exports = ({ simulator: options }) => {
+    const intents = new Map();
+
+    // Copy an intent so callers can't mutate the stored one
+    const snapshot = (intent) => ({ ...intent, error: intent.error && { ...intent.error } });
+
+    // Complete a successful confirmation; manual capture only places a hold
+    const settle = (intent) => {
+        intent.nextAction = null;
+        if (intent.captureMethod === 'manual') {
+            intent.status = 'authorized';
+            return;
+        }
+        intent.status = 'succeeded';
+        intent.amountCaptured = intent.amount;
+        intent.fee = calculateFee(intent.amount, intent.currency);
+    };
+
+    const decline = (intent, { code, declineCode, message }) => {
+        intent.status = 'failed';
+        intent.nextAction = null;
+        intent.error = { code, declineCode, message };
+        return paymentError({ gateway: GATEWAY, type: 'card_error', code, declineCode, message });
+    };
+
+    const findIntent = (intentId) => {
+        const intent = intents.get(intentId);
+        if (!intent) {
+            throw paymentError({
+                gateway: GATEWAY,
+                type: 'not_found',
+                code: 'resource_missing',
+                message: `No such payment intent: ${intentId}`
+            });
+        }
+        return intent;
+    };
+
+    return {
+        name: GATEWAY,
+
+        // Deliveries for the simulator use our own format as they are
+        webhookSignatureHeader: SIGNATURE_HEADER,
+        parseWebhookEvent: (event) => event,
+
+        async createIntent({ amount, currency, paymentMethod, captureMethod = 'automatic' }) {
+            const intent = {
+                id: newId('sim_pi'),
+                status: 'pending',
+                amount,
+                amountCaptured: 0,
+                currency,
+                paymentMethod,
+                captureMethod,
+                fee: null,
+                clientSecret: null,
+                nextAction: null,
+                error: null,
+                amountRefunded: 0
+            };
+            intents.set(intent.id, intent);
+            return snapshot(intent);
+        },
+
+        async confirmIntent(intentId, { paymentMethod } = {}) {
+            const intent = findIntent(intentId);
+            if (!['pending', 'requires_action'].includes(intent.status)) {
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'invalid_request_error',
+                    code: 'payment_intent_unexpected_state',
+                    message: `Payment intent cannot be confirmed (status: ${intent.status})`
+                });
+            }
+
+            await delay(options.latency);
+
+            if (paymentMethod) {
+                intent.paymentMethod = paymentMethod;
+            }
+            const outcome = outcomeFor(intent.paymentMethod);
+
+            // Confirming again after requires_action stands in for the customer completing 3-D Secure
+            if (intent.status === 'requires_action') {
+                if (outcome.declineAfterAction) {
+                    throw decline(intent, outcome.declineAfterAction);
+                }
+                settle(intent);
+                return snapshot(intent);
+            }
+
+            if (outcome.requiresAction) {
+                intent.status = 'requires_action';
+                intent.nextAction = 'three_d_secure';
+                return snapshot(intent);
+            }
+
+            if (outcome.decline) {
+                throw decline(intent, outcome.decline);
+            }
+
+            if (outcome.timeout) {
+                // The gateway went quiet, but the charge goes through behind the scenes
+                intent.status = 'processing';
+                intent.settleOnRetrieve = true;
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'timeout',
+                    code: 'ETIMEDOUT',
+                    message: 'Payment gateway timed out'
+                });
+            }
+
+            settle(intent);
+            return snapshot(intent);
+        },
+
+        async captureIntent(intentId, { amount } = {}) {
+            const intent = findIntent(intentId);
+            if (intent.status !== 'authorized') {
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'invalid_request_error',
+                    code: 'payment_intent_unexpected_state',
+                    message: `Payment intent cannot be captured (status: ${intent.status})`
+                });
+            }
+
+            const captureAmount = amount === undefined ? intent.amount : amount;
+            if (captureAmount <= 0 || captureAmount > intent.amount) {
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'invalid_request_error',
+                    code: 'amount_too_large',
+                    param: 'amount',
+                    message: 'Capture amount exceeds the authorized amount'
+                });
+            }
+
+            await delay(options.latency);
+
+            intent.status = 'succeeded';
+            intent.amountCaptured = captureAmount;
+            intent.fee = calculateFee(captureAmount, intent.currency);
+            return snapshot(intent);
+        },
+
+        async cancelIntent(intentId) {
+            const intent = findIntent(intentId);
+            if (!['pending', 'requires_action', 'authorized'].includes(intent.status)) {
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'invalid_request_error',
+                    code: 'payment_intent_unexpected_state',
+                    message: `Payment intent cannot be canceled (status: ${intent.status})`
+                });
+            }
+
+            intent.status = 'canceled';
+            return snapshot(intent);
+        },
+
+        async refund(intentId, { amount } = {}) {
+            const intent = findIntent(intentId);
+            if (intent.status !== 'succeeded') {
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'invalid_request_error',
+                    code: 'charge_not_refundable',
+                    message: 'Only succeeded payments can be refunded'
+                });
+            }
+
+            const refundAmount = amount === undefined ? intent.amountCaptured - intent.amountRefunded : amount;
+            if (refundAmount <= 0 || intent.amountRefunded + refundAmount > intent.amountCaptured) {
+                throw paymentError({
+                    gateway: GATEWAY,
+                    type: 'invalid_request_error',
+                    code: 'amount_too_large',
+                    param: 'amount',
+                    message: 'Refund amount exceeds the remaining charge'
+                });
+            }
+
+            await delay(options.latency);
+
+            intent.amountRefunded += refundAmount;
+            return {
+                id: newId('sim_re'),
+                status: 'succeeded',
+                amount: refundAmount,
+                currency: intent.currency
+            };
+        },
+
+        async retrieveIntent(intentId) {
+            const intent = findIntent(intentId);
+            if (intent.settleOnRetrieve) {
+                intent.settleOnRetrieve = false;
+                settle(intent);
+            }
+            return snapshot(intent);
+        }
+    };
+};
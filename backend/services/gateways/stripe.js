@@ -0,0 +1,219 @@
+/**
+ * Stripe payment gateway
+ * Talks to the Stripe REST API (or stripe-mock, via config.payment.stripe.apiBase)
+ * using PaymentIntents and Refunds. Amounts are minor units on both sides.
+ */
+
+const axios = require('axios');
+const { paymentError } = require('./errors');
+
+const GATEWAY = 'stripe';
+
+// Stripe intent statuses mapped onto ours; requires_payment_method is a
+// failure when it follows a declined confirmation
+const STATUS_MAP = {
+    requires_payment_method: 'pending',
+    requires_confirmation: 'pending',
+    requires_action: 'requires_action',
+    requires_capture: 'authorized',
+    processing: 'processing',
+    succeeded: 'succeeded',
+    canceled: 'canceled'
+};
+
+// Encode nested params the way Stripe expects (metadata[key]=value, expand[]=...)
+const encodeForm = (params, prefix = null, form = new URLSearchParams()) => {
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null) {
+            return;
+        }
+        const name = prefix ? `${prefix}[${Array.isArray(params) ? '' : key}]` : key;
+        if (typeof value === 'object') {
+            encodeForm(value, name, form);
+        } else {
+            form.append(name, String(value));
+        }
+    });
+    return form;
+};
+
+// Map an axios failure onto an APIError with Stripe's codes
+const mapError = (error) => {
+    if (!error.response) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return paymentError({
+            gateway: GATEWAY,
+            type: timedOut ? 'timeout' : 'unavailable',
+            code: error.code,
+            message: timedOut ? 'Payment gateway timed out' : 'Payment gateway is unreachable'
+        });
+    }
+
+    const stripeError = (error.response.data && error.response.data.error) || {};
+    const type = stripeError.code === 'resource_missing' ? 'not_found' : stripeError.type;
+
+    return paymentError({
+        gateway: GATEWAY,
+        type,
+        code: stripeError.code,
+        declineCode: stripeError.decline_code,
+        param: stripeError.param,
+        message: type === 'card_error' || type === 'invalid_request_error' || type === 'not_found'
+            ? stripeError.message
+            : 'Payment gateway error'
+    });
+};
+
+// Normalize a Stripe PaymentIntent
+const normalizeIntent = (intent) => {
+    const lastError = intent.last_payment_error;
+    const charge = intent.latest_charge && typeof intent.latest_charge === 'object' ? intent.latest_charge : null;
+    const balance = charge && typeof charge.balance_transaction === 'object' ? charge.balance_transaction : null;
+
+    return {
+        id: intent.id,
+        status: lastError && intent.status === 'requires_payment_method'
+            ? 'failed'
+            : STATUS_MAP[intent.status] || intent.status,
+        amount: intent.amount,
+        amountCaptured: intent.amount_received || 0,
+        amountRefunded: charge ? charge.amount_refunded || 0 : 0,
+        currency: String(intent.currency).toUpperCase(),
+        fee: balance && balance.fee !== undefined ? balance.fee : null,
+        clientSecret: intent.client_secret || null,
+        nextAction: intent.next_action ? intent.next_action.type : null,
+        error: lastError
+            ? { code: lastError.code, declineCode: lastError.decline_code || null, message: lastError.message }
+            : null
+    };
+};
+
+// Stripe events we act on, translated into the payment events ../paymentWebhooks applies.
+// A charge reports the running total refunded rather than the refund itself.
+const EVENT_TRANSLATIONS = {
+    'payment_intent.succeeded': (intent) => ({
+        type: 'payment.succeeded',
+        data: { intentId: intent.id, amount: intent.amount_received }
+    }),
+    'payment_intent.payment_failed': (intent) => {
+        const lastError = intent.last_payment_error || {};
+        return {
+            type: 'payment.failed',
+            data: {
+                intentId: intent.id,
+                message: lastError.message,
+                failureCode: lastError.code,
+                declineCode: lastError.decline_code
+            }
+        };
+    },
+    'charge.refunded': (charge) => {
+        const latest = charge.refunds && Array.isArray(charge.refunds.data) ? charge.refunds.data[0] : null;
+        return {
+            type: 'refund.succeeded',
+            data: {
+                intentId: charge.payment_intent,
+                totalRefunded: charge.amount_refunded,
+                refundId: latest ? latest.id : null,
+                reason: latest && latest.metadata ? latest.metadata.reason : null
+            }
+        };
+    }
+};
+
+// Translate a Stripe event; types we don't act on pass through under their own name
+const parseWebhookEvent = (event) => {
+    const object = event && event.data && event.data.object;
+    const translate = object && EVENT_TRANSLATIONS[event.type];
+    if (!translate) {
+        return event;
+    }
+    return { id: event.id, created: event.created, ...translate(object) };
+};
+
+module.exports = ({ stripeSecretKey, stripe: options }) => {
+    if (!stripeSecretKey) {
+        throw new Error('STRIPE_SECRET_KEY is required for the stripe payment gateway');
+    }
+
+    const client = axios.create({
+        baseURL: options.apiBase,
+        timeout: options.timeout,
+        headers: {
+            Authorization: `Bearer ${stripeSecretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    });
+
+    const request = async (method, url, params) => {
+        try {
+            const response = method === 'get'
+                ? await client.get(url, { params })
+                : await client.post(url, encodeForm(params || {}).toString());
+            return response.data;
+        } catch (error) {
+            throw mapError(error);
+        }
+    };
+
+    return {
+        name: GATEWAY,
+
+        webhookSignatureHeader: 'Stripe-Signature',
+        parseWebhookEvent,
+
+        async createIntent({ amount, currency, paymentMethod, captureMethod = 'automatic', metadata = {} }) {
+            const intent = await request('post', '/v1/payment_intents', {
+                amount,
+                currency: String(currency).toLowerCase(),
+                payment_method: paymentMethod,
+                payment_method_types: ['card'],
+                capture_method: captureMethod,
+                metadata
+            });
+            return normalizeIntent(intent);
+        },
+
+        async confirmIntent(intentId, { paymentMethod } = {}) {
+            const intent = await request('post', `/v1/payment_intents/${encodeURIComponent(intentId)}/confirm`, {
+                payment_method: paymentMethod,
+                expand: ['latest_charge.balance_transaction']
+            });
+            return normalizeIntent(intent);
+        },
+
+        async captureIntent(intentId, { amount } = {}) {
+            const intent = await request('post', `/v1/payment_intents/${encodeURIComponent(intentId)}/capture`, {
+                amount_to_capture: amount,
+                expand: ['latest_charge.balance_transaction']
+            });
+            return normalizeIntent(intent);
+        },
+
+        async cancelIntent(intentId) {
+            const intent = await request('post', `/v1/payment_intents/${encodeURIComponent(intentId)}/cancel`, {});
+            return normalizeIntent(intent);
+        },
+
+        async refund(intentId, { amount, reason } = {}) {
+            const refund = await request('post', '/v1/refunds', {
+                payment_intent: intentId,
+                amount,
+                metadata: reason ? { reason } : undefined
+            });
+            return {
+                id: refund.id,
+                status: refund.status,
+                amount: refund.amount,
+                currency: String(refund.currency).toUpperCase()
+            };
+        },
+
+        async retrieveIntent(intentId) {
+            const intent = await request('get', `/v1/payment_intents/${encodeURIComponent(intentId)}`, {
+                'expand[]': 'latest_charge.balance_transaction'
+            });
+            return normalizeIntent(intent);
+        }
+    };
+};
@@ -0,0 +1,274 @@
+/**
+ * ArXiv harvester
+ * Pulls papers for configured categories and queries into the papers index
+ */
+
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { client, INDICES, createIndexIfNotExists, initializeIndices } = require('./elasticsearch');
+const { searchPapers } = require('./arxiv');
+
+// Index holding one checkpoint document per harvest source
+const CHECKPOINT_INDEX = 'harvest_checkpoints';
+
+// State of the current or most recent run
+let currentRun = null;
+let lastRun = null;
+let scheduleTimer = null;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stable key identifying a harvest source
+const sourceKey = (source) => {
+    return source.category ? `cat:${source.category}` : `query:${source.query}`;
+};
+
+// Build the list of sources from explicit options or config
+const getSources = ({ categories, queries } = {}) => {
+    const useConfig = !categories && !queries;
+    return [
+        ...(useConfig ? config.harvest.categories : categories || []).map(category => ({ category })),
+        ...(useConfig ? config.harvest.queries : queries || []).map(query => ({ query }))
+    ];
+};
+
+// Convert a normalized paper into a papers index document
+const toDocument = (paper) => ({
+    arxivId: paper.id,
+    version: paper.version,
+    title: paper.title,
+    authors: paper.authors.map(author => author.name),
+    abstract: paper.abstract,
+    categories: paper.categories,
+    primaryCategory: paper.primaryCategory,
+    pdfUrl: paper.pdfUrl,
+    absUrl: paper.absUrl,
+    doi: paper.doi,
+    journalRef: paper.journalRef,
+    published: paper.published,
+    updated: paper.updated,
+    indexed_at: new Date()
+});
+
+// Load the stored checkpoint for a source
+const loadCheckpoint = async (key) => {
+    try {
+        const response = await client.get({ index: CHECKPOINT_INDEX, id: key });
+        return response._source;
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Persist the checkpoint for a source
+const saveCheckpoint = async (key, checkpoint) => {
+    await client.index({
+        index: CHECKPOINT_INDEX,
+        id: key,
+        document: checkpoint,
+        refresh: true
+    });
+};
+
+// List all stored checkpoints
+const listCheckpoints = async () => {
+    try {
+        const response = await client.search({
+            index: CHECKPOINT_INDEX,
+            size: 1000,
+            query: { match_all: {} }
+        });
+        return response.hits.hits.map(hit => hit._source);
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            return [];
+        }
+        throw error;
+    }
+};
+
+// Upsert papers keyed by ArXiv id so repeated harvests overwrite instead of duplicating
+const upsertPapers = async (papers) => {
+    const operations = papers.flatMap(paper => [
+        { index: { _index: INDICES.PAPERS, _id: paper.id } },
+        toDocument(paper)
+    ]);
+
+    const response = await client.bulk({ operations });
+
+    if (response.errors) {
+        const failed = response.items
+            .filter(item => item.index && item.index.error)
+            .map(item => ({ id: item.index._id, error: item.index.error.reason }));
+        throw new APIError('Failed to index harvested papers', 502, { failed });
+    }
+};
+
+// Harvest a single source, advancing its checkpoint after every batch
+const harvestSource = async (source, { maxPapers = config.harvest.maxPerRun } = {}) => {
+    const key = sourceKey(source);
+    const checkpoint = await loadCheckpoint(key);
+
+    const since = checkpoint
+        ? new Date(checkpoint.lastUpdated)
+        : new Date(Date.now() - config.harvest.initialDays * 24 * 60 * 60 * 1000);
+
+    let start = 0;
+    let harvested = 0;
+    let lastUpdated = since;
+    let total = 0;
+
+    while (harvested < maxPapers) {
+        // Ascending order lets the checkpoint move forward safely batch by batch
+        const result = await searchPapers(
+            { ...source, updatedSince: since },
+            {
+                start,
+                maxResults: Math.min(config.harvest.batchSize, maxPapers - harvested),
+                sortBy: 'lastUpdatedDate',
+                sortOrder: 'ascending'
+            }
+        );
+
+        total = result.total;
+        if (!result.papers.length) {
+            break;
+        }
+
+        await upsertPapers(result.papers);
+
+        harvested += result.papers.length;
+        start += result.papers.length;
+        lastUpdated = result.papers[result.papers.length - 1].updated || lastUpdated;
+
+        await saveCheckpoint(key, {
+            source: key,
+            category: source.category || null,
+            query: source.query || null,
+            lastUpdated,
+            lastHarvestedAt: new Date(),
+            totalHarvested: ((checkpoint && checkpoint.totalHarvested) || 0) + harvested
+        });
+
+        if (start >= total) {
+            break;
+        }
+
+        await delay(config.harvest.requestDelay);
+    }
+
+    return {
+        source: key,
+        since,
+        harvested,
+        remaining: Math.max(total - start, 0),
+        lastUpdated
+    };
+};
+
+// Run a harvest across all sources
+const runHarvest = async (options = {}) => {
+    const sources = getSources(options);
+    if (!sources.length) {
+        throw new APIError('No harvest categories or queries configured', 400);
+    }
+
+    await initializeIndices();
+    await createIndexIfNotExists(CHECKPOINT_INDEX, {
+        properties: {
+            source: { type: 'keyword' },
+            category: { type: 'keyword' },
+            query: { type: 'keyword' },
+            lastUpdated: { type: 'date' },
+            lastHarvestedAt: { type: 'date' },
+            totalHarvested: { type: 'integer' }
+        }
+    });
+
+    const startedAt = new Date();
+    const results = [];
+
+    for (const [index, source] of sources.entries()) {
+        if (index > 0) {
+            await delay(config.harvest.requestDelay);
+        }
+        try {
+            results.push(await harvestSource(source, options));
+        } catch (error) {
+            console.error(`Harvest of ${sourceKey(source)} failed:`, error.message);
+            results.push({ source: sourceKey(source), error: error.message });
+        }
+    }
+
+    return {
+        startedAt,
+        finishedAt: new Date(),
+        results
+    };
+};
+
+// Start a harvest unless one is already in progress
+const startHarvest = (options = {}) => {
+    if (currentRun) {
+        throw new APIError('A harvest is already in progress', 409);
+    }
+
+    // Validate sources before going async so the caller gets the error
+    if (!getSources(options).length) {
+        throw new APIError('No harvest categories or queries configured', 400);
+    }
+
+    currentRun = runHarvest(options)
+        .then(summary => {
+            lastRun = summary;
+            return summary;
+        })
+        .catch(error => {
+            lastRun = { finishedAt: new Date(), error: error.message };
+            throw error;
+        })
+        .finally(() => {
+            currentRun = null;
+        });
+
+    return currentRun;
+};
+
+// Report whether a harvest is running along with stored checkpoints
+const getHarvestStatus = async () => ({
+    running: Boolean(currentRun),
+    lastRun,
+    checkpoints: await listCheckpoints()
+});
+
+// Schedule periodic harvests when an interval is configured
+const startHarvestSchedule = () => {
+    if (!config.harvest.interval || scheduleTimer) {
+        return;
+    }
+
+    scheduleTimer = setInterval(() => {
+        if (currentRun) {
+            return;
+        }
+        try {
+            startHarvest().catch(error => console.error('Scheduled harvest failed:', error.message));
+        } catch (error) {
+            console.error('Scheduled harvest not started:', error.message);
+        }
+    }, config.harvest.interval * 60 * 1000);
+
+    // Don't keep the process alive just for the schedule
+    scheduleTimer.unref();
+
+    console.log(`ArXiv harvest scheduled every ${config.harvest.interval} minutes`);
+};
+
+module.exports = {
+    startHarvest,
+    getHarvestStatus,
+    startHarvestSchedule
+};
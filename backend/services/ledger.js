@@ -0,0 +1,263 @@
+/**
+ * Ledger
+ * Append-only double-entry record of money movement. Each transaction is stored
+ * whole with debit and credit lines that must balance; transactions are never
+ * updated or deleted, so corrections are new transactions.
+ *
+ * Accounts:
+ *   gateway:<name>   captured funds held at a payment gateway (asset)
+ *   bank             funds paid out from a gateway to the platform's bank (asset)
+ *   fees             processing fees withheld by gateways (expense)
+ *   user:<id>        net amount paid in through a user's payments (revenue)
+ *
+ * Payment transactions have deterministic ids (capture:<paymentId>, fee:<paymentId>,
+ * refund:<refundId>), so posting the same payment twice records it once. When a
+ * payment's captured amount or fee changes after it was posted, the difference is
+ * posted as the nth adjustment, capture:<paymentId>:<n> or fee:<paymentId>:<n>. An
+ * adjustment's amount is negative when it reduces the total, with its lines reversed.
+ */
+
+const crypto = require('crypto');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const { parseAmount, parseCurrency } = require('./money');
+
+const transactions = collection('ledger_transactions');
+
+const TRANSACTION_TYPES = ['capture', 'fee', 'refund', 'payout'];
+
+// Payment statuses whose captured amount has been charged
+const SETTLED_STATUSES = ['succeeded', 'captured', 'partially_refunded', 'refunded'];
+
+// Account types whose balance grows with debits; the rest grow with credits
+const DEBIT_NORMAL = ['gateway', 'bank', 'fees'];
+
+const userAccount = (userId) => `user:${userId}`;
+const gatewayAccount = (name) => `gateway:${name}`;
+
+const accountType = (account) => account.split(':')[0];
+
+// Signed effect of a line on its account's balance
+const lineBalance = (line) => {
+    const sign = DEBIT_NORMAL.includes(accountType(line.account)) ? 1 : -1;
+    return line.direction === 'debit' ? sign * line.amount : -sign * line.amount;
+};
+
+// A transaction moving `amount` from the credited account to the debited one
+const lines = (debit, credit, amount) => [
+    { account: debit, direction: 'debit', amount },
+    { account: credit, direction: 'credit', amount }
+];
+
+// Whether a transaction's debits equal its credits
+const isBalanced = (transaction) => {
+    const total = (direction) => transaction.lines
+        .filter(line => line.direction === direction)
+        .reduce((sum, line) => sum + line.amount, 0);
+    return transaction.lines.length > 0 && total('debit') === total('credit');
+};
+
+// Append a transaction. Returns { transaction, created }; a transaction whose
+// id is already in the ledger is left as it was.
+const postTransaction = async (fields) => {
+    const transaction = {
+        ...fields,
+        id: fields.id || crypto.randomUUID(),
+        createdAt: new Date()
+    };
+
+    const invalid = transaction.lines.some(line => !Number.isSafeInteger(line.amount) || line.amount <= 0);
+    if (invalid || !isBalanced(transaction)) {
+        throw new Error(`Unbalanced ledger transaction: ${transaction.id}`);
+    }
+
+    const existing = await transactions.findById(transaction.id);
+    if (existing) {
+        return { transaction: existing, created: false };
+    }
+
+    try {
+        await transactions.insert(transaction);
+    } catch (error) {
+        // Lost a race with a concurrent post of the same transaction
+        const posted = await transactions.findById(transaction.id);
+        if (posted) {
+            return { transaction: posted, created: false };
+        }
+        throw error;
+    }
+    return { transaction, created: true };
+};
+
+// The transaction bringing what the ledger holds of a payment's captures or fees
+// (`type`) to `total`, or null when it already does. `debit` and `credit` are the
+// accounts an increase moves money between.
+const adjustmentFor = (type, payment, existing, total, debit, credit) => {
+    const posted = existing.filter(transaction => transaction.type === type);
+    const change = total - posted.reduce((sum, transaction) => sum + transaction.amount, 0);
+    if (change === 0) {
+        return null;
+    }
+
+    return {
+        id: posted.length === 0 ? `${type}:${payment.id}` : `${type}:${payment.id}:${posted.length}`,
+        type,
+        amount: change,
+        lines: change > 0 ? lines(debit, credit, change) : lines(credit, debit, -change),
+        occurredAt: posted.length === 0
+            ? payment.capturedAt || payment.processedAt || payment.createdAt
+            : payment.updatedAt || new Date()
+    };
+};
+
+// Post whatever a payment's current state says has moved: the capture and its
+// fee once settled, adjusted when either changes, and each completed refund.
+// Safe to call after every update.
+const recordPayment = async (payment) => {
+    if (!payment || !SETTLED_STATUSES.includes(payment.status)) {
+        return [];
+    }
+
+    const gateway = gatewayAccount(payment.gateway || 'legacy');
+    const base = {
+        paymentId: payment.id,
+        userId: payment.userId,
+        gateway: payment.gateway || 'legacy',
+        currency: payment.currency
+    };
+    const existing = await transactions.find({ paymentId: payment.id });
+    const pending = [];
+
+    const captured = payment.capturedAmount !== undefined && payment.capturedAmount !== null
+        ? payment.capturedAmount
+        : payment.amount;
+    [
+        adjustmentFor('capture', payment, existing, captured, gateway, userAccount(payment.userId)),
+        adjustmentFor('fee', payment, existing, payment.processingFee || 0, 'fees', gateway)
+    ]
+        .filter(Boolean)
+        .forEach(transaction => pending.push({ ...base, ...transaction }));
+
+    (payment.refunds || [])
+        .filter(refund => refund.status === 'succeeded' && refund.amount > 0)
+        .forEach(refund => {
+            pending.push({
+                ...base,
+                id: `refund:${refund.id}`,
+                type: 'refund',
+                refundId: refund.id,
+                amount: refund.amount,
+                lines: lines(userAccount(payment.userId), gateway, refund.amount),
+                occurredAt: refund.createdAt
+            });
+        });
+
+    const posted = [];
+    for (const transaction of pending) {
+        const result = await postTransaction(transaction);
+        if (result.created) {
+            posted.push(result.transaction);
+        }
+    }
+    return posted;
+};
+
+// Balances by account and currency over a set of transactions
+const balancesOf = (list, includeAccount = () => true) => {
+    const balances = {};
+    list.forEach(transaction => {
+        transaction.lines
+            .filter(line => includeAccount(line.account))
+            .forEach(line => {
+                const account = (balances[line.account] = balances[line.account] || {});
+                account[transaction.currency] = (account[transaction.currency] || 0) + lineBalance(line);
+            });
+    });
+    return balances;
+};
+
+// A user's balance per currency: what their payments brought in, less refunds.
+// Capture adjustments count towards what was paid, reductions included.
+const getUserBalance = async (userId) => {
+    const account = userAccount(userId);
+    const list = await transactions.find({ userId });
+
+    const balance = {};
+    list.forEach(transaction => {
+        transaction.lines.filter(line => line.account === account).forEach(line => {
+            const entry = (balance[transaction.currency] = balance[transaction.currency] || { paid: 0, refunded: 0, balance: 0 });
+            if (transaction.type === 'refund') {
+                entry.refunded += line.amount;
+            } else {
+                entry.paid += lineBalance(line);
+            }
+            entry.balance += lineBalance(line);
+        });
+    });
+    return balance;
+};
+
+// Platform balances per account and currency, with users' accounts rolled up into one total
+const getPlatformBalance = async () => {
+    const list = await transactions.find({});
+    const accounts = balancesOf(list, account => accountType(account) !== 'user');
+    const users = balancesOf(list, account => accountType(account) === 'user');
+
+    const userTotal = {};
+    Object.values(users).forEach(byCurrency => {
+        Object.entries(byCurrency).forEach(([currency, amount]) => {
+            userTotal[currency] = (userTotal[currency] || 0) + amount;
+        });
+    });
+
+    return { accounts, users: userTotal, transactions: list.length };
+};
+
+// Transactions matching an equality filter, newest first
+const listTransactions = async (filter = {}, { offset = 0, limit } = {}) => {
+    const [items, total] = await Promise.all([
+        transactions.find(filter, { sort: { createdAt: -1 }, offset, limit }),
+        transactions.count(filter)
+    ]);
+    return { items, total };
+};
+
+// Record a payout of captured funds from a gateway to the platform's bank account
+const recordPayout = async ({ gateway, amount, currency, reference = null }) => {
+    if (!gateway || typeof gateway !== 'string') {
+        throw new APIError('gateway is required', 400, { param: 'gateway' });
+    }
+    const payoutCurrency = parseCurrency(currency);
+    const payoutAmount = parseAmount(amount);
+
+    const { accounts } = await getPlatformBalance();
+    const available = (accounts[gatewayAccount(gateway)] || {})[payoutCurrency] || 0;
+    if (payoutAmount > available) {
+        throw new APIError(`Payout exceeds the ${payoutCurrency} balance held at ${gateway} (${available})`, 400, { available });
+    }
+
+    const { transaction } = await postTransaction({
+        type: 'payout',
+        gateway,
+        currency: payoutCurrency,
+        amount: payoutAmount,
+        reference,
+        lines: lines('bank', gatewayAccount(gateway), payoutAmount),
+        occurredAt: new Date()
+    });
+    return transaction;
+};
+
+module.exports = {
+    TRANSACTION_TYPES,
+    SETTLED_STATUSES,
+    userAccount,
+    gatewayAccount,
+    isBalanced,
+    postTransaction,
+    recordPayment,
+    getUserBalance,
+    getPlatformBalance,
+    listTransactions,
+    recordPayout
+};
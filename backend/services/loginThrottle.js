@@ -0,0 +1,182 @@
+/**
+ * Login brute-force protection
+ * Counts failed logins per account and per IP. Past a few free attempts each
+ * further try has to wait a doubling delay, and too many failures lock the
+ * account or IP out for a while. Counts are persisted, so restarts don't lift
+ * lockouts and every instance sees the same failures.
+ */
+
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+
+const SCOPES = ['account', 'ip'];
+
+// Failure state per key, each record expiring with its window or lockout
+const attempts = collection('login_attempts');
+
+const cacheKey = (scope, value) => `${scope}:${value}`;
+
+// Accounts are keyed by normalized email so unknown emails are throttled too.
+// Anything but a string is refused: stringified, every object would share one
+// "[object object]" key and the real account would never be counted.
+const normalize = (scope, value) => {
+    if (typeof value !== 'string') {
+        throw new APIError(`${scope === 'account' ? 'email' : 'ip'} must be a string`, 400);
+    }
+    return scope === 'account' ? value.trim().toLowerCase() : value;
+};
+
+// Seconds until a timestamp, at least one
+const secondsUntil = (time, now = Date.now()) => Math.max(Math.ceil((time - now) / 1000), 1);
+
+// A key's state if it hasn't expired
+const liveState = (state, now = Date.now()) => {
+    return state && new Date(state.expiresAt).getTime() > now ? state : null;
+};
+
+// Current state of a key, or null when it has no recent failures
+const getState = async (scope, value, now = Date.now()) => {
+    return liveState(await attempts.findById(cacheKey(scope, normalize(scope, value))), now);
+};
+
+// Throw if either the account or the IP must wait or is locked out.
+// Without an email (a passkey nobody registered) only the IP is checked.
+const assertLoginAllowed = async (email, ip, now = Date.now()) => {
+    for (const [scope, value] of [['account', email], ['ip', ip]]) {
+        if (!value) {
+            continue;
+        }
+        const state = await getState(scope, value, now);
+        if (!state) {
+            continue;
+        }
+
+        if (state.lockedUntil && state.lockedUntil > now) {
+            throw new APIError(
+                scope === 'account'
+                    ? 'Account is temporarily locked due to too many failed login attempts'
+                    : 'Too many failed login attempts from this address',
+                429,
+                { locked: true, scope, retryAfter: secondsUntil(state.lockedUntil, now) }
+            );
+        }
+
+        if (state.nextAttemptAt && state.nextAttemptAt > now) {
+            const retryAfter = secondsUntil(state.nextAttemptAt, now);
+            throw new APIError(
+                `Too many failed login attempts, try again in ${retryAfter} seconds`,
+                429,
+                { locked: false, scope, retryAfter }
+            );
+        }
+    }
+};
+
+// Count a failure against one key, returning true if it just got locked
+const recordKeyFailure = async (scope, value, now) => {
+    const limits = config.loginProtection[scope];
+    const key = cacheKey(scope, normalize(scope, value));
+
+    const previous = liveState(await attempts.findById(key), now);
+    const state = previous && !(previous.lockedUntil && previous.lockedUntil <= now)
+        ? previous
+        : { failures: 0, nextAttemptAt: null, lockedUntil: null };
+
+    state.failures++;
+    state.lastFailureAt = now;
+
+    let locked = false;
+    if (state.failures >= limits.maxAttempts) {
+        // Lock out and start counting afresh once the lockout ends
+        state.lockedUntil = now + limits.lockoutDuration * 1000;
+        state.nextAttemptAt = null;
+        state.failures = 0;
+        locked = true;
+    } else if (state.failures >= limits.freeAttempts) {
+        const delay = Math.min(
+            config.loginProtection.baseDelay * 2 ** (state.failures - limits.freeAttempts),
+            config.loginProtection.maxDelay
+        );
+        state.nextAttemptAt = now + delay * 1000;
+    }
+
+    const ttl = state.lockedUntil
+        ? secondsUntil(state.lockedUntil, now)
+        : config.loginProtection.failureWindow;
+    const record = { ...state, id: key, expiresAt: new Date(now + ttl * 1000) };
+    if (previous) {
+        await attempts.update(key, record);
+    } else {
+        // Replace any expired record still waiting for cleanup
+        await attempts.delete(key);
+        try {
+            await attempts.insert(record);
+        } catch (error) {
+            // Another failure for the same key got there first
+            await attempts.update(key, record);
+        }
+    }
+
+    return locked;
+};
+
+// Count a failed login against the account, if known, and the IP
+const recordLoginFailure = async (email, ip, now = Date.now()) => ({
+    accountLocked: email ? await recordKeyFailure('account', email, now) : false,
+    ipLocked: await recordKeyFailure('ip', ip, now)
+});
+
+// A successful login clears the account's failures, but not the IP's,
+// so one valid account can't be used to reset an attacker's budget
+const recordLoginSuccess = async (email) => {
+    await attempts.delete(cacheKey('account', normalize('account', email)));
+};
+
+// Lock status of an account or IP, for admins
+const getLockStatus = async (scope, value, now = Date.now()) => {
+    const state = await getState(scope, value, now);
+    const locked = Boolean(state && state.lockedUntil && state.lockedUntil > now);
+    return {
+        locked,
+        lockedUntil: locked ? new Date(state.lockedUntil) : null,
+        failedAttempts: state ? state.failures : 0,
+        nextAttemptAt: state && state.nextAttemptAt > now ? new Date(state.nextAttemptAt) : null
+    };
+};
+
+// Every account and IP currently locked out
+const listLocks = async (now = Date.now()) => {
+    return (await attempts.find({ lockedUntil: { $gt: now } }, { operators: true })).map(state => {
+        const separator = state.id.indexOf(':');
+        return {
+            scope: state.id.slice(0, separator),
+            value: state.id.slice(separator + 1),
+            lockedUntil: new Date(state.lockedUntil)
+        };
+    });
+};
+
+// Clear the failures and any lockout of an account or IP
+const unlock = async (scope, value) => {
+    if (!SCOPES.includes(scope)) {
+        throw new Error(`Unknown lock scope: ${scope}`);
+    }
+    const key = cacheKey(scope, normalize(scope, value));
+    const state = await getState(scope, value);
+    await attempts.delete(key);
+    return Boolean(state);
+};
+
+// Delete expired failure records, returning how many went
+const purgeExpiredAttempts = (now = new Date()) => attempts.deleteMany({ expiresAt: { $lte: now } }, { operators: true });
+
+module.exports = {
+    assertLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getLockStatus,
+    listLocks,
+    unlock,
+    purgeExpiredAttempts
+};
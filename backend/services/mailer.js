@@ -0,0 +1,90 @@
+/**
+ * Mailer
+ * Sends mail through the transport selected in config:
+ * SMTP in production, a file drop or the console for development and tests
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+
+// Transport factories; each returns an object with send(message)
+const TRANSPORTS = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport(config.mail.smtp);
+        return {
+            send: (message) => transporter.sendMail(message)
+        };
+    },
+
+    file: () => ({
+        send: async (message) => {
+            await fs.mkdir(config.mail.directory, { recursive: true });
+            const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+            await fs.writeFile(
+                path.join(config.mail.directory, filename),
+                JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+            );
+        }
+    }),
+
+    console: () => ({
+        send: async (message) => {
+            console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    })
+};
+
+let transport = null;
+
+// Lazily create the configured transport
+const getTransport = () => {
+    if (!transport) {
+        const createTransport = TRANSPORTS[config.mail.transport];
+        if (!createTransport) {
+            throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+        }
+        transport = createTransport();
+    }
+    return transport;
+};
+
+// Send a message with the configured sender address
+const sendMail = async ({ to, subject, text, html }) => {
+    await getTransport().send({
+        from: config.mail.from,
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+// Send the email verification link to a user
+const sendVerificationEmail = (user, token) => {
+    const link = `${config.mail.appUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\n` +
+            `The link expires in ${config.account.emailVerificationExpiresIn}.`
+    });
+};
+
+// Send a password reset token to a user
+const sendPasswordResetEmail = (user, token) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nUse this token to reset your password:\n${token}\n\n` +
+            `It expires in ${config.account.passwordResetExpiresIn}. ` +
+            'If you did not request a password reset you can ignore this email.'
+    });
+};
+
+module.exports = {
+    sendMail,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
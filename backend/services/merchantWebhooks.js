@@ -0,0 +1,417 @@
+/**
+ * Merchant webhooks
+ * Users register endpoints to be told about their payments' state changes rather
+ * than polling for them. Each change becomes an event, delivered to every active
+ * endpoint subscribed to its type and signed with that endpoint's secret (see
+ * webhookSignatures). Failed deliveries are retried with exponential backoff and
+ * kept in a delivery log, from which they can also be sent again by hand.
+ *
+ * Events look like { id, type, created, data: { payment } }, where the payment is
+ * a snapshot taken when the event happened. Deliveries may arrive out of order.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const { formatAmount } = require('./money');
+const { SIGNATURE_HEADER, signPayload } = require('./webhookSignatures');
+const { assertPublicUrl, publicLookup } = require('./outboundRequests');
+
+const endpoints = collection('webhook_endpoints');
+const deliveries = collection('webhook_deliveries');
+
+// One event per payment status; a new (pending) payment is payment.created
+const EVENT_TYPES = [
+    'payment.created',
+    'payment.requires_action',
+    'payment.processing',
+    'payment.authorized',
+    'payment.succeeded',
+    'payment.captured',
+    'payment.failed',
+    'payment.canceled',
+    'payment.voided',
+    'payment.expired',
+    'payment.partially_refunded',
+    'payment.refunded'
+];
+
+// Subscribes an endpoint to every event type
+const ALL_EVENTS = '*';
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Attempts kept in each delivery's log
+const MAX_LOGGED_ATTEMPTS = 20;
+
+let retryTimer = null;
+let retrying = false;
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const parseUrl = (url) => {
+    if (typeof url !== 'string') {
+        throw new APIError('url must be a valid http(s) URL', 400, { param: 'url' });
+    }
+    return assertPublicUrl(url);
+};
+
+const parseEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new APIError('events must be a non-empty array', 400, { param: 'events' });
+    }
+    const unknown = events.filter(type => type !== ALL_EVENTS && !EVENT_TYPES.includes(type));
+    if (unknown.length) {
+        throw new APIError(`Unknown event types: ${unknown.join(', ')}`, 400, {
+            param: 'events',
+            allowedEvents: [ALL_EVENTS, ...EVENT_TYPES]
+        });
+    }
+    return [...new Set(events)];
+};
+
+const parseDescription = (description) => {
+    if (description === undefined || description === null) {
+        return null;
+    }
+    if (typeof description !== 'string') {
+        throw new APIError('description must be a string', 400, { param: 'description' });
+    }
+    return description.trim() || null;
+};
+
+const eventTypeFor = (payment) => {
+    return payment.status === 'pending' ? 'payment.created' : `payment.${payment.status}`;
+};
+
+const subscribesTo = (endpoint, type) => {
+    return endpoint.events.includes(ALL_EVENTS) || endpoint.events.includes(type);
+};
+
+// Seconds to wait after a delivery's nth failed attempt
+const retryDelay = (attempts) => {
+    const { retryBaseDelay, retryMaxDelay } = config.merchantWebhooks;
+    return Math.min(retryMaxDelay, retryBaseDelay * 2 ** (attempts - 1));
+};
+
+// The payment as sent to endpoints; payment methods are left out as they may be card numbers
+const paymentSnapshot = (payment) => {
+    const format = (amount) => formatAmount(amount, payment.currency);
+    return {
+        id: payment.id,
+        status: payment.status,
+        amount: payment.amount,
+        amountFormatted: format(payment.amount),
+        currency: payment.currency,
+        captureMethod: payment.captureMethod,
+        capturedAmount: payment.capturedAmount,
+        processingFee: payment.processingFee,
+        amountRefunded: payment.amountRefunded || 0,
+        refunds: (payment.refunds || []).map(refund => ({
+            id: refund.id,
+            amount: refund.amount,
+            amountFormatted: format(refund.amount),
+            reason: refund.reason,
+            status: refund.status,
+            createdAt: refund.createdAt
+        })),
+        description: payment.description,
+        subscriptionId: payment.subscriptionId,
+        failureCode: payment.failureCode,
+        declineCode: payment.declineCode,
+        authorizationExpiresAt: payment.authorizationExpiresAt,
+        createdAt: payment.createdAt,
+        processedAt: payment.processedAt,
+        updatedAt: payment.updatedAt
+    };
+};
+
+// Register an endpoint; the new secret is only returned here and by rotateSecret
+const createEndpoint = async (userId, { url, description, events = [ALL_EVENTS] }) => {
+    const owned = await endpoints.count({ userId });
+    if (owned >= config.merchantWebhooks.maxEndpointsPerUser) {
+        throw new APIError(`Cannot register more than ${config.merchantWebhooks.maxEndpointsPerUser} webhook endpoints`, 400);
+    }
+
+    const endpoint = {
+        id: crypto.randomUUID(),
+        userId,
+        url: await parseUrl(url),
+        description: parseDescription(description),
+        events: parseEvents(events),
+        secret: generateSecret(),
+        active: true,
+        createdAt: new Date()
+    };
+    await endpoints.insert(endpoint);
+    return endpoint;
+};
+
+const getEndpoint = async (id) => {
+    const endpoint = await endpoints.findById(id);
+    if (!endpoint) {
+        throw new APIError('Webhook endpoint not found', 404);
+    }
+    return endpoint;
+};
+
+const listEndpoints = (userId) => endpoints.find({ userId }, { sort: { createdAt: -1 } });
+
+// Change an endpoint's url, description, events or whether it is active
+const updateEndpoint = async (endpoint, { url, description, events, active }) => {
+    const changes = { updatedAt: new Date() };
+    if (url !== undefined) {
+        changes.url = await parseUrl(url);
+    }
+    if (description !== undefined) {
+        changes.description = parseDescription(description);
+    }
+    if (events !== undefined) {
+        changes.events = parseEvents(events);
+    }
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') {
+            throw new APIError('active must be a boolean', 400, { param: 'active' });
+        }
+        changes.active = active;
+    }
+    return endpoints.update(endpoint.id, changes);
+};
+
+// Replace an endpoint's secret; deliveries are signed with the new one straight away
+const rotateSecret = (endpoint) => endpoints.update(endpoint.id, {
+    secret: generateSecret(),
+    updatedAt: new Date()
+});
+
+// Remove an endpoint along with its delivery log
+const deleteEndpoint = async (endpoint) => {
+    await deliveries.deleteMany({ endpointId: endpoint.id });
+    await endpoints.delete(endpoint.id);
+};
+
+const getDelivery = async (id) => {
+    const delivery = await deliveries.findById(id);
+    if (!delivery) {
+        throw new APIError('Webhook delivery not found', 404);
+    }
+    return delivery;
+};
+
+// An endpoint's deliveries, newest first
+const listDeliveries = async (endpointId, { status, offset = 0, limit } = {}) => {
+    const filter = status ? { endpointId, status } : { endpointId };
+    const [items, total] = await Promise.all([
+        deliveries.find(filter, { sort: { createdAt: -1 }, offset, limit }),
+        deliveries.count(filter)
+    ]);
+    return { items, total };
+};
+
+// POST the event to the endpoint, describing how it went. Only the status and
+// timing are kept: the response body is the endpoint's business, not the log's.
+const send = async (endpoint, event) => {
+    const body = JSON.stringify(event);
+    const started = Date.now();
+    const attempt = { attemptedAt: new Date() };
+
+    try {
+        // The endpoint's host may have been repointed since it was registered
+        await assertPublicUrl(endpoint.url);
+        const response = await axios.post(endpoint.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                [SIGNATURE_HEADER]: signPayload(body, endpoint.secret)
+            },
+            timeout: config.merchantWebhooks.timeout,
+            lookup: publicLookup,
+            maxRedirects: 0,
+            responseType: 'stream',
+            validateStatus: () => true
+        });
+        response.data.destroy();
+        attempt.responseStatus = response.status;
+        attempt.error = response.status >= 200 && response.status < 300
+            ? null
+            : `Endpoint responded with ${response.status}`;
+    } catch (error) {
+        attempt.responseStatus = null;
+        attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - started;
+    return attempt;
+};
+
+/**
+ * Make one delivery attempt and record it. Automatic attempts count towards
+ * maxAttempts and schedule the next retry on failure; manual ones (redeliveries)
+ * leave the retry schedule as it was.
+ */
+const attemptDelivery = async (delivery, { manual = false } = {}) => {
+    const endpoint = await endpoints.findById(delivery.endpointId);
+    if (!endpoint || !endpoint.active) {
+        if (manual) {
+            throw new APIError('Webhook endpoint is disabled', 400);
+        }
+        return deliveries.update(delivery.id, {
+            status: 'failed',
+            nextAttemptAt: null,
+            error: 'Webhook endpoint is disabled'
+        });
+    }
+
+    const attempt = { ...await send(endpoint, delivery.event), manual };
+    const attempts = manual ? delivery.attempts : delivery.attempts + 1;
+    const changes = {
+        attempts,
+        attemptLog: [...(delivery.attemptLog || []), attempt].slice(-MAX_LOGGED_ATTEMPTS),
+        lastAttemptAt: attempt.attemptedAt,
+        responseStatus: attempt.responseStatus,
+        error: attempt.error
+    };
+
+    if (!attempt.error) {
+        changes.status = 'succeeded';
+        changes.deliveredAt = attempt.attemptedAt;
+        changes.nextAttemptAt = null;
+    } else if (!manual && attempts >= config.merchantWebhooks.maxAttempts) {
+        changes.status = 'failed';
+        changes.nextAttemptAt = null;
+    } else if (!manual) {
+        changes.nextAttemptAt = new Date(Date.now() + retryDelay(attempts) * 1000);
+    }
+
+    return deliveries.update(delivery.id, changes);
+};
+
+/**
+ * Record an event for a payment's current status and start delivering it to the
+ * owner's subscribed endpoints. First attempts go out in the background so the
+ * caller isn't held up; errors are logged rather than thrown, since the payment
+ * has already changed. Returns the deliveries created.
+ */
+const emitPaymentEvent = async (payment) => {
+    try {
+        const type = eventTypeFor(payment);
+        const subscribed = (await endpoints.find({ userId: payment.userId, active: true }))
+            .filter(endpoint => subscribesTo(endpoint, type));
+        if (!subscribed.length) {
+            return [];
+        }
+
+        const now = new Date();
+        const event = {
+            id: crypto.randomUUID(),
+            type,
+            created: Math.floor(now.getTime() / 1000),
+            data: { payment: paymentSnapshot(payment) }
+        };
+
+        const created = [];
+        for (const endpoint of subscribed) {
+            const delivery = {
+                id: crypto.randomUUID(),
+                endpointId: endpoint.id,
+                userId: payment.userId,
+                eventId: event.id,
+                eventType: type,
+                paymentId: payment.id,
+                event,
+                status: 'pending',
+                attempts: 0,
+                attemptLog: [],
+                // Held back until the first attempt has had its chance, so a retry sweep doesn't race it
+                nextAttemptAt: new Date(now.getTime() + retryDelay(1) * 1000),
+                lastAttemptAt: null,
+                responseStatus: null,
+                error: null,
+                deliveredAt: null,
+                createdAt: now
+            };
+            await deliveries.insert(delivery);
+            created.push(delivery);
+        }
+
+        created.forEach(delivery => {
+            attemptDelivery(delivery).catch(error => {
+                console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+            });
+        });
+        return created;
+    } catch (error) {
+        console.error(`Failed to emit webhook event for payment ${payment.id}:`, error.message);
+        return [];
+    }
+};
+
+// Send a logged delivery again now, whatever its status
+const redeliver = (delivery) => attemptDelivery(delivery, { manual: true });
+
+// Attempt every pending delivery whose retry is due, returning how many were tried
+const retryDueDeliveries = async (now = new Date()) => {
+    if (retrying) {
+        return 0;
+    }
+    retrying = true;
+
+    try {
+        const due = await deliveries.find(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { sort: { nextAttemptAt: 1 }, operators: true }
+        );
+        for (const delivery of due) {
+            try {
+                await attemptDelivery(delivery);
+            } catch (error) {
+                console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+            }
+        }
+        return due.length;
+    } finally {
+        retrying = false;
+    }
+};
+
+// Schedule periodic sweeps for deliveries due a retry
+const startWebhookDeliverySchedule = () => {
+    if (!config.merchantWebhooks.retryInterval || retryTimer) {
+        return;
+    }
+
+    retryTimer = setInterval(() => {
+        retryDueDeliveries().catch(error => console.error('Webhook retry sweep failed:', error.message));
+    }, config.merchantWebhooks.retryInterval * 60 * 1000);
+
+    // Don't keep the process alive just for the schedule
+    retryTimer.unref();
+};
+
+// Endpoint as returned by the API; the secret is only included when asked for
+const formatEndpoint = (endpoint, { includeSecret = false } = {}) => {
+    const { secret, ...rest } = endpoint;
+    return includeSecret ? { ...rest, secret } : rest;
+};
+
+module.exports = {
+    EVENT_TYPES,
+    ALL_EVENTS,
+    DELIVERY_STATUSES,
+    createEndpoint,
+    getEndpoint,
+    listEndpoints,
+    updateEndpoint,
+    rotateSecret,
+    deleteEndpoint,
+    getDelivery,
+    listDeliveries,
+    emitPaymentEvent,
+    redeliver,
+    retryDueDeliveries,
+    startWebhookDeliverySchedule,
+    formatEndpoint
+};
@@ -0,0 +1,116 @@
+/**
+ * Money handling
+ * Amounts are integers in the currency's minor unit (cents for USD, yen for JPY,
+ * fils for KWD), following the ISO 4217 exponents below
+ */
+
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+
+// ISO 4217 currencies with no minor unit
+const ZERO_DECIMAL = ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+// ISO 4217 currencies with three decimal places
+const THREE_DECIMAL = ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'];
+
+// ISO 4217 currencies with two decimal places
+const TWO_DECIMAL = [
+    'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN', 'BMD',
+    'BND', 'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CNY', 'COP', 'CRC', 'CUP',
+    'CVE', 'CZK', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP',
+    'GMD', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR', 'IRR', 'JMD', 'KES', 'KGS', 'KHR',
+    'KPW', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP',
+    'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'PAB', 'PEN',
+    'PGK', 'PHP', 'PKR', 'PLN', 'QAR', 'RON', 'RSD', 'RUB', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP',
+    'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB', 'TJS', 'TMT', 'TOP', 'TRY', 'TTD', 'TWD',
+    'TZS', 'UAH', 'USD', 'UYU', 'UZS', 'VES', 'WST', 'XCD', 'YER', 'ZAR', 'ZMW', 'ZWL'
+];
+
+// Currency code -> number of decimal places
+const EXPONENTS = Object.fromEntries([
+    ...ZERO_DECIMAL.map(code => [code, 0]),
+    ...TWO_DECIMAL.map(code => [code, 2]),
+    ...THREE_DECIMAL.map(code => [code, 3])
+]);
+
+const isSupportedCurrency = (code) => typeof code === 'string' && EXPONENTS[code.toUpperCase()] !== undefined;
+
+// Decimal places of a currency (2 for codes we don't know, e.g. on old records)
+const exponentOf = (currency) => {
+    const exponent = EXPONENTS[String(currency).toUpperCase()];
+    return exponent === undefined ? 2 : exponent;
+};
+
+// Validate and normalize a currency code from a request
+const parseCurrency = (value) => {
+    if (!isSupportedCurrency(value)) {
+        throw new APIError(`Unsupported currency: ${value}`, 400, { param: 'currency' });
+    }
+    return value.toUpperCase();
+};
+
+// Validate an amount from a request, which must already be in minor units
+const parseAmount = (value, param = 'amount') => {
+    if (!Number.isSafeInteger(value) || value <= 0) {
+        throw new APIError(
+            `${param} must be a positive integer in the currency's minor unit (e.g. 1050 for 10.50 USD)`,
+            400,
+            { param }
+        );
+    }
+    return value;
+};
+
+// Read the amount of a request, sent as `amountMinor` in the currency's minor unit.
+// A bare `amount` is refused rather than guessed at: it used to be in major units,
+// and an older client sending 10 for 10.00 USD would otherwise be charged 10 cents.
+// Returns undefined when an optional amount is left out.
+const parseRequestAmount = (body, { required = true } = {}) => {
+    if (body.amount !== undefined) {
+        throw new APIError(
+            "amount is not accepted; send amountMinor, an integer in the currency's minor unit (e.g. 1050 for 10.50 USD)",
+            400,
+            { param: 'amount' }
+        );
+    }
+    if (body.amountMinor === undefined && !required) {
+        return undefined;
+    }
+    return parseAmount(body.amountMinor, 'amountMinor');
+};
+
+// Convert a decimal major-unit amount (e.g. 10.5 USD) to minor units (1050)
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** exponentOf(currency));
+
+// Render minor units as a fixed-point string, e.g. 1050 USD -> "10.50", 1050 JPY -> "1050"
+const formatAmount = (amount, currency) => {
+    if (amount === null || amount === undefined) {
+        return null;
+    }
+    const exponent = exponentOf(currency);
+    const sign = amount < 0 ? '-' : '';
+    const digits = String(Math.abs(amount)).padStart(exponent + 1, '0');
+    if (exponent === 0) {
+        return `${sign}${digits}`;
+    }
+    return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+// Processing fee in minor units, using the currency's fee schedule or the default one.
+// Fixed parts only mean something in their own currency, so the default has none.
+const calculateFee = (amount, currency) => {
+    const schedule = config.payment.fees[currency] || config.payment.fees.default;
+    return Math.round(amount * schedule.percent) + (schedule.fixed || 0);
+};
+
+module.exports = {
+    EXPONENTS,
+    isSupportedCurrency,
+    exponentOf,
+    parseCurrency,
+    parseAmount,
+    parseRequestAmount,
+    toMinorUnits,
+    formatAmount,
+    calculateFee
+};
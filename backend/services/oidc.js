@@ -0,0 +1,280 @@
+/**
+ * OpenID Connect client
+ * Authorization code flow with PKCE against the providers configured in config.oidc,
+ * plus linking of external identities to local users
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const NodeCache = require('node-cache');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+
+const users = collection('users');
+const identities = collection('user_identities');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// Discovery documents and key sets change rarely
+const metadataCache = new NodeCache({
+    stdTTL: config.cache.stdTTL,
+    checkperiod: config.cache.checkperiod
+});
+
+// Pending authorization requests, keyed by state
+const pendingRequests = new NodeCache({
+    stdTTL: config.oidc.stateExpiresIn,
+    checkperiod: config.cache.checkperiod
+});
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Names of the providers that have been configured
+const listProviders = () => {
+    return Object.entries(config.oidc.providers)
+        .filter(([, provider]) => provider.issuer && provider.clientId)
+        .map(([name]) => name);
+};
+
+// Look up a configured provider
+const getProvider = (name) => {
+    const provider = config.oidc.providers[name];
+    if (!provider || !provider.issuer || !provider.clientId) {
+        throw new APIError(`Unknown identity provider: ${name}`, 404);
+    }
+    return { name, ...provider };
+};
+
+const redirectUri = (name) => `${config.oidc.redirectBaseUrl}/api/auth/oidc/${name}/callback`;
+
+// Fetch JSON from a provider, mapping failures to gateway errors
+const fetchJson = async (url, description) => {
+    try {
+        const response = await axios.get(url, { timeout: config.oidc.timeout });
+        return response.data;
+    } catch (error) {
+        console.error(`Failed to fetch ${description} from ${url}:`, error.message);
+        throw new APIError(`Identity provider ${description} is unavailable`, 502);
+    }
+};
+
+// Load and cache the provider's discovery document
+const discover = async (provider) => {
+    const cacheKey = `discovery:${provider.name}`;
+    const cached = metadataCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const issuer = provider.issuer.replace(/\/$/, '');
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`, 'discovery document');
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        throw new APIError('Identity provider discovery document is incomplete', 502);
+    }
+
+    metadataCache.set(cacheKey, metadata);
+    return metadata;
+};
+
+// Find the signing key for an ID token, refetching the key set once on an unknown kid
+const getSigningKey = async (provider, metadata, kid) => {
+    const cacheKey = `jwks:${provider.name}`;
+
+    const findKey = (jwks) => (jwks.keys || []).find(key =>
+        (!kid || key.kid === kid) && (!key.use || key.use === 'sig')
+    );
+
+    let jwks = metadataCache.get(cacheKey);
+    let key = jwks && findKey(jwks);
+    if (!key) {
+        jwks = await fetchJson(metadata.jwks_uri, 'key set');
+        metadataCache.set(cacheKey, jwks);
+        key = findKey(jwks);
+    }
+
+    if (!key) {
+        throw new APIError('ID token was signed with an unknown key', 401);
+    }
+
+    return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+// Start a sign-in: remember state, nonce and PKCE verifier, return the provider URL
+const createAuthorizationRequest = async (name) => {
+    const provider = getProvider(name);
+    const metadata = await discover(provider);
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    pendingRequests.set(state, { provider: name, nonce, codeVerifier });
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: redirectUri(name),
+        scope: provider.scopes.join(' '),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+
+    return {
+        authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+        state,
+        expiresIn: config.oidc.stateExpiresIn
+    };
+};
+
+// Exchange the authorization code for tokens
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri(provider.name),
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) {
+        body.set('client_secret', provider.clientSecret);
+    }
+
+    try {
+        const response = await axios.post(metadata.token_endpoint, body.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: config.oidc.timeout
+        });
+        return response.data;
+    } catch (error) {
+        if (error.response && error.response.status >= 400 && error.response.status < 500) {
+            const data = error.response.data || {};
+            throw new APIError('Authorization code was rejected by the identity provider', 400, {
+                error: data.error,
+                description: data.error_description
+            });
+        }
+        console.error(`Token exchange with ${provider.name} failed:`, error.message);
+        throw new APIError('Identity provider token endpoint is unavailable', 502);
+    }
+};
+
+// Verify the ID token's signature and claims, returning its payload
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new APIError('Invalid ID token', 401);
+    }
+
+    const key = await getSigningKey(provider, metadata, decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: SUPPORTED_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: provider.clientId
+        });
+    } catch (error) {
+        throw new APIError(`Invalid ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new APIError('ID token nonce does not match', 401);
+    }
+
+    return claims;
+};
+
+// Complete a sign-in from the provider callback, returning the ID token claims
+const handleCallback = async (name, { code, state }) => {
+    const provider = getProvider(name);
+
+    if (!code || !state) {
+        throw new APIError('Code and state are required', 400);
+    }
+
+    // State is single use
+    const pending = pendingRequests.take(String(state));
+    if (!pending || pending.provider !== name) {
+        throw new APIError('Sign-in request is invalid or has expired', 400);
+    }
+
+    const metadata = await discover(provider);
+    const tokenSet = await exchangeCode(provider, metadata, String(code), pending.codeVerifier);
+    if (!tokenSet.id_token) {
+        throw new APIError('Identity provider did not return an ID token', 502);
+    }
+
+    return verifyIdToken(provider, metadata, tokenSet.id_token, pending.nonce);
+};
+
+// Find the local user for an external identity, linking or creating one as needed.
+// Accounts are only linked by email when the provider has verified it and the
+// local account has verified it too, so nobody can pre-register a victim's address.
+const resolveUser = async (providerName, claims) => {
+    const identityId = `${providerName}:${claims.sub}`;
+
+    const identity = await identities.findById(identityId);
+    if (identity) {
+        const user = await users.findById(identity.userId);
+        if (user) {
+            await identities.update(identityId, { lastLoginAt: new Date() });
+            return { user, linked: false, created: false };
+        }
+        await identities.delete(identityId);
+    }
+
+    if (!claims.email || claims.email_verified !== true) {
+        throw new APIError('Identity provider did not return a verified email address', 400);
+    }
+
+    let user = await users.findOne({ email: claims.email });
+    let created = false;
+
+    if (user && !user.emailVerified) {
+        throw new APIError(
+            'An account with this email exists but its address is not verified - sign in with your password and verify it first',
+            409
+        );
+    }
+
+    if (!user) {
+        user = {
+            id: Date.now().toString(),
+            email: claims.email,
+            name: claims.name || claims.preferred_username || claims.email,
+            password: null,
+            role: config.permissions.defaultRole,
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        await users.insert(user);
+        created = true;
+    }
+
+    await identities.insert({
+        id: identityId,
+        userId: user.id,
+        provider: providerName,
+        subject: claims.sub,
+        email: claims.email,
+        linkedAt: new Date(),
+        lastLoginAt: new Date()
+    });
+
+    return { user, linked: true, created };
+};
+
+module.exports = {
+    listProviders,
+    createAuthorizationRequest,
+    handleCallback,
+    resolveUser
+};
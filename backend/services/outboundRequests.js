@@ -0,0 +1,122 @@
+/**
+ * Outbound requests
+ * Guards requests the server makes to user-supplied URLs (webhooks) so they can't
+ * be pointed at the server's own network: loopback, private, link-local (cloud
+ * metadata) and other non-public addresses are refused. URLs are checked when
+ * they are saved and again when used, and the connection itself resolves hosts
+ * through publicLookup so a DNS answer can't change in between.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+
+// Address ranges that aren't reachable on the public internet
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8], // "this" network
+    ['10.0.0.0', 8], // private
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local, including cloud metadata services
+    ['172.16.0.0', 12], // private
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.0.2.0', 24], // documentation
+    ['192.168.0.0', 16], // private
+    ['198.18.0.0', 15], // benchmarking
+    ['198.51.100.0', 24], // documentation
+    ['203.0.113.0', 24], // documentation
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], // unspecified
+    ['::1', 128], // loopback
+    ['64:ff9b::', 96], // IPv4/IPv6 translation
+    ['100::', 64], // discard
+    ['2001:db8::', 32], // documentation
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4 address embedded in an IPv4-mapped IPv6 address (::ffff:a.b.c.d), if any
+const mappedIPv4 = (address) => {
+    const match = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return match ? match[1] : null;
+};
+
+// Whether an IP address is outside the public internet
+const isPrivateAddress = (address) => {
+    const mapped = mappedIPv4(address);
+    if (mapped) {
+        return isPrivateAddress(mapped);
+    }
+    const family = net.isIP(address);
+    if (!family) {
+        return true;
+    }
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const allowsPrivateAddresses = () => config.outboundRequests.allowPrivateAddresses;
+
+// dns.lookup replacement for outgoing connections that refuses non-public addresses
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const refused = !allowsPrivateAddresses() && addresses.some(entry => isPrivateAddress(entry.address));
+        if (refused) {
+            const blocked = new Error(`${hostname} resolves to a non-public address`);
+            blocked.code = 'EADDRNOTPUBLIC';
+            return callback(blocked);
+        }
+        return callback(null, address, family);
+    });
+};
+
+/**
+ * Check that a URL is http(s) and that its host resolves only to public
+ * addresses, throwing a 400 APIError naming `param` otherwise
+ */
+const assertPublicUrl = async (url, param = 'url') => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+        throw new APIError(`${param} must be a valid http(s) URL`, 400, { param });
+    }
+    if (allowsPrivateAddresses()) {
+        return url;
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            throw new APIError(`${param} host could not be resolved`, 400, { param });
+        }
+    }
+
+    if (!addresses.length || addresses.some(isPrivateAddress)) {
+        throw new APIError(`${param} must point to a public address`, 400, { param });
+    }
+    return url;
+};
+
+module.exports = {
+    isPrivateAddress,
+    publicLookup,
+    assertPublicUrl
+};
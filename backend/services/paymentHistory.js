@@ -0,0 +1,299 @@
+/**
+ * Payment history
+ * Filtered, cursor-paginated queries over payments, and streaming export of the
+ * same queries as CSV or NDJSON. Cursors are opaque strings encoding the sort and
+ * the last record of the previous page, so pages stay stable as payments arrive.
+ */
+
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const { parseCurrency, formatAmount } = require('./money');
+const { PAYMENT_STATUSES, formatPayment } = require('./payments');
+
+const payments = collection('payments');
+
+const SORTS = ['createdAt', '-createdAt', 'amount', '-amount'];
+const DEFAULT_SORT = '-createdAt';
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Records fetched per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+// Exported columns, in order
+const CSV_COLUMNS = [
+    ['id', payment => payment.id],
+    ['userId', payment => payment.userId],
+    ['createdAt', payment => payment.createdAt],
+    ['processedAt', payment => payment.processedAt],
+    ['status', payment => payment.status],
+    ['currency', payment => payment.currency],
+    ['amount', payment => payment.amount],
+    ['amountFormatted', payment => formatAmount(payment.amount, payment.currency)],
+    ['capturedAmount', payment => payment.capturedAmount],
+    ['processingFee', payment => payment.processingFee],
+    ['amountRefunded', payment => payment.amountRefunded || 0],
+    ['captureMethod', payment => payment.captureMethod],
+    ['subscriptionId', payment => payment.subscriptionId],
+    ['description', payment => payment.description],
+    ['failureCode', payment => payment.failureCode]
+];
+
+// Comma-separated query values, e.g. ?status=failed,canceled
+const listParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const parseMinorUnits = (value, name) => {
+    const amount = Number(value);
+    if (!Number.isSafeInteger(amount) || amount < 0) {
+        throw new APIError(`${name} must be a non-negative integer in minor units`, 400, { param: name });
+    }
+    return amount;
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new APIError(`${name} must be an ISO 8601 date`, 400, { param: name });
+    }
+    return date;
+};
+
+const parsePageSize = (value) => {
+    if (value === undefined || value === '') {
+        return DEFAULT_PAGE_SIZE;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new APIError(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`, 400, { param: 'limit' });
+    }
+    return limit;
+};
+
+/**
+ * Build a payment filter and sort from query parameters:
+ *   status, currency           one or more, comma-separated
+ *   minAmount, maxAmount       inclusive bounds in minor units
+ *   from, to                   createdAt range, from inclusive and to exclusive
+ *   sort                       createdAt or amount, prefixed with - for descending (default -createdAt)
+ * `scope` is merged in as given, e.g. { userId } to restrict the query to one user.
+ */
+const parseHistoryQuery = (query, scope = {}) => {
+    const filter = {};
+
+    if (query.status !== undefined) {
+        const statuses = listParam(query.status);
+        const unknown = statuses.filter(status => !PAYMENT_STATUSES.includes(status));
+        if (!statuses.length || unknown.length) {
+            throw new APIError(`status must be one or more of: ${PAYMENT_STATUSES.join(', ')}`, 400, { param: 'status' });
+        }
+        filter.status = { $in: statuses };
+    }
+
+    if (query.currency !== undefined) {
+        filter.currency = { $in: listParam(query.currency).map(parseCurrency) };
+    }
+
+    const amount = {};
+    if (query.minAmount !== undefined) {
+        amount.$gte = parseMinorUnits(query.minAmount, 'minAmount');
+    }
+    if (query.maxAmount !== undefined) {
+        amount.$lte = parseMinorUnits(query.maxAmount, 'maxAmount');
+    }
+    if (amount.$gte !== undefined && amount.$lte !== undefined && amount.$gte > amount.$lte) {
+        throw new APIError('minAmount cannot be greater than maxAmount', 400);
+    }
+    if (Object.keys(amount).length) {
+        filter.amount = amount;
+    }
+
+    const createdAt = {};
+    if (query.from !== undefined) {
+        createdAt.$gte = parseDate(query.from, 'from');
+    }
+    if (query.to !== undefined) {
+        createdAt.$lt = parseDate(query.to, 'to');
+    }
+    if (createdAt.$gte && createdAt.$lt && createdAt.$gte >= createdAt.$lt) {
+        throw new APIError('from must be before to', 400);
+    }
+    if (Object.keys(createdAt).length) {
+        filter.createdAt = createdAt;
+    }
+
+    const sort = query.sort === undefined ? DEFAULT_SORT : query.sort;
+    if (!SORTS.includes(sort)) {
+        throw new APIError(`sort must be one of: ${SORTS.join(', ')}`, 400, { param: 'sort' });
+    }
+
+    return { filter: { ...filter, ...scope }, sort };
+};
+
+// Sort spec for the repository, with the id as a tiebreaker
+const sortSpec = (sort) => {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^-/, '');
+    return { field, direction, spec: { [field]: direction, id: direction } };
+};
+
+const encodeCursor = (sort, payment) => {
+    const { field } = sortSpec(sort);
+    return Buffer.from(JSON.stringify({ sort, value: payment[field], id: payment.id })).toString('base64url');
+};
+
+// Whether a decoded cursor value has the type of its sort field: a finite number
+// for amounts, an ISO date string for createdAt. The value goes into the filter,
+// so nothing else (an operator object, say) may get through.
+const isCursorValue = (field, value) => {
+    if (field === 'amount') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+};
+
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        decoded = null;
+    }
+    if (!decoded || typeof decoded.id !== 'string' || !isCursorValue(sortSpec(sort).field, decoded.value)) {
+        throw new APIError('Invalid cursor', 400, { param: 'cursor' });
+    }
+    if (decoded.sort !== sort) {
+        throw new APIError('Cursor was issued for a different sort', 400, { param: 'cursor' });
+    }
+    return decoded;
+};
+
+// Condition selecting records after the cursor position in the sort order
+const afterCursor = (sort, position) => {
+    const { field, direction } = sortSpec(sort);
+    const beyond = direction < 0 ? '$lt' : '$gt';
+    return {
+        $or: [
+            { [field]: { [beyond]: position.value } },
+            { [field]: position.value, id: { [beyond]: position.id } }
+        ]
+    };
+};
+
+// Fetch the page of records after a cursor position (or the first page)
+const fetchPage = async (filter, sort, position, limit) => {
+    const query = position ? { ...filter, ...afterCursor(sort, position) } : filter;
+    const items = await payments.find(query, { sort: sortSpec(sort).spec, limit: limit + 1, operators: true });
+    return {
+        items: items.slice(0, limit),
+        hasMore: items.length > limit
+    };
+};
+
+// One page of payments for a parsed history query
+const queryHistory = async ({ filter, sort }, { cursor, limit } = {}) => {
+    const pageSize = parsePageSize(limit);
+    const position = cursor ? decodeCursor(cursor, sort) : null;
+
+    const { items, hasMore } = await fetchPage(filter, sort, position, pageSize);
+
+    return {
+        payments: items.map(formatPayment),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null
+    };
+};
+
+// Quote a CSV field when needed; text that spreadsheets would run as a formula is prefixed with '
+const csvField = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+const ROW_WRITERS = {
+    csv: (payment) => csvRow(CSV_COLUMNS.map(([, value]) => value(payment))),
+    ndjson: (payment) => `${JSON.stringify(formatPayment(payment))}\n`
+};
+
+const parseExportFormat = (format = 'csv') => {
+    if (!EXPORT_FORMATS[format]) {
+        throw new APIError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400, { param: 'format' });
+    }
+    return format;
+};
+
+// Wait until a stream wants more data or has closed
+const drained = (stream) => new Promise(resolve => {
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+// Response headers for an export download, e.g. payments-2026-03-01.csv
+const exportHeaders = (format, name = 'payments') => ({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}"`
+});
+
+/**
+ * Stream every payment matching a parsed history query to a writable stream,
+ * a batch at a time, honouring backpressure. Stops early if the stream closes.
+ * Resolves to the number of payments written.
+ */
+const exportHistory = async ({ filter, sort }, format, stream) => {
+    const writeRow = ROW_WRITERS[parseExportFormat(format)];
+    const write = async (chunk) => {
+        if (!stream.write(chunk)) {
+            await drained(stream);
+        }
+    };
+
+    if (format === 'csv') {
+        await write(csvRow(CSV_COLUMNS.map(([name]) => name)));
+    }
+
+    let position = null;
+    let written = 0;
+    let hasMore = true;
+    while (hasMore && !stream.destroyed) {
+        const page = await fetchPage(filter, sort, position, EXPORT_BATCH_SIZE);
+        for (const payment of page.items) {
+            if (stream.destroyed) {
+                break;
+            }
+            await write(writeRow(payment));
+            written += 1;
+        }
+        hasMore = page.hasMore;
+        if (page.items.length) {
+            const last = page.items[page.items.length - 1];
+            position = { value: last[sortSpec(sort).field], id: last.id };
+        }
+    }
+    return written;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    parseHistoryQuery,
+    parseExportFormat,
+    exportHeaders,
+    queryHistory,
+    exportHistory
+};
@@ -0,0 +1,208 @@
+/**
+ * Payment webhooks
+ * Verifies signed gateway events and applies them to the payments store.
+ *
+ * Deliveries are signed with a header of the form "t=<unix seconds>,v1=<hex>", where
+ * v1 is the HMAC-SHA256 of "<t>.<raw body>" keyed with config.payment.webhookSecret.
+ * Several v1 entries may be sent while secrets are rotated. The active gateway names
+ * the header and translates its events: with Stripe that is Stripe's own
+ * Stripe-Signature header and payment_intent.succeeded, payment_intent.payment_failed
+ * and charge.refunded events; the simulator uses Webhook-Signature and the events below.
+ *
+ * Events are applied as { id, type, created, data }, where data names the payment by
+ * paymentId or by the gateway's intentId. Amounts and fees are minor units and are
+ * checked against the payment, so an event can't capture or refund more than it holds.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const { canTransition, refundableAmount, refundChanges, updatePayment } = require('./payments');
+const { SIGNATURE_HEADER, hmac, signPayload } = require('./webhookSignatures');
+const { gateway } = require('./gateways');
+
+const payments = collection('payments');
+const webhookEvents = collection('payment_webhook_events');
+
+// Check a signature header against the raw request body
+const verifySignature = (rawBody, header, {
+    secret = config.payment.webhookSecret,
+    tolerance = config.payment.webhookTolerance,
+    headerName = gateway.webhookSignatureHeader,
+    now = Date.now()
+} = {}) => {
+    if (!secret) {
+        throw new APIError('Payment webhooks are not configured', 503);
+    }
+    if (!rawBody || !header) {
+        throw new APIError(`Missing ${headerName} header`, 400);
+    }
+
+    const parts = header.split(',').map(part => part.trim().split('='));
+    const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1], 10);
+    const signatures = parts.filter(([key, value]) => key === 'v1' && value).map(([, value]) => value);
+
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+        throw new APIError('Malformed webhook signature', 400);
+    }
+
+    // Reject stale (or future-dated) deliveries so captured requests can't be replayed
+    if (Math.abs(Math.floor(now / 1000) - timestamp) > tolerance) {
+        throw new APIError('Webhook timestamp is outside the tolerance window', 400);
+    }
+
+    const expected = Buffer.from(hmac(secret, timestamp, rawBody.toString('utf8')), 'hex');
+    const matches = signatures.some(signature => {
+        const given = Buffer.from(signature, 'hex');
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+
+    if (!matches) {
+        throw new APIError('Invalid webhook signature', 400);
+    }
+};
+
+// Find the payment an event refers to
+const findPayment = async (data = {}) => {
+    if (data.paymentId) {
+        return payments.findById(String(data.paymentId));
+    }
+    if (data.intentId) {
+        return payments.findOne({ gatewayIntentId: String(data.intentId) });
+    }
+    return null;
+};
+
+// Whether a reported amount is a whole number of minor units from 1 to max
+const isAmountWithin = (amount, max) => Number.isSafeInteger(amount) && amount > 0 && amount <= max;
+
+// Amount a refund event refunds. A running total (Stripe's charges) refunds
+// whatever isn't recorded yet; otherwise the event names the amount, or
+// refunds everything left.
+const refundedByEvent = (payment, data, remaining) => {
+    if (data.totalRefunded !== undefined) {
+        return Number.isSafeInteger(data.totalRefunded) ? data.totalRefunded - (payment.amountRefunded || 0) : null;
+    }
+    return data.amount !== undefined ? data.amount : remaining;
+};
+
+// Changes each event type makes to its payment, or null when it doesn't apply
+const HANDLERS = {
+    'payment.succeeded': (payment, data) => {
+        // Settling an authorized payment captures it
+        const status = payment.status === 'authorized' ? 'captured' : 'succeeded';
+        if (!canTransition(payment.status, status)) {
+            return null;
+        }
+
+        // Never settle more than was authorized
+        const capturedAmount = data.amount !== undefined ? data.amount : payment.amount;
+        if (!isAmountWithin(capturedAmount, payment.amount)) {
+            return null;
+        }
+        const fee = Number.isSafeInteger(data.fee) && data.fee >= 0 && data.fee <= capturedAmount
+            ? data.fee
+            : payment.processingFee;
+
+        return {
+            status,
+            capturedAmount,
+            processingFee: fee,
+            processedAt: new Date(),
+            ...(status === 'captured' && { capturedAt: new Date() }),
+            nextAction: null,
+            error: null,
+            failureCode: null,
+            declineCode: null
+        };
+    },
+
+    'payment.failed': (payment, data) => {
+        if (!canTransition(payment.status, 'failed')) {
+            return null;
+        }
+        return {
+            status: 'failed',
+            error: data.message || 'Payment failed',
+            failureCode: data.failureCode || null,
+            declineCode: data.declineCode || null,
+            nextAction: null
+        };
+    },
+
+    'refund.succeeded': (payment, data) => {
+        // Refunds made through the API are already in the history
+        const known = (payment.refunds || []).some(refund => data.refundId && refund.gatewayRefundId === data.refundId);
+        const remaining = refundableAmount(payment);
+        const amount = refundedByEvent(payment, data, remaining);
+        if (known || !isAmountWithin(amount, remaining)) {
+            return null;
+        }
+        return refundChanges(payment, {
+            amount,
+            reason: data.reason || null,
+            gatewayRefundId: data.refundId || null
+        }).changes;
+    }
+};
+
+// Apply a verified event once; returns { duplicate, applied, paymentId }
+const processEvent = async (event) => {
+    if (!event || !event.id || !event.type) {
+        throw new APIError('Invalid webhook payload', 400);
+    }
+
+    const eventId = String(event.id);
+    if (await webhookEvents.findById(eventId)) {
+        return { duplicate: true, applied: false };
+    }
+
+    const handler = HANDLERS[event.type];
+    let payment = null;
+    if (handler) {
+        payment = await findPayment(event.data);
+        if (!payment) {
+            // Not recorded, so the gateway's retry can apply it once the payment exists
+            throw new APIError('Payment not found', 404);
+        }
+    }
+
+    // Claim the event first; a concurrent delivery of the same event loses the insert
+    try {
+        await webhookEvents.insert({
+            id: eventId,
+            type: event.type,
+            paymentId: payment ? payment.id : null,
+            applied: false,
+            receivedAt: new Date()
+        });
+    } catch (error) {
+        if (await webhookEvents.findById(eventId)) {
+            return { duplicate: true, applied: false };
+        }
+        throw error;
+    }
+
+    const changes = handler ? handler(payment, event.data || {}) : null;
+    if (changes) {
+        try {
+            await updatePayment(payment.id, { ...changes, updatedAt: new Date() });
+        } catch (error) {
+            await webhookEvents.delete(eventId);
+            throw error;
+        }
+        await webhookEvents.update(eventId, { applied: true });
+    } else if (!handler) {
+        console.log('Unhandled payment webhook event type:', event.type);
+    }
+
+    return { duplicate: false, applied: Boolean(changes), paymentId: payment ? payment.id : null };
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    processEvent
+};
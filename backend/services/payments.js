@@ -0,0 +1,359 @@
+/**
+ * Payment records
+ * Creating and confirming payments through the gateway, and the rules for how they
+ * change state; used by the payment routes, webhooks and subscription billing.
+ * Status changes and changes that move money go through updatePayment, so the
+ * ledger and users' webhook endpoints see them.
+ */
+
+const crypto = require('crypto');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const { formatAmount } = require('./money');
+const { gateway, INTENT_STATUSES } = require('./gateways');
+const { authorizationExpiresAt } = require('./authorizations');
+const ledger = require('./ledger');
+const { emitPaymentEvent } = require('./merchantWebhooks');
+
+const payments = collection('payments');
+
+/**
+ * Payment state machine: status -> statuses it may move to.
+ * Automatic capture settles straight to succeeded; manual capture holds the
+ * funds as authorized until they are captured, voided or the hold expires.
+ */
+const TRANSITIONS = {
+    pending: ['requires_action', 'processing', 'authorized', 'succeeded', 'failed', 'canceled'],
+    requires_action: ['processing', 'authorized', 'succeeded', 'failed', 'canceled'],
+    processing: ['authorized', 'succeeded', 'failed', 'canceled'],
+    authorized: ['captured', 'voided', 'expired'],
+    succeeded: ['partially_refunded', 'refunded'],
+    captured: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    failed: [],
+    canceled: [],
+    voided: [],
+    expired: [],
+    refunded: []
+};
+
+const PAYMENT_STATUSES = Object.keys(TRANSITIONS);
+
+// Gateway intent states that can still change without us confirming again
+const UNSETTLED_STATUSES = [INTENT_STATUSES.PROCESSING, INTENT_STATUSES.REQUIRES_ACTION];
+
+// Payments that can (still) be refunded
+const REFUNDABLE_STATUSES = ['succeeded', 'captured', 'partially_refunded'];
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+
+// Reject an action that would move a payment somewhere its status doesn't allow
+const assertTransition = (payment, to, action) => {
+    if (!canTransition(payment.status, to)) {
+        throw new APIError(`Cannot ${action} a payment that is ${payment.status}`, 400, {
+            status: payment.status,
+            allowed: TRANSITIONS[payment.status] || []
+        });
+    }
+};
+
+// Amount actually charged: the captured part of a manual payment, otherwise all of it
+const settledAmount = (payment) => {
+    return payment.capturedAmount !== undefined && payment.capturedAmount !== null
+        ? payment.capturedAmount
+        : payment.amount;
+};
+
+// Amount that can still be refunded
+const refundableAmount = (payment) => {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        return 0;
+    }
+    return settledAmount(payment) - (payment.amountRefunded || 0) - (payment.amountRefundPending || 0);
+};
+
+// Payment changes for a completed refund, appending it to the refund history
+const refundChanges = (payment, { amount, reason = null, gatewayRefundId = null }) => {
+    const refund = {
+        id: crypto.randomUUID(),
+        amount,
+        reason,
+        gatewayRefundId,
+        status: 'succeeded',
+        createdAt: new Date()
+    };
+    const amountRefunded = (payment.amountRefunded || 0) + amount;
+
+    return {
+        refund,
+        changes: {
+            refunds: [...(payment.refunds || []), refund],
+            amountRefunded,
+            status: amountRefunded >= settledAmount(payment) ? 'refunded' : 'partially_refunded',
+            updatedAt: new Date()
+        }
+    };
+};
+
+// Apply changes to a payment, post any money they move to the ledger and send a
+// webhook event for a new status. A failed posting is logged rather than thrown,
+// since the payment has already changed; the next update posts it again and
+// reconciliation reports it meanwhile. With a `where` filter the changes only
+// apply while the payment still matches it, resolving to null otherwise.
+const updatePayment = async (id, changes, { where } = {}) => {
+    const payment = await payments.update(id, changes, { where });
+    if (!payment && where) {
+        return null;
+    }
+    try {
+        await ledger.recordPayment(payment);
+    } catch (error) {
+        console.error(`Failed to post payment ${id} to the ledger:`, error.message);
+    }
+    if (changes.status) {
+        await emitPaymentEvent(payment);
+    }
+    return payment;
+};
+
+// Times a refund change is worked out afresh when another request got in first
+const REFUND_UPDATE_ATTEMPTS = 5;
+
+// Apply refund changes worked out by `changesFor` from the latest record. They only
+// apply if no other refund changed the payment since it was read, otherwise the
+// record is read again. Resolves to what `changesFor` returned besides the changes,
+// with the updated payment.
+const updateRefunds = async (id, changesFor) => {
+    for (let attempt = 0; attempt < REFUND_UPDATE_ATTEMPTS; attempt++) {
+        const current = await payments.findById(id);
+        const { changes, ...result } = changesFor(current);
+        const { status, amountRefunded, amountRefundPending } = current;
+        const payment = await updatePayment(id, changes, { where: { status, amountRefunded, amountRefundPending } });
+        if (payment) {
+            return { ...result, payment };
+        }
+    }
+    throw new APIError('Payment was changed by another request, please try again', 409);
+};
+
+// Set aside part of a payment's refundable amount (by default all that's left) for
+// a refund about to be made at the gateway, so concurrent refunds can't add up to
+// more than was paid. Resolves to the amount reserved and the payment.
+const reserveRefund = (id, requested) => updateRefunds(id, (payment) => {
+    const remaining = refundableAmount(payment);
+    if (REFUNDABLE_STATUSES.includes(payment.status) && remaining <= 0 && payment.amountRefundPending > 0) {
+        throw new APIError('The rest of this payment is already being refunded', 409);
+    }
+    if (payment.status === 'refunded' || (REFUNDABLE_STATUSES.includes(payment.status) && remaining <= 0)) {
+        throw new APIError('Payment has already been fully refunded', 400);
+    }
+    assertTransition(payment, 'refunded', 'refund');
+
+    const amount = requested === undefined ? remaining : requested;
+    if (amount > remaining) {
+        throw new APIError(
+            `Refund amount cannot exceed the refundable amount (${formatAmount(remaining, payment.currency)} ${payment.currency})`,
+            400
+        );
+    }
+    return { amount, changes: { amountRefundPending: (payment.amountRefundPending || 0) + amount } };
+});
+
+// Remaining reservation once `amount` of it is done with
+const releasedPending = (payment, amount) => Math.max((payment.amountRefundPending || 0) - amount, 0);
+
+// Give back a reservation whose gateway refund failed
+const releaseRefund = (id, amount) => updateRefunds(id, (payment) => ({
+    changes: { amountRefundPending: releasedPending(payment, amount) }
+}));
+
+// Record a refund the gateway made in place of the reservation made for it.
+// Resolves to the refund and the payment.
+const completeRefund = (id, reserved, details) => updateRefunds(id, (payment) => {
+    const { refund, changes } = refundChanges(payment, details);
+    return { refund, changes: { ...changes, amountRefundPending: releasedPending(payment, reserved) } };
+});
+
+// Open a gateway intent for a payment
+const createIntent = (payment) => gateway.createIntent({
+    amount: payment.amount,
+    currency: payment.currency,
+    paymentMethod: payment.paymentMethod,
+    captureMethod: payment.captureMethod,
+    metadata: { paymentId: payment.id, userId: payment.userId }
+});
+
+// Payment status for a gateway intent status; settling a hold is a capture, canceling it a void
+const statusForIntent = (payment, intent) => {
+    if (payment.status === 'authorized') {
+        if (intent.status === INTENT_STATUSES.SUCCEEDED) {
+            return 'captured';
+        }
+        if (intent.status === INTENT_STATUSES.CANCELED) {
+            return 'voided';
+        }
+    }
+    return intent.status;
+};
+
+// Payment fields that follow from the gateway's view of the intent,
+// or null when the state machine doesn't allow the move
+const intentChanges = (payment, intent) => {
+    const status = statusForIntent(payment, intent);
+    if (status === payment.status || !canTransition(payment.status, status)) {
+        return null;
+    }
+
+    const changes = {
+        status,
+        nextAction: intent.nextAction,
+        updatedAt: new Date()
+    };
+    if (status === 'authorized') {
+        changes.authorizedAt = new Date();
+        changes.authorizationExpiresAt = authorizationExpiresAt(changes.authorizedAt);
+    }
+    if (status === 'succeeded' || status === 'captured') {
+        changes.capturedAmount = intent.amountCaptured || payment.amount;
+        changes.processingFee = intent.fee;
+        changes.processedAt = new Date();
+    }
+    if (status === 'captured') {
+        changes.capturedAt = new Date();
+    }
+    if (status === 'voided') {
+        changes.voidedAt = new Date();
+    }
+    if (intent.error) {
+        changes.error = intent.error.message;
+        changes.failureCode = intent.error.code;
+        changes.declineCode = intent.error.declineCode;
+    }
+    return changes;
+};
+
+// Create a pending payment and open its gateway intent; extra fields
+// (e.g. a subscription reference) are stored on the record as given
+const createPayment = async ({ userId, amount, currency, paymentMethod, captureMethod = 'automatic', ...fields }) => {
+    const payment = {
+        id: crypto.randomUUID(),
+        userId,
+        amount,
+        currency,
+        paymentMethod,
+        captureMethod,
+        ...fields,
+        status: 'pending',
+        createdAt: new Date()
+    };
+
+    // Open the intent with the gateway before storing the payment
+    const intent = await createIntent(payment);
+    payment.gateway = gateway.name;
+    payment.gatewayIntentId = intent.id;
+
+    await payments.insert(payment);
+    await emitPaymentEvent(payment);
+
+    return { payment, intent };
+};
+
+// Confirm a payment with the gateway, returning the updated record and intent.
+// Declines are recorded on the payment before the gateway's APIError is rethrown.
+const confirmPayment = async (payment) => {
+    // Payments created before gateways were pluggable have no intent yet
+    let intentId = payment.gatewayIntentId;
+    if (!intentId) {
+        const intent = await createIntent(payment);
+        intentId = intent.id;
+        await payments.update(payment.id, { gateway: gateway.name, gatewayIntentId: intentId });
+    }
+
+    let intent;
+    try {
+        intent = await gateway.confirmIntent(intentId, { paymentMethod: payment.paymentMethod });
+    } catch (error) {
+        const type = error.details && error.details.type;
+
+        if (type === 'card_error') {
+            // Declined - record why so the client can tell the user
+            await updatePayment(payment.id, {
+                status: 'failed',
+                error: error.message,
+                failureCode: error.details.code,
+                declineCode: error.details.declineCode,
+                updatedAt: new Date()
+            });
+        } else if (type === 'timeout') {
+            // The charge may still have gone through; GET /:id asks the gateway later
+            await updatePayment(payment.id, { status: 'processing', updatedAt: new Date() });
+        }
+
+        throw error;
+    }
+
+    const changes = intentChanges(payment, intent);
+    return {
+        payment: changes ? await updatePayment(payment.id, changes) : payment,
+        intent
+    };
+};
+
+// A payment method as shown back to users: card numbers cut down to their
+// last four digits, gateway tokens (pm_...) as they are
+const maskPaymentMethod = (method) => {
+    if (typeof method !== 'string') {
+        return null;
+    }
+    const digits = method.replace(/[ -]/g, '');
+    return /^\d{12,19}$/.test(digits) ? `**** ${digits.slice(-4)}` : method;
+};
+
+// Pick up the outcome of a payment still settling at the gateway, returning
+// the payment as it now stands
+const refreshPayment = async (payment) => {
+    if (!payment.gatewayIntentId || !UNSETTLED_STATUSES.includes(payment.status)) {
+        return payment;
+    }
+    const intent = await gateway.retrieveIntent(payment.gatewayIntentId);
+    const changes = intentChanges(payment, intent);
+    return changes ? updatePayment(payment.id, changes) : payment;
+};
+
+// Payment as returned by the API: minor-unit amounts plus their formatted forms.
+// The payment method is left out, as it may be a card number.
+const formatPayment = ({ paymentMethod, ...payment }) => {
+    const format = (amount) => formatAmount(amount, payment.currency);
+    return {
+        ...payment,
+        amountFormatted: format(payment.amount),
+        capturedAmountFormatted: format(payment.capturedAmount),
+        processingFeeFormatted: format(payment.processingFee),
+        amountRefundedFormatted: format(payment.amountRefunded || 0),
+        refunds: (payment.refunds || []).map(refund => ({
+            ...refund,
+            amountFormatted: format(refund.amount)
+        }))
+    };
+};
+
+module.exports = {
+    PAYMENT_STATUSES,
+    UNSETTLED_STATUSES,
+    REFUNDABLE_STATUSES,
+    canTransition,
+    assertTransition,
+    settledAmount,
+    intentChanges,
+    updatePayment,
+    createPayment,
+    confirmPayment,
+    refreshPayment,
+    maskPaymentMethod,
+    formatPayment,
+    refundableAmount,
+    refundChanges,
+    reserveRefund,
+    releaseRefund,
+    completeRefund
+};
@@ -0,0 +1,86 @@
+/**
+ * Permission policy
+ * Resolves what a user may do from the permission bundles in config.permissions.
+ * "resource:action" applies to records the user owns, "resource:action:any" to
+ * all of them. API keys are limited to their scopes on top of their owner's role.
+ */
+
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+
+const ANY = ':any';
+
+// Ownership rules for resources that aren't keyed by userId
+const OWNERS = {
+    posts: (user, post) => post.author === user.email,
+    comments: (user, comment) => comment.author === user.email
+};
+
+// Whether a granted permission covers a requested one ("*" and "resource:*" are wildcards)
+const covers = (granted, permission) => {
+    if (granted === '*' || granted === permission) {
+        return true;
+    }
+    return granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1));
+};
+
+const roleNames = () => Object.keys(config.permissions.roles);
+
+const rolePermissions = (role) => config.permissions.roles[role] || [];
+
+// Whether a role grants a permission
+const roleHasPermission = (role, permission) => {
+    return rolePermissions(role).some(granted => covers(granted, permission));
+};
+
+// Whether a user (or API key) holds a permission, regardless of ownership.
+// A key scoped to "payments:read" may also use its owner's "payments:read:any".
+const hasPermission = (user, permission) => {
+    if (!user || !roleHasPermission(user.role, permission)) {
+        return false;
+    }
+    if (!user.scopes) {
+        return true;
+    }
+    const base = permission.endsWith(ANY) ? permission.slice(0, -ANY.length) : permission;
+    return user.scopes.some(scope => covers(scope, permission) || covers(scope, base));
+};
+
+// Whether a user owns a resource, by the rule for its permission's resource type
+const isOwner = (user, permission, resource) => {
+    const ownerRule = OWNERS[permission.split(':')[0]];
+    return ownerRule ? ownerRule(user, resource) : resource.userId === user.id;
+};
+
+// Whether a user may perform an action, optionally on a specific resource
+const can = (user, permission, resource) => {
+    if (resource === undefined) {
+        return hasPermission(user, permission);
+    }
+    if (hasPermission(user, `${permission}${ANY}`)) {
+        return true;
+    }
+    return hasPermission(user, permission) && isOwner(user, permission, resource);
+};
+
+// Throw a 403 unless the user may perform the action
+const assertCan = (user, permission, resource, message = 'Unauthorized') => {
+    if (!can(user, permission, resource)) {
+        throw new APIError(message, 403);
+    }
+};
+
+// Permissions a user (or API key) holds, for display
+const permissionsFor = (user) => {
+    const granted = rolePermissions(user.role);
+    return user.scopes ? user.scopes.filter(scope => hasPermission(user, scope)) : granted;
+};
+
+module.exports = {
+    roleNames,
+    roleHasPermission,
+    hasPermission,
+    can,
+    assertCan,
+    permissionsFor
+};
@@ -0,0 +1,166 @@
+/**
+ * Reconciliation
+ * Compares the ledger with the payments store, and both with the gateway's own
+ * records, for payments created in a date range. Disagreements are reported as
+ * mismatches, never corrected here: the ledger is append-only.
+ */
+
+const { collection } = require('../db');
+const { gateway } = require('./gateways');
+const { settledAmount } = require('./payments');
+const { SETTLED_STATUSES, isBalanced, listTransactions } = require('./ledger');
+
+const payments = collection('payments');
+
+const MISMATCH_TYPES = {
+    LEDGER: 'ledger_mismatch', // ledger disagrees with the payment record
+    GATEWAY: 'gateway_mismatch', // gateway disagrees with the payment record
+    MISSING_INTENT: 'missing_gateway_intent', // gateway has no record of the payment
+    GATEWAY_ERROR: 'gateway_error', // gateway couldn't be asked
+    MISSING_PAYMENT: 'missing_payment', // ledger refers to a payment that isn't stored
+    UNBALANCED: 'unbalanced_transaction' // ledger transaction whose debits and credits differ
+};
+
+// Amounts compared for every payment
+const FIELDS = ['captured', 'fees', 'refunded'];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const inRange = (value, from, to) => {
+    const time = new Date(value).getTime();
+    return time >= from.getTime() && time < to.getTime();
+};
+
+// What the payment record says has moved
+const expectedFor = (payment) => {
+    const settled = SETTLED_STATUSES.includes(payment.status);
+    return {
+        captured: settled ? settledAmount(payment) : 0,
+        fees: settled ? payment.processingFee || 0 : 0,
+        refunded: sum((payment.refunds || [])
+            .filter(refund => refund.status === 'succeeded')
+            .map(refund => refund.amount))
+    };
+};
+
+// What the ledger has posted for a payment
+const postedFor = (transactions) => {
+    const total = (type) => sum(transactions.filter(transaction => transaction.type === type).map(transaction => transaction.amount));
+    return {
+        captured: total('capture'),
+        fees: total('fee'),
+        refunded: total('refund')
+    };
+};
+
+// What the gateway reports for a payment's intent; fees are only compared when it reports one
+const gatewayAmounts = (intent) => ({
+    captured: intent.amountCaptured || 0,
+    fees: intent.fee === null || intent.fee === undefined ? undefined : intent.fee,
+    refunded: intent.amountRefunded || 0
+});
+
+// Mismatches between two sets of amounts for a payment
+const compare = (type, payment, expected, actual) => FIELDS
+    .filter(field => actual[field] !== undefined && expected[field] !== actual[field])
+    .map(field => ({
+        type,
+        paymentId: payment.id,
+        userId: payment.userId,
+        currency: payment.currency,
+        field,
+        expected: expected[field],
+        actual: actual[field]
+    }));
+
+// Check one payment against the configured gateway, returning its mismatches
+const checkGatewayRecord = async (payment, expected) => {
+    try {
+        const intent = await gateway.retrieveIntent(payment.gatewayIntentId);
+        return compare(MISMATCH_TYPES.GATEWAY, payment, expected, gatewayAmounts(intent));
+    } catch (error) {
+        const missing = error.status === 404;
+        return [{
+            type: missing ? MISMATCH_TYPES.MISSING_INTENT : MISMATCH_TYPES.GATEWAY_ERROR,
+            paymentId: payment.id,
+            userId: payment.userId,
+            currency: payment.currency,
+            gatewayIntentId: payment.gatewayIntentId,
+            message: error.message
+        }];
+    }
+};
+
+/**
+ * Reconcile payments created in [from, to)
+ * Ledger totals cover transactions that occurred in the same range. Payments made
+ * through a gateway other than the configured one, or before gateways recorded
+ * intents, can't be checked against the gateway and are counted as skipped.
+ */
+const reconcile = async ({ from, to, checkGateway = true }) => {
+    const [storedPayments, { items: transactions }] = await Promise.all([
+        payments.find({}),
+        listTransactions()
+    ]);
+
+    const paymentIds = new Set(storedPayments.map(payment => payment.id));
+    const byPayment = new Map();
+    transactions.filter(transaction => transaction.paymentId).forEach(transaction => {
+        byPayment.set(transaction.paymentId, [...(byPayment.get(transaction.paymentId) || []), transaction]);
+    });
+
+    const mismatches = [];
+    const checked = { payments: 0, transactions: 0, gatewayRecords: 0, gatewaySkipped: 0 };
+
+    const inPeriod = storedPayments.filter(payment => inRange(payment.createdAt, from, to));
+    for (const payment of inPeriod) {
+        checked.payments += 1;
+        const expected = expectedFor(payment);
+        mismatches.push(...compare(MISMATCH_TYPES.LEDGER, payment, expected, postedFor(byPayment.get(payment.id) || [])));
+
+        if (!checkGateway) {
+            continue;
+        }
+        if (!payment.gatewayIntentId || payment.gateway !== gateway.name) {
+            checked.gatewaySkipped += 1;
+            continue;
+        }
+        checked.gatewayRecords += 1;
+        mismatches.push(...await checkGatewayRecord(payment, expected));
+    }
+
+    const totals = {};
+    transactions.filter(transaction => inRange(transaction.occurredAt, from, to)).forEach(transaction => {
+        checked.transactions += 1;
+
+        if (!isBalanced(transaction)) {
+            mismatches.push({ type: MISMATCH_TYPES.UNBALANCED, transactionId: transaction.id, paymentId: transaction.paymentId || null });
+        }
+        if (transaction.paymentId && !paymentIds.has(transaction.paymentId)) {
+            mismatches.push({
+                type: MISMATCH_TYPES.MISSING_PAYMENT,
+                transactionId: transaction.id,
+                paymentId: transaction.paymentId,
+                currency: transaction.currency,
+                amount: transaction.amount
+            });
+        }
+
+        const currency = (totals[transaction.currency] = totals[transaction.currency] || { capture: 0, fee: 0, refund: 0, payout: 0 });
+        currency[transaction.type] += transaction.amount;
+    });
+
+    return {
+        from,
+        to,
+        reconciled: mismatches.length === 0,
+        checked,
+        totals,
+        mismatches
+    };
+};
+
+module.exports = {
+    MISMATCH_TYPES,
+    reconcile
+};
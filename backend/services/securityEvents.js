@@ -0,0 +1,81 @@
+/**
+ * Security event log
+ * Append-only record of authentication events for auditing
+ */
+
+const crypto = require('crypto');
+const { collection } = require('../db');
+
+const securityEvents = collection('security_events');
+
+const EVENT_TYPES = {
+    LOGIN_SUCCEEDED: 'login_succeeded',
+    LOGIN_FAILED: 'login_failed',
+    LOGIN_BLOCKED: 'login_blocked',
+    LOGIN_NEW_IP: 'login_new_ip',
+    IDENTITY_LINKED: 'identity_linked',
+    ACCOUNT_LOCKED: 'account_locked',
+    ACCOUNT_UNLOCKED: 'account_unlocked',
+    IP_LOCKED: 'ip_locked',
+    IP_UNLOCKED: 'ip_unlocked',
+    PASSKEY_REGISTERED: 'passkey_registered',
+    PASSKEY_REMOVED: 'passkey_removed',
+    PASSKEY_FAILED: 'passkey_failed',
+    TWO_FACTOR_FAILED: 'two_factor_failed',
+    TWO_FACTOR_ENABLED: 'two_factor_enabled',
+    TWO_FACTOR_DISABLED: 'two_factor_disabled',
+    PASSWORD_CHANGED: 'password_changed',
+    PASSWORD_RESET: 'password_reset'
+};
+
+// Client details worth recording from a request
+const requestContext = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+});
+
+// Record an event; logging failures never block the request that caused them
+const recordEvent = async (type, { userId = null, email = null, ip = null, userAgent = null, details = null } = {}) => {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        userId,
+        email,
+        ip,
+        userAgent,
+        details,
+        createdAt: new Date()
+    };
+
+    try {
+        await securityEvents.insert(event);
+    } catch (error) {
+        console.error(`Failed to record security event ${type}:`, error.message);
+    }
+
+    return event;
+};
+
+// Query events by type, user, email or IP, newest first
+const queryEvents = async (filter = {}, { offset = 0, limit = 50 } = {}) => {
+    const query = {};
+    ['type', 'userId', 'email', 'ip'].forEach(field => {
+        if (filter[field]) {
+            query[field] = filter[field];
+        }
+    });
+
+    const [items, total] = await Promise.all([
+        securityEvents.find(query, { sort: { createdAt: -1 }, offset, limit }),
+        securityEvents.count(query)
+    ]);
+
+    return { items, total };
+};
+
+module.exports = {
+    EVENT_TYPES,
+    requestContext,
+    recordEvent,
+    queryEvents
+};
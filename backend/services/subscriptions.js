@@ -0,0 +1,719 @@
+/**
+ * Subscriptions
+ * Plans, customer subscriptions and the billing cycle that renews them.
+ * Every charge is an ordinary payment made through createPayment/confirmPayment,
+ * tagged with the subscription and the period it pays for. Declined renewals are
+ * retried on the dunning schedule in config.subscriptions.retryDelays; a renewal
+ * whose payment is still processing at the gateway waits for it to settle.
+ * Each renewal is claimed on the stored subscription first, so only one process
+ * charges for a period. Time comes from the clock service so billing can be
+ * driven in tests.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const clock = require('./clock');
+const { parseRequestAmount, parseCurrency, formatAmount } = require('./money');
+const { createPayment, confirmPayment, refreshPayment, maskPaymentMethod } = require('./payments');
+
+const plans = collection('plans');
+const subscriptions = collection('subscriptions');
+const payments = collection('payments');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Subscriptions the billing cycle looks after
+const BILLABLE_STATUSES = ['trialing', 'active', 'past_due'];
+
+// Subscriptions that haven't ended
+const LIVE_STATUSES = [...BILLABLE_STATUSES, 'paused'];
+
+const SUBSCRIPTION_STATUSES = [...LIVE_STATUSES, 'canceled'];
+
+// Billing reasons of the charges that renew a subscription for its next period
+const RENEWAL_REASONS = ['trial_end', 'subscription_cycle'];
+
+let billingTimer = null;
+let billing = false;
+
+// Reject an action the subscription's status doesn't allow
+const assertStatus = (subscription, allowed, action) => {
+    if (!allowed.includes(subscription.status)) {
+        throw new APIError(`Cannot ${action} a subscription that is ${subscription.status}`, 400, {
+            status: subscription.status,
+            allowed
+        });
+    }
+};
+
+// Add whole billing intervals to a date in UTC. Monthly and yearly periods land
+// on the anchor day (the date's own day by default), clamped to the end of short
+// months: from an anchor of 31 January they end 28 February, then 31 March.
+const addInterval = (date, interval, count = 1, anchorDay = new Date(date).getUTCDate()) => {
+    const result = new Date(date);
+
+    if (interval === 'day' || interval === 'week') {
+        result.setUTCDate(result.getUTCDate() + count * (interval === 'week' ? 7 : 1));
+        return result;
+    }
+
+    const months = interval === 'year' ? count * 12 : count;
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(anchorDay, lastDay));
+    return result;
+};
+
+// End of a billing period that starts at `start`, keeping to the subscription's anchor day
+const periodEndFor = (plan, start, anchor = start) => {
+    return addInterval(start, plan.interval, plan.intervalCount, new Date(anchor).getUTCDate());
+};
+
+// Share of the current period still to run at a given time, between 0 and 1
+const remainingFraction = (subscription, now) => {
+    const start = new Date(subscription.currentPeriodStart).getTime();
+    const end = new Date(subscription.currentPeriodEnd).getTime();
+    if (end <= start) {
+        return 0;
+    }
+    return Math.min(1, Math.max(0, (end - now.getTime()) / (end - start)));
+};
+
+// Validate plan fields from a request; `partial` allows missing fields for updates
+const parsePlan = (body, { partial = false } = {}) => {
+    const { subscriptions: settings } = config;
+    const fields = {};
+    const given = (field) => body[field] !== undefined;
+
+    if (given('name') || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            throw new APIError('Plan name is required', 400, { param: 'name' });
+        }
+        fields.name = body.name.trim();
+    }
+    if (given('active')) {
+        fields.active = Boolean(body.active);
+    }
+    if (partial) {
+        // Price and billing interval are fixed once subscribers rely on them
+        const fixed = ['amount', 'amountMinor', 'currency', 'interval', 'intervalCount'].filter(given);
+        if (fixed.length) {
+            throw new APIError(`Plan ${fixed.join(', ')} cannot be changed; create a new plan instead`, 400);
+        }
+    } else {
+        fields.amount = parseRequestAmount(body);
+        fields.currency = parseCurrency(body.currency === undefined ? 'USD' : body.currency);
+
+        if (!settings.intervals.includes(body.interval)) {
+            throw new APIError(`interval must be one of: ${settings.intervals.join(', ')}`, 400, { param: 'interval' });
+        }
+        fields.interval = body.interval;
+
+        fields.intervalCount = given('intervalCount') ? body.intervalCount : 1;
+        if (!Number.isInteger(fields.intervalCount) || fields.intervalCount < 1 || fields.intervalCount > settings.maxIntervalCount) {
+            throw new APIError(`intervalCount must be an integer from 1 to ${settings.maxIntervalCount}`, 400, { param: 'intervalCount' });
+        }
+    }
+    if (given('trialDays') || !partial) {
+        fields.trialDays = given('trialDays') ? body.trialDays : 0;
+        if (!Number.isInteger(fields.trialDays) || fields.trialDays < 0 || fields.trialDays > settings.maxTrialDays) {
+            throw new APIError(`trialDays must be an integer from 0 to ${settings.maxTrialDays}`, 400, { param: 'trialDays' });
+        }
+    }
+
+    return fields;
+};
+
+const createPlan = async (body) => {
+    const plan = {
+        id: crypto.randomUUID(),
+        ...parsePlan(body),
+        active: body.active === undefined ? true : Boolean(body.active),
+        createdAt: new Date()
+    };
+    await plans.insert(plan);
+    return plan;
+};
+
+const updatePlan = async (id, body) => {
+    await getPlan(id);
+    return plans.update(id, { ...parsePlan(body, { partial: true }), updatedAt: new Date() });
+};
+
+const getPlan = async (id) => {
+    const plan = await plans.findById(id);
+    if (!plan) {
+        throw new APIError('Plan not found', 404);
+    }
+    return plan;
+};
+
+// Plans open for new subscriptions, cheapest first
+const listPlans = () => plans.find({ active: true }, { sort: { amount: 1 } });
+
+const getSubscription = async (id) => {
+    const subscription = await subscriptions.findById(id);
+    if (!subscription) {
+        throw new APIError('Subscription not found', 404);
+    }
+    return subscription;
+};
+
+const listSubscriptions = (userId) => subscriptions.find({ userId }, { sort: { createdAt: -1 } });
+
+// Whether a failed charge was the card being declined, rather than the gateway failing
+const isDeclined = (error) => error instanceof APIError && error.status === 402;
+
+// Charge a subscription through the normal payment path. Resolves to the
+// succeeded payment, or null when nothing is owed; a declined charge rejects
+// with a 402 carrying the payment id. Other gateway errors, such as a timeout
+// that leaves the payment processing, are passed on with the payment id added.
+const charge = async (subscription, plan, amount, { reason, periodStart, periodEnd }) => {
+    if (amount <= 0) {
+        return null;
+    }
+
+    const { payment } = await createPayment({
+        userId: subscription.userId,
+        amount,
+        currency: plan.currency,
+        paymentMethod: subscription.paymentMethod,
+        description: `${plan.name} (${reason})`,
+        subscriptionId: subscription.id,
+        billingReason: reason,
+        periodStart,
+        periodEnd
+    });
+
+    let result;
+    try {
+        result = await confirmPayment(payment);
+    } catch (error) {
+        if (isDeclined(error)) {
+            throw new APIError(`Subscription payment failed: ${error.message}`, 402, {
+                paymentId: payment.id,
+                ...error.details
+            });
+        }
+        if (error instanceof APIError) {
+            throw new APIError(error.message, error.status, { ...error.details, paymentId: payment.id });
+        }
+        throw error;
+    }
+
+    if (result.payment.status !== 'succeeded') {
+        throw new APIError(`Subscription payment was not completed (status: ${result.payment.status})`, 402, {
+            paymentId: payment.id,
+            status: result.payment.status
+        });
+    }
+    return result.payment;
+};
+
+// Credit used up against a period's price
+const creditFor = (subscription, plan) => Math.min(subscription.creditBalance || 0, plan.amount);
+
+// Changes that start the period from `periodStart`, paid for by `payment` (null when credit covered it)
+const periodChanges = (subscription, plan, periodStart, payment, anchor = subscription.billingAnchor || periodStart) => ({
+    status: 'active',
+    billingAnchor: anchor,
+    currentPeriodStart: periodStart,
+    currentPeriodEnd: periodEndFor(plan, periodStart, anchor),
+    creditBalance: (subscription.creditBalance || 0) - creditFor(subscription, plan),
+    failedAttempts: 0,
+    nextRetryAt: null,
+    lastFailure: null,
+    latestPaymentId: payment ? payment.id : subscription.latestPaymentId,
+    updatedAt: new Date()
+});
+
+// Charge the period starting at `periodStart`, using up any credit first.
+// Returns the changes to apply on success; failures are left to the caller.
+const renewalChanges = async (subscription, plan, periodStart, reason, anchor = subscription.billingAnchor || periodStart) => {
+    const periodEnd = periodEndFor(plan, periodStart, anchor);
+    const payment = await charge(subscription, plan, plan.amount - creditFor(subscription, plan), { reason, periodStart, periodEnd });
+    return periodChanges(subscription, plan, periodStart, payment, anchor);
+};
+
+// A renewal payment for the period starting at `periodStart` that went through,
+// or may yet: one left processing is checked with the gateway first
+const renewalPayment = async (subscription, periodStart) => {
+    const start = new Date(periodStart).getTime();
+    const made = (await payments.find({ subscriptionId: subscription.id })).filter(payment => {
+        return RENEWAL_REASONS.includes(payment.billingReason)
+            && new Date(payment.periodStart).getTime() === start
+            && ['processing', 'succeeded'].includes(payment.status);
+    });
+
+    for (const payment of made) {
+        const current = await refreshPayment(payment);
+        if (['processing', 'succeeded'].includes(current.status)) {
+            return current;
+        }
+    }
+    return null;
+};
+
+/**
+ * Renew a subscription for the period after its current one. A payment already
+ * made for that period is used rather than charging again. Resolves to one of
+ *   { outcome: 'renewed', changes }   paid for, or covered by credit
+ *   { outcome: 'pending', paymentId } the payment is still processing at the gateway
+ *   { outcome: 'declined', error }    the card was declined
+ * Other failures (the gateway being down, say) reject and count for nothing.
+ */
+const renewDue = async (subscription, plan, reason) => {
+    const periodStart = subscription.currentPeriodEnd;
+
+    const made = await renewalPayment(subscription, periodStart);
+    if (made) {
+        return made.status === 'processing'
+            ? { outcome: 'pending', paymentId: made.id }
+            : { outcome: 'renewed', changes: periodChanges(subscription, plan, periodStart, made) };
+    }
+
+    try {
+        return { outcome: 'renewed', changes: await renewalChanges(subscription, plan, periodStart, reason) };
+    } catch (error) {
+        if (isDeclined(error)) {
+            return { outcome: 'declined', error };
+        }
+        if (error instanceof APIError && error.details && error.details.type === 'timeout') {
+            return { outcome: 'pending', paymentId: error.details.paymentId };
+        }
+        throw error;
+    }
+};
+
+// Claim the renewal of a subscription as it was read. The claim is stored, so it
+// holds against billing runs in other processes and against payment method
+// updates; it fails if someone else holds a live claim, or has renewed or
+// claimed the subscription since it was read. A claim left by a process that
+// died lapses after config.subscriptions.renewalClaimTimeout seconds (of real
+// time, not the billing clock). Resolves to the claimed subscription or null.
+const claimRenewal = (subscription) => {
+    const lapsedBefore = new Date(Date.now() - config.subscriptions.renewalClaimTimeout * 1000);
+    return subscriptions.update(subscription.id, {
+        renewalAttemptId: crypto.randomUUID(),
+        renewalClaimedAt: new Date()
+    }, {
+        where: {
+            status: subscription.status,
+            currentPeriodEnd: subscription.currentPeriodEnd,
+            renewalAttemptId: subscription.renewalAttemptId || null,
+            $or: [{ renewalClaimedAt: null }, { renewalClaimedAt: { $lt: lapsedBefore } }]
+        },
+        operators: true
+    });
+};
+
+// Claim a subscription's renewal and run `renew` on the claimed subscription,
+// storing the changes it resolves to as the claim is released. Resolves to the
+// updated subscription, or null if the renewal couldn't be claimed.
+const withRenewalClaim = async (subscription, renew) => {
+    const claimed = await claimRenewal(subscription);
+    if (!claimed) {
+        return null;
+    }
+
+    let changes = {};
+    let updated;
+    try {
+        changes = await renew(claimed);
+    } finally {
+        // Only while the claim is still ours; a lapsed one may have been taken over
+        updated = await subscriptions.update(claimed.id, { ...changes, renewalClaimedAt: null }, {
+            where: { renewalAttemptId: claimed.renewalAttemptId }
+        });
+    }
+    return updated || getSubscription(claimed.id);
+};
+
+// What a failed charge stores as the subscription's lastFailure
+const failureFor = (error, now) => ({
+    message: error.message,
+    paymentId: error.details && error.details.paymentId,
+    code: error.details && error.details.code,
+    at: now
+});
+
+// Changes for a declined renewal: schedule the next dunning retry, or cancel once retries run out
+const failureChanges = (subscription, error, now) => {
+    const attempts = (subscription.failedAttempts || 0) + 1;
+    const delays = config.subscriptions.retryDelays;
+    const lastFailure = failureFor(error, now);
+
+    if (attempts > delays.length) {
+        return {
+            status: 'canceled',
+            failedAttempts: attempts,
+            nextRetryAt: null,
+            lastFailure,
+            cancelReason: 'payment_failed',
+            canceledAt: now,
+            endedAt: now,
+            updatedAt: new Date()
+        };
+    }
+
+    return {
+        status: 'past_due',
+        failedAttempts: attempts,
+        nextRetryAt: new Date(now.getTime() + delays[attempts - 1] * DAY),
+        lastFailure,
+        updatedAt: new Date()
+    };
+};
+
+// Subscribe a user to a plan. Plans with a trial start trialing; otherwise the
+// first period is charged straight away and nothing is stored if that fails.
+const createSubscription = async (userId, { planId, paymentMethod }) => {
+    if (!planId) {
+        throw new APIError('planId is required', 400);
+    }
+    if (!paymentMethod) {
+        throw new APIError('Payment method is required', 400);
+    }
+
+    const plan = await getPlan(planId);
+    if (!plan.active) {
+        throw new APIError('Plan is no longer available', 400);
+    }
+
+    const existing = await subscriptions.find({ userId });
+    const live = existing.filter(subscription => LIVE_STATUSES.includes(subscription.status));
+    if (live.length >= config.subscriptions.maxPerUser) {
+        throw new APIError(`Subscription limit reached (${config.subscriptions.maxPerUser})`, 400);
+    }
+
+    const now = clock.now();
+    const subscription = {
+        id: crypto.randomUUID(),
+        userId,
+        planId: plan.id,
+        paymentMethod,
+        status: 'trialing',
+        billingAnchor: null,
+        currentPeriodStart: now,
+        currentPeriodEnd: now,
+        trialEnd: null,
+        cancelAtPeriodEnd: false,
+        creditBalance: 0,
+        failedAttempts: 0,
+        nextRetryAt: null,
+        latestPaymentId: null,
+        createdAt: new Date()
+    };
+
+    if (plan.trialDays > 0) {
+        subscription.trialEnd = new Date(now.getTime() + plan.trialDays * DAY);
+        subscription.currentPeriodEnd = subscription.trialEnd;
+    } else {
+        Object.assign(subscription, await renewalChanges(subscription, plan, now, 'subscription_create'));
+    }
+
+    await subscriptions.insert(subscription);
+    return subscription;
+};
+
+// Move a subscription to another plan. Within the same billing interval the
+// unused part of the old price is credited against the same part of the new
+// one and any difference is charged now; a different interval starts a new
+// period today, paid for at the new price less the unused credit. Whatever
+// credit is left over is kept for the next renewal.
+const changePlan = async (subscription, planId) => {
+    assertStatus(subscription, ['trialing', 'active'], 'change the plan of');
+
+    const [current, plan] = await Promise.all([getPlan(subscription.planId), getPlan(planId)]);
+    if (plan.id === current.id) {
+        throw new APIError('Subscription is already on this plan', 400);
+    }
+    if (!plan.active) {
+        throw new APIError('Plan is no longer available', 400);
+    }
+    if (plan.currency !== current.currency) {
+        throw new APIError(`Cannot change to a plan in ${plan.currency} from one in ${current.currency}`, 400);
+    }
+
+    // Nothing has been paid during a trial, so the trial simply carries on
+    if (subscription.status === 'trialing') {
+        return { subscription: await subscriptions.update(subscription.id, { planId: plan.id, updatedAt: new Date() }), proration: null };
+    }
+
+    const now = clock.now();
+    const fraction = remainingFraction(subscription, now);
+    const sameCycle = plan.interval === current.interval && plan.intervalCount === current.intervalCount;
+
+    const unusedCredit = Math.round(current.amount * fraction);
+    const newCost = sameCycle ? Math.round(plan.amount * fraction) : plan.amount;
+    const periodStart = sameCycle ? subscription.currentPeriodStart : now;
+    const periodEnd = sameCycle ? subscription.currentPeriodEnd : periodEndFor(plan, now);
+    const billingAnchor = sameCycle ? subscription.billingAnchor : now;
+
+    const due = newCost - unusedCredit - (subscription.creditBalance || 0);
+    const payment = await charge(subscription, plan, due, { reason: 'subscription_update', periodStart, periodEnd });
+
+    const proration = {
+        fromPlanId: current.id,
+        toPlanId: plan.id,
+        unusedCredit,
+        newCost,
+        amountCharged: Math.max(0, due),
+        paymentId: payment ? payment.id : null,
+        at: now
+    };
+
+    const updated = await subscriptions.update(subscription.id, {
+        planId: plan.id,
+        billingAnchor,
+        currentPeriodStart: periodStart,
+        currentPeriodEnd: periodEnd,
+        creditBalance: Math.max(0, -due),
+        latestPaymentId: payment ? payment.id : subscription.latestPaymentId,
+        lastProration: proration,
+        updatedAt: new Date()
+    });
+    return { subscription: updated, proration };
+};
+
+// Cancel now, or when the current period ends. Paused subscriptions end immediately.
+const cancelSubscription = async (subscription, { atPeriodEnd = true } = {}) => {
+    assertStatus(subscription, LIVE_STATUSES, 'cancel');
+
+    if (atPeriodEnd && subscription.status !== 'paused') {
+        return subscriptions.update(subscription.id, {
+            cancelAtPeriodEnd: true,
+            canceledAt: clock.now(),
+            updatedAt: new Date()
+        });
+    }
+
+    const now = clock.now();
+    return subscriptions.update(subscription.id, {
+        status: 'canceled',
+        cancelAtPeriodEnd: false,
+        cancelReason: 'requested',
+        canceledAt: now,
+        endedAt: now,
+        nextRetryAt: null,
+        updatedAt: new Date()
+    });
+};
+
+// Stop billing (and dunning) until the subscription is resumed
+const pauseSubscription = async (subscription) => {
+    assertStatus(subscription, BILLABLE_STATUSES, 'pause');
+
+    return subscriptions.update(subscription.id, {
+        status: 'paused',
+        pausedFrom: subscription.status,
+        pausedAt: clock.now(),
+        nextRetryAt: null,
+        updatedAt: new Date()
+    });
+};
+
+// Resume a paused subscription. If its period ran out while paused, or it was
+// past due, a new period starts now and is charged straight away; if that
+// charge fails the subscription stays paused.
+const resumeSubscription = async (subscription) => {
+    assertStatus(subscription, ['paused'], 'resume');
+
+    const now = clock.now();
+    const resumed = {
+        pausedFrom: null,
+        pausedAt: null,
+        resumedAt: now,
+        updatedAt: new Date()
+    };
+
+    if (subscription.pausedFrom !== 'past_due' && now < new Date(subscription.currentPeriodEnd)) {
+        return subscriptions.update(subscription.id, { ...resumed, status: subscription.pausedFrom || 'active' });
+    }
+
+    const plan = await getPlan(subscription.planId);
+    const changes = await renewalChanges(subscription, plan, now, 'subscription_resume', now);
+    return subscriptions.update(subscription.id, { ...changes, ...resumed });
+};
+
+// Change the payment method future charges use. A past due subscription is
+// retried with the new method straight away; if that charge fails too, the
+// subscription stays on its dunning schedule. Resolves to the subscription and
+// the retry's outcome (null when none was made): succeeded, failed, pending
+// while its payment is processing, or in_progress when a billing run is
+// renewing the subscription at the same time.
+const updatePaymentMethod = async (subscription, paymentMethod) => {
+    assertStatus(subscription, LIVE_STATUSES, 'change the payment method of');
+    if (!paymentMethod) {
+        throw new APIError('Payment method is required', 400);
+    }
+
+    const updated = await subscriptions.update(subscription.id, { paymentMethod, updatedAt: new Date() });
+    if (updated.status !== 'past_due') {
+        return { subscription: updated, retry: null };
+    }
+
+    let retry = null;
+    const renewed = await withRenewalClaim(updated, async (claimed) => {
+        const result = await renewDue(claimed, await getPlan(claimed.planId), 'subscription_cycle');
+        if (result.outcome === 'renewed') {
+            retry = { status: 'succeeded', paymentId: result.changes.latestPaymentId };
+            return result.changes;
+        }
+        if (result.outcome === 'pending') {
+            retry = { status: 'pending', paymentId: result.paymentId };
+            return {};
+        }
+        const lastFailure = failureFor(result.error, clock.now());
+        retry = { status: 'failed', paymentId: lastFailure.paymentId, message: result.error.message };
+        return { lastFailure, updatedAt: new Date() };
+    });
+
+    if (!renewed) {
+        return { subscription: await getSubscription(updated.id), retry: { status: 'in_progress' } };
+    }
+    return { subscription: renewed, retry };
+};
+
+// Take one billing step for a subscription at `now`, returning the outcome or null if nothing was due
+const billStep = async (subscription, now) => {
+    const periodEnded = now >= new Date(subscription.currentPeriodEnd);
+
+    if (subscription.cancelAtPeriodEnd && periodEnded) {
+        await subscriptions.update(subscription.id, {
+            status: 'canceled',
+            cancelReason: 'requested',
+            endedAt: subscription.currentPeriodEnd,
+            nextRetryAt: null,
+            updatedAt: new Date()
+        });
+        return 'canceled';
+    }
+
+    const retryDue = subscription.status === 'past_due' && now >= new Date(subscription.nextRetryAt);
+    if (!retryDue && (subscription.status === 'past_due' || !periodEnded)) {
+        return null;
+    }
+
+    // Declines go on the dunning schedule; a payment still processing is left to settle
+    const reason = subscription.status === 'trialing' ? 'trial_end' : 'subscription_cycle';
+    let outcome = null;
+    const updated = await withRenewalClaim(subscription, async (claimed) => {
+        const result = await renewDue(claimed, await getPlan(claimed.planId), reason);
+        outcome = result.outcome;
+        if (outcome === 'declined') {
+            return failureChanges(claimed, result.error, now);
+        }
+        return result.changes || {};
+    });
+
+    // Someone else is renewing it, or already has
+    if (!updated) {
+        return null;
+    }
+    if (outcome === 'pending') {
+        return 'pending';
+    }
+    return updated.status === 'active' ? 'renewed' : updated.status;
+};
+
+// Bring one subscription up to date at `now`. A subscription more than one period
+// behind (e.g. after downtime) is renewed once for each missed period.
+const billSubscription = async (subscription, now) => {
+    const outcomes = [];
+    let current = subscription;
+    let outcome;
+
+    while ((outcome = await billStep(current, now))) {
+        outcomes.push(outcome);
+        if (outcome !== 'renewed') {
+            break;
+        }
+        current = await getSubscription(subscription.id);
+    }
+    return outcomes;
+};
+
+// Renew, retry and end subscriptions that are due, returning counts by outcome
+const runBillingCycle = async (now = clock.now()) => {
+    const summary = { renewed: 0, past_due: 0, canceled: 0, pending: 0, errors: 0 };
+    if (billing) {
+        return summary;
+    }
+    billing = true;
+
+    try {
+        const due = [];
+        for (const status of BILLABLE_STATUSES) {
+            due.push(...await subscriptions.find({ status }));
+        }
+
+        for (const subscription of due) {
+            try {
+                const outcomes = await billSubscription(subscription, now);
+                outcomes.forEach(outcome => {
+                    summary[outcome] += 1;
+                });
+            } catch (error) {
+                summary.errors += 1;
+                console.error(`Billing failed for subscription ${subscription.id}:`, error.message);
+            }
+        }
+        return summary;
+    } finally {
+        billing = false;
+    }
+};
+
+// Schedule periodic billing runs
+const startBillingSchedule = () => {
+    if (!config.subscriptions.billingInterval || billingTimer) {
+        return;
+    }
+
+    billingTimer = setInterval(() => {
+        runBillingCycle().catch(error => console.error('Subscription billing run failed:', error.message));
+    }, config.subscriptions.billingInterval * 60 * 1000);
+
+    // Don't keep the process alive just for the schedule
+    billingTimer.unref();
+};
+
+// Plan as returned by the API
+const formatPlan = (plan) => ({
+    ...plan,
+    amountFormatted: formatAmount(plan.amount, plan.currency)
+});
+
+// Subscription as returned by the API, with its plan. Card numbers are masked
+// and the renewal claim is left out.
+const formatSubscription = ({ renewalAttemptId, renewalClaimedAt, ...subscription }, plan) => ({
+    ...subscription,
+    paymentMethod: maskPaymentMethod(subscription.paymentMethod),
+    plan: plan ? formatPlan(plan) : null,
+    creditBalanceFormatted: plan ? formatAmount(subscription.creditBalance || 0, plan.currency) : null
+});
+
+module.exports = {
+    SUBSCRIPTION_STATUSES,
+    addInterval,
+    createPlan,
+    updatePlan,
+    getPlan,
+    listPlans,
+    getSubscription,
+    listSubscriptions,
+    createSubscription,
+    changePlan,
+    cancelSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    updatePaymentMethod,
+    runBillingCycle,
+    startBillingSchedule,
+    formatPlan,
+    formatSubscription
+};
@@ -0,0 +1,186 @@
+/**
+ * Session and token revocation store
+ * Tracks login sessions, rotating refresh tokens and the access token jti denylist.
+ * Records are persisted so sign-ins survive restarts and are shared between
+ * instances; each carries an expiresAt, after which it is treated as gone until
+ * the cleanup schedule deletes it.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+
+const sessions = collection('sessions');
+const refreshTokens = collection('refresh_tokens');
+
+// Revoked access token ids, kept until the token would have expired anyway
+const denylist = collection('revoked_tokens');
+
+// Claimed by every access token, so other tokens signed with the same secret
+// (two-factor challenges, say) can't stand in for one
+const ACCESS_TOKEN_TYPE = 'access';
+
+// Refresh tokens are stored hashed so a leaked store can't be replayed
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Sessions and refresh tokens expire with the refresh token lifetime
+const refreshExpiresAt = () => new Date(Date.now() + config.jwt.refreshExpiresIn * 1000);
+
+const isLive = (record, now = Date.now()) => Boolean(record) && new Date(record.expiresAt).getTime() > now;
+
+// A record that hasn't expired, or null
+const findLive = async (repository, id) => {
+    const record = await repository.findById(id);
+    return isLive(record) ? record : null;
+};
+
+// Start a new session for a user
+const createSession = async (user) => {
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        email: user.email,
+        accessJti: null,
+        accessExpiresAt: null,
+        createdAt: new Date(),
+        lastRefreshedAt: null,
+        expiresAt: refreshExpiresAt()
+    };
+    await sessions.insert(session);
+    return session;
+};
+
+// Denylist an access token until it expires
+const revokeAccessToken = async (jti, exp) => {
+    if (!jti || !exp || await denylist.findById(jti)) {
+        return;
+    }
+    try {
+        await denylist.insert({ id: jti, expiresAt: new Date(exp * 1000) });
+    } catch (error) {
+        // Revoked concurrently, e.g. by logout racing a refresh
+        if (!(await denylist.findById(jti))) {
+            throw error;
+        }
+    }
+};
+
+// Record the session's current access token, revoking the one it replaces
+const recordAccessToken = async (sessionId, jti, exp) => {
+    const session = await findLive(sessions, sessionId);
+    if (!session) {
+        throw new APIError('Session not found', 401);
+    }
+    await revokeAccessToken(session.accessJti, session.accessExpiresAt);
+    await sessions.update(sessionId, { accessJti: jti, accessExpiresAt: exp });
+};
+
+// Issue a new refresh token for a session
+const issueRefreshToken = async (sessionId) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const expiresAt = refreshExpiresAt();
+    await refreshTokens.insert({
+        id: hashToken(token),
+        sessionId,
+        usedAt: null,
+        createdAt: new Date(),
+        expiresAt
+    });
+
+    // Keep the session alive as long as its newest refresh token
+    await sessions.update(sessionId, { expiresAt });
+
+    return token;
+};
+
+// Revoke a session along with its access token
+const revokeSession = async (sessionId) => {
+    const session = await findLive(sessions, sessionId);
+    if (!session) {
+        return false;
+    }
+    await revokeAccessToken(session.accessJti, session.accessExpiresAt);
+    await sessions.delete(sessionId);
+    return true;
+};
+
+// Revoke every session belonging to a user, bar the one given as `except`
+const revokeUserSessions = async (userId, { except = null } = {}) => {
+    let revoked = 0;
+    for (const session of await sessions.find({ userId })) {
+        if (session.id !== except && await revokeSession(session.id)) {
+            revoked++;
+        }
+    }
+    return revoked;
+};
+
+// Exchange a refresh token for its session, marking it used.
+// Presenting an already used token means it was stolen or replayed,
+// so the whole session is revoked.
+const consumeRefreshToken = async (token) => {
+    const record = await findLive(refreshTokens, hashToken(String(token)));
+    if (!record) {
+        throw new APIError('Invalid refresh token', 401);
+    }
+
+    if (record.usedAt) {
+        await revokeSession(record.sessionId);
+        throw new APIError('Refresh token reuse detected - session revoked', 401);
+    }
+
+    const session = await findLive(sessions, record.sessionId);
+    if (!session) {
+        throw new APIError('Session has been revoked', 401);
+    }
+
+    await refreshTokens.update(record.id, { usedAt: new Date() });
+    return sessions.update(session.id, { lastRefreshedAt: new Date() });
+};
+
+// Whether a decoded token is an access token: of the access type and tied to a session
+const isAccessToken = (decoded) => {
+    return Boolean(decoded) && decoded.typ === ACCESS_TOKEN_TYPE && typeof decoded.sid === 'string';
+};
+
+// Check whether a decoded access token has been revoked
+const isTokenRevoked = async (decoded) => {
+    if (decoded.jti && await findLive(denylist, decoded.jti)) {
+        return true;
+    }
+    // Tokens die with their session
+    return !decoded.sid || !(await findLive(sessions, decoded.sid));
+};
+
+// List a user's active sessions
+const listUserSessions = async (userId) => {
+    const now = Date.now();
+    return (await sessions.find({ userId }, { sort: { createdAt: 1 } }))
+        .filter(session => isLive(session, now))
+        .map(({ id, createdAt, lastRefreshedAt }) => ({ id, createdAt, lastRefreshedAt }));
+};
+
+// Delete expired sessions, refresh tokens and denylist entries, returning how many went
+const purgeExpiredTokens = async (now = new Date()) => {
+    const expired = { expiresAt: { $lte: now } };
+    const counts = await Promise.all([sessions, refreshTokens, denylist].map(repository => repository.deleteMany(expired, { operators: true })));
+    return counts.reduce((total, count) => total + count, 0);
+};
+
+module.exports = {
+    ACCESS_TOKEN_TYPE,
+    createSession,
+    recordAccessToken,
+    issueRefreshToken,
+    consumeRefreshToken,
+    revokeAccessToken,
+    revokeSession,
+    revokeUserSessions,
+    isAccessToken,
+    isTokenRevoked,
+    listUserSessions,
+    purgeExpiredTokens
+};
@@ -0,0 +1,136 @@
+/**
+ * Two-factor authentication
+ * Login challenges, TOTP/recovery code checks and recovery code generation
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const NodeCache = require('node-cache');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const totp = require('./totp');
+
+const users = collection('users');
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+// Failed attempts per challenge, expiring with the challenge itself
+const challengeAttempts = new NodeCache({
+    checkperiod: config.cache.checkperiod
+});
+
+// Recovery codes are random, so a fast hash is enough
+const hashRecoveryCode = (code) => {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Generate a fresh set of recovery codes, returning plain codes and their hashes
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+        codes,
+        hashes: codes.map(hashRecoveryCode)
+    };
+};
+
+// Issue a short-lived token proving the password step succeeded
+const issueChallenge = (user) => {
+    return jwt.sign(
+        { sub: user.id, purpose: CHALLENGE_PURPOSE },
+        config.jwt.secret,
+        { expiresIn: config.twoFactor.challengeExpiresIn, jwtid: crypto.randomUUID() }
+    );
+};
+
+// Verify a challenge token and return its decoded payload
+const verifyChallenge = (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(challengeToken), config.jwt.secret);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new APIError('Two-factor challenge has expired, please log in again', 401);
+        }
+        throw new APIError('Invalid two-factor challenge', 401);
+    }
+
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new APIError('Invalid two-factor challenge', 401);
+    }
+
+    const attempts = challengeAttempts.get(decoded.jti) || 0;
+    if (attempts >= config.twoFactor.maxChallengeAttempts) {
+        throw new APIError('Too many failed attempts, please log in again', 401);
+    }
+
+    return decoded;
+};
+
+// Count a failed attempt against a challenge
+const recordFailedAttempt = (decoded) => {
+    const attempts = (challengeAttempts.get(decoded.jti) || 0) + 1;
+    challengeAttempts.set(decoded.jti, attempts, Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1));
+};
+
+// Burn a challenge once it has been used successfully
+const completeChallenge = (decoded) => {
+    challengeAttempts.set(
+        decoded.jti,
+        config.twoFactor.maxChallengeAttempts,
+        Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1)
+    );
+};
+
+// Check a TOTP code against the user's secret, recording the used step
+const verifyTotp = async (user, code, secret = user.totpSecret) => {
+    const step = totp.verifyCode(secret, code, {
+        window: config.twoFactor.window,
+        lastStep: user.lastTotpStep === undefined ? null : user.lastTotpStep
+    });
+    if (step === null) {
+        return false;
+    }
+    await users.update(user.id, { lastTotpStep: step });
+    return true;
+};
+
+// Check and consume a recovery code
+const useRecoveryCode = async (user, recoveryCode) => {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.recoveryCodes || [];
+    if (!remaining.includes(hash)) {
+        return false;
+    }
+    await users.update(user.id, {
+        recoveryCodes: remaining.filter(existing => existing !== hash)
+    });
+    return true;
+};
+
+// Verify either a TOTP code or a recovery code for a user with 2FA enabled
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        return verifyTotp(user, code);
+    }
+    if (recoveryCode) {
+        return useRecoveryCode(user, recoveryCode);
+    }
+    return false;
+};
+
+module.exports = {
+    generateSecret: totp.generateSecret,
+    buildOtpauthUri: totp.buildOtpauthUri,
+    generateRecoveryCodes,
+    issueChallenge,
+    verifyChallenge,
+    recordFailedAttempt,
+    completeChallenge,
+    verifyTotp,
+    verifySecondFactor
+};
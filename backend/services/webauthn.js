@@ -0,0 +1,382 @@
+/**
+ * WebAuthn passkeys
+ * Registration and authentication ceremonies with per-user credential storage.
+ * Attestation is requested as 'none', so attestation statements are not checked;
+ * every assertion is verified against the public key saved at registration.
+ */
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config/config');
+const { APIError } = require('../middleware/errorHandler');
+const { collection } = require('../db');
+const cbor = require('./cbor');
+
+const credentials = collection('webauthn_credentials');
+const users = collection('users');
+
+// COSE algorithm identifiers we accept, in order of preference
+const COSE_ALGORITHMS = {
+    ES256: -7,
+    EdDSA: -8,
+    RS256: -257
+};
+
+const FLAGS = {
+    USER_PRESENT: 0x01,
+    USER_VERIFIED: 0x04,
+    BACKUP_ELIGIBLE: 0x08,
+    BACKED_UP: 0x10,
+    ATTESTED_CREDENTIAL_DATA: 0x40
+};
+
+// Outstanding challenges, each usable once
+const challenges = new NodeCache({
+    stdTTL: config.webauthn.challengeExpiresIn,
+    checkperiod: config.cache.checkperiod
+});
+
+const toBase64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const fromBase64url = (value, name) => {
+    if (typeof value !== 'string' || !value) {
+        throw new APIError(`${name} is required`, 400);
+    }
+    return Buffer.from(value, 'base64url');
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// WebAuthn user handles are opaque bytes; ours are the user id
+const userHandle = (user) => toBase64url(Buffer.from(String(user.id)));
+
+// Public representation of a credential, without the key
+const formatCredential = (credential) => ({
+    id: credential.id,
+    name: credential.name,
+    transports: credential.transports,
+    backedUp: credential.backedUp,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt
+});
+
+// Issue and remember a challenge for one ceremony
+const issueChallenge = (type, userId = null) => {
+    const challenge = toBase64url(crypto.randomBytes(32));
+    challenges.set(challenge, { type, userId });
+    return challenge;
+};
+
+// Parse clientDataJSON and check its type, origin and (single use) challenge
+const verifyClientData = (clientDataJSON, type, status) => {
+    let clientData;
+    try {
+        clientData = JSON.parse(fromBase64url(clientDataJSON, 'clientDataJSON').toString('utf8'));
+    } catch (error) {
+        if (error instanceof APIError) {
+            throw error;
+        }
+        throw new APIError('clientDataJSON is not valid JSON', 400);
+    }
+
+    if (clientData.type !== type) {
+        throw new APIError(`Unexpected client data type: ${clientData.type}`, status);
+    }
+
+    const pending = challenges.take(String(clientData.challenge));
+    if (!pending || pending.type !== type) {
+        throw new APIError('Challenge is invalid or has expired', status);
+    }
+
+    if (!config.webauthn.origins.includes(clientData.origin)) {
+        throw new APIError(`Origin ${clientData.origin} is not allowed`, status);
+    }
+
+    return pending;
+};
+
+// Split authenticator data into its fields
+const parseAuthenticatorData = (authData) => {
+    if (authData.length < 37) {
+        throw new APIError('Authenticator data is too short', 400);
+    }
+
+    const flags = authData[32];
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        userPresent: Boolean(flags & FLAGS.USER_PRESENT),
+        userVerified: Boolean(flags & FLAGS.USER_VERIFIED),
+        backupEligible: Boolean(flags & FLAGS.BACKUP_ELIGIBLE),
+        backedUp: Boolean(flags & FLAGS.BACKED_UP),
+        signCount: authData.readUInt32BE(33)
+    };
+
+    // Attested credential data: a 16 byte aaguid, a 2 byte id length, the id, then the COSE key
+    if (flags & FLAGS.ATTESTED_CREDENTIAL_DATA) {
+        if (authData.length < 55) {
+            throw new APIError('Authenticator data is too short for its credential data', 400);
+        }
+        const idLength = authData.readUInt16BE(53);
+        if (authData.length < 55 + idLength) {
+            throw new APIError('Authenticator data is too short for its credential id', 400);
+        }
+        parsed.aaguid = authData.subarray(37, 53).toString('hex');
+        parsed.credentialId = authData.subarray(55, 55 + idLength);
+
+        try {
+            parsed.coseKey = cbor.decodeFirst(authData, 55 + idLength).value;
+        } catch (error) {
+            throw new APIError('Credential public key is not valid CBOR', 400);
+        }
+        if (!(parsed.coseKey instanceof Map)) {
+            throw new APIError('Credential public key is not a COSE key', 400);
+        }
+    }
+
+    return parsed;
+};
+
+// Check the flags and relying party every ceremony has in common
+const verifyAuthenticatorData = (authData, status) => {
+    if (!sha256(config.webauthn.rpId).equals(authData.rpIdHash)) {
+        throw new APIError('Relying party id does not match', status);
+    }
+    if (!authData.userPresent) {
+        throw new APIError('User presence was not confirmed', status);
+    }
+    if (config.webauthn.userVerification === 'required' && !authData.userVerified) {
+        throw new APIError('User verification is required', status);
+    }
+};
+
+// Convert a COSE public key to a JWK that crypto can import
+const coseToJwk = (coseKey) => {
+    const kty = coseKey.get(1);
+    const alg = coseKey.get(3);
+
+    if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+        return {
+            alg,
+            jwk: { kty: 'EC', crv: 'P-256', x: toBase64url(coseKey.get(-2)), y: toBase64url(coseKey.get(-3)) }
+        };
+    }
+    if (kty === 1 && alg === COSE_ALGORITHMS.EdDSA && coseKey.get(-1) === 6) {
+        return {
+            alg,
+            jwk: { kty: 'OKP', crv: 'Ed25519', x: toBase64url(coseKey.get(-2)) }
+        };
+    }
+    if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+        return {
+            alg,
+            jwk: { kty: 'RSA', n: toBase64url(coseKey.get(-1)), e: toBase64url(coseKey.get(-2)) }
+        };
+    }
+
+    throw new APIError('Unsupported public key algorithm', 400);
+};
+
+// Verify an assertion signature with a stored credential's key
+const verifySignature = (credential, data, signature) => {
+    const key = crypto.createPublicKey({ key: credential.publicKey, format: 'jwk' });
+    try {
+        if (credential.alg === COSE_ALGORITHMS.ES256) {
+            return crypto.verify('sha256', data, { key, dsaEncoding: 'der' }, signature);
+        }
+        if (credential.alg === COSE_ALGORITHMS.EdDSA) {
+            return crypto.verify(null, data, key, signature);
+        }
+        return crypto.verify('sha256', data, key, signature);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Options for navigator.credentials.create()
+const generateRegistrationOptions = async (user) => {
+    const existing = await credentials.find({ userId: user.id });
+    if (existing.length >= config.webauthn.maxCredentialsPerUser) {
+        throw new APIError(`You can register at most ${config.webauthn.maxCredentialsPerUser} passkeys`, 400);
+    }
+
+    return {
+        challenge: issueChallenge('webauthn.create', user.id),
+        rp: { id: config.webauthn.rpId, name: config.webauthn.rpName },
+        user: { id: userHandle(user), name: user.email, displayName: user.name || user.email },
+        pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+        timeout: config.webauthn.timeout,
+        attestation: 'none',
+        authenticatorSelection: {
+            residentKey: 'preferred',
+            userVerification: config.webauthn.userVerification
+        },
+        excludeCredentials: existing.map(credential => ({
+            type: 'public-key',
+            id: credential.id,
+            transports: credential.transports
+        }))
+    };
+};
+
+// Verify a registration response and store the new credential
+const verifyRegistration = async (user, { id, rawId, type, response = {} }, name) => {
+    if (type !== 'public-key') {
+        throw new APIError('Credential type must be public-key', 400);
+    }
+
+    const pending = verifyClientData(response.clientDataJSON, 'webauthn.create', 400);
+    if (pending.userId !== user.id) {
+        throw new APIError('Challenge is invalid or has expired', 400);
+    }
+
+    let attestation;
+    try {
+        attestation = cbor.decode(fromBase64url(response.attestationObject, 'attestationObject'));
+    } catch (error) {
+        if (error instanceof APIError) {
+            throw error;
+        }
+        throw new APIError('attestationObject is not valid CBOR', 400);
+    }
+
+    const authData = parseAuthenticatorData(Buffer.from(attestation.get('authData') || []));
+    verifyAuthenticatorData(authData, 400);
+
+    if (!authData.credentialId) {
+        throw new APIError('Attestation contains no credential', 400);
+    }
+
+    const credentialId = toBase64url(authData.credentialId);
+    if (credentialId !== (rawId || id)) {
+        throw new APIError('Credential id does not match', 400);
+    }
+    if (await credentials.findById(credentialId)) {
+        throw new APIError('Passkey is already registered', 409);
+    }
+
+    const { alg, jwk } = coseToJwk(authData.coseKey);
+
+    const credential = {
+        id: credentialId,
+        userId: user.id,
+        name: name || 'Passkey',
+        publicKey: jwk,
+        alg,
+        signCount: authData.signCount,
+        transports: Array.isArray(response.transports) ? response.transports : [],
+        aaguid: authData.aaguid,
+        backupEligible: authData.backupEligible,
+        backedUp: authData.backedUp,
+        createdAt: new Date(),
+        lastUsedAt: null
+    };
+
+    await credentials.insert(credential);
+    return formatCredential(credential);
+};
+
+// Options for navigator.credentials.get(); without an email the
+// authenticator offers whichever discoverable passkeys it holds
+const generateAuthenticationOptions = async ({ email } = {}) => {
+    let allowCredentials = [];
+    if (email !== undefined && email !== null && typeof email !== 'string') {
+        throw new APIError('email must be a string', 400, { param: 'email' });
+    }
+    if (email) {
+        const user = await users.findOne({ email });
+        if (user) {
+            allowCredentials = (await credentials.find({ userId: user.id })).map(credential => ({
+                type: 'public-key',
+                id: credential.id,
+                transports: credential.transports
+            }));
+        }
+    }
+
+    return {
+        challenge: issueChallenge('webauthn.get'),
+        rpId: config.webauthn.rpId,
+        timeout: config.webauthn.timeout,
+        userVerification: config.webauthn.userVerification,
+        allowCredentials
+    };
+};
+
+// Verify an assertion, returning the user, credential and whether the user was verified
+const verifyAuthentication = async ({ id, rawId, type, response = {} }) => {
+    if (type !== 'public-key') {
+        throw new APIError('Credential type must be public-key', 400);
+    }
+
+    verifyClientData(response.clientDataJSON, 'webauthn.get', 401);
+
+    const credential = await credentials.findById(rawId || id);
+    if (!credential) {
+        throw new APIError('Passkey is not registered', 401);
+    }
+
+    const user = await users.findById(credential.userId);
+    if (!user) {
+        throw new APIError('Passkey is not registered', 401);
+    }
+    if (response.userHandle && response.userHandle !== userHandle(user)) {
+        throw new APIError('Passkey does not belong to this user', 401);
+    }
+
+    const authDataBytes = fromBase64url(response.authenticatorData, 'authenticatorData');
+    const authData = parseAuthenticatorData(authDataBytes);
+    verifyAuthenticatorData(authData, 401);
+
+    const signedData = Buffer.concat([authDataBytes, sha256(fromBase64url(response.clientDataJSON, 'clientDataJSON'))]);
+    if (!verifySignature(credential, signedData, fromBase64url(response.signature, 'signature'))) {
+        throw new APIError('Passkey signature is invalid', 401);
+    }
+
+    // A counter that fails to increase suggests a cloned authenticator.
+    // Authenticators that don't count always report zero.
+    if ((authData.signCount > 0 || credential.signCount > 0) && authData.signCount <= credential.signCount) {
+        throw new APIError('Passkey signature counter did not increase - the authenticator may be cloned', 401, {
+            credentialId: credential.id
+        });
+    }
+
+    const updated = await credentials.update(credential.id, {
+        signCount: authData.signCount,
+        backedUp: authData.backedUp,
+        lastUsedAt: new Date()
+    });
+
+    return { user, credential: formatCredential(updated), userVerified: authData.userVerified };
+};
+
+// The user a passkey belongs to, or null if it isn't registered
+const getCredentialUser = async (id) => {
+    const credential = id ? await credentials.findById(String(id)) : null;
+    return credential ? users.findById(credential.userId) : null;
+};
+
+// A user's registered passkeys
+const listCredentials = async (userId) => {
+    const found = await credentials.find({ userId }, { sort: { createdAt: -1 } });
+    return found.map(formatCredential);
+};
+
+// Remove one of a user's passkeys
+const deleteCredential = async (userId, id) => {
+    const credential = await credentials.findById(id);
+    if (!credential || credential.userId !== userId) {
+        throw new APIError('Passkey not found', 404);
+    }
+    await credentials.delete(id);
+    return formatCredential(credential);
+};
+
+module.exports = {
+    generateRegistrationOptions,
+    verifyRegistration,
+    generateAuthenticationOptions,
+    verifyAuthentication,
+    getCredentialUser,
+    listCredentials,
+    deleteCredential
+};
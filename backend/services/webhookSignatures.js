@@ -0,0 +1,26 @@
+/**
+ * Webhook signatures
+ * HMAC-SHA256 signing shared by gateway webhooks we receive and merchant webhooks
+ * we send. Headers have the form "t=<unix seconds>,v1=<hex>", where v1 is the
+ * HMAC of "<t>.<raw body>" keyed with the shared secret.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'Webhook-Signature';
+
+const hmac = (secret, timestamp, payload) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+// Build a signature header for a payload
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, payload)}`;
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    hmac,
+    signPayload
+};
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser, PASSWORD } = require('./helpers');
+const config = require('../config/config');
+
+describe('admin bootstrap', () => {
+    let api;
+    let bootstrap;
+    let users;
+    const configured = { ...config.admin };
+
+    before(async () => {
+        api = await startApp();
+        bootstrap = require('../services/bootstrap');
+        users = require('../db').collection('users');
+    });
+
+    after(async () => {
+        Object.assign(config.admin, configured);
+        await api.close();
+    });
+
+    const login = async (email, password) => {
+        const res = await api.request('POST', '/api/auth/login', { body: { email, password } });
+        assert.equal(res.status, 200, res.text);
+        return res.body.data.token;
+    };
+
+    it('creates the configured admin once, however often it runs', async () => {
+        const email = `admin-${Date.now()}@example.com`;
+        Object.assign(config.admin, { email, password: PASSWORD, name: 'First Admin' });
+
+        const first = await bootstrap.ensureConfiguredAdmin();
+        assert.equal(first.created, true);
+        const again = await bootstrap.ensureConfiguredAdmin();
+        assert.deepEqual(again, { created: false, promoted: false, id: first.id });
+
+        // A changed password in config doesn't overwrite the account's own
+        config.admin.password = 'An0ther-Passw0rd!';
+        assert.equal((await bootstrap.ensureConfiguredAdmin()).created, false);
+
+        assert.equal(await users.count({ email }), 1);
+        const token = await login(email, PASSWORD);
+        const listed = await api.request('GET', `/api/admin/users?search=${encodeURIComponent(email)}`, { token });
+        assert.equal(listed.status, 200, listed.text);
+        assert.deepEqual(listed.body.data.users.map(user => [user.email, user.role]), [[email, 'admin']]);
+    });
+
+    it('promotes an existing user instead of creating another', async () => {
+        const { user, token } = await createUser(api.request);
+        assert.equal((await api.request('GET', '/api/admin/users', { token })).status, 403);
+
+        const result = await bootstrap.ensureAdmin({ email: user.email, password: 'Ignored-Passw0rd!' });
+
+        assert.deepEqual(result, { created: false, promoted: true, id: user.id });
+        assert.equal((await users.findById(user.id)).role, 'admin');
+        assert.equal(await users.count({ email: user.email }), 1);
+        // The role is read on sign-in, and the user keeps their own password
+        const promoted = await login(user.email, PASSWORD);
+        assert.equal((await api.request('GET', '/api/admin/users', { token: promoted })).status, 200);
+    });
+
+    it('does nothing without a configured admin and refuses one without a password', async () => {
+        Object.assign(config.admin, { email: undefined, password: undefined });
+        const existing = await users.count();
+
+        assert.equal(await bootstrap.ensureConfiguredAdmin(), null);
+        await assert.rejects(bootstrap.ensureAdmin({ email: `nopassword-${Date.now()}@example.com` }), /password are required/);
+
+        assert.equal(await users.count(), existing);
+    });
+});
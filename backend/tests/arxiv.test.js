@@ -0,0 +1,454 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { listen, startApp, createUser } = require('./helpers');
+const { hmac } = require('../services/webhookSignatures');
+const config = require('../config/config');
+
+// Canned ArXiv responses, served by a local fixture server instead of export.arxiv.org
+const atomEntry = ({ id, title, version = 1 }) => `
+  <entry>
+    <id>http://arxiv.org/abs/${id}v${version}</id>
+    <updated>2023-01-02T00:00:00Z</updated>
+    <published>2023-01-01T00:00:00Z</published>
+    <title>${title}</title>
+    <summary>An abstract about ${title}.</summary>
+    <author><name>Ada Lovelace</name><arxiv:affiliation>Analytical Engines</arxiv:affiliation></author>
+    <link href="http://arxiv.org/abs/${id}v${version}" rel="alternate" type="text/html"/>
+    <link title="pdf" href="http://arxiv.org/pdf/${id}v${version}" rel="related" type="application/pdf"/>
+    <arxiv:primary_category term="cs.LG" scheme="http://arxiv.org/schemas/atom"/>
+    <category term="cs.LG" scheme="http://arxiv.org/schemas/atom"/>
+    <category term="stat.ML" scheme="http://arxiv.org/schemas/atom"/>
+  </entry>`;
+
+const atomFeed = ({ total, start = 0, entries = [] }) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/" xmlns:arxiv="http://arxiv.org/schemas/atom">
+  <title>ArXiv Query</title>
+  <opensearch:totalResults>${total === undefined ? entries.length : total}</opensearch:totalResults>
+  <opensearch:startIndex>${start}</opensearch:startIndex>
+  ${entries.map(atomEntry).join('')}
+</feed>`;
+
+const errorFeed = (message) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+  <opensearch:totalResults>1</opensearch:totalResults>
+  <opensearch:startIndex>0</opensearch:startIndex>
+  <entry>
+    <id>http://arxiv.org/api/errors#incorrect_id_format</id>
+    <title>Error</title>
+    <summary>${message}</summary>
+  </entry>
+</feed>`;
+
+const oaiRecord = (id, versions) => `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+  <GetRecord>
+    <record>
+      <header><identifier>oai:arXiv.org:${id}</identifier></header>
+      <metadata>
+        <arXivRaw xmlns="http://arxiv.org/OAI/arXivRaw/">
+          <id>${id}</id>
+          ${versions.map((date, index) => `<version version="v${index + 1}"><date>${date}</date><size>100kb</size></version>`).join('')}
+        </arXivRaw>
+      </metadata>
+    </record>
+  </GetRecord>
+</OAI-PMH>`;
+
+const oaiError = (code, message) => `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+  <error code="${code}">${message}</error>
+</OAI-PMH>`;
+
+describe('ArXiv API', () => {
+    let api;
+    let fixture;
+    // Handlers for the next requests to each fixture path; tests fill these in
+    const responses = {};
+    const received = [];
+
+    before(async () => {
+        fixture = await listen(http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://fixture');
+            received.push(url);
+            const respond = responses[url.pathname];
+            if (!respond) {
+                res.writeHead(404).end();
+                return;
+            }
+            const { status = 200, body } = respond(url);
+            res.writeHead(status, { 'content-type': 'application/xml' }).end(body);
+        }));
+        config.arxiv.baseUrl = `${fixture.base}/api/query`;
+        config.arxiv.oaiUrl = `${fixture.base}/oai2`;
+        api = await startApp();
+    });
+
+    after(async () => {
+        await api.close();
+        await fixture.close();
+    });
+
+    beforeEach(() => {
+        delete responses['/api/query'];
+        delete responses['/oai2'];
+        received.length = 0;
+    });
+
+    describe('GET /api/arxiv/search', () => {
+        it('builds the ArXiv query and normalizes the feed', async () => {
+            responses['/api/query'] = () => ({
+                body: atomFeed({ total: 42, start: 10, entries: [{ id: '2301.00001', title: 'Attention' }] })
+            });
+
+            const res = await api.request('GET', '/api/arxiv/search?title=attention&category=cs.LG&page=2&limit=10');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.total, 42);
+            assert.equal(res.body.data.page, 2);
+            assert.equal(res.body.data.totalPages, 5);
+
+            const [paper] = res.body.data.results;
+            assert.equal(paper.id, '2301.00001');
+            assert.equal(paper.version, 1);
+            assert.equal(paper.title, 'Attention');
+            assert.deepEqual(paper.authors, [{ name: 'Ada Lovelace', affiliations: ['Analytical Engines'] }]);
+            assert.deepEqual(paper.categories, ['cs.LG', 'stat.ML']);
+            assert.equal(paper.primaryCategory, 'cs.LG');
+            assert.equal(paper.pdfUrl, 'http://arxiv.org/pdf/2301.00001v1');
+
+            const [query] = received;
+            assert.equal(query.searchParams.get('search_query'), 'ti:attention AND cat:cs.LG');
+            assert.equal(query.searchParams.get('start'), '10');
+            assert.equal(query.searchParams.get('max_results'), '10');
+        });
+
+        it('requires search criteria', async () => {
+            const res = await api.request('GET', '/api/arxiv/search');
+
+            assert.equal(res.status, 400);
+            assert.equal(received.length, 0);
+        });
+
+        it('rejects page sizes over the maximum', async () => {
+            const res = await api.request('GET', `/api/arxiv/search?query=x&limit=${config.arxiv.maxPageSize + 1}`);
+
+            assert.equal(res.status, 400);
+        });
+
+        it('reports query errors from ArXiv as bad requests', async () => {
+            responses['/api/query'] = () => ({ body: errorFeed('incorrect id format for 1234') });
+
+            const res = await api.request('GET', '/api/arxiv/search?query=x');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.message, 'incorrect id format for 1234');
+        });
+
+        it('reports ArXiv failures as a bad gateway', async () => {
+            responses['/api/query'] = () => ({ status: 500, body: 'oops' });
+
+            const res = await api.request('GET', '/api/arxiv/search?query=x');
+
+            assert.equal(res.status, 502);
+        });
+    });
+
+    describe('GET /api/arxiv/:id', () => {
+        it('returns a paper with its version history and caches it', async () => {
+            responses['/api/query'] = () => ({
+                body: atomFeed({ entries: [{ id: '2301.00002', title: 'Diffusion', version: 2 }] })
+            });
+            responses['/oai2'] = () => ({
+                body: oaiRecord('2301.00002', ['Mon, 2 Jan 2023 00:00:00 GMT', 'Tue, 3 Jan 2023 00:00:00 GMT'])
+            });
+
+            const first = await api.request('GET', '/api/arxiv/2301.00002');
+
+            assert.equal(first.status, 200);
+            assert.equal(first.body.cached, false);
+            assert.equal(first.body.data.title, 'Diffusion');
+            assert.equal(first.body.data.latestVersion, 2);
+            assert.deepEqual(first.body.data.versions.map(version => version.version), [1, 2]);
+
+            const second = await api.request('GET', '/api/arxiv/2301.00002');
+
+            assert.equal(second.status, 200);
+            assert.equal(second.body.cached, true);
+            assert.equal(received.length, 2);
+        });
+
+        it('rejects malformed identifiers', async () => {
+            const res = await api.request('GET', '/api/arxiv/not-an-id');
+
+            assert.equal(res.status, 400);
+            assert.equal(received.length, 0);
+        });
+
+        it('returns 404 for unknown papers', async () => {
+            responses['/api/query'] = () => ({ body: atomFeed({ entries: [] }) });
+            responses['/oai2'] = () => ({ body: oaiError('idDoesNotExist', 'No matching identifier') });
+
+            const res = await api.request('GET', '/api/arxiv/2301.99999');
+
+            assert.equal(res.status, 404);
+        });
+
+        it('returns 404 for withdrawn papers', async () => {
+            responses['/api/query'] = () => ({ body: atomFeed({ entries: [{ id: '2301.00003', title: 'Withdrawn' }] }) });
+            responses['/oai2'] = () => ({
+                body: `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">
+  <GetRecord><record><header status="deleted"><identifier>oai:arXiv.org:2301.00003</identifier></header></record></GetRecord>
+</OAI-PMH>`
+            });
+
+            const res = await api.request('GET', '/api/arxiv/2301.00003');
+
+            assert.equal(res.status, 404);
+        });
+
+        it('reports other OAI errors as a bad gateway', async () => {
+            responses['/api/query'] = () => ({ body: atomFeed({ entries: [{ id: '2301.00004', title: 'Busy' }] }) });
+            responses['/oai2'] = () => ({ body: oaiError('badArgument', 'Illegal argument') });
+
+            const res = await api.request('GET', '/api/arxiv/2301.00004');
+
+            assert.equal(res.status, 502);
+            assert.equal(res.body.error.details.code, 'badArgument');
+        });
+
+        it('reports unparseable and incomplete responses as a bad gateway', async () => {
+            responses['/api/query'] = () => ({ body: atomFeed({ entries: [{ id: '2301.00005', title: 'Broken' }] }) });
+            const bodies = [
+                '<OAI-PMH><GetRecord><record>',
+                '<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/"><GetRecord/></OAI-PMH>',
+                '<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/"><GetRecord><record><header/></record></GetRecord></OAI-PMH>'
+            ];
+
+            for (const body of bodies) {
+                responses['/oai2'] = () => ({ body });
+                const res = await api.request('GET', '/api/arxiv/2301.00005');
+                assert.equal(res.status, 502, body);
+            }
+
+            responses['/api/query'] = () => ({ body: '<feed><entry>' });
+            const search = await api.request('GET', '/api/arxiv/search?query=x');
+            assert.equal(search.status, 502);
+        });
+    });
+
+    describe('saved searches', () => {
+        let token;
+        let hook;
+        // Webhook requests received, with their raw bodies
+        const delivered = [];
+
+        const entries = (...ids) => () => ({
+            body: atomFeed({ entries: ids.map(id => ({ id, title: `Paper ${id}` })) })
+        });
+
+        const save = (body) => api.request('POST', '/api/arxiv/saved-searches', { token, body });
+
+        before(async () => {
+            ({ token } = await createUser(api.request));
+            hook = await listen(http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    delivered.push({ headers: req.headers, body });
+                    res.writeHead(204).end();
+                });
+            }));
+        });
+
+        after(async () => {
+            config.outboundRequests.allowPrivateAddresses = false;
+            await hook.close();
+        });
+
+        beforeEach(() => {
+            delivered.length = 0;
+        });
+
+        it('checks the types of the name and criteria', async () => {
+            const badName = await save({ name: { $ne: null }, query: 'x' });
+            assert.equal(badName.status, 400);
+            assert.equal(badName.body.error.details.param, 'name');
+
+            const badQuery = await save({ name: 'Mine', query: ['x'] });
+            assert.equal(badQuery.status, 400);
+            assert.equal(badQuery.body.error.details.param, 'query');
+
+            const noCriteria = await save({ name: 'Mine' });
+            assert.equal(noCriteria.status, 400);
+            assert.equal(received.length, 0);
+        });
+
+        it('refuses webhooks pointing at private addresses', async () => {
+            const res = await save({ name: 'Local', query: 'x', webhookUrl: `${hook.base}/hook` });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.details.param, 'webhookUrl');
+            assert.equal(received.length, 0);
+        });
+
+        it('signs webhooks for new papers with the search secret', async () => {
+            config.outboundRequests.allowPrivateAddresses = true;
+            responses['/api/query'] = entries('2301.00010');
+            const created = await save({ name: 'Signed', query: 'x', webhookUrl: `${hook.base}/hook` });
+            assert.equal(created.status, 201, created.text);
+            assert.match(created.body.data.id, /^[0-9a-f-]{36}$/);
+            assert.match(created.body.data.secret, /^whsec_/);
+
+            responses['/api/query'] = entries('2301.00011', '2301.00010');
+            const checked = await api.request('POST', `/api/arxiv/saved-searches/${created.body.data.id}/check`, { token });
+            assert.equal(checked.body.data.newPapers, 1);
+
+            const [{ headers, body }] = delivered;
+            const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(headers['webhook-signature']);
+            assert.equal(signature, hmac(created.body.data.secret, timestamp, body));
+            assert.deepEqual(JSON.parse(body).papers.map(paper => paper.id), ['2301.00011']);
+
+            const listed = await api.request('GET', '/api/arxiv/saved-searches', { token });
+            assert.equal(listed.body.data.savedSearches.some(search => 'secret' in search), false);
+        });
+
+        it('keeps papers unseen until they are in the feed', async () => {
+            responses['/api/query'] = entries('2301.00020');
+            const created = await save({ name: 'Retried', query: 'y' });
+            const check = () => api.request('POST', `/api/arxiv/saved-searches/${created.body.data.id}/check`, { token });
+
+            responses['/api/query'] = entries('2301.00021', '2301.00020');
+            const feedItems = require('../db').collection('arxiv_alerts');
+            const insert = mock.method(feedItems, 'insert', async () => {
+                throw new Error('database is locked');
+            });
+            try {
+                assert.equal((await check()).status, 500);
+            } finally {
+                insert.mock.restore();
+            }
+
+            const retried = await check();
+            assert.equal(retried.status, 200, retried.text);
+            assert.equal(retried.body.data.newPapers, 1);
+
+            const feed = await api.request('GET', `/api/arxiv/alerts?savedSearchId=${created.body.data.id}`, { token });
+            assert.deepEqual(feed.body.data.alerts.map(item => item.paper.id), ['2301.00021']);
+        });
+
+        it('rejects feed pages over the maximum', async () => {
+            const res = await api.request('GET', `/api/arxiv/alerts?limit=${config.arxiv.maxPageSize + 1}`, { token });
+
+            assert.equal(res.status, 400);
+        });
+    });
+
+    // Elasticsearch is replaced by an in-memory stand-in for the calls the harvester makes
+    describe('harvesting', () => {
+        const { client } = require('../services/elasticsearch');
+        const { requestDelay } = config.harvest;
+        let harvester;
+        let checkpoints;
+        let indexed;
+        let bulkFailure;
+
+        before(() => {
+            harvester = require('../services/harvester');
+            config.harvest.requestDelay = 0;
+            mock.method(client.indices, 'exists', async () => true);
+            mock.method(client, 'get', async ({ id }) => {
+                if (!checkpoints.has(id)) {
+                    throw Object.assign(new Error('Not found'), { meta: { statusCode: 404 } });
+                }
+                return { _source: checkpoints.get(id) };
+            });
+            mock.method(client, 'index', async ({ id, document }) => {
+                checkpoints.set(id, JSON.parse(JSON.stringify(document)));
+            });
+            mock.method(client, 'search', async () => ({
+                hits: { hits: [...checkpoints.values()].map(_source => ({ _source })) }
+            }));
+            mock.method(client, 'bulk', async ({ operations }) => {
+                const ids = operations.filter(operation => operation.index).map(operation => operation.index._id);
+                if (bulkFailure) {
+                    return { errors: true, items: ids.map(_id => ({ index: { _id, error: { reason: bulkFailure } } })) };
+                }
+                indexed.push(...ids);
+                return { errors: false, items: ids.map(_id => ({ index: { _id } })) };
+            });
+        });
+
+        after(() => {
+            config.harvest.requestDelay = requestDelay;
+            mock.restoreAll();
+        });
+
+        beforeEach(() => {
+            checkpoints = new Map();
+            indexed = [];
+            bulkFailure = null;
+        });
+
+        it('indexes new papers and picks up from the checkpoint next time', async () => {
+            responses['/api/query'] = () => ({
+                body: atomFeed({ entries: [{ id: '2301.00030', title: 'First' }, { id: '2301.00031', title: 'Second' }] })
+            });
+
+            const running = harvester.startHarvest({ categories: ['cs.LG'], maxPapers: 10 });
+            assert.throws(() => harvester.startHarvest({ categories: ['cs.LG'] }), { status: 409 });
+            const summary = await running;
+
+            assert.deepEqual(summary.results.map(({ source, harvested, remaining }) => ({ source, harvested, remaining })), [
+                { source: 'cat:cs.LG', harvested: 2, remaining: 0 }
+            ]);
+            assert.deepEqual(indexed, ['2301.00030', '2301.00031']);
+            assert.match(received[0].searchParams.get('search_query'), /^cat:cs\.LG AND lastUpdatedDate:\[\d{12} TO /);
+            assert.equal(received[0].searchParams.get('sortOrder'), 'ascending');
+
+            const checkpoint = checkpoints.get('cat:cs.LG');
+            assert.equal(new Date(checkpoint.lastUpdated).toISOString(), '2023-01-02T00:00:00.000Z');
+            assert.equal(checkpoint.totalHarvested, 2);
+
+            received.length = 0;
+            responses['/api/query'] = () => ({ body: atomFeed({ entries: [] }) });
+            const next = await harvester.startHarvest({ categories: ['cs.LG'] });
+            assert.equal(next.results[0].harvested, 0);
+            assert.match(received[0].searchParams.get('search_query'), /lastUpdatedDate:\[202301020000 TO /);
+
+            const status = await harvester.getHarvestStatus();
+            assert.equal(status.running, false);
+            assert.equal(status.lastRun, next);
+            assert.deepEqual(status.checkpoints.map(item => item.source), ['cat:cs.LG']);
+        });
+
+        it('records a source that fails upstream without stopping the others', async () => {
+            responses['/api/query'] = (url) => (url.searchParams.get('search_query').startsWith('cat:cs.AI')
+                ? { status: 503, body: 'unavailable' }
+                : { body: atomFeed({ entries: [{ id: '2301.00040', title: 'Survivor' }] }) });
+
+            const summary = await harvester.startHarvest({ categories: ['cs.AI'], queries: ['graphs'] });
+
+            const [failed, harvested] = summary.results;
+            assert.equal(failed.source, 'cat:cs.AI');
+            assert.ok(failed.error);
+            assert.equal(harvested.source, 'query:graphs');
+            assert.equal(harvested.harvested, 1);
+            assert.deepEqual([...checkpoints.keys()], ['query:graphs']);
+        });
+
+        it('leaves the checkpoint where it was when indexing fails', async () => {
+            responses['/api/query'] = () => ({ body: atomFeed({ entries: [{ id: '2301.00050', title: 'Rejected' }] }) });
+            bulkFailure = 'mapper_parsing_exception';
+
+            const summary = await harvester.startHarvest({ categories: ['cs.LG'] });
+
+            assert.equal(summary.results[0].error, 'Failed to index harvested papers');
+            assert.equal(checkpoints.size, 0);
+            assert.deepEqual(indexed, []);
+        });
+    });
+});
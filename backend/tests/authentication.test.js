@@ -0,0 +1,442 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, startApp, createUser, PASSWORD } = require('./helpers');
+const config = require('../config/config');
+
+describe('authentication', () => {
+    let api;
+
+    before(async () => {
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    describe('request validation', () => {
+        it('refuses objects in place of an email or token', async () => {
+            const { user } = await createUser(api.request);
+            const probes = [
+                ['/api/auth/login', { email: { $eq: user.email }, password: PASSWORD }, 'email'],
+                ['/api/auth/login', { email: user.email, password: { $ne: null } }, 'password'],
+                ['/api/auth/register', { email: { $ne: null }, password: PASSWORD, name: 'X' }, 'email'],
+                ['/api/auth/forgot-password', { email: { $ne: null } }, 'email'],
+                ['/api/auth/reset-password', { token: { $ne: null }, newPassword: PASSWORD }, 'token'],
+                ['/api/auth/refresh', { refreshToken: { $ne: null } }, 'refreshToken'],
+                ['/api/auth/2fa/verify', { challengeToken: 'x', code: { $ne: null } }, 'code'],
+                ['/api/auth/webauthn/login/options', { email: { $ne: null } }, 'email'],
+                ['/api/auth/webauthn/login/verify', { id: { $ne: null }, type: 'public-key' }, 'id']
+            ];
+
+            for (const [url, body, param] of probes) {
+                const res = await api.request('POST', url, { body });
+                assert.equal(res.status, 400, `${url}: ${res.text}`);
+                assert.equal(res.body.error.details.param, param, url);
+            }
+        });
+    });
+
+    describe('login throttling', () => {
+        const limits = JSON.parse(JSON.stringify(config.loginProtection));
+        const login = (email, password = PASSWORD) => api.request('POST', '/api/auth/login', { body: { email, password } });
+
+        // Every request comes from the same address, so tests clear what they locked
+        afterEach(async () => {
+            const loginThrottle = require('../services/loginThrottle');
+            for (const { scope, value } of await loginThrottle.listLocks()) {
+                await loginThrottle.unlock(scope, value);
+            }
+            await require('../db').collection('login_attempts').deleteMany({});
+            Object.assign(config.loginProtection, JSON.parse(JSON.stringify(limits)));
+        });
+
+        it('makes further attempts wait after the free ones', async () => {
+            config.loginProtection.account = { freeAttempts: 1, maxAttempts: 10, lockoutDuration: 900 };
+            const { user } = await createUser(api.request);
+
+            assert.equal((await login(user.email, 'Wrong-passw0rd')).status, 401);
+
+            const delayed = await login(user.email);
+            assert.equal(delayed.status, 429);
+            assert.equal(delayed.body.error.details.locked, false);
+            assert.equal(delayed.body.error.details.scope, 'account');
+            assert.equal(delayed.headers.get('retry-after'), '1');
+        });
+
+        it('keeps a locked account locked whatever form the email takes', async () => {
+            config.loginProtection.account = { freeAttempts: 3, maxAttempts: 3, lockoutDuration: 900 };
+            const { user } = await createUser(api.request);
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                assert.equal((await login(user.email, 'Wrong-passw0rd')).status, 401);
+            }
+
+            const locked = await login(user.email);
+            assert.equal(locked.status, 429);
+            assert.equal(locked.body.error.details.locked, true);
+
+            for (const email of [user.email.toUpperCase(), ` ${user.email} `]) {
+                assert.equal((await login(email)).status, 429, email);
+            }
+            for (const email of [{ $eq: user.email }, [user.email], { toString: user.email }]) {
+                assert.equal((await login(email)).status, 400, JSON.stringify(email));
+            }
+        });
+
+        it('locks out an address that fails too often, for every account', async () => {
+            config.loginProtection.ip = { freeAttempts: 3, maxAttempts: 3, lockoutDuration: 900 };
+            const { user } = await createUser(api.request);
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                assert.equal((await login(`nobody${attempt}@example.com`)).status, 401);
+            }
+
+            const blocked = await login(user.email);
+            assert.equal(blocked.status, 429);
+            assert.equal(blocked.body.error.details.scope, 'ip');
+        });
+
+        it('clears the account\'s failures on a successful login', async () => {
+            config.loginProtection.account = { freeAttempts: 2, maxAttempts: 3, lockoutDuration: 900 };
+            const { user } = await createUser(api.request);
+
+            assert.equal((await login(user.email, 'Wrong-passw0rd')).status, 401);
+            assert.equal((await login(user.email)).status, 200);
+            assert.equal((await login(user.email, 'Wrong-passw0rd')).status, 401);
+            assert.equal((await login(user.email)).status, 200);
+        });
+    });
+
+    describe('tokens and sessions', () => {
+        const signIn = async (email) => {
+            const res = await api.request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+            assert.equal(res.status, 200, res.text);
+            return res.body.data;
+        };
+        const me = (token) => api.request('GET', '/api/auth/me', { token });
+        const refresh = (refreshToken) => api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+        it('only accepts access tokens on protected routes', async () => {
+            const jwt = require('jsonwebtoken');
+            const twoFactor = require('../services/twoFactor');
+            const { issueAccountToken, PURPOSES } = require('../services/accountTokens');
+            const { user, token } = await createUser(api.request);
+            const { sid } = jwt.decode(token);
+            const sign = (payload) => jwt.sign(payload, config.jwt.secret, { expiresIn: 60 });
+
+            assert.equal((await me(token)).status, 200);
+            for (const [name, other] of [
+                ['two-factor challenge', twoFactor.issueChallenge(user)],
+                ['email verification', await issueAccountToken(user, PURPOSES.VERIFY_EMAIL)],
+                ['untyped', sign({ id: user.id, email: user.email, role: 'admin', sid })],
+                ['sessionless', sign({ id: user.id, email: user.email, role: 'admin', typ: 'access' })]
+            ]) {
+                const res = await me(other);
+                assert.equal(res.status, 401, name);
+            }
+        });
+
+        it('rotates refresh tokens and revokes the session when one is reused', async () => {
+            const { user } = await createUser(api.request);
+            const first = await signIn(user.email);
+
+            const rotated = await refresh(first.refreshToken);
+            assert.equal(rotated.status, 200, rotated.text);
+            assert.notEqual(rotated.body.data.refreshToken, first.refreshToken);
+            assert.equal((await me(rotated.body.data.token)).status, 200);
+            // The access token it replaced is denylisted
+            assert.equal((await me(first.token)).status, 401);
+
+            // Replaying the used refresh token ends the whole session
+            const replayed = await refresh(first.refreshToken);
+            assert.equal(replayed.status, 401);
+            assert.match(replayed.body.error.message, /reuse/);
+            assert.equal((await me(rotated.body.data.token)).status, 401);
+            assert.equal((await refresh(rotated.body.data.refreshToken)).status, 401);
+        });
+
+        it('logs out one session, then all of them', async () => {
+            const { user } = await createUser(api.request);
+            const [first, second, third] = [await signIn(user.email), await signIn(user.email), await signIn(user.email)];
+
+            assert.equal((await api.request('POST', '/api/auth/logout', { token: first.token })).status, 200);
+            assert.equal((await me(first.token)).status, 401);
+            assert.equal((await refresh(first.refreshToken)).status, 401);
+            assert.equal((await me(second.token)).status, 200);
+
+            const all = await api.request('POST', '/api/auth/logout-all', { token: second.token });
+            assert.equal(all.status, 200, all.text);
+            for (const { token, refreshToken } of [second, third]) {
+                assert.equal((await me(token)).status, 401);
+                assert.equal((await refresh(refreshToken)).status, 401);
+            }
+        });
+
+        it('signs out every other session when the password changes', async () => {
+            const { user } = await createUser(api.request);
+            const current = await signIn(user.email);
+            const other = await signIn(user.email);
+
+            const changed = await api.request('PUT', '/api/auth/change-password', {
+                token: current.token,
+                body: { currentPassword: PASSWORD, newPassword: 'N3w-Passw0rd!' }
+            });
+            assert.equal(changed.status, 200, changed.text);
+            assert.ok(changed.body.data.revokedSessions >= 1);
+
+            assert.equal((await me(other.token)).status, 401);
+            assert.equal((await refresh(other.refreshToken)).status, 401);
+            assert.equal((await me(current.token)).status, 200);
+            assert.equal((await refresh(current.refreshToken)).status, 200);
+        });
+    });
+
+    describe('two-factor authentication', () => {
+        const totp = require('../services/totp');
+
+        const login = async (email) => {
+            const res = await api.request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+            assert.equal(res.status, 200, res.text);
+            return res.body.data;
+        };
+        const verify = (challengeToken, second) => api.request('POST', '/api/auth/2fa/verify', { body: { challengeToken, ...second } });
+
+        // A user with TOTP enrolled, the secret, the step its confirming code used and its recovery codes
+        const enrolled = async () => {
+            const { user, token } = await createUser(api.request);
+            const setup = await api.request('POST', '/api/auth/2fa/setup', { token });
+            assert.equal(setup.status, 200, setup.text);
+            const { secret, otpauthUri } = setup.body.data;
+            assert.ok(otpauthUri.startsWith('otpauth://totp/'));
+            assert.ok(otpauthUri.includes(`secret=${secret}`));
+
+            const wrong = await api.request('POST', '/api/auth/2fa/confirm', { token, body: { code: '000000' } });
+            assert.equal(wrong.status, 400);
+
+            const step = totp.currentStep();
+            const confirmed = await api.request('POST', '/api/auth/2fa/confirm', { token, body: { code: totp.generateCode(secret, step) } });
+            assert.equal(confirmed.status, 200, confirmed.text);
+            return { user, token, secret, step, recoveryCodes: confirmed.body.data.recoveryCodes };
+        };
+
+        it('enrols with a confirming code and hands out recovery codes once', async () => {
+            const { token, recoveryCodes } = await enrolled();
+
+            assert.equal(recoveryCodes.length, config.twoFactor.recoveryCodeCount);
+            assert.equal(new Set(recoveryCodes).size, recoveryCodes.length);
+
+            const me = await api.request('GET', '/api/auth/me', { token });
+            assert.equal(me.body.data.user.twoFactorEnabled, true);
+            assert.equal(JSON.stringify(me.body).includes(recoveryCodes[0]), false);
+
+            const again = await api.request('POST', '/api/auth/2fa/setup', { token });
+            assert.equal(again.status, 400);
+        });
+
+        it('answers a password with a challenge that a code exchanges for tokens', async () => {
+            const { user, secret, step } = await enrolled();
+
+            const challenged = await login(user.email);
+            assert.equal(challenged.twoFactorRequired, true);
+            assert.equal(challenged.token, undefined);
+
+            const wrong = await verify(challenged.challengeToken, { code: '000000' });
+            assert.equal(wrong.status, 401);
+
+            const verified = await verify(challenged.challengeToken, { code: totp.generateCode(secret, step + 1) });
+            assert.equal(verified.status, 200, verified.text);
+            assert.equal((await api.request('GET', '/api/auth/me', { token: verified.body.data.token })).status, 200);
+
+            // A challenge is good for one sign-in
+            const reused = await verify(challenged.challengeToken, { code: totp.generateCode(secret, step - 1) });
+            assert.equal(reused.status, 401);
+        });
+
+        it('refuses a code that has already been used', async () => {
+            const { user, secret, step } = await enrolled();
+
+            // The code that confirmed enrolment
+            const replayed = await verify((await login(user.email)).challengeToken, { code: totp.generateCode(secret, step) });
+            assert.equal(replayed.status, 401);
+
+            const next = totp.generateCode(secret, step + 1);
+            assert.equal((await verify((await login(user.email)).challengeToken, { code: next })).status, 200);
+            assert.equal((await verify((await login(user.email)).challengeToken, { code: next })).status, 401);
+        });
+
+        it('signs in once with each recovery code and replaces them on request', async () => {
+            const { user, token, secret, step, recoveryCodes } = await enrolled();
+
+            const recovered = await verify((await login(user.email)).challengeToken, { recoveryCode: recoveryCodes[0].toUpperCase() });
+            assert.equal(recovered.status, 200, recovered.text);
+            const spent = await verify((await login(user.email)).challengeToken, { recoveryCode: recoveryCodes[0] });
+            assert.equal(spent.status, 401);
+
+            const replaced = await api.request('POST', '/api/auth/2fa/recovery-codes', {
+                token,
+                body: { code: totp.generateCode(secret, step + 1) }
+            });
+            assert.equal(replaced.status, 200, replaced.text);
+            const old = await verify((await login(user.email)).challengeToken, { recoveryCode: recoveryCodes[1] });
+            assert.equal(old.status, 401);
+            const fresh = await verify((await login(user.email)).challengeToken, { recoveryCode: replaced.body.data.recoveryCodes[0] });
+            assert.equal(fresh.status, 200, fresh.text);
+        });
+    });
+
+    describe('API keys', () => {
+        const createKey = async (token, body) => {
+            const res = await api.request('POST', '/api/auth/api-keys', { token, body: { name: 'Server', ...body } });
+            assert.equal(res.status, 201, res.text);
+            return res.body.data;
+        };
+
+        it('returns the key once and only its prefix afterwards', async () => {
+            const { token } = await createUser(api.request);
+            const { key, apiKey } = await createKey(token, { scopes: ['payments:read', 'payments:read'] });
+
+            assert.ok(key.startsWith(config.apiKeys.prefix));
+            assert.ok(key.startsWith(apiKey.prefix));
+            assert.deepEqual(apiKey.scopes, ['payments:read']);
+            assert.equal(apiKey.keyHash, undefined);
+
+            const listed = await api.request('GET', '/api/auth/api-keys', { token });
+            assert.equal(listed.status, 200);
+            assert.deepEqual(listed.body.data.apiKeys.map(k => k.id), [apiKey.id]);
+            assert.equal(listed.text.includes(key), false);
+            assert.equal(listed.text.includes('keyHash'), false);
+
+            const invalid = await api.request('POST', '/api/auth/api-keys', { token, body: { name: 'Bad', scopes: ['users:read'] } });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('limits a key to its scopes and its owner\'s role', async () => {
+            const { token } = await createUser(api.request);
+            const { key } = await createKey(token, { scopes: ['payments:read', 'search:harvest'] });
+
+            assert.equal((await api.request('GET', '/api/payment/balance', { token: `ApiKey ${key}` })).status, 200);
+            assert.equal((await api.request('GET', '/api/payment/balance', { headers: { 'x-api-key': key } })).status, 200);
+
+            const unscoped = await api.request('POST', '/api/payment/create', {
+                token: `ApiKey ${key}`,
+                body: { amountMinor: 1000, currency: 'USD', paymentMethod: 'pm_card_visa' }
+            });
+            assert.equal(unscoped.status, 403);
+
+            // In scope, but not something a user may do
+            assert.equal((await api.request('GET', '/api/search/harvest/status', { token: `ApiKey ${key}` })).status, 403);
+
+            // Managing keys takes a signed-in session
+            assert.equal((await api.request('GET', '/api/auth/api-keys', { token: `ApiKey ${key}` })).status, 403);
+        });
+
+        it('stops accepting a key once it is revoked', async () => {
+            const { token } = await createUser(api.request);
+            const other = await createUser(api.request);
+            const { key, apiKey } = await createKey(token, { scopes: ['payments:read'] });
+
+            const foreign = await api.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { token: other.token });
+            assert.equal(foreign.status, 404);
+
+            const revoked = await api.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { token });
+            assert.equal(revoked.status, 200, revoked.text);
+            assert.ok(revoked.body.data.apiKey.revokedAt);
+            assert.equal(revoked.text.includes(key), false);
+
+            assert.equal((await api.request('GET', '/api/payment/balance', { token: `ApiKey ${key}` })).status, 401);
+            assert.deepEqual((await api.request('GET', '/api/auth/api-keys', { token })).body.data.apiKeys, []);
+            assert.equal((await api.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { token })).status, 400);
+        });
+    });
+
+    // Mail goes through the file transport into the test mail directory
+    describe('email verification and password reset', () => {
+        let mailCount = 0;
+
+        // The newest message sent to an address, if any
+        const lastMailTo = (email) => {
+            if (!fs.existsSync(config.mail.directory)) {
+                return null;
+            }
+            const messages = fs.readdirSync(config.mail.directory)
+                .map(file => JSON.parse(fs.readFileSync(path.join(config.mail.directory, file), 'utf8')))
+                .filter(message => message.to === email)
+                .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+            return messages.at(-1) || null;
+        };
+
+        const register = async () => {
+            mailCount += 1;
+            const email = `mail${mailCount}-${Date.now()}@example.com`;
+            const res = await api.request('POST', '/api/auth/register', { body: { email, password: PASSWORD, name: 'Mail Test' } });
+            assert.equal(res.status, 201, res.text);
+            return { email, token: res.body.data.token };
+        };
+
+        it('verifies an email address through the link it was sent, once', async () => {
+            const { email } = await register();
+
+            const message = lastMailTo(email);
+            assert.equal(message.from, config.mail.from);
+            assert.equal(message.subject, 'Verify your email address');
+            const link = /(http\S+verify-email\?token=\S+)/.exec(message.text)[1];
+            assert.ok(link.startsWith(config.mail.appUrl));
+
+            const verified = await api.request('GET', link.slice(config.mail.appUrl.length));
+            assert.equal(verified.status, 200, verified.text);
+            assert.equal(verified.body.data.user.emailVerified, true);
+
+            const reused = await api.request('GET', link.slice(config.mail.appUrl.length));
+            assert.equal(reused.status, 400);
+        });
+
+        it('resets a password with the emailed token and signs out other sessions', async () => {
+            const { user, token } = await createUser(api.request);
+
+            const unknown = await api.request('POST', '/api/auth/forgot-password', { body: { email: `nobody-${Date.now()}@example.com` } });
+            const requested = await api.request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+            assert.equal(requested.status, 200);
+            assert.equal(unknown.status, 200);
+            assert.equal(unknown.body.message, requested.body.message);
+
+            const message = lastMailTo(user.email);
+            assert.equal(message.subject, 'Reset your password');
+            const resetToken = message.text.split('\n')[3];
+
+            const newPassword = 'N3w-Passw0rd!';
+            const reset = await api.request('POST', '/api/auth/reset-password', { body: { token: resetToken, newPassword } });
+            assert.equal(reset.status, 200, reset.text);
+
+            assert.equal((await api.request('GET', '/api/auth/me', { token })).status, 401);
+            const login = await api.request('POST', '/api/auth/login', { body: { email: user.email, password: newPassword } });
+            assert.equal(login.status, 200, login.text);
+
+            const again = await api.request('POST', '/api/auth/reset-password', { body: { token: resetToken, newPassword: PASSWORD } });
+            assert.equal(again.status, 400);
+        });
+
+        it('still registers and answers reset requests when mail cannot be sent', async () => {
+            const { directory } = config.mail;
+            // A directory can't be created beneath a file, so every send fails
+            const blocker = path.join(tmpDir, 'mail-blocker');
+            fs.writeFileSync(blocker, '');
+            config.mail.directory = path.join(blocker, 'mail');
+            try {
+                const { email, token } = await register();
+                const requested = await api.request('POST', '/api/auth/forgot-password', { body: { email } });
+                assert.equal(requested.status, 200, requested.text);
+                assert.equal((await api.request('POST', '/api/auth/resend-verification', { token })).status, 200);
+
+                config.mail.directory = directory;
+                assert.equal(lastMailTo(email), null);
+
+                // Once mail works again the user can ask for another link
+                assert.equal((await api.request('POST', '/api/auth/resend-verification', { token })).status, 200);
+                assert.equal(lastMailTo(email).subject, 'Verify your email address');
+            } finally {
+                config.mail.directory = directory;
+            }
+        });
+    });
+});
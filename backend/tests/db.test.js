@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { tmpDir, startApp, createUser } = require('./helpers');
+const { createDatabase } = require('../db');
+const { migrate } = require('../db/migrate');
+
+// Every driver has to behave the same behind the repository interface
+for (const driver of ['memory', 'sqlite']) {
+    describe(`${driver} driver`, () => {
+        let database;
+        let posts;
+
+        before(async () => {
+            database = createDatabase({ driver, filename: path.join(tmpDir, `repository-${driver}.db`) });
+            posts = database.collection('posts');
+            await posts.insert({ id: 'a', title: 'First', votes: 3, tags: ['x'], createdAt: new Date('2023-01-01T00:00:00Z') });
+            await posts.insert({ id: 'b', title: 'Second', votes: 7, tags: [], createdAt: new Date('2023-02-01T00:00:00Z') });
+            await posts.insert({ id: 'c', title: 'Third', votes: null, tags: [], createdAt: new Date('2023-03-01T00:00:00Z') });
+        });
+
+        after(() => database.close());
+
+        it('stores records as plain JSON with dates as ISO strings', async () => {
+            const post = await posts.findById('a');
+
+            assert.deepEqual(post, { id: 'a', title: 'First', votes: 3, tags: ['x'], createdAt: '2023-01-01T00:00:00.000Z' });
+            assert.equal(await posts.findById('missing'), null);
+        });
+
+        it('refuses duplicate ids', async () => {
+            await assert.rejects(posts.insert({ id: 'a', title: 'Again' }));
+        });
+
+        it('filters by equality, and by comparison operators when asked to', async () => {
+            const ids = async (filter, options) => (await posts.find(filter, { operators: true, ...options })).map(post => post.id);
+
+            assert.deepEqual(await ids({ title: 'Second' }), ['b']);
+            assert.deepEqual(await ids({ votes: { $gte: 3 } }, { sort: { votes: 1 } }), ['a', 'b']);
+            assert.deepEqual(await ids({ votes: { $lt: 100 } }, { sort: { votes: 1 } }), ['a', 'b']);
+            assert.deepEqual(await ids({ votes: null }), ['c']);
+            assert.deepEqual(await ids({ id: { $in: ['a', 'c'] } }, { sort: { id: 1 } }), ['a', 'c']);
+            assert.deepEqual(await ids({ $or: [{ title: 'First' }, { votes: 7 }] }, { sort: { id: 1 } }), ['a', 'b']);
+            assert.deepEqual(await ids({ createdAt: { $gt: new Date('2023-01-15T00:00:00Z') } }, { sort: { id: 1 } }), ['b', 'c']);
+            assert.equal(await posts.count({ votes: { $ne: 3 } }, { operators: true }), 2);
+            assert.equal((await posts.findOne({ title: 'Third' })).id, 'c');
+        });
+
+        it('never reads operators from filters that did not ask for them', async () => {
+            await assert.rejects(posts.findOne({ title: { $ne: null } }), /Filter values/);
+            await assert.rejects(posts.find({ votes: { $gte: 0 } }), /Filter values/);
+            await assert.rejects(posts.count({ $or: [{ title: 'First' }] }), /Invalid field name/);
+            await assert.rejects(posts.deleteMany({ id: { $in: ['a'] } }), /Filter values/);
+            assert.equal(await posts.count(), 3);
+        });
+
+        it('sorts and pages', async () => {
+            const page = await posts.find({}, { sort: { createdAt: -1 }, offset: 1, limit: 1 });
+
+            assert.deepEqual(page.map(post => post.id), ['b']);
+        });
+
+        it('rejects field names that are not plain identifiers', async () => {
+            await assert.rejects(posts.find({ "title') OR 1=1 --": 'x' }));
+        });
+
+        it('merges updates and deletes', async () => {
+            const updated = await posts.update('b', { votes: 8 });
+
+            assert.equal(updated.votes, 8);
+            assert.equal(updated.title, 'Second');
+            assert.equal(await posts.update('missing', { votes: 1 }), null);
+
+            // Conditional updates only apply while the record still matches
+            assert.equal(await posts.update('b', { votes: 9 }, { where: { votes: 7 } }), null);
+            assert.equal((await posts.update('b', { votes: 9 }, { where: { votes: 8 } })).votes, 9);
+            assert.equal(await posts.update('b', { votes: 10 }, { where: { votes: { $lt: 9 } }, operators: true }), null);
+            assert.equal((await posts.findById('b')).votes, 9);
+
+            assert.equal(await posts.delete('b'), true);
+            assert.equal(await posts.delete('b'), false);
+            assert.equal(await posts.deleteMany({ votes: null }), 1);
+            assert.equal(await posts.count(), 1);
+        });
+    });
+}
+
+describe('sqlite migrations', () => {
+    it('apply every migration once', () => {
+        const db = new Database(path.join(tmpDir, 'migrations.db'));
+        const migrations = fs.readdirSync(path.join(__dirname, '../db/migrations')).filter(file => file.endsWith('.js'));
+
+        assert.equal(migrate(db).length, migrations.length);
+        assert.deepEqual(migrate(db), []);
+        db.close();
+    });
+
+    it('keep records across reopening the file', async () => {
+        const filename = path.join(tmpDir, 'reopen.db');
+        const first = createDatabase({ driver: 'sqlite', filename });
+        await first.collection('users').insert({ id: 'u1', email: 'a@example.com' });
+        first.close();
+
+        const second = createDatabase({ driver: 'sqlite', filename });
+        assert.equal((await second.collection('users').findById('u1')).email, 'a@example.com');
+        second.close();
+    });
+});
+
+describe('route modules on the configured database', () => {
+    let api;
+
+    before(async () => {
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    it('write users, payments and posts where a new connection can read them', async () => {
+        const { user, token } = await createUser(api.request);
+
+        const payment = await api.request('POST', '/api/payment/create', {
+            token,
+            body: { amountMinor: 1000, currency: 'USD', paymentMethod: 'pm_card_visa' }
+        });
+        assert.equal(payment.status, 201, payment.text);
+
+        const post = await api.request('POST', '/api/graphql', {
+            token,
+            body: { query: 'mutation { addPost(title: "Stored", content: "Body text") { id } }' }
+        });
+        assert.equal(post.status, 200, post.text);
+        assert.equal(post.body.errors, undefined, post.text);
+
+        const reopened = createDatabase({ driver: 'sqlite', filename: process.env.DB_FILENAME });
+        assert.equal((await reopened.collection('users').findById(user.id)).email, user.email);
+        assert.equal((await reopened.collection('payments').findById(payment.body.data.paymentId)).userId, user.id);
+        assert.equal((await reopened.collection('posts').findById(post.body.data.addPost.id)).title, 'Stored');
+        reopened.close();
+    });
+});
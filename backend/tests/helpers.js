@@ -0,0 +1,105 @@
+/**
+ * Test helpers
+ * Points the app at a throwaway database and mail directory, then serves it on a
+ * random port. Require this before anything else from the app: config is read
+ * once, when it's first loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = process.env.TEST_DB_DRIVER || 'sqlite';
+process.env.DB_FILENAME = path.join(tmpDir, 'test.db');
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIRECTORY = path.join(tmpDir, 'mail');
+process.env.PAYMENT_SIMULATOR_LATENCY = '0';
+process.env.JWT_SECRET = 'test-secret';
+
+const PASSWORD = 'Passw0rd!';
+
+// Serve an express app (or request listener) on a random local port
+const listen = (app) => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        resolve({
+            base,
+            server,
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+});
+
+// Start the API and return a client for it
+const startApp = async () => {
+    const app = require('../index');
+    const served = await listen(app);
+
+    // Send a request; `token` is a bearer token, or an API key starting with ApiKey
+    const request = async (method, url, { body, token, headers = {} } = {}) => {
+        const requestHeaders = { ...headers };
+        if (body !== undefined) {
+            requestHeaders['content-type'] = 'application/json';
+        }
+        if (token) {
+            requestHeaders.authorization = token.startsWith('ApiKey ') ? token : `Bearer ${token}`;
+        }
+
+        const response = await fetch(served.base + url, {
+            method,
+            headers: requestHeaders,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            json = null;
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    };
+
+    return { ...served, request };
+};
+
+let userCount = 0;
+
+/**
+ * Register a user through the API, then apply `changes` (verified email by
+ * default, a role, ...) directly to the stored record. Returns the user and an
+ * access token issued after the changes, so it carries the new role.
+ */
+const createUser = async (request, changes = {}) => {
+    const { collection } = require('../db');
+    userCount++;
+    const email = changes.email || `user${userCount}-${Date.now()}@example.com`;
+
+    const registered = await request('POST', '/api/auth/register', {
+        body: { email, password: PASSWORD, name: `User ${userCount}` }
+    });
+    if (registered.status !== 201) {
+        throw new Error(`Registration failed: ${registered.text}`);
+    }
+
+    const user = await collection('users').update(registered.body.data.user.id, {
+        emailVerified: true,
+        ...changes
+    });
+    const login = await request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+    if (login.status !== 200) {
+        throw new Error(`Login failed: ${login.text}`);
+    }
+    return { user, token: login.body.data.token, password: PASSWORD };
+};
+
+module.exports = {
+    tmpDir,
+    PASSWORD,
+    listen,
+    startApp,
+    createUser
+};
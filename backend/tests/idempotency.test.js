@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser } = require('./helpers');
+
+describe('Idempotency-Key', () => {
+    let api;
+    let token;
+    let keyCount = 0;
+
+    before(async () => {
+        api = await startApp();
+        ({ token } = await createUser(api.request));
+    });
+
+    after(() => api.close());
+
+    const create = (key, body) => api.request('POST', '/api/payment/create', {
+        token,
+        headers: { 'Idempotency-Key': key },
+        body
+    });
+    const newKey = () => `key-${++keyCount}`;
+
+    it('replays the stored response to an immediate retry', async () => {
+        const key = newKey();
+        const body = { amountMinor: 1200, currency: 'USD', paymentMethod: 'pm_card_visa' };
+
+        const first = await create(key, body);
+        const retry = await create(key, body);
+
+        assert.equal(first.status, 201);
+        assert.equal(retry.status, 201, retry.text);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.equal(retry.body.data.paymentId, first.body.data.paymentId);
+    });
+
+    it('treats the same body with its keys in another order as the same request', async () => {
+        const key = newKey();
+
+        const first = await create(key, { amountMinor: 1300, currency: 'USD', paymentMethod: 'pm_card_visa' });
+        const retry = await create(key, { paymentMethod: 'pm_card_visa', currency: 'USD', amountMinor: 1300 });
+
+        assert.equal(retry.status, 201, retry.text);
+        assert.equal(retry.body.data.paymentId, first.body.data.paymentId);
+    });
+
+    it('refuses a key reused for a different request', async () => {
+        const key = newKey();
+        await create(key, { amountMinor: 1400, currency: 'USD', paymentMethod: 'pm_card_visa' });
+
+        const reused = await create(key, { amountMinor: 9999, currency: 'USD', paymentMethod: 'pm_card_visa' });
+
+        assert.equal(reused.status, 409);
+    });
+
+    it('replays client errors too', async () => {
+        const key = newKey();
+
+        const first = await create(key, { amountMinor: 1500, currency: 'XYZ', paymentMethod: 'pm_card_visa' });
+        const retry = await create(key, { amountMinor: 1500, currency: 'XYZ', paymentMethod: 'pm_card_visa' });
+
+        assert.equal(first.status, 400);
+        assert.equal(retry.status, 400);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    });
+
+    it('deletes expired keys in the cleanup run', async () => {
+        const { collection } = require('../db');
+        const { runCleanup } = require('../services/cleanup');
+        const keys = collection('idempotency_keys');
+        const stored = await keys.count();
+        assert.ok(stored > 0);
+
+        const deleted = await runCleanup(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+
+        assert.equal(deleted['idempotency keys'], stored);
+        assert.equal(await keys.count(), 0);
+    });
+});
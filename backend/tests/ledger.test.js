@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp } = require('./helpers');
+
+// Payments are written straight to the store, each test in its own month of 2020
+// so reconciliation only sees that test's payments
+describe('ledger and reconciliation', () => {
+    let api;
+    let ledger;
+    let reconcile;
+    let payments;
+    let transactions;
+
+    before(async () => {
+        api = await startApp();
+        ledger = require('../services/ledger');
+        ({ reconcile } = require('../services/reconciliation'));
+        const { collection } = require('../db');
+        payments = collection('payments');
+        transactions = collection('ledger_transactions');
+    });
+
+    after(() => api.close());
+
+    const month = (index) => ({
+        from: new Date(Date.UTC(2020, index, 1)),
+        to: new Date(Date.UTC(2020, index + 1, 1))
+    });
+
+    const storePayment = (fields) => payments.insert({
+        id: crypto.randomUUID(),
+        userId: crypto.randomUUID(),
+        status: 'succeeded',
+        amount: 1000,
+        currency: 'USD',
+        gateway: 'simulator',
+        processingFee: 59,
+        refunds: [],
+        ...fields
+    });
+
+    const update = (payment, changes) => payments.update(payment.id, changes);
+
+    const postedFor = (payment) => transactions.find({ paymentId: payment.id }, { sort: { id: 1 } });
+
+    it('posts balanced capture, fee and refund transactions once each', async () => {
+        const { from } = month(0);
+        let payment = await storePayment({ createdAt: from });
+
+        const first = await ledger.recordPayment(payment);
+        assert.deepEqual(first.map(transaction => transaction.id), [`capture:${payment.id}`, `fee:${payment.id}`]);
+        assert.deepEqual(await ledger.recordPayment(payment), []);
+
+        const refund = { id: crypto.randomUUID(), status: 'succeeded', amount: 200, createdAt: from };
+        payment = await update(payment, { status: 'partially_refunded', refunds: [refund], amountRefunded: 200 });
+        await Promise.all([ledger.recordPayment(payment), ledger.recordPayment(payment)]);
+        assert.deepEqual(await ledger.recordPayment(payment), []);
+
+        const posted = await postedFor(payment);
+        assert.equal(posted.length, 3);
+        assert.ok(posted.every(ledger.isBalanced));
+        assert.deepEqual(await ledger.getUserBalance(payment.userId), { USD: { paid: 1000, refunded: 200, balance: 800 } });
+
+        await assert.rejects(ledger.postTransaction({
+            type: 'payout',
+            currency: 'USD',
+            amount: 10,
+            lines: [{ account: 'bank', direction: 'debit', amount: 10 }, { account: 'gateway:simulator', direction: 'credit', amount: 9 }]
+        }), /Unbalanced/);
+    });
+
+    it('posts an adjustment when the captured amount or fee changes', async () => {
+        const period = month(1);
+        let payment = await storePayment({ createdAt: period.from, capturedAmount: 1000 });
+        await ledger.recordPayment(payment);
+
+        payment = await update(payment, { capturedAmount: 600, processingFee: 47 });
+        const reduced = await ledger.recordPayment(payment);
+        assert.deepEqual(reduced.map(transaction => [transaction.id, transaction.amount]), [
+            [`capture:${payment.id}:1`, -400],
+            [`fee:${payment.id}:1`, -12]
+        ]);
+        assert.deepEqual(reduced[0].lines, [
+            { account: ledger.userAccount(payment.userId), direction: 'debit', amount: 400 },
+            { account: 'gateway:simulator', direction: 'credit', amount: 400 }
+        ]);
+        assert.deepEqual(await ledger.recordPayment(payment), []);
+
+        // Back up again is a further adjustment, not the first one repeated
+        payment = await update(payment, { capturedAmount: 1000, processingFee: 59 });
+        const restored = await ledger.recordPayment(payment);
+        assert.deepEqual(restored.map(transaction => [transaction.id, transaction.amount]), [
+            [`capture:${payment.id}:2`, 400],
+            [`fee:${payment.id}:2`, 12]
+        ]);
+
+        assert.ok((await postedFor(payment)).every(ledger.isBalanced));
+        assert.deepEqual(await ledger.getUserBalance(payment.userId), { USD: { paid: 1000, refunded: 0, balance: 1000 } });
+
+        const report = await reconcile({ ...period, checkGateway: false });
+        assert.equal(report.reconciled, true, JSON.stringify(report.mismatches));
+        assert.equal(report.checked.payments, 1);
+    });
+
+    it('reports where the ledger and the payments disagree', async () => {
+        const period = month(2);
+        const payment = await storePayment({ createdAt: period.from });
+        await ledger.recordPayment(payment);
+        assert.equal((await reconcile({ ...period, checkGateway: false })).reconciled, true);
+
+        // A refund the ledger never heard of
+        await update(payment, {
+            status: 'partially_refunded',
+            refunds: [{ id: crypto.randomUUID(), status: 'succeeded', amount: 100, createdAt: period.from }]
+        });
+        // A posting for a payment that isn't stored
+        await ledger.postTransaction({
+            type: 'capture',
+            paymentId: 'missing-payment',
+            currency: 'USD',
+            amount: 300,
+            lines: [{ account: 'gateway:simulator', direction: 'debit', amount: 300 }, { account: 'user:nobody', direction: 'credit', amount: 300 }],
+            occurredAt: period.from
+        });
+        // and one that doesn't balance, written past postTransaction's check
+        await transactions.insert({
+            id: 'unbalanced',
+            type: 'payout',
+            currency: 'USD',
+            amount: 50,
+            lines: [{ account: 'bank', direction: 'debit', amount: 50 }, { account: 'gateway:simulator', direction: 'credit', amount: 40 }],
+            occurredAt: period.from,
+            createdAt: new Date()
+        });
+
+        const report = await reconcile({ ...period, checkGateway: false });
+        assert.equal(report.reconciled, false);
+        const byType = (type) => report.mismatches.filter(mismatch => mismatch.type === type);
+        assert.deepEqual(byType('ledger_mismatch').map(({ paymentId, field, expected, actual }) => ({ paymentId, field, expected, actual })), [
+            { paymentId: payment.id, field: 'refunded', expected: 100, actual: 0 }
+        ]);
+        assert.deepEqual(byType('missing_payment').map(mismatch => mismatch.paymentId), ['missing-payment']);
+        assert.deepEqual(byType('unbalanced_transaction').map(mismatch => mismatch.transactionId), ['unbalanced']);
+        assert.equal(report.mismatches.length, 3);
+    });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { listen, startApp, createUser } = require('./helpers');
+const config = require('../config/config');
+const { hmac } = require('../services/webhookSignatures');
+
+// Payment events delivered to a local receiver, which is only reachable while
+// private addresses are allowed
+describe('merchant webhooks', () => {
+    let api;
+    let receiver;
+    let received = [];
+    let responseStatus = 200;
+    let merchantWebhooks;
+    const { allowPrivateAddresses } = config.outboundRequests;
+
+    before(async () => {
+        config.outboundRequests.allowPrivateAddresses = true;
+        api = await startApp();
+        merchantWebhooks = require('../services/merchantWebhooks');
+
+        receiver = await listen(http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(responseStatus).end();
+            });
+        }));
+    });
+
+    afterEach(() => {
+        config.outboundRequests.allowPrivateAddresses = true;
+        responseStatus = 200;
+        received = [];
+    });
+
+    after(async () => {
+        config.outboundRequests.allowPrivateAddresses = allowPrivateAddresses;
+        await receiver.close();
+        await api.close();
+    });
+
+    // Poll until `check` returns something truthy
+    const waitFor = async (check, timeout = 3000) => {
+        const started = Date.now();
+        for (;;) {
+            const result = await check();
+            if (result) {
+                return result;
+            }
+            if (Date.now() - started > timeout) {
+                throw new Error('Timed out waiting');
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    };
+
+    // A user with an endpoint on the receiver for payment.created
+    const subscriber = async () => {
+        const { token } = await createUser(api.request);
+        const created = await api.request('POST', '/api/webhooks/endpoints', {
+            token,
+            body: { url: `${receiver.base}/hook`, events: ['payment.created'] }
+        });
+        assert.equal(created.status, 201, created.text);
+        return { token, endpoint: created.body.data };
+    };
+
+    const createPayment = (token) => api.request('POST', '/api/payment/create', {
+        token,
+        body: { amountMinor: 1500, currency: 'USD', paymentMethod: '4242 4242 4242 4242' }
+    });
+
+    // The endpoint's only delivery once its first attempt has been made
+    const firstDelivery = (token, endpoint) => waitFor(async () => {
+        const res = await api.request('GET', `/api/webhooks/endpoints/${endpoint.id}/deliveries`, { token });
+        const [delivery] = res.body.data.deliveries;
+        return delivery && delivery.attempts > 0 ? delivery : null;
+    });
+
+    it('signs each delivery with the endpoint secret and leaves out the payment method', async () => {
+        const { token, endpoint } = await subscriber();
+        await createPayment(token);
+
+        const [request] = await waitFor(() => received.length && received);
+        const { t, v1 } = Object.fromEntries(request.headers['webhook-signature'].split(',').map(part => part.split('=')));
+        assert.equal(v1, hmac(endpoint.secret, t, request.body));
+        assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60);
+
+        const event = JSON.parse(request.body);
+        assert.equal(event.type, 'payment.created');
+        assert.equal(event.data.payment.amount, 1500);
+        assert.equal('paymentMethod' in event.data.payment, false);
+        assert.equal(request.body.includes('4242'), false);
+
+        const delivery = await firstDelivery(token, endpoint);
+        assert.equal(delivery.status, 'succeeded');
+    });
+
+    it('backs off between retries and gives up after the last attempt', async () => {
+        const { maxAttempts, retryBaseDelay } = config.merchantWebhooks;
+        config.merchantWebhooks.maxAttempts = 3;
+        responseStatus = 500;
+        try {
+            const { token, endpoint } = await subscriber();
+            await createPayment(token);
+
+            let delivery = await firstDelivery(token, endpoint);
+            const gaps = [];
+            for (;;) {
+                assert.equal(delivery.responseStatus, 500);
+                if (delivery.status !== 'pending') {
+                    break;
+                }
+                gaps.push(new Date(delivery.nextAttemptAt) - new Date(delivery.lastAttemptAt));
+                // Sweep as if the retry were due
+                await merchantWebhooks.retryDueDeliveries(new Date(delivery.nextAttemptAt));
+                delivery = await merchantWebhooks.getDelivery(delivery.id);
+            }
+
+            assert.equal(delivery.status, 'failed');
+            assert.equal(delivery.attempts, 3);
+            assert.equal(delivery.nextAttemptAt, null);
+            assert.equal(gaps.length, 2);
+            gaps.forEach((gap, index) => {
+                const expected = retryBaseDelay * 2 ** index * 1000;
+                assert.ok(Math.abs(gap - expected) < 1000, `retry ${index + 1} after ${gap}ms`);
+            });
+        } finally {
+            config.merchantWebhooks.maxAttempts = maxAttempts;
+        }
+    });
+
+    it('redelivers by hand without touching the retry schedule', async () => {
+        responseStatus = 503;
+        const { token, endpoint } = await subscriber();
+        await createPayment(token);
+        const failed = await firstDelivery(token, endpoint);
+        assert.equal(failed.status, 'pending');
+
+        responseStatus = 200;
+        const res = await api.request('POST', `/api/webhooks/deliveries/${failed.id}/redeliver`, { token });
+
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.status, 'succeeded');
+        assert.equal(res.body.data.attempts, failed.attempts);
+        assert.equal(res.body.data.attemptLog.at(-1).manual, true);
+        assert.equal(received.length, 2);
+        assert.equal(received[0].body, received[1].body);
+    });
+
+    it('refuses private addresses when registering and when delivering', async () => {
+        const { token, endpoint } = await subscriber();
+        config.outboundRequests.allowPrivateAddresses = false;
+
+        for (const url of [`${receiver.base}/hook`, 'http://169.254.169.254/latest', 'http://[::1]/hook', `http://localhost:${receiver.server.address().port}/`]) {
+            const res = await api.request('POST', '/api/webhooks/endpoints', { token, body: { url } });
+            assert.equal(res.status, 400, url);
+            assert.equal(res.body.error.details.param, 'url');
+        }
+
+        // An endpoint registered earlier is checked again before each delivery
+        await createPayment(token);
+        const delivery = await firstDelivery(token, endpoint);
+        assert.equal(delivery.responseStatus, null);
+        assert.match(delivery.error, /public address/);
+        assert.equal(received.length, 0);
+
+        // and the connection itself refuses hosts that resolve to private addresses
+        const { publicLookup } = require('../services/outboundRequests');
+        const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+        assert.equal(error.code, 'EADDRNOTPUBLIC');
+    });
+});
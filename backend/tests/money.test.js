@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+require('./helpers');
+const { parseRequestAmount, parseCurrency, formatAmount, calculateFee } = require('../services/money');
+const migration = require('../db/migrations/010_payment_minor_units');
+
+describe('request amounts', () => {
+    it('reads amountMinor as an integer in minor units', () => {
+        assert.equal(parseRequestAmount({ amountMinor: 1050 }), 1050);
+        assert.equal(parseRequestAmount({}, { required: false }), undefined);
+    });
+
+    it('refuses the old amount field instead of guessing its unit', () => {
+        assert.throws(() => parseRequestAmount({ amount: 10 }), { status: 400, details: { param: 'amount' } });
+        assert.throws(() => parseRequestAmount({ amount: 10, amountMinor: 1000 }), { status: 400 });
+        assert.throws(() => parseRequestAmount({ amount: 10 }, { required: false }), { status: 400 });
+    });
+
+    it('refuses decimals, strings and non-positive amounts', () => {
+        for (const amountMinor of [10.5, '1050', 0, -5, undefined, Number.MAX_SAFE_INTEGER + 1]) {
+            assert.throws(() => parseRequestAmount({ amountMinor }), { status: 400, details: { param: 'amountMinor' } });
+        }
+    });
+});
+
+describe('currencies', () => {
+    it('accepts ISO 4217 codes in any case and refuses others', () => {
+        assert.equal(parseCurrency('jpy'), 'JPY');
+        assert.throws(() => parseCurrency('XYZ'), { status: 400 });
+        assert.throws(() => parseCurrency(undefined), { status: 400 });
+    });
+
+    it('formats amounts with the currency exponent', () => {
+        assert.equal(formatAmount(1050, 'USD'), '10.50');
+        assert.equal(formatAmount(5, 'USD'), '0.05');
+        assert.equal(formatAmount(1050, 'JPY'), '1050');
+        assert.equal(formatAmount(1050, 'KWD'), '1.050');
+        assert.equal(formatAmount(-1050, 'USD'), '-10.50');
+    });
+});
+
+describe('processing fees', () => {
+    it('adds fixed parts in the currency minor unit', () => {
+        assert.equal(calculateFee(10000, 'USD'), 320);
+        assert.equal(calculateFee(10000, 'GBP'), 270);
+        assert.equal(calculateFee(10000, 'KWD'), 390);
+    });
+
+    it('charges zero-decimal currencies no cent-sized fixed fee', () => {
+        assert.equal(calculateFee(1000, 'JPY'), 36);
+    });
+
+    it('charges only the default percentage in currencies without a schedule', () => {
+        assert.equal(calculateFee(10000, 'KRW'), 290);
+        assert.equal(calculateFee(10000, 'OMR'), 290);
+    });
+});
+
+describe('migration 010', () => {
+    it('converts legacy major-unit payments with its own exponent table', () => {
+        const db = new Database(':memory:');
+        db.exec('CREATE TABLE payments (id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+        const insert = db.prepare('INSERT INTO payments (id, data) VALUES (?, ?)');
+        insert.run('usd', JSON.stringify({ id: 'usd', amount: 10.5, currency: 'usd', processingFee: 0.6 }));
+        insert.run('jpy', JSON.stringify({ id: 'jpy', amount: 1050, currency: 'JPY' }));
+        insert.run('kwd', JSON.stringify({
+            id: 'kwd',
+            amount: 2.5,
+            currency: 'KWD',
+            refunded: true,
+            refundAmount: 2.5,
+            refundedAt: '2023-01-01T00:00:00.000Z'
+        }));
+
+        migration.up(db);
+
+        const read = (id) => JSON.parse(db.prepare('SELECT data FROM payments WHERE id = ?').get(id).data);
+        assert.deepEqual([read('usd').amount, read('usd').processingFee, read('usd').currency], [1050, 60, 'USD']);
+        assert.equal(read('jpy').amount, 1050);
+        assert.equal(read('kwd').amount, 2500);
+        assert.equal(read('kwd').status, 'refunded');
+        assert.equal(read('kwd').refunds[0].amount, 2500);
+        db.close();
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { listen, startApp, createUser } = require('./helpers');
+const { createMockProvider } = require('../scripts/mock-oidc-provider');
+
+// Sign-in through the mock identity provider, following its redirect by hand
+describe('OIDC sign-in', () => {
+    let provider;
+    let api;
+    let users;
+
+    before(async () => {
+        // The provider needs its own URL as issuer, so listen before creating it
+        let handler = null;
+        provider = await listen(http.createServer((req, res) => handler(req, res)));
+        handler = createMockProvider({ issuer: provider.base });
+
+        process.env.OIDC_ISSUER = provider.base;
+        process.env.OIDC_CLIENT_ID = 'mock-client';
+        process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+
+        api = await startApp();
+        users = require('../db').collection('users');
+    });
+
+    after(async () => {
+        await api.close();
+        await provider.close();
+    });
+
+    // Start sign-in and approve it at the provider, returning the callback query
+    const authorize = async (query = {}) => {
+        const started = await api.request('GET', '/api/auth/oidc/oidc/authorize');
+        assert.equal(started.status, 200, started.text);
+
+        const url = new URL(started.body.data.authorizationUrl);
+        Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+        const approved = await fetch(url, { redirect: 'manual' });
+        assert.equal(approved.status, 302);
+
+        return new URL(approved.headers.get('location')).search;
+    };
+
+    const signIn = async (query) => api.request('GET', `/api/auth/oidc/oidc/callback${await authorize(query)}`);
+
+    it('lists the configured provider', async () => {
+        const res = await api.request('GET', '/api/auth/oidc/providers');
+
+        assert.ok(JSON.stringify(res.body.data.providers).includes('oidc'));
+    });
+
+    it('creates an account on first sign-in and reuses it after', async () => {
+        const first = await signIn({ login_hint: 'new-oidc@example.com' });
+        assert.equal(first.status, 201, first.text);
+        assert.equal(first.body.data.user.email, 'new-oidc@example.com');
+        assert.ok(first.body.data.token);
+
+        const me = await api.request('GET', '/api/auth/me', { token: first.body.data.token });
+        assert.equal(me.status, 200);
+
+        const second = await signIn({ login_hint: 'new-oidc@example.com' });
+        assert.equal(second.status, 200, second.text);
+        assert.equal(second.body.data.user.id, first.body.data.user.id);
+    });
+
+    it('links an existing verified account with the same email', async () => {
+        const { user } = await createUser(api.request);
+
+        const res = await signIn({ login_hint: user.email });
+
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.user.id, user.id);
+    });
+
+    it('refuses to link an account whose email is unverified', async () => {
+        const { user } = await createUser(api.request, { emailVerified: false });
+
+        const res = await signIn({ login_hint: user.email });
+
+        assert.equal(res.status, 409);
+    });
+
+    it('refuses identities without a verified email', async () => {
+        const res = await signIn({ login_hint: 'unverified-oidc@example.com', email_verified: 'false' });
+
+        assert.equal(res.status, 400);
+    });
+
+    it('refuses disabled accounts', async () => {
+        const { user } = await createUser(api.request);
+        await users.update(user.id, { disabled: true });
+
+        const res = await signIn({ login_hint: user.email });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.error.message, 'Account is disabled');
+    });
+
+    it('refuses accounts that must reset their password', async () => {
+        const { user } = await createUser(api.request);
+        await users.update(user.id, { passwordResetRequired: true });
+
+        const res = await signIn({ login_hint: user.email });
+
+        assert.equal(res.status, 403);
+        assert.match(res.body.error.message, /Password reset required/);
+    });
+
+    it('asks for a second factor when the account has one', async () => {
+        const { user } = await createUser(api.request);
+        await users.update(user.id, { twoFactorEnabled: true });
+
+        const res = await signIn({ login_hint: user.email });
+
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.twoFactorRequired, true);
+        assert.equal(res.body.data.token, undefined);
+    });
+
+    it('only accepts each state once', async () => {
+        const query = await authorize({ login_hint: 'replay-oidc@example.com' });
+        assert.equal((await api.request('GET', `/api/auth/oidc/oidc/callback${query}`)).status, 201);
+
+        const replayed = await api.request('GET', `/api/auth/oidc/oidc/callback${query}`);
+
+        assert.equal(replayed.status, 400);
+    });
+
+    it('reports a refusal from the provider', async () => {
+        const res = await api.request('GET', '/api/auth/oidc/oidc/callback?error=access_denied');
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.details.error, 'access_denied');
+    });
+});
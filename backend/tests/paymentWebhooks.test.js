@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser } = require('./helpers');
+const { signPayload } = require('../services/webhookSignatures');
+
+const SECRET = 'whsec_test';
+
+// Gateway events in our own format, as the simulator gateway sends them
+describe('payment webhooks (simulator format)', () => {
+    let api;
+    let token;
+    let payments;
+
+    before(async () => {
+        process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+        api = await startApp();
+        ({ token } = await createUser(api.request));
+        payments = require('../db').collection('payments');
+    });
+
+    after(() => api.close());
+
+    const deliver = (event, { secret = SECRET, timestamp } = {}) => {
+        const body = JSON.stringify(event);
+        return fetch(`${api.base}/api/payment/webhook`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'webhook-signature': signPayload(body, secret, timestamp) },
+            body
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+    };
+
+    // A payment left processing at the gateway, waiting for its outcome
+    const processingPayment = async (amountMinor = 5000) => {
+        const created = await api.request('POST', '/api/payment/create', {
+            token,
+            body: { amountMinor, currency: 'USD', paymentMethod: 'pm_card_timeout' }
+        });
+        await api.request('POST', `/api/payment/process/${created.body.data.paymentId}`, { token });
+        const payment = await payments.findById(created.body.data.paymentId);
+        assert.equal(payment.status, 'processing');
+        return payment;
+    };
+
+    let eventCount = 0;
+    const event = (type, data) => ({ id: `evt_${++eventCount}`, type, created: Math.floor(Date.now() / 1000), data });
+
+    it('settles a payment once, ignoring redelivery', async () => {
+        const payment = await processingPayment();
+        const succeeded = event('payment.succeeded', { paymentId: payment.id, amount: 5000, fee: 175 });
+
+        const first = await deliver(succeeded);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.duplicate, false);
+        assert.equal((await payments.findById(payment.id)).status, 'succeeded');
+
+        const again = await deliver(succeeded);
+        assert.equal(again.body.duplicate, true);
+    });
+
+    it('refuses bad and stale signatures', async () => {
+        const payment = await processingPayment();
+        const succeeded = event('payment.succeeded', { paymentId: payment.id });
+
+        assert.equal((await deliver(succeeded, { secret: 'wrong' })).status, 400);
+        assert.equal((await deliver(succeeded, { timestamp: Math.floor(Date.now() / 1000) - 3600 })).status, 400);
+        assert.equal((await payments.findById(payment.id)).status, 'processing');
+    });
+
+    it('does not settle more than the payment amount', async () => {
+        const payment = await processingPayment(5000);
+
+        const res = await deliver(event('payment.succeeded', { paymentId: payment.id, amount: 500000 }));
+
+        assert.equal(res.status, 200);
+        assert.equal((await payments.findById(payment.id)).status, 'processing');
+    });
+
+    it('does not refund more than is left', async () => {
+        const payment = await processingPayment(5000);
+        await deliver(event('payment.succeeded', { paymentId: payment.id, amount: 5000 }));
+
+        await deliver(event('refund.succeeded', { paymentId: payment.id, refundId: 're_1', amount: 3000 }));
+        await deliver(event('refund.succeeded', { paymentId: payment.id, refundId: 're_2', amount: 3000 }));
+
+        const refunded = await payments.findById(payment.id);
+        assert.equal(refunded.amountRefunded, 3000);
+        assert.equal(refunded.status, 'partially_refunded');
+    });
+});
@@ -0,0 +1,354 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { listen, startApp, createUser } = require('./helpers');
+const { createStripeStub } = require('../scripts/stripe-stub');
+const { signPayload } = require('../services/webhookSignatures');
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+// Payments go through the Stripe adapter, talking to the local Stripe stub
+describe('payments through the Stripe gateway', () => {
+    let stub;
+    let api;
+    let token;
+
+    before(async () => {
+        stub = await listen(createStripeStub({ secretKey: 'sk_test_stub' }));
+        process.env.PAYMENT_GATEWAY = 'stripe';
+        process.env.STRIPE_SECRET_KEY = 'sk_test_stub';
+        process.env.STRIPE_API_BASE = stub.base;
+        process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+        api = await startApp();
+        ({ token } = await createUser(api.request));
+    });
+
+    after(async () => {
+        await api.close();
+        await stub.close();
+    });
+
+    // Create a payment and confirm it at the gateway
+    const pay = async (body) => {
+        const created = await api.request('POST', '/api/payment/create', {
+            token,
+            body: { amountMinor: 2500, currency: 'USD', ...body }
+        });
+        assert.equal(created.status, 201, created.text);
+
+        const processed = await api.request('POST', `/api/payment/process/${created.body.data.paymentId}`, { token });
+        return { paymentId: created.body.data.paymentId, processed };
+    };
+
+    it('charges a card that succeeds', async () => {
+        const { paymentId, processed } = await pay({ paymentMethod: 'pm_card_visa' });
+
+        assert.equal(processed.status, 200, processed.text);
+        assert.equal(processed.body.data.status, 'succeeded');
+        assert.equal(processed.body.data.amount, 2500);
+
+        const fetched = await api.request('GET', `/api/payment/${paymentId}`, { token });
+        assert.equal(fetched.body.data.status, 'succeeded');
+        assert.equal('paymentMethod' in fetched.body.data, false);
+        assert.equal('paymentMethod' in processed.body.data, false);
+
+        // Nor does another role reading every user's payments see it
+        const { token: supportToken } = await createUser(api.request, { role: 'support' });
+        const viewed = await api.request('GET', `/api/payment/${paymentId}`, { token: supportToken });
+        assert.equal(viewed.status, 200, viewed.text);
+        assert.equal('paymentMethod' in viewed.body.data, false);
+    });
+
+    it('refuses amounts sent in the old amount field', async () => {
+        const res = await api.request('POST', '/api/payment/create', {
+            token,
+            body: { amount: 10, currency: 'USD', paymentMethod: 'pm_card_visa' }
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.details.param, 'amount');
+    });
+
+    it('returns the decline reason to the client', async () => {
+        const { paymentId, processed } = await pay({ paymentMethod: 'pm_card_chargeDeclinedInsufficientFunds' });
+
+        assert.equal(processed.status, 402);
+        assert.equal(processed.body.error.message, 'Your card has insufficient funds.');
+        assert.deepEqual(processed.body.error.details, {
+            gateway: 'stripe',
+            type: 'card_error',
+            code: 'card_declined',
+            declineCode: 'insufficient_funds',
+            param: null
+        });
+
+        const fetched = await api.request('GET', `/api/payment/${paymentId}`, { token });
+        assert.equal(fetched.body.data.status, 'failed');
+    });
+
+    it('maps other card errors onto their codes', async () => {
+        const { processed } = await pay({ paymentMethod: 'pm_card_chargeDeclinedExpiredCard' });
+
+        assert.equal(processed.status, 402);
+        assert.equal(processed.body.error.details.code, 'expired_card');
+    });
+
+    it('asks for customer action when the card needs authentication', async () => {
+        const { processed } = await pay({ paymentMethod: 'pm_card_authenticationRequired' });
+
+        assert.equal(processed.status, 200, processed.text);
+        assert.equal(processed.body.data.status, 'requires_action');
+        assert.ok(processed.body.data.nextAction);
+    });
+
+    it('captures an authorized payment in part', async () => {
+        const { paymentId, processed } = await pay({ paymentMethod: 'pm_card_visa', captureMethod: 'manual' });
+        assert.equal(processed.body.data.status, 'authorized');
+
+        const captured = await api.request('POST', `/api/payment/${paymentId}/capture`, { token, body: { amountMinor: 2000 } });
+
+        assert.equal(captured.status, 200, captured.text);
+        assert.equal(captured.body.data.capturedAmount, 2000);
+    });
+
+    // Backdate a payment's authorization so it has lapsed
+    const lapse = async (paymentId) => {
+        const { collection } = require('../db');
+        await collection('payments').update(paymentId, { authorizationExpiresAt: new Date(Date.now() - 1000) });
+    };
+
+    it('voids an authorization, which can then never be captured', async () => {
+        const { paymentId, processed } = await pay({ paymentMethod: 'pm_card_visa', captureMethod: 'manual' });
+        assert.equal(processed.body.data.status, 'authorized');
+
+        const voided = await api.request('POST', `/api/payment/${paymentId}/void`, { token });
+        assert.equal(voided.status, 200, voided.text);
+        assert.equal(voided.body.data.status, 'voided');
+
+        const captured = await api.request('POST', `/api/payment/${paymentId}/capture`, { token });
+        assert.equal(captured.status, 400);
+        assert.equal(captured.body.error.details.status, 'voided');
+        assert.equal((await api.request('POST', `/api/payment/${paymentId}/void`, { token })).status, 400);
+    });
+
+    it('refuses to capture an authorization that has expired', async () => {
+        const { paymentId } = await pay({ paymentMethod: 'pm_card_visa', captureMethod: 'manual' });
+        await lapse(paymentId);
+
+        const captured = await api.request('POST', `/api/payment/${paymentId}/capture`, { token });
+        assert.equal(captured.status, 400);
+        assert.match(captured.body.error.message, /expired/);
+
+        const fetched = await api.request('GET', `/api/payment/${paymentId}`, { token });
+        assert.equal(fetched.body.data.status, 'expired');
+        assert.equal(fetched.body.data.capturedAmount, undefined);
+    });
+
+    it('expires lapsed authorizations in the sweep and releases their holds', async () => {
+        const { expireAuthorizations } = require('../services/authorizations');
+        const { gateway } = require('../services/gateways');
+        const { collection } = require('../db');
+        const lapsed = await pay({ paymentMethod: 'pm_card_visa', captureMethod: 'manual' });
+        const current = await pay({ paymentMethod: 'pm_card_visa', captureMethod: 'manual' });
+        await lapse(lapsed.paymentId);
+
+        assert.equal(await expireAuthorizations(), 1);
+        assert.equal(await expireAuthorizations(), 0);
+
+        const expired = await collection('payments').findById(lapsed.paymentId);
+        assert.equal(expired.status, 'expired');
+        assert.ok(expired.expiredAt);
+        assert.equal((await gateway.retrieveIntent(expired.gatewayIntentId)).status, 'canceled');
+        assert.equal((await collection('payments').findById(current.paymentId)).status, 'authorized');
+
+        // The one still held can be captured as normal
+        const captured = await api.request('POST', `/api/payment/${current.paymentId}/capture`, { token });
+        assert.equal(captured.status, 200, captured.text);
+    });
+
+    it('refunds in part, then refuses to refund more than is left', async () => {
+        const { paymentId } = await pay({ paymentMethod: 'pm_card_visa' });
+
+        const refunded = await api.request('POST', `/api/payment/${paymentId}/refund`, { token, body: { amountMinor: 1000 } });
+        assert.equal(refunded.status, 200, refunded.text);
+        assert.equal(refunded.body.data.amountRefunded, 1000);
+
+        const tooMuch = await api.request('POST', `/api/payment/${paymentId}/refund`, { token, body: { amountMinor: 1501 } });
+        assert.equal(tooMuch.status, 400);
+
+        const rest = await api.request('POST', `/api/payment/${paymentId}/refund`, { token });
+        assert.equal(rest.status, 200, rest.text);
+        assert.equal(rest.body.data.status, 'refunded');
+    });
+
+    it('never refunds more than was paid when refunds run concurrently', async () => {
+        const { gateway } = require('../services/gateways');
+        const { paymentId } = await pay({ paymentMethod: 'pm_card_visa' });
+
+        // A slow gateway that would refund anything, so only our reservation stands in the way
+        let refundCount = 0;
+        const refund = mock.method(gateway, 'refund', async (intentId, { amount }) => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return { id: `re_concurrent_${++refundCount}`, amount };
+        });
+        let results;
+        try {
+            results = await Promise.all([1, 2, 3].map(() => api.request('POST', `/api/payment/${paymentId}/refund`, {
+                token,
+                body: { amountMinor: 1000 }
+            })));
+        } finally {
+            refund.mock.restore();
+        }
+
+        assert.deepEqual(results.map(res => res.status).sort(), [200, 200, 400]);
+        assert.equal(refund.mock.callCount(), 2);
+        const fetched = await api.request('GET', `/api/payment/${paymentId}`, { token });
+        assert.equal(fetched.body.data.amountRefunded, 2000);
+        assert.equal(fetched.body.data.amountRefundPending, 0);
+        assert.equal(fetched.body.data.refunds.length, 2);
+    });
+
+    it('gives back the reserved amount when the gateway refund fails', async () => {
+        const { gateway } = require('../services/gateways');
+        const { paymentId } = await pay({ paymentMethod: 'pm_card_visa' });
+
+        const refund = mock.method(gateway, 'refund', async () => {
+            throw new (require('../middleware/errorHandler').APIError)('Payment gateway is unavailable', 503);
+        });
+        let failed;
+        try {
+            failed = await api.request('POST', `/api/payment/${paymentId}/refund`, { token });
+        } finally {
+            refund.mock.restore();
+        }
+        assert.equal(failed.status, 503);
+
+        const rest = await api.request('POST', `/api/payment/${paymentId}/refund`, { token });
+        assert.equal(rest.status, 200, rest.text);
+        assert.equal(rest.body.data.amountRefunded, 2500);
+    });
+
+    it('pages the history with cursors and refuses crafted ones', async () => {
+        await pay({ paymentMethod: 'pm_card_visa' });
+        await pay({ paymentMethod: 'pm_card_visa' });
+
+        const first = await api.request('GET', '/api/payment/user/history?limit=1', { token });
+        assert.equal(first.status, 200, first.text);
+        const second = await api.request('GET', `/api/payment/user/history?limit=1&cursor=${first.body.data.nextCursor}`, { token });
+        assert.equal(second.status, 200, second.text);
+        assert.notEqual(second.body.data.payments[0].id, first.body.data.payments[0].id);
+
+        const crafted = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+        for (const [sort, position] of [
+            ['-createdAt', { sort: '-createdAt', value: { $ne: null }, id: 'x' }],
+            ['-createdAt', { sort: '-createdAt', value: 'not a date', id: 'x' }],
+            ['-createdAt', { sort: '-createdAt', value: new Date().toISOString(), id: { $gt: '' } }],
+            ['amount', { sort: 'amount', value: '100', id: 'x' }]
+        ]) {
+            const res = await api.request('GET', `/api/payment/user/history?sort=${sort}&cursor=${crafted(position)}`, { token });
+            assert.equal(res.status, 400, JSON.stringify(position));
+            assert.equal(res.body.error.message, 'Invalid cursor');
+        }
+    });
+
+    it('leaves payment methods out of the history in every format', async () => {
+        await pay({ paymentMethod: 'pm_card_visa' });
+
+        const listed = await api.request('GET', '/api/payment/user/history', { token });
+        assert.equal(listed.status, 200, listed.text);
+        assert.ok(listed.body.data.payments.length > 0);
+        for (const payment of listed.body.data.payments) {
+            assert.equal('paymentMethod' in payment, false);
+        }
+
+        for (const format of ['csv', 'ndjson']) {
+            const exported = await api.request('GET', `/api/payment/user/history/export?format=${format}`, { token });
+            assert.equal(exported.status, 200);
+            assert.ok(exported.text.includes('USD'));
+            assert.equal(exported.text.includes('pm_card_visa'), false, format);
+        }
+    });
+
+    describe('Stripe webhooks', () => {
+        let payments;
+        let eventCount = 0;
+
+        before(() => {
+            payments = require('../db').collection('payments');
+        });
+
+        // Deliver an event the way Stripe does, signed in a Stripe-Signature header
+        const deliver = async (type, object, header = 'Stripe-Signature') => {
+            const body = JSON.stringify({ id: `evt_${++eventCount}`, object: 'event', type, created: Math.floor(Date.now() / 1000), data: { object } });
+            const res = await fetch(`${api.base}/api/payment/webhook`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', [header]: signPayload(body, WEBHOOK_SECRET) },
+                body
+            });
+            return { status: res.status, body: await res.json() };
+        };
+
+        it('only accepts Stripe-Signature headers', async () => {
+            const res = await deliver('payment_intent.succeeded', { id: 'pi_unknown' }, 'Webhook-Signature');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.message, 'Missing Stripe-Signature header');
+        });
+
+        it('settles a payment on payment_intent.succeeded, within its amount', async () => {
+            const { paymentId } = await pay({ paymentMethod: 'pm_card_authenticationRequired' });
+            const { gatewayIntentId } = await payments.findById(paymentId);
+
+            await deliver('payment_intent.succeeded', { id: gatewayIntentId, object: 'payment_intent', amount_received: 999999 });
+            assert.equal((await payments.findById(paymentId)).status, 'requires_action');
+
+            const res = await deliver('payment_intent.succeeded', { id: gatewayIntentId, object: 'payment_intent', amount_received: 2500 });
+            assert.equal(res.status, 200);
+            const settled = await payments.findById(paymentId);
+            assert.equal(settled.status, 'succeeded');
+            assert.equal(settled.capturedAmount, 2500);
+        });
+
+        it('records refunds made outside the API from charge.refunded', async () => {
+            const { paymentId } = await pay({ paymentMethod: 'pm_card_visa' });
+            await api.request('POST', `/api/payment/${paymentId}/refund`, { token, body: { amountMinor: 1000 } });
+            const { gatewayIntentId, refunds } = await payments.findById(paymentId);
+            const charge = (totalRefunded, refundIds) => ({
+                object: 'charge',
+                payment_intent: gatewayIntentId,
+                amount_refunded: totalRefunded,
+                refunds: { data: refundIds.map(id => ({ id })) }
+            });
+
+            // The API's own refund is already recorded
+            await deliver('charge.refunded', charge(1000, [refunds[0].gatewayRefundId]));
+            assert.equal((await payments.findById(paymentId)).amountRefunded, 1000);
+
+            // One made in the Stripe dashboard is recorded for the difference
+            await deliver('charge.refunded', charge(1500, ['re_dashboard', refunds[0].gatewayRefundId]));
+            const refunded = await payments.findById(paymentId);
+            assert.equal(refunded.amountRefunded, 1500);
+            assert.equal(refunded.refunds[1].gatewayRefundId, 're_dashboard');
+
+            // A total beyond the payment is refused
+            await deliver('charge.refunded', charge(999999, ['re_bogus']));
+            assert.equal((await payments.findById(paymentId)).amountRefunded, 1500);
+        });
+
+        it('marks a payment failed on payment_intent.payment_failed', async () => {
+            const { paymentId } = await pay({ paymentMethod: 'pm_card_authenticationRequired' });
+            const { gatewayIntentId } = await payments.findById(paymentId);
+
+            await deliver('payment_intent.payment_failed', {
+                id: gatewayIntentId,
+                object: 'payment_intent',
+                last_payment_error: { code: 'card_declined', decline_code: 'lost_card', message: 'Your card was declined.' }
+            });
+
+            const failed = await payments.findById(paymentId);
+            assert.equal(failed.status, 'failed');
+            assert.equal(failed.declineCode, 'lost_card');
+        });
+    });
+});
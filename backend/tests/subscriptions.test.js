@@ -0,0 +1,295 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser } = require('./helpers');
+
+// Billing runs against the simulator gateway with the clock set by each test
+describe('subscriptions', () => {
+    let api;
+    let clock;
+    let runBillingCycle;
+    let adminToken;
+    let plans;
+
+    // Move the injected clock to a point in time
+    const setTime = (iso) => {
+        const time = new Date(iso).getTime();
+        clock.setClock(() => time);
+    };
+
+    const createPlan = async (body) => {
+        const res = await api.request('POST', '/api/subscriptions/plans', { token: adminToken, body });
+        assert.equal(res.status, 201, res.text);
+        return res.body.data;
+    };
+
+    const subscribe = async (token, planId, paymentMethod = 'pm_card_visa') => {
+        return api.request('POST', '/api/subscriptions', { token, body: { planId, paymentMethod } });
+    };
+
+    const getSubscription = async (token, id) => (await api.request('GET', `/api/subscriptions/${id}`, { token })).body.data;
+
+    before(async () => {
+        api = await startApp();
+        clock = require('../services/clock');
+        ({ runBillingCycle } = require('../services/subscriptions'));
+
+        ({ token: adminToken } = await createUser(api.request, { role: 'admin' }));
+        plans = {
+            basic: await createPlan({ name: 'Basic', amountMinor: 1000, interval: 'month' }),
+            pro: await createPlan({ name: 'Pro', amountMinor: 3000, interval: 'month' }),
+            trial: await createPlan({ name: 'Trial', amountMinor: 500, interval: 'week', trialDays: 7 })
+        };
+    });
+
+    afterEach(() => clock.setClock());
+
+    after(() => api.close());
+
+    it('only lets plan managers create plans, and validates them', async () => {
+        const { token } = await createUser(api.request);
+
+        const forbidden = await api.request('POST', '/api/subscriptions/plans', {
+            token,
+            body: { name: 'Mine', amountMinor: 100, interval: 'month' }
+        });
+        assert.equal(forbidden.status, 403);
+
+        const badInterval = await api.request('POST', '/api/subscriptions/plans', {
+            token: adminToken,
+            body: { name: 'Fortnightly', amountMinor: 100, interval: 'fortnight' }
+        });
+        assert.equal(badInterval.status, 400);
+    });
+
+    it('charges the first period up front and renews on the anchor day', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-01-31T10:00:00Z');
+
+        const created = await subscribe(token, plans.basic.id);
+        assert.equal(created.status, 201, created.text);
+        assert.equal(created.body.data.status, 'active');
+        assert.equal(created.body.data.currentPeriodEnd, '2026-02-28T10:00:00.000Z');
+
+        setTime('2026-03-01T00:00:00Z');
+        await runBillingCycle();
+        assert.equal((await getSubscription(token, created.body.data.id)).currentPeriodEnd, '2026-03-31T10:00:00.000Z');
+
+        const history = await api.request('GET', `/api/subscriptions/${created.body.data.id}/payments`, { token });
+        assert.deepEqual(history.body.data.payments.map(payment => payment.billingReason), ['subscription_cycle', 'subscription_create']);
+        assert.ok(history.body.data.payments.every(payment => payment.status === 'succeeded' && payment.amount === 1000));
+    });
+
+    it('stores nothing when the first charge is declined', async () => {
+        const { token } = await createUser(api.request);
+
+        const declined = await subscribe(token, plans.basic.id, 'pm_card_chargeDeclined');
+
+        assert.equal(declined.status, 402);
+        assert.ok(declined.body.error.details.paymentId);
+        const listed = await api.request('GET', '/api/subscriptions', { token });
+        assert.deepEqual(listed.body.data.subscriptions, []);
+    });
+
+    it('prorates an upgrade half way through the period', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-01-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.basic.id);
+
+        setTime('2026-01-16T12:00:00Z');
+        const changed = await api.request('PUT', `/api/subscriptions/${created.data.id}/plan`, {
+            token,
+            body: { planId: plans.pro.id }
+        });
+
+        assert.equal(changed.status, 200, changed.text);
+        assert.equal(changed.body.data.planId, plans.pro.id);
+        assert.equal(changed.body.data.currentPeriodEnd, '2026-02-01T00:00:00.000Z');
+        const { unusedCredit, newCost, amountCharged } = changed.body.data.proration;
+        assert.deepEqual({ unusedCredit, newCost, amountCharged }, { unusedCredit: 500, newCost: 1500, amountCharged: 1000 });
+    });
+
+    it('retries a failed renewal on the dunning schedule, then cancels', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-03-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.trial.id, 'pm_card_chargeDeclined');
+        assert.equal(created.data.status, 'trialing');
+
+        // Trial ends on day 7; retries follow 1, 3 and 5 days after each failure
+        const statuses = [];
+        for (const day of [8, 9, 12, 17]) {
+            setTime(new Date(Date.UTC(2026, 2, 1 + day)).toISOString());
+            await runBillingCycle();
+            const subscription = await getSubscription(token, created.data.id);
+            statuses.push([subscription.status, subscription.failedAttempts]);
+        }
+
+        assert.deepEqual(statuses, [['past_due', 1], ['past_due', 2], ['past_due', 3], ['canceled', 4]]);
+        assert.equal((await getSubscription(token, created.data.id)).cancelReason, 'payment_failed');
+    });
+
+    it('retries a past due subscription as soon as its payment method changes', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-03-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.trial.id, 'pm_card_chargeDeclined');
+        const update = (paymentMethod) => api.request('PUT', `/api/subscriptions/${created.data.id}/payment-method`, {
+            token,
+            body: { paymentMethod }
+        });
+
+        setTime('2026-03-09T00:00:00Z');
+        await runBillingCycle();
+        assert.equal((await getSubscription(token, created.data.id)).status, 'past_due');
+
+        // Another failing card keeps the dunning schedule as it was
+        const stillFailing = await update('pm_card_chargeDeclined');
+        assert.equal(stillFailing.status, 200, stillFailing.text);
+        assert.equal(stillFailing.body.data.retry.status, 'failed');
+        assert.equal(stillFailing.body.data.status, 'past_due');
+        assert.equal(stillFailing.body.data.failedAttempts, 1);
+
+        const fixed = await update('pm_card_visa');
+        assert.equal(fixed.status, 200, fixed.text);
+        assert.equal(fixed.body.data.retry.status, 'succeeded');
+        assert.equal(fixed.body.data.status, 'active');
+        assert.equal(fixed.body.data.paymentMethod, 'pm_card_visa');
+        assert.equal(fixed.body.data.failedAttempts, 0);
+        assert.equal(fixed.body.data.currentPeriodStart, '2026-03-08T00:00:00.000Z');
+        assert.equal(fixed.body.data.latestPaymentId, fixed.body.data.retry.paymentId);
+    });
+
+    it('changes the payment method of an active subscription without charging', async () => {
+        const { token } = await createUser(api.request);
+        const { body: created } = await subscribe(token, plans.basic.id);
+
+        const res = await api.request('PUT', `/api/subscriptions/${created.data.id}/payment-method`, {
+            token,
+            body: { paymentMethod: 'pm_card_mastercard' }
+        });
+
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.retry, null);
+        assert.equal(res.body.data.paymentMethod, 'pm_card_mastercard');
+        assert.equal(res.body.data.latestPaymentId, created.data.latestPaymentId);
+
+        const missing = await api.request('PUT', `/api/subscriptions/${created.data.id}/payment-method`, { token, body: {} });
+        assert.equal(missing.status, 400);
+    });
+
+    it('masks card numbers and leaves payment methods out of its payments', async () => {
+        const { token } = await createUser(api.request);
+
+        const created = await subscribe(token, plans.basic.id, '4242 4242 4242 4242');
+        assert.equal(created.status, 201, created.text);
+        assert.equal(created.body.data.paymentMethod, '**** 4242');
+        assert.equal((await getSubscription(token, created.body.data.id)).paymentMethod, '**** 4242');
+
+        const history = await api.request('GET', `/api/subscriptions/${created.body.data.id}/payments`, { token });
+        assert.equal(history.body.data.payments.length, 1);
+        assert.equal('paymentMethod' in history.body.data.payments[0], false);
+        assert.equal(history.text.includes('4242 4242'), false);
+    });
+
+    it('waits for a renewal payment left processing instead of dunning or charging again', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-03-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.trial.id, 'pm_card_timeout');
+
+        // The gateway times out: the payment may still go through, so it isn't a failure
+        setTime('2026-03-09T00:00:00Z');
+        const first = await runBillingCycle();
+        assert.equal(first.pending, 1);
+        const waiting = await getSubscription(token, created.data.id);
+        assert.deepEqual([waiting.status, waiting.failedAttempts], ['trialing', 0]);
+
+        // The next run finds it settled and renews on it
+        const second = await runBillingCycle();
+        assert.equal(second.renewed, 1);
+        const renewed = await getSubscription(token, created.data.id);
+        assert.equal(renewed.status, 'active');
+        assert.equal(renewed.currentPeriodStart, '2026-03-08T00:00:00.000Z');
+
+        const history = await api.request('GET', `/api/subscriptions/${created.data.id}/payments`, { token });
+        assert.deepEqual(history.body.data.payments.map(payment => [payment.billingReason, payment.status]), [['trial_end', 'succeeded']]);
+        assert.equal(renewed.latestPaymentId, history.body.data.payments[0].id);
+    });
+
+    it('charges a past due period once when a billing run and a payment method update race', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-03-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.trial.id, 'pm_card_chargeDeclined');
+
+        setTime('2026-03-09T00:00:00Z');
+        await runBillingCycle();
+        assert.equal((await getSubscription(token, created.data.id)).status, 'past_due');
+
+        // The retry is due, and the card is fixed while the gateway is slow enough
+        // for both charges to be in flight at once
+        setTime('2026-03-10T00:00:00Z');
+        const { updatePaymentMethod, getSubscription: loadSubscription } = require('../services/subscriptions');
+        const simulator = require('../config/config').payment.simulator;
+        const subscription = await loadSubscription(created.data.id);
+        simulator.latency = 50;
+        let updated;
+        try {
+            [, updated] = await Promise.all([
+                runBillingCycle(),
+                updatePaymentMethod(subscription, 'pm_card_visa')
+            ]);
+        } finally {
+            simulator.latency = 0;
+        }
+        assert.ok(['succeeded', 'in_progress'].includes(updated.retry.status), updated.retry.status);
+
+        // Whichever got there first charged; a later run has nothing left to do
+        await runBillingCycle();
+        const renewed = await getSubscription(token, created.data.id);
+        assert.equal(renewed.status, 'active');
+        const history = await api.request('GET', `/api/subscriptions/${created.data.id}/payments`, { token });
+        const charged = history.body.data.payments.filter(payment => payment.status === 'succeeded');
+        assert.equal(charged.length, 1);
+        assert.equal(charged[0].periodStart, '2026-03-08T00:00:00.000Z');
+    });
+
+    it('skips billing while paused and charges a new period on resume', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-04-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.basic.id);
+        await api.request('POST', `/api/subscriptions/${created.data.id}/pause`, { token });
+
+        setTime('2026-06-10T00:00:00Z');
+        await runBillingCycle();
+        assert.equal((await getSubscription(token, created.data.id)).status, 'paused');
+
+        const resumed = await api.request('POST', `/api/subscriptions/${created.data.id}/resume`, { token });
+        assert.equal(resumed.body.data.status, 'active');
+        assert.equal(resumed.body.data.currentPeriodStart, '2026-06-10T00:00:00.000Z');
+        assert.equal(resumed.body.data.currentPeriodEnd, '2026-07-10T00:00:00.000Z');
+    });
+
+    it('ends a subscription canceled at period end once the period is over', async () => {
+        const { token } = await createUser(api.request);
+        setTime('2026-05-01T00:00:00Z');
+        const { body: created } = await subscribe(token, plans.basic.id);
+
+        const canceled = await api.request('POST', `/api/subscriptions/${created.data.id}/cancel`, { token });
+        assert.equal(canceled.body.data.status, 'active');
+        assert.equal(canceled.body.data.cancelAtPeriodEnd, true);
+
+        setTime('2026-06-01T00:00:00Z');
+        await runBillingCycle();
+
+        const ended = await getSubscription(token, created.data.id);
+        assert.equal(ended.status, 'canceled');
+        assert.equal(ended.endedAt, '2026-06-01T00:00:00.000Z');
+    });
+
+    it('keeps other users out', async () => {
+        const { token } = await createUser(api.request);
+        const { token: otherToken } = await createUser(api.request);
+        const { body: created } = await subscribe(token, plans.basic.id);
+
+        const res = await api.request('POST', `/api/subscriptions/${created.data.id}/cancel`, { token: otherToken });
+
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp, createUser } = require('./helpers');
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+describe('uploads', () => {
+    let api;
+    let alice;
+    let bob;
+    let admin;
+    const stored = [];
+
+    // Upload a small PNG as a user, resolving to the response
+    const uploadFile = async (token, name) => {
+        const form = new FormData();
+        form.append('file', new Blob([Buffer.from('89504e470d0a1a0a', 'hex')], { type: 'image/png' }), name);
+        const response = await fetch(`${api.base}/api/upload/single`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}` },
+            body: form
+        });
+        const body = await response.json();
+        if (response.status === 201) {
+            stored.push(body.data.filename);
+        }
+        return { status: response.status, body };
+    };
+
+    const listFiles = async (token) => {
+        const res = await api.request('GET', '/api/upload/files', { token });
+        assert.equal(res.status, 200, res.text);
+        return res.body.data.map(file => file.filename);
+    };
+
+    before(async () => {
+        api = await startApp();
+        ({ token: alice } = await createUser(api.request));
+        ({ token: bob } = await createUser(api.request));
+        ({ token: admin } = await createUser(api.request, { role: 'admin' }));
+    });
+
+    after(async () => {
+        for (const filename of stored) {
+            await fs.promises.rm(path.join(UPLOAD_DIR, filename), { force: true });
+        }
+        await api.close();
+    });
+
+    it('lists only the files a user uploaded, and every file for admins', async () => {
+        const { body: aliceFile } = await uploadFile(alice, 'alice.png');
+        const { body: bobFile } = await uploadFile(bob, 'bob.png');
+
+        const aliceList = await listFiles(alice);
+        assert.ok(aliceList.includes(aliceFile.data.filename));
+        assert.equal(aliceList.includes(bobFile.data.filename), false);
+
+        const adminList = await listFiles(admin);
+        assert.ok(adminList.includes(aliceFile.data.filename));
+        assert.ok(adminList.includes(bobFile.data.filename));
+    });
+
+    it('refuses a file whose owner cannot be recorded and removes it', async () => {
+        const uploads = require('../db').collection('uploads');
+        const before = fs.readdirSync(UPLOAD_DIR);
+        const insert = mock.method(uploads, 'insert', async () => {
+            throw new Error('database is locked');
+        });
+
+        let res;
+        try {
+            res = await uploadFile(alice, 'lost.png');
+        } finally {
+            insert.mock.restore();
+        }
+
+        assert.equal(res.status, 500);
+        assert.deepEqual(fs.readdirSync(UPLOAD_DIR), before);
+    });
+
+    it('reports multer errors as client errors', async () => {
+        const form = new FormData();
+        form.append('other', new Blob(['x'], { type: 'image/png' }), 'x.png');
+        const response = await fetch(`${api.base}/api/upload/single`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${alice}` },
+            body: form
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.code, 'LIMIT_UNEXPECTED_FILE');
+    });
+});
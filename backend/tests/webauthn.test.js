@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, createUser } = require('./helpers');
+const { SoftwareAuthenticator } = require('../scripts/software-authenticator');
+const cbor = require('../services/cbor');
+
+const ORIGIN = 'http://localhost:3000';
+
+// Passkey ceremonies played by the software authenticator
+describe('WebAuthn passkeys', () => {
+    let api;
+    let users;
+    let loginThrottle;
+
+    before(async () => {
+        api = await startApp();
+        users = require('../db').collection('users');
+        loginThrottle = require('../services/loginThrottle');
+    });
+
+    after(() => api.close());
+
+    // Create a user with a registered passkey
+    const userWithPasskey = async (options) => {
+        const account = await createUser(api.request);
+        const authenticator = new SoftwareAuthenticator({ origin: ORIGIN, ...options });
+
+        const creation = await api.request('POST', '/api/auth/webauthn/register/options', { token: account.token });
+        const registered = await api.request('POST', '/api/auth/webauthn/register/verify', {
+            token: account.token,
+            body: { name: 'Laptop', ...authenticator.createCredential(creation.body.data) }
+        });
+        assert.equal(registered.status, 201, registered.text);
+
+        return { ...account, authenticator };
+    };
+
+    // Request a challenge for the account and answer it, letting `tamper` change the assertion
+    const signIn = async ({ user, authenticator }, tamper = assertion => assertion) => {
+        const request = await api.request('POST', '/api/auth/webauthn/login/options', { body: { email: user.email } });
+        return api.request('POST', '/api/auth/webauthn/login/verify', {
+            body: tamper(authenticator.getAssertion(request.body.data))
+        });
+    };
+
+    it('registers a passkey and signs in with it', async () => {
+        const account = await userWithPasskey();
+
+        const res = await signIn(account);
+
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.user.id, account.user.id);
+        assert.ok(res.body.data.token);
+
+        const listed = await api.request('GET', '/api/auth/webauthn/credentials', { token: res.body.data.token });
+        assert.equal(listed.body.data.passkeys.length, 1);
+        assert.ok(listed.body.data.passkeys[0].lastUsedAt);
+    });
+
+    it('asks for a second factor when the passkey did not verify the user', async () => {
+        const account = await userWithPasskey({ userVerified: false });
+        await users.update(account.user.id, { twoFactorEnabled: true });
+
+        const res = await signIn(account);
+
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.data.twoFactorRequired, true);
+    });
+
+    it('refuses disabled accounts and accounts that must reset their password', async () => {
+        const disabled = await userWithPasskey();
+        await users.update(disabled.user.id, { disabled: true });
+        const mustReset = await userWithPasskey();
+        await users.update(mustReset.user.id, { passwordResetRequired: true });
+
+        const refused = await signIn(disabled);
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.error.message, 'Account is disabled');
+
+        const resetRequired = await signIn(mustReset);
+        assert.equal(resetRequired.status, 403);
+        assert.match(resetRequired.body.error.message, /Password reset required/);
+    });
+
+    it('rejects truncated authenticator data as a bad request', async () => {
+        const account = await createUser(api.request);
+        const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+        const options = (await api.request('POST', '/api/auth/webauthn/register/options', { token: account.token })).body.data;
+        const credential = authenticator.createCredential(options);
+
+        // Cut the attested credential data off part way through the credential id
+        const attestation = cbor.decode(Buffer.from(credential.response.attestationObject, 'base64url'));
+        attestation.set('authData', attestation.get('authData').subarray(0, 60));
+        credential.response.attestationObject = cbor.encode(attestation).toString('base64url');
+
+        const res = await api.request('POST', '/api/auth/webauthn/register/verify', { token: account.token, body: credential });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.message, 'Authenticator data is too short for its credential id');
+    });
+
+    it('rejects truncated credential data in an assertion as a bad request', async () => {
+        const account = await userWithPasskey();
+
+        const res = await signIn(account, (assertion) => {
+            const authData = Buffer.from(assertion.response.authenticatorData, 'base64url');
+            authData[32] |= 0x40;
+            assertion.response.authenticatorData = authData.toString('base64url');
+            return assertion;
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error.message, 'Authenticator data is too short for its credential data');
+    });
+
+    it('rejects passkeys nobody registered', async () => {
+        const account = await userWithPasskey();
+
+        const res = await signIn(account, (assertion) => {
+            const id = crypto.randomBytes(32).toString('base64url');
+            return { ...assertion, id, rawId: id };
+        });
+
+        assert.equal(res.status, 401);
+    });
+
+    it('throttles repeated failures against the passkey account', async () => {
+        const account = await userWithPasskey();
+        const badSignature = (assertion) => {
+            assertion.response.signature = crypto.randomBytes(70).toString('base64url');
+            return assertion;
+        };
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            assert.equal((await signIn(account, badSignature)).status, 401);
+        }
+
+        const delayed = await signIn(account);
+        assert.equal(delayed.status, 429);
+        assert.ok(delayed.headers.get('retry-after'));
+    });
+
+    it('keeps a locked account locked for passkeys too', async () => {
+        const account = await userWithPasskey();
+        for (let attempt = 0; attempt < 10; attempt++) {
+            await loginThrottle.recordLoginFailure(account.user.email, '198.51.100.7');
+        }
+
+        const res = await signIn(account);
+
+        assert.equal(res.status, 429);
+        assert.equal(res.body.error.details.scope, 'account');
+
+        // Unlocking lets the passkey in again
+        await loginThrottle.unlock('account', account.user.email);
+        assert.equal((await signIn(account)).status, 200);
+    });
+});